@@ -1,4 +1,9 @@
 module.exports = {
   root: true,
   extends: '@react-native',
+  // Provided by Hermes and Node, but missing from the preset's environment
+  globals: {
+    TextEncoder: 'readonly',
+    TextDecoder: 'readonly',
+  },
 };
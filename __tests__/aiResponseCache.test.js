@@ -0,0 +1,167 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  FORECAST_ISSUE_INTERVAL_MS,
+  MAX_STALE_MS,
+  clearAiResponseCache,
+  getAiCacheKey,
+  getCachedAiResponse,
+  isCurrentResponse,
+  normalizePrompt,
+  pruneAiResponseCache,
+} from '../src/services/aiResponseCache';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('prompt keys', () => {
+  it('buckets values by unit and collapses whitespace', () => {
+    expect(normalizePrompt('  Temp: 12.34°C\n\nPressure: 1013.6 hPa ')).toBe(
+      'Temp: 12°C Pressure: 1012 hPa',
+    );
+    expect(normalizePrompt('Humidity 73%, wind 230° at 29.92 inHg')).toBe(
+      'Humidity 70%, wind 230° at 29.90 inHg',
+    );
+    expect(normalizePrompt('Low: -0.3°C on 2026-10-19, ratio 2.7')).toBe(
+      'Low: -1°C on 2026-10-19, ratio 2',
+    );
+  });
+
+  it('shares a key between small fluctuations only', () => {
+    expect(getAiCacheKey('Temp 12.3°C, wind 16.8 km/h')).toBe(
+      getAiCacheKey('Temp 12.4°C, wind 18.1 km/h'),
+    );
+    expect(getAiCacheKey('Humidity 71%, 1013 hPa, rain 60%')).toBe(
+      getAiCacheKey('Humidity 72%, 1012 hPa, rain 64%'),
+    );
+    expect(getAiCacheKey('Temp 12.3°C')).not.toBe(getAiCacheKey('Temp 14°C'));
+    expect(getAiCacheKey('Humidity 71%')).not.toBe(
+      getAiCacheKey('Humidity 81%'),
+    );
+    expect(getAiCacheKey('Temp 12°C', 'phenomena')).not.toBe(
+      getAiCacheKey('Temp 12°C'),
+    );
+  });
+
+  it('buckets negative values the same width as positive ones', () => {
+    expect(getAiCacheKey('Low -0.4°C')).toBe(getAiCacheKey('Low -0.6°C'));
+    expect(getAiCacheKey('Low 0.4°C')).toBe(getAiCacheKey('Low 0.6°C'));
+    expect(getAiCacheKey('Low -0.4°C')).not.toBe(getAiCacheKey('Low 0.4°C'));
+  });
+});
+
+describe('isCurrentResponse', () => {
+  const now = Date.now();
+  const entry = { value: 'Dry', fetchedAt: now - 2 * HOUR };
+
+  it('serves a response for the forecast it came from', () => {
+    expect(isCurrentResponse(entry, now - 2 * HOUR, now)).toBe(true);
+    expect(isCurrentResponse(entry, now - 3 * HOUR, now)).toBe(true);
+  });
+
+  it('reuses a response for newer forecasts until the next issue', () => {
+    expect(
+      isCurrentResponse(
+        { ...entry, fetchedAt: now - FORECAST_ISSUE_INTERVAL_MS + 1000 },
+        now,
+        now,
+      ),
+    ).toBe(true);
+    expect(isCurrentResponse(entry, now, now)).toBe(false);
+  });
+});
+
+describe('getCachedAiResponse', () => {
+  beforeEach(async () => {
+    await clearAiResponseCache();
+  });
+
+  it('asks once per forecast and persists the answer', async () => {
+    const produce = jest.fn(async () => 'High pressure keeps it dry.');
+    const fetchedAt = Date.now();
+
+    expect(
+      await getCachedAiResponse('Pressure 1021.4 hPa', produce, { fetchedAt }),
+    ).toBe('High pressure keeps it dry.');
+    expect(
+      await getCachedAiResponse('Pressure 1021.2 hPa', produce, { fetchedAt }),
+    ).toBe('High pressure keeps it dry.');
+    expect(produce).toHaveBeenCalledTimes(1);
+
+    const stored = JSON.parse(
+      await AsyncStorage.getItem(getAiCacheKey('Pressure 1021 hPa')),
+    );
+    expect(stored).toEqual({ value: 'High pressure keeps it dry.', fetchedAt });
+  });
+
+  it('coalesces requests made while one is in flight', async () => {
+    let resolve;
+    const produce = jest.fn(
+      () =>
+        new Promise(done => {
+          resolve = done;
+        }),
+    );
+
+    const first = getCachedAiResponse('Wind 20 km/h', produce);
+    const second = getCachedAiResponse('Wind 20 km/h', produce);
+    await new Promise(done => setTimeout(done, 0));
+    resolve('Breezy.');
+
+    expect(await Promise.all([first, second])).toEqual(['Breezy.', 'Breezy.']);
+    expect(produce).toHaveBeenCalledTimes(1);
+  });
+
+  it('asks again once the forecast is reissued', async () => {
+    const produce = jest
+      .fn()
+      .mockResolvedValueOnce('Old answer')
+      .mockResolvedValueOnce('New answer');
+
+    await getCachedAiResponse('Humidity 80%', produce, {
+      fetchedAt: Date.now() - 2 * HOUR,
+    });
+    expect(await getCachedAiResponse('Humidity 80%', produce)).toBe(
+      'New answer',
+    );
+  });
+
+  it('falls back to the last answer when the model has none', async () => {
+    await getCachedAiResponse('Rain 4 mm', async () => 'Showers.', {
+      fetchedAt: Date.now() - 2 * HOUR,
+    });
+
+    const offline = jest.fn(async () => null);
+    expect(await getCachedAiResponse('Rain 4 mm', offline)).toBe('Showers.');
+    expect(await getCachedAiResponse('Snow 4 mm', offline)).toBeNull();
+  });
+});
+
+describe('pruneAiResponseCache', () => {
+  it('removes expired entries only', async () => {
+    await clearAiResponseCache();
+    const now = Date.now();
+    await AsyncStorage.multiSet([
+      ['aiResponse:text:old', JSON.stringify({ value: 'a', fetchedAt: 0 })],
+      [
+        'aiResponse:text:recent',
+        JSON.stringify({ value: 'b', fetchedAt: now - MAX_STALE_MS / 2 }),
+      ],
+      ['aiResponse:text:broken', '{'],
+      ['forecastCache:1,2:forecast', '{}'],
+    ]);
+
+    await pruneAiResponseCache();
+
+    expect((await AsyncStorage.getAllKeys()).sort()).toEqual([
+      'aiResponse:text:recent',
+      'forecastCache:1,2:forecast',
+    ]);
+  });
+});
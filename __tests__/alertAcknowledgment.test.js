@@ -0,0 +1,270 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/conversationHelpers', () => ({
+  getUserLocationPreferences: jest.fn(),
+  saveUserLocationPreferences: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getUserLocationPreferences,
+  saveUserLocationPreferences,
+} from '../src/services/conversationHelpers';
+import {
+  ACKNOWLEDGMENT_TTL_MS,
+  ACKNOWLEDGMENT_RETENTION_MS,
+  createAsyncStorageAdapter,
+  createSupabaseAdapter,
+  getAcknowledgmentAdapter,
+  isAlertSilenced,
+  groupAlerts,
+  loadAcknowledgments,
+  acknowledgeAlert,
+  unacknowledgeAlert,
+} from '../src/services/alertAcknowledgment';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const HOUR = 60 * 60 * 1000;
+
+const createAlert = (id, severity = 'high') => ({
+  id,
+  type: 'heatwave',
+  severity,
+  title: `Alert ${id}`,
+  body: 'Hot',
+});
+
+const createMemoryAdapter = (initial = []) => {
+  let stored = initial;
+  return {
+    load: jest.fn(async () => stored),
+    save: jest.fn(async acknowledgments => {
+      stored = acknowledgments;
+    }),
+  };
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('acknowledgeAlert', () => {
+  it('silences an alert until it expires', async () => {
+    const adapter = createMemoryAdapter();
+    const acknowledgments = await acknowledgeAlert(
+      adapter,
+      createAlert('a'),
+      NOW,
+    );
+
+    expect(acknowledgments).toEqual([
+      expect.objectContaining({
+        id: 'a',
+        title: 'Alert a',
+        acknowledgedAt: NOW,
+        expiresAt: NOW + ACKNOWLEDGMENT_TTL_MS,
+      }),
+    ]);
+    const alert = createAlert('a');
+    expect(isAlertSilenced(alert, acknowledgments, NOW + HOUR)).toBe(true);
+    expect(
+      isAlertSilenced(alert, acknowledgments, NOW + ACKNOWLEDGMENT_TTL_MS),
+    ).toBe(false);
+  });
+
+  it('lets an escalated alert through', async () => {
+    const adapter = createMemoryAdapter();
+    const acknowledgments = await acknowledgeAlert(
+      adapter,
+      createAlert('a', 'high'),
+      NOW,
+    );
+
+    expect(
+      isAlertSilenced(createAlert('a', 'moderate'), acknowledgments, NOW),
+    ).toBe(true);
+    expect(
+      isAlertSilenced(createAlert('a', 'critical'), acknowledgments, NOW),
+    ).toBe(false);
+  });
+
+  it('renews an existing acknowledgment instead of duplicating it', async () => {
+    const adapter = createMemoryAdapter();
+    await acknowledgeAlert(adapter, createAlert('a'), NOW);
+    const acknowledgments = await acknowledgeAlert(
+      adapter,
+      createAlert('a'),
+      NOW + HOUR,
+    );
+
+    expect(acknowledgments).toHaveLength(1);
+    expect(acknowledgments[0].acknowledgedAt).toBe(NOW + HOUR);
+  });
+});
+
+describe('unacknowledgeAlert', () => {
+  it('removes the acknowledgment', async () => {
+    const adapter = createMemoryAdapter();
+    await acknowledgeAlert(adapter, createAlert('a'), NOW);
+    await acknowledgeAlert(adapter, createAlert('b'), NOW);
+
+    const acknowledgments = await unacknowledgeAlert(adapter, 'a', NOW);
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'b',
+    ]);
+  });
+});
+
+describe('loadAcknowledgments', () => {
+  it('forgets acknowledgments past their retention', async () => {
+    const adapter = createMemoryAdapter();
+    await acknowledgeAlert(adapter, createAlert('old'), NOW);
+    const later = NOW + ACKNOWLEDGMENT_TTL_MS + ACKNOWLEDGMENT_RETENTION_MS;
+    await acknowledgeAlert(adapter, createAlert('new'), later - HOUR);
+
+    const acknowledgments = await loadAcknowledgments(adapter, later);
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'new',
+    ]);
+    expect(adapter.save).toHaveBeenLastCalledWith(acknowledgments);
+  });
+
+  it('treats an unreadable store as empty', async () => {
+    const adapter = { load: async () => null, save: jest.fn() };
+    expect(await loadAcknowledgments(adapter, NOW)).toEqual([]);
+    expect(adapter.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('groupAlerts', () => {
+  it('splits alerts into active, acknowledged and expired', async () => {
+    const adapter = createMemoryAdapter();
+    await acknowledgeAlert(adapter, createAlert('stale'), NOW - 2 * HOUR);
+    await acknowledgeAlert(adapter, createAlert('seen'), NOW);
+    const acknowledgments = await loadAcknowledgments(adapter, NOW);
+
+    const later = NOW - 2 * HOUR + ACKNOWLEDGMENT_TTL_MS + HOUR;
+    const groups = groupAlerts(
+      [createAlert('seen'), createAlert('stale'), createAlert('fresh')],
+      acknowledgments,
+      later,
+    );
+
+    expect(groups.active.map(alert => alert.id)).toEqual(['stale', 'fresh']);
+    expect(groups.acknowledged.map(alert => alert.id)).toEqual(['seen']);
+    expect(groups.expired.map(alert => alert.id)).toEqual(['stale']);
+  });
+});
+
+describe('adapters', () => {
+  it('stores acknowledgments on the device', async () => {
+    const adapter = createAsyncStorageAdapter();
+    expect(await adapter.load()).toEqual([]);
+
+    await acknowledgeAlert(adapter, createAlert('a'), NOW);
+    const stored = JSON.parse(await AsyncStorage.getItem('acknowledgedAlerts'));
+    expect(stored.map(acknowledgment => acknowledgment.id)).toEqual(['a']);
+  });
+
+  it('stores acknowledgments in the Supabase preferences', async () => {
+    getUserLocationPreferences.mockResolvedValue({ acknowledged_alerts: [] });
+    const adapter = createSupabaseAdapter('user-1');
+
+    await acknowledgeAlert(adapter, createAlert('a'), NOW);
+    expect(saveUserLocationPreferences).toHaveBeenCalledWith('user-1', {
+      acknowledged_alerts: [expect.objectContaining({ id: 'a' })],
+    });
+  });
+
+  it('keeps a device copy for signed-in users', async () => {
+    getUserLocationPreferences.mockResolvedValue({});
+    await acknowledgeAlert(
+      getAcknowledgmentAdapter('user-1'),
+      createAlert('a'),
+      NOW,
+    );
+
+    expect(saveUserLocationPreferences).toHaveBeenCalled();
+    const local = await createAsyncStorageAdapter().load();
+    expect(local.map(acknowledgment => acknowledgment.id)).toEqual(['a']);
+  });
+
+  it('keeps the device copy when Supabase has none stored', async () => {
+    await acknowledgeAlert(createAsyncStorageAdapter(), createAlert('a'), NOW);
+    getUserLocationPreferences.mockResolvedValue({ acknowledged_alerts: [] });
+
+    const acknowledgments = await loadAcknowledgments(
+      getAcknowledgmentAdapter('user-1'),
+      NOW,
+    );
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'a',
+    ]);
+  });
+
+  it('merges both copies, keeping the longer-lasting acknowledgment', async () => {
+    await acknowledgeAlert(createAsyncStorageAdapter(), createAlert('a'), NOW);
+    await acknowledgeAlert(
+      createAsyncStorageAdapter(),
+      createAlert('b'),
+      NOW + HOUR,
+    );
+    const remoteA = {
+      ...createAlert('a'),
+      acknowledgedAt: NOW + 2 * HOUR,
+      expiresAt: NOW + 2 * HOUR + ACKNOWLEDGMENT_TTL_MS,
+    };
+    const remoteC = {
+      ...createAlert('c'),
+      acknowledgedAt: NOW - HOUR,
+      expiresAt: NOW - HOUR + ACKNOWLEDGMENT_TTL_MS,
+    };
+    getUserLocationPreferences.mockResolvedValue({
+      acknowledged_alerts: [remoteA, remoteC],
+    });
+
+    const acknowledgments = await loadAcknowledgments(
+      getAcknowledgmentAdapter('user-1'),
+      NOW + 2 * HOUR,
+    );
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'c',
+      'b',
+      'a',
+    ]);
+    expect(acknowledgments[2]).toBe(remoteA);
+  });
+
+  it('ignores a Supabase schema without the acknowledgments column', async () => {
+    await acknowledgeAlert(createAsyncStorageAdapter(), createAlert('a'), NOW);
+    getUserLocationPreferences.mockResolvedValue({ saved_locations: [] });
+
+    expect(await createSupabaseAdapter('user-1').load()).toBeNull();
+    const acknowledgments = await loadAcknowledgments(
+      getAcknowledgmentAdapter('user-1'),
+      NOW,
+    );
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'a',
+    ]);
+  });
+
+  it('falls back to the device copy when Supabase is unreachable', async () => {
+    await acknowledgeAlert(createAsyncStorageAdapter(), createAlert('a'), NOW);
+    getUserLocationPreferences.mockResolvedValue(null);
+
+    const acknowledgments = await loadAcknowledgments(
+      getAcknowledgmentAdapter('user-1'),
+      NOW,
+    );
+    expect(acknowledgments.map(acknowledgment => acknowledgment.id)).toEqual([
+      'a',
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @format
+ */
+
+import {
+  EPISODE_GAP_MS,
+  EPISODE_RETENTION_MS,
+  getGridCell,
+  getAlertFamily,
+  isEscalation,
+  getEpisodeStatus,
+  trackEpisodes,
+  markNotified,
+  pruneEpisodes,
+} from '../src/services/alertEpisodes';
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date(2026, 9, 19, 6).getTime();
+
+const createAlert = (type, severity, startsAt = START, hours = 1) => ({
+  type,
+  severity,
+  title: type,
+  body: severity,
+  startsAt,
+  endsAt: startsAt + hours * HOUR,
+});
+
+describe('getGridCell', () => {
+  it('puts nearby points in the same cell', () => {
+    expect(getGridCell(-23.72, 133.881)).toBe(getGridCell(-23.78, 133.87));
+    expect(getGridCell(-23.72, 133.881)).not.toBe(getGridCell(-23.85, 133.88));
+  });
+
+  it('falls back to the location name without coordinates', () => {
+    expect(getGridCell(null, null, 'Alice Springs')).toBe('alice-springs');
+  });
+});
+
+describe('getAlertFamily', () => {
+  it('groups stages of the same hazard', () => {
+    expect(getAlertFamily('precipitation')).toBe('rain');
+    expect(getAlertFamily('heavy-rain')).toBe('rain');
+    expect(getAlertFamily('heavy_rain')).toBe('rain');
+    expect(getAlertFamily('thunderstorm')).toBe('thunderstorm');
+  });
+});
+
+describe('isEscalation', () => {
+  it('only counts a rise in severity', () => {
+    expect(isEscalation('moderate', null)).toBe(true);
+    expect(isEscalation('critical', 'high')).toBe(true);
+    expect(isEscalation('high', 'high')).toBe(false);
+    expect(isEscalation('moderate', 'high')).toBe(false);
+  });
+});
+
+describe('trackEpisodes', () => {
+  it('starts an episode for a new alert', () => {
+    const { episodes, alerts } = trackEpisodes(
+      [],
+      [createAlert('precipitation', 'moderate')],
+      'cell',
+      START,
+    );
+
+    expect(episodes).toEqual([
+      expect.objectContaining({
+        id: 'cell-rain-20261019T06',
+        family: 'rain',
+        startsAt: START,
+        endsAt: START + HOUR,
+        peakSeverity: 'moderate',
+        notifiedSeverity: null,
+      }),
+    ]);
+    expect(alerts).toEqual([
+      expect.objectContaining({ id: 'cell-rain-20261019T06' }),
+    ]);
+  });
+
+  it('extends an episode while the hazard continues', () => {
+    const first = trackEpisodes(
+      [],
+      [createAlert('precipitation', 'moderate')],
+      'cell',
+      START,
+    );
+    const { episodes, alerts } = trackEpisodes(
+      first.episodes,
+      [createAlert('heavy-rain', 'critical', START + 2 * HOUR)],
+      'cell',
+      START + 2 * HOUR,
+    );
+
+    expect(episodes).toHaveLength(1);
+    expect(episodes[0]).toMatchObject({
+      type: 'heavy-rain',
+      startsAt: START,
+      endsAt: START + 3 * HOUR,
+      peakSeverity: 'critical',
+      peakAt: START + 2 * HOUR,
+    });
+    expect(alerts[0].id).toBe(first.alerts[0].id);
+  });
+
+  it('starts a new episode after a gap', () => {
+    const first = trackEpisodes(
+      [],
+      [createAlert('precipitation', 'moderate')],
+      'cell',
+      START,
+    );
+    const later = START + HOUR + EPISODE_GAP_MS + HOUR;
+    const { episodes } = trackEpisodes(
+      first.episodes,
+      [createAlert('precipitation', 'moderate', later)],
+      'cell',
+      later,
+    );
+
+    expect(episodes).toHaveLength(2);
+  });
+
+  it('keeps cells and families apart', () => {
+    const { episodes } = trackEpisodes(
+      [],
+      [
+        createAlert('precipitation', 'moderate'),
+        createAlert('freezing', 'critical'),
+      ],
+      'cell',
+      START,
+    );
+    const other = trackEpisodes(
+      episodes,
+      [createAlert('precipitation', 'moderate')],
+      'other-cell',
+      START,
+    );
+
+    expect(episodes.map(episode => episode.family)).toEqual(['rain', 'cold']);
+    expect(other.episodes).toHaveLength(3);
+  });
+
+  it('returns the most severe alert of each episode', () => {
+    const { alerts } = trackEpisodes(
+      [],
+      [
+        createAlert('heatwave', 'high', START - 6 * HOUR, 24),
+        createAlert('extreme-heat', 'critical'),
+      ],
+      'cell',
+      START,
+    );
+
+    expect(alerts).toEqual([
+      expect.objectContaining({ type: 'extreme-heat', severity: 'critical' }),
+    ]);
+  });
+});
+
+describe('markNotified', () => {
+  it('records the highest severity notified', () => {
+    const { episodes, alerts } = trackEpisodes(
+      [],
+      [createAlert('precipitation', 'moderate')],
+      'cell',
+      START,
+    );
+    const notified = markNotified(episodes, alerts);
+    const lowered = markNotified(notified, [{ ...alerts[0], severity: 'low' }]);
+
+    expect(notified[0].notifiedSeverity).toBe('moderate');
+    expect(lowered[0].notifiedSeverity).toBe('moderate');
+  });
+});
+
+describe('episode lifecycle', () => {
+  const { episodes } = trackEpisodes(
+    [],
+    [createAlert('precipitation', 'moderate')],
+    'cell',
+    START,
+  );
+  const [episode] = episodes;
+
+  it('reports upcoming, ongoing and ended', () => {
+    expect(getEpisodeStatus(episode, START - HOUR)).toBe('upcoming');
+    expect(getEpisodeStatus(episode, START + HOUR / 2)).toBe('ongoing');
+    expect(getEpisodeStatus(episode, START + HOUR)).toBe('ended');
+  });
+
+  it('forgets episodes long after they end', () => {
+    const end = START + HOUR;
+    expect(pruneEpisodes(episodes, end + EPISODE_RETENTION_MS - 1)).toEqual(
+      episodes,
+    );
+    expect(pruneEpisodes(episodes, end + EPISODE_RETENTION_MS)).toEqual([]);
+  });
+});
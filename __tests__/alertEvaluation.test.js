@@ -0,0 +1,242 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/conversationHelpers', () => ({
+  getUserLocationPreferences: jest.fn(),
+  saveUserLocationPreferences: jest.fn(),
+}));
+
+import {
+  buildWeatherAlerts,
+  evaluateAlerts,
+} from '../src/services/alertEvaluation';
+import { markNotified } from '../src/services/alertEpisodes';
+import { resolveNotificationPreferences } from '../src/services/notificationPreferences';
+import { createWeatherData } from './fixtures/weatherData';
+
+const options = { locationName: 'Alice Springs' };
+
+describe('buildWeatherAlerts', () => {
+  it('collects alerts from every detector', () => {
+    const alerts = buildWeatherAlerts(createWeatherData(), options);
+    const types = alerts.map(alert => alert.type);
+
+    expect(types).toEqual(
+      expect.arrayContaining([
+        'extreme-heat',
+        'heatwave',
+        'thunderstorm',
+        'rapid-condition',
+      ]),
+    );
+    // The cold front comes on day three, too far out to notify
+    expect(types).not.toContain('cold_front');
+  });
+
+  it('describes the alerts for a notification', () => {
+    const alerts = buildWeatherAlerts(createWeatherData(), options);
+    const heat = alerts.find(alert => alert.type === 'extreme-heat');
+    const storm = alerts.find(alert => alert.type === 'rapid-condition');
+
+    expect(heat).toMatchObject({
+      severity: 'critical',
+      title: '⚠️ Extreme heat in Alice Springs',
+      body: '☀️ Clear sky, 41°C',
+    });
+    expect(heat.endsAt - heat.startsAt).toBe(60 * 60 * 1000);
+    expect(new Date(heat.startsAt).getHours()).toBe(6);
+    expect(storm).toMatchObject({
+      severity: 'high',
+      body: 'Alice Springs, around 09:00',
+    });
+    expect(storm.title).toMatch(/^⛈️ Weather changing to/);
+  });
+
+  it('needs a forecast and a location name', () => {
+    expect(buildWeatherAlerts(null, options)).toEqual([]);
+    expect(buildWeatherAlerts(createWeatherData(), {})).toEqual([]);
+  });
+});
+
+// Mild and dry apart from the current rain
+const createRainyData = ({ precipitation, humidity = 80 }) => {
+  const weatherData = createWeatherData();
+  weatherData.current = {
+    ...weatherData.current,
+    temperature_2m: 18,
+    relative_humidity_2m: humidity,
+    precipitation,
+  };
+  weatherData.hourly.weather_code = weatherData.hourly.time.map(() => 0);
+  weatherData.daily.temperature_2m_max = weatherData.daily.time.map(() => 20);
+  weatherData.daily.temperature_2m_min = weatherData.daily.time.map(() => 12);
+  return weatherData;
+};
+
+describe('evaluateAlerts', () => {
+  const preferences = resolveNotificationPreferences({
+    types: { precipitation: true },
+  });
+  const now = new Date(2026, 9, 19, 6).getTime();
+
+  it('notifies one alert per episode', () => {
+    const { alerts, episodes } = evaluateAlerts(createWeatherData(), {
+      ...options,
+      preferences,
+      now,
+    });
+
+    // Extreme heat now and today's heatwave are the same episode
+    expect(alerts.map(alert => alert.type).sort()).toEqual([
+      'heatwave',
+      'rapid-condition',
+      'thunderstorm',
+    ]);
+    expect(episodes).toHaveLength(3);
+    expect(alerts.every(alert => !alert.escalated)).toBe(true);
+  });
+
+  it('keeps the same alert when values fluctuate', () => {
+    const first = evaluateAlerts(createRainyData({ precipitation: 2 }), {
+      ...options,
+      preferences,
+      now,
+    });
+    const second = evaluateAlerts(
+      createRainyData({ precipitation: 3, humidity: 81 }),
+      {
+        ...options,
+        preferences,
+        episodes: markNotified(first.episodes, first.alerts),
+        now: now + 30 * 60 * 1000,
+      },
+    );
+
+    expect(first.alerts.map(alert => alert.type)).toEqual(['precipitation']);
+    expect(second.alerts).toEqual([]);
+    expect(second.episodes.map(episode => episode.id)).toEqual(
+      first.episodes.map(episode => episode.id),
+    );
+  });
+
+  it('alerts again when an episode escalates', () => {
+    const first = evaluateAlerts(createRainyData({ precipitation: 2 }), {
+      ...options,
+      preferences,
+      now,
+    });
+    const { alerts, episodes } = evaluateAlerts(
+      createRainyData({ precipitation: 12 }),
+      {
+        ...options,
+        preferences,
+        episodes: markNotified(first.episodes, first.alerts),
+        now: now + 30 * 60 * 1000,
+      },
+    );
+
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        id: first.alerts[0].id,
+        type: 'heavy-rain',
+        severity: 'critical',
+        escalated: true,
+      }),
+    ]);
+    expect(episodes[0]).toMatchObject({
+      peakSeverity: 'critical',
+      notifiedSeverity: 'moderate',
+    });
+  });
+
+  it('skips acknowledged alerts unless they escalate', () => {
+    const first = evaluateAlerts(createRainyData({ precipitation: 2 }), {
+      ...options,
+      preferences,
+      now,
+    });
+    const [alert] = first.alerts;
+    const acknowledgments = [
+      {
+        ...alert,
+        acknowledgedAt: now,
+        expiresAt: now + 24 * 60 * 60 * 1000,
+      },
+    ];
+
+    const quiet = evaluateAlerts(createRainyData({ precipitation: 2 }), {
+      ...options,
+      preferences,
+      episodes: first.episodes,
+      acknowledgments,
+      now,
+    });
+    const escalated = evaluateAlerts(createRainyData({ precipitation: 12 }), {
+      ...options,
+      preferences,
+      episodes: first.episodes,
+      acknowledgments,
+      now,
+    });
+
+    expect(quiet.alerts).toEqual([]);
+    expect(escalated.alerts.map(item => item.type)).toEqual(['heavy-rain']);
+  });
+
+  it('notifies official warnings and their upgrades', () => {
+    const warning = {
+      event: 'Heat Advisory',
+      headline: 'Heat Advisory until Tuesday evening',
+      severity: 'moderate',
+      startsAt: now,
+      endsAt: now + 36 * 60 * 60 * 1000,
+      areas: [{ description: 'Alice Springs' }],
+      source: 'Bureau of Meteorology',
+    };
+    const rainy = createRainyData({ precipitation: 0 });
+
+    const first = evaluateAlerts(rainy, {
+      ...options,
+      warnings: [warning],
+      preferences,
+      now,
+    });
+    const upgraded = evaluateAlerts(rainy, {
+      ...options,
+      warnings: [{ ...warning, severity: 'high' }],
+      preferences,
+      episodes: markNotified(first.episodes, first.alerts),
+      now: now + 60 * 60 * 1000,
+    });
+
+    expect(first.alerts).toEqual([
+      expect.objectContaining({
+        type: 'official-warning',
+        title: '🚨 Heat Advisory',
+        body: 'Heat Advisory until Tuesday evening',
+      }),
+    ]);
+    expect(first.alerts[0].id).toMatch(/-warning-heat-advisory-/);
+    expect(upgraded.alerts).toEqual([
+      expect.objectContaining({
+        id: first.alerts[0].id,
+        severity: 'high',
+        escalated: true,
+      }),
+    ]);
+  });
+
+  it('tracks episodes but notifies nothing when notifications are off', () => {
+    const { alerts, episodes } = evaluateAlerts(createWeatherData(), {
+      ...options,
+      preferences: { ...preferences, enabled: false },
+      now,
+    });
+    expect(alerts).toEqual([]);
+    expect(episodes).toHaveLength(3);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  isPointInCircle,
+  isPointInPolygon,
+  isWarningForLocation,
+  normalizeCertainty,
+  normalizeSeverity,
+  normalizeUrgency,
+  parseCap,
+  parsePolygon,
+  selectActiveWarnings,
+} from '../src/services/capParser';
+
+const readFixture = name =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/cap', name), 'utf8');
+
+const phoenix = { latitude: 33.45, longitude: -112.07, name: 'Phoenix, AZ' };
+const berlin = { latitude: 52.5, longitude: 13.38, name: 'Berlin, Germany' };
+const london = {
+  latitude: 51.5,
+  longitude: -0.12,
+  name: 'Greater London, United Kingdom',
+};
+
+describe('normalization', () => {
+  it('maps CAP severities onto alert severities', () => {
+    expect(normalizeSeverity('Extreme')).toBe('critical');
+    expect(normalizeSeverity('Severe')).toBe('high');
+    expect(normalizeSeverity('Moderate')).toBe('moderate');
+    expect(normalizeSeverity('Minor')).toBe('low');
+    expect(normalizeSeverity('Unknown')).toBe('low');
+  });
+
+  it('lowercases urgency and certainty and falls back to unknown', () => {
+    expect(normalizeUrgency('Immediate')).toBe('immediate');
+    expect(normalizeUrgency('Soon')).toBe('unknown');
+    expect(normalizeCertainty('Very Likely')).toBe('likely');
+    expect(normalizeCertainty(undefined)).toBe('unknown');
+  });
+});
+
+describe('geometry', () => {
+  const square = parsePolygon('0,0 0,10 10,10 10,0 0,0');
+
+  it('parses polygons and rejects degenerate ones', () => {
+    expect(square).toHaveLength(5);
+    expect(parsePolygon('0,0 1,1')).toBeNull();
+    expect(parsePolygon('')).toBeNull();
+  });
+
+  it('tests points against polygons', () => {
+    expect(isPointInPolygon(5, 5, square)).toBe(true);
+    expect(isPointInPolygon(5, 15, square)).toBe(false);
+  });
+
+  it('tests points against circles by distance', () => {
+    const circle = { latitude: 52.52, longitude: 13.4, radiusKm: 25 };
+    expect(isPointInCircle(52.5, 13.38, circle)).toBe(true);
+    expect(isPointInCircle(53.5, 13.4, circle)).toBe(false);
+  });
+});
+
+describe('parseCap', () => {
+  it('reads CAP fields inline in an NWS Atom feed', () => {
+    const { warnings, links } = parseCap(readFixture('nws-feed.xml'));
+
+    expect(links).toEqual([]);
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toMatchObject({
+      id: 'urn:oid:2.49.0.1.840.0.heat.1',
+      status: 'actual',
+      msgType: 'alert',
+      event: 'Excessive Heat Warning',
+      severity: 'critical',
+      urgency: 'expected',
+      certainty: 'likely',
+      startsAt: Date.parse('2026-07-15T10:00:00-07:00'),
+      endsAt: Date.parse('2026-07-16T20:00:00-07:00'),
+      link: 'https://api.weather.gov/alerts/urn:oid:2.49.0.1.840.0.heat.1',
+    });
+    expect(warnings[0].areas[0].polygons[0]).toHaveLength(5);
+    expect(warnings[1].areas[0]).toEqual({
+      description: 'Coconino Plateau; Grand Canyon Country',
+      polygons: [],
+      circles: [],
+    });
+  });
+
+  it('prefers the info block in the requested language', () => {
+    const xml = readFixture('dwd-alert.xml');
+
+    const [english] = parseCap(xml).warnings;
+    expect(english).toMatchObject({
+      sender: 'Deutscher Wetterdienst',
+      event: 'Severe thunderstorm',
+      severity: 'high',
+      urgency: 'immediate',
+      certainty: 'observed',
+      instruction: 'Stay indoors and away from windows.',
+    });
+    expect(english.areas[0].circles).toEqual([
+      { latitude: 52.52, longitude: 13.4, radiusKm: 25 },
+    ]);
+
+    const [german] = parseCap(xml, { language: 'de' }).warnings;
+    expect(german.event).toBe('UNWETTER');
+  });
+
+  it('reads cancellations and their references', () => {
+    const [cancel] = parseCap(readFixture('dwd-cancel.xml')).warnings;
+
+    expect(cancel).toMatchObject({
+      msgType: 'cancel',
+      references: ['2.49.0.0.276.0.DWD.PVW.1721000000000.storm-1'],
+      areas: [],
+    });
+  });
+
+  it('collects links for entries without inline CAP fields', () => {
+    const { warnings, links } = parseCap(readFixture('meteoalarm-feed.xml'));
+
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({
+      event: 'Yellow rain warning',
+      severity: 'moderate',
+      link: 'https://feeds.meteoalarm.org/api/v1/warnings/feeds-united-kingdom/rain-1',
+    });
+    expect(links).toEqual([
+      'https://feeds.meteoalarm.org/api/v1/warnings/feeds-united-kingdom/wind-2',
+    ]);
+  });
+});
+
+describe('isWarningForLocation', () => {
+  const [heat, wind] = parseCap(readFixture('nws-feed.xml')).warnings;
+
+  it('uses the polygon when there is one', () => {
+    expect(isWarningForLocation(heat, phoenix)).toBe(true);
+    expect(
+      isWarningForLocation(heat, {
+        ...phoenix,
+        latitude: 35.2,
+        longitude: -111.65,
+      }),
+    ).toBe(false);
+  });
+
+  it('uses the circle when there is one', () => {
+    const [storm] = parseCap(readFixture('dwd-alert.xml')).warnings;
+    expect(isWarningForLocation(storm, berlin)).toBe(true);
+    expect(isWarningForLocation(storm, { ...berlin, latitude: 48.14 })).toBe(
+      false,
+    );
+  });
+
+  it('falls back to matching the place against the area description', () => {
+    const [rain] = parseCap(readFixture('meteoalarm-feed.xml')).warnings;
+    expect(isWarningForLocation(rain, london)).toBe(true);
+    expect(isWarningForLocation(wind, { ...london, name: 'Flagstaff' })).toBe(
+      false,
+    );
+    expect(
+      isWarningForLocation(wind, { ...london, name: 'Coconino Plateau, AZ' }),
+    ).toBe(true);
+  });
+});
+
+describe('selectActiveWarnings', () => {
+  it('drops test messages and expired warnings', () => {
+    const { warnings } = parseCap(readFixture('nws-feed.xml'));
+    const now = Date.parse('2026-07-15T12:00:00-07:00');
+
+    expect(selectActiveWarnings(warnings, now).map(w => w.event)).toEqual([
+      'Excessive Heat Warning',
+    ]);
+  });
+
+  it('retires warnings that a cancellation references', () => {
+    const alert = parseCap(readFixture('dwd-alert.xml')).warnings;
+    const cancel = parseCap(readFixture('dwd-cancel.xml')).warnings;
+    const now = Date.parse('2026-07-14T18:45:00+02:00');
+
+    expect(selectActiveWarnings(alert, now)).toHaveLength(1);
+    expect(selectActiveWarnings([...alert, ...cancel], now)).toEqual([]);
+  });
+
+  it('drops warnings that are past or unlikely', () => {
+    const [storm] = parseCap(readFixture('dwd-alert.xml')).warnings;
+    const now = Date.parse('2026-07-14T18:00:00+02:00');
+
+    expect(
+      selectActiveWarnings(
+        [
+          { ...storm, id: 'past', urgency: 'past' },
+          { ...storm, id: 'unlikely', certainty: 'unlikely' },
+        ],
+        now,
+      ),
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @format
+ */
+
+import {
+  getExtent,
+  linearScale,
+  niceTicks,
+  buildLinePath,
+  buildAreaPath,
+  findDayBoundaries,
+  downsampleSeries,
+  getPressureTendency,
+} from '../src/components/charts/chartMath';
+
+describe('getExtent', () => {
+  it('pads the range across every series and ignores gaps', () => {
+    expect(getExtent([[0, null, 10], [5]], { padding: 0.1 })).toEqual([-1, 11]);
+  });
+
+  it('honours fixed bounds and widens flat data', () => {
+    expect(getExtent([[3, 3]], { padding: 0, min: 0 })).toEqual([0, 4]);
+    expect(getExtent([[]])).toEqual([-0.1, 1.1]);
+  });
+});
+
+describe('niceTicks', () => {
+  it('produces round steps inside the domain', () => {
+    expect(niceTicks(-3, 17, 4)).toEqual([0, 5, 10, 15]);
+    expect(niceTicks(0, 1, 4)).toEqual([0, 0.2, 0.4, 0.6, 0.8, 1]);
+  });
+});
+
+describe('paths', () => {
+  const xScale = linearScale([0, 3], [0, 30]);
+  const yScale = linearScale([0, 10], [100, 0]);
+
+  it('breaks lines at null values', () => {
+    expect(buildLinePath([0, 10, null, 5], xScale, yScale)).toBe(
+      'M0.0,100.0L10.0,0.0M30.0,50.0',
+    );
+  });
+
+  it('closes each area segment on the baseline', () => {
+    expect(buildAreaPath([0, 10, null, 5], xScale, yScale, 100)).toBe(
+      'M0.0,100.0L10.0,0.0L10.0,100.0L0.0,100.0Z' +
+        'M30.0,50.0L30.0,100.0L30.0,100.0Z',
+    );
+  });
+});
+
+describe('findDayBoundaries', () => {
+  it('marks the first hour of each local day', () => {
+    const times = ['2026-10-19T22:00', '2026-10-19T23:00', '2026-10-20T00:00'];
+    expect(findDayBoundaries(times)).toEqual([
+      { index: 0, date: '2026-10-19' },
+      { index: 2, date: '2026-10-20' },
+    ]);
+  });
+});
+
+describe('downsampleSeries', () => {
+  it('keeps every nth point with rounded values', () => {
+    const times = ['t0', 't1', 't2', 't3', 't4'];
+    expect(
+      downsampleSeries(times, { temp: [1.234, 2, 3, 4, null] }, 2),
+    ).toEqual([
+      { time: 't0', temp: 1.2 },
+      { time: 't2', temp: 3 },
+      { time: 't4', temp: null },
+    ]);
+  });
+});
+
+describe('getPressureTendency', () => {
+  it('classifies the change over the next three hours', () => {
+    expect(getPressureTendency([1010, 1011, 1012, 1013], 0)).toEqual({
+      tendency: 'rising',
+      change: 3,
+    });
+    expect(getPressureTendency([1010, 1009.5, 1009.6], 0).tendency).toBe(
+      'steady',
+    );
+    expect(getPressureTendency([1010, 1008, 1006, 1004], 0).tendency).toBe(
+      'falling',
+    );
+    expect(getPressureTendency([null, 1010], 0)).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @format
+ */
+
+import {
+  buildDailyForecast,
+  getTemperatureRange,
+  getRangeBarPosition,
+  getHoursForDate,
+  getCardinalDirection,
+  formatDuration,
+} from '../src/services/dailyForecast';
+
+const makeWeather = () => ({
+  daily: {
+    time: ['2026-10-19', '2026-10-20', '2026-10-21'],
+    weather_code: [0, 61, 3],
+    temperature_2m_max: [20, 14, 18],
+    temperature_2m_min: [10, 6, 12],
+    sunrise: ['2026-10-19T06:21', '2026-10-20T06:20', '2026-10-21T06:18'],
+    sunset: ['2026-10-19T19:40', '2026-10-20T19:41', '2026-10-21T19:42'],
+    wind_direction_10m_dominant: [200, 10, 350],
+  },
+  hourly: {
+    time: ['2026-10-19T23:00', '2026-10-20T00:00', '2026-10-20T12:00'],
+    temperature_2m: [11, 10, 13],
+    weather_code: [0, 0, 61],
+  },
+});
+
+describe('buildDailyForecast', () => {
+  it('maps daily arrays to records and limits the day count', () => {
+    const days = buildDailyForecast(makeWeather(), 2);
+    expect(days).toHaveLength(2);
+    expect(days[1]).toMatchObject({
+      date: '2026-10-20',
+      weatherCode: 61,
+      temperatureMax: 14,
+      temperatureMin: 6,
+      windDirectionDominant: 10,
+      uvIndexMax: null,
+    });
+  });
+
+  it('returns nothing without daily data', () => {
+    expect(buildDailyForecast(null)).toEqual([]);
+  });
+});
+
+describe('range bars', () => {
+  it('places each day within the range of the whole period', () => {
+    const days = buildDailyForecast(makeWeather());
+    const range = getTemperatureRange(days);
+    expect(range).toEqual({ min: 6, max: 20 });
+    expect(getRangeBarPosition(days[1], range)).toEqual({
+      start: 0,
+      width: 8 / 14,
+    });
+    expect(getRangeBarPosition(days[0], range).start).toBeCloseTo(4 / 14);
+  });
+});
+
+describe('getHoursForDate', () => {
+  it('keeps only the hours of the requested local day', () => {
+    const hours = getHoursForDate(makeWeather(), '2026-10-20');
+    expect(hours.map(hour => hour.time)).toEqual([
+      '2026-10-20T00:00',
+      '2026-10-20T12:00',
+    ]);
+    expect(hours[0].isDay).toBe(false);
+    expect(hours[1]).toMatchObject({
+      temperature: 13,
+      weatherCode: 61,
+      isDay: true,
+    });
+  });
+});
+
+describe('formatting', () => {
+  it('names compass points and durations', () => {
+    expect(getCardinalDirection(0)).toBe('N');
+    expect(getCardinalDirection(350)).toBe('N');
+    expect(getCardinalDirection(200)).toBe('SSW');
+    expect(getCardinalDirection(null)).toBe('--');
+    expect(formatDuration(41040)).toBe('11h 24m');
+    expect(formatDuration(1500)).toBe('25m');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * @format
+ */
+
+import { dalsiaiStreamText } from '../src/services/dalsiApi';
+
+const encoder = new TextEncoder();
+
+const streamResponse = chunks => {
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () =>
+          queue.length > 0
+            ? { done: false, value: queue.shift() }
+            : { done: true, value: undefined },
+        cancel: async () => {},
+      }),
+    },
+  };
+};
+
+describe('dalsiaiStreamText', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('keeps tokens whose lines are split across chunks', async () => {
+    global.fetch = jest.fn(async () =>
+      streamResponse([
+        'data: {"tok',
+        'en":"Bring "}\n',
+        '\ndata: {"token":"an umbrella"}\n\n: keep-alive\n\n',
+        'data: {"done":true}\n\n',
+      ]),
+    );
+    const onToken = jest.fn();
+    const onComplete = jest.fn();
+    const onError = jest.fn();
+
+    await dalsiaiStreamText('Umbrella?', 50, onToken, onComplete, onError);
+
+    expect(onToken.mock.calls).toEqual([['Bring '], ['an umbrella']]);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+    expect(global.fetch.mock.calls[0][1].headers).toMatchObject({
+      Accept: 'text/event-stream',
+      'Content-Type': 'application/json',
+    });
+  });
+
+  it('reports errors sent on the stream', async () => {
+    global.fetch = jest.fn(async () =>
+      streamResponse(['data: {"error":"Model overloaded"}\n\n']),
+    );
+    const onError = jest.fn();
+
+    await dalsiaiStreamText('Hi', 50, jest.fn(), jest.fn(), onError);
+
+    expect(onError).toHaveBeenCalledWith('Model overloaded');
+  });
+
+  it('stays quiet once stopped', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn(async () =>
+      streamResponse([
+        'data: {"token":"One"}\n\n',
+        'data: {"token":"Two"}\n\n',
+      ]),
+    );
+    const onToken = jest.fn(() => controller.abort());
+    const onError = jest.fn();
+
+    await dalsiaiStreamText('Hi', 50, onToken, jest.fn(), onError, {
+      signal: controller.signal,
+    });
+
+    expect(onToken).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @format
+ */
+
+// Forecasts shared by the alert tests, in Open-Meteo's response shape
+
+const pad = value => String(value).padStart(2, '0');
+
+// Two scorching days, then a cooler week; a thunderstorm at 09:00 today
+export const createWeatherData = () => {
+  const days = Array.from({ length: 7 }, (_, day) => `2026-10-${19 + day}`);
+  const times = days.flatMap(date =>
+    Array.from({ length: 24 }, (_, hour) => `${date}T${pad(hour)}:00`),
+  );
+  const hourly = (value = 0) => times.map(() => value);
+
+  return {
+    current: {
+      time: '2026-10-19T06:00',
+      temperature_2m: 41,
+      relative_humidity_2m: 20,
+      wind_speed_10m: 10,
+      precipitation: 0,
+      weather_code: 0,
+      is_day: 1,
+    },
+    hourly: {
+      time: times,
+      temperature_2m: hourly(30),
+      precipitation_probability: hourly(10),
+      precipitation: hourly(0),
+      wind_speed_10m: hourly(10),
+      wind_gusts_10m: hourly(15),
+      weather_code: times.map((_, index) => (index === 9 ? 95 : 0)),
+      is_day: hourly(1),
+    },
+    daily: {
+      time: days,
+      temperature_2m_max: [41, 41, 30, 30, 30, 30, 30],
+      temperature_2m_min: [25, 25, 20, 20, 20, 20, 20],
+      uv_index_max: [6, 6, 5, 5, 5, 5, 5],
+      precipitation_sum: [0, 0, 0, 0, 0, 0, 0],
+      precipitation_probability_max: [10, 10, 10, 10, 10, 10, 10],
+      wind_speed_10m_max: [10, 10, 10, 10, 10, 10, 10],
+      wind_gusts_10m_max: [15, 15, 15, 15, 15, 15, 15],
+    },
+  };
+};
@@ -0,0 +1,128 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  FRESH_TTL_MS,
+  MAX_STALE_MS,
+  formatLastUpdated,
+  getCacheStatus,
+  getForecastCacheKey,
+  pruneForecastCache,
+  readCachedForecast,
+  writeCachedForecast,
+} from '../src/services/forecastCache';
+
+const MINUTE = 60 * 1000;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('getForecastCacheKey', () => {
+  it('rounds coordinates so nearby fixes share an entry', () => {
+    expect(getForecastCacheKey(-37.8136, 144.9631, 'forecast')).toBe(
+      'forecastCache:-37.81,144.96:forecast',
+    );
+    expect(getForecastCacheKey(-37.8141, 144.9649, 'forecast')).toBe(
+      getForecastCacheKey(-37.8136, 144.9631, 'forecast'),
+    );
+  });
+});
+
+describe('getCacheStatus', () => {
+  const now = 1_000_000_000_000;
+
+  it('is fresh until FRESH_TTL_MS', () => {
+    expect(getCacheStatus(now, now)).toBe('fresh');
+    expect(getCacheStatus(now - FRESH_TTL_MS + 1, now)).toBe('fresh');
+    expect(getCacheStatus(now - FRESH_TTL_MS, now)).toBe('stale');
+  });
+
+  it('is stale until MAX_STALE_MS, then expired', () => {
+    expect(getCacheStatus(now - MAX_STALE_MS + 1, now)).toBe('stale');
+    expect(getCacheStatus(now - MAX_STALE_MS, now)).toBe('expired');
+  });
+});
+
+describe('readCachedForecast', () => {
+  const data = { current: { temperature_2m: 18 } };
+
+  it('returns what was written with its status', async () => {
+    const fetchedAt = Date.now() - 20 * MINUTE;
+    await writeCachedForecast(-37.81, 144.96, 'forecast', {
+      ...data,
+      meta: { fetchedAt },
+    });
+
+    expect(await readCachedForecast(-37.81, 144.96, 'forecast')).toEqual({
+      data: { ...data, meta: { fetchedAt } },
+      fetchedAt,
+      status: 'stale',
+    });
+  });
+
+  it('returns null for a missing entry', async () => {
+    expect(await readCachedForecast(-37.81, 144.96, 'forecast')).toBeNull();
+  });
+
+  it('removes an expired entry', async () => {
+    const key = getForecastCacheKey(-37.81, 144.96, 'forecast');
+    await AsyncStorage.setItem(
+      key,
+      JSON.stringify({ data, fetchedAt: Date.now() - MAX_STALE_MS - MINUTE }),
+    );
+
+    expect(await readCachedForecast(-37.81, 144.96, 'forecast')).toBeNull();
+    expect(await AsyncStorage.getItem(key)).toBeNull();
+  });
+});
+
+describe('pruneForecastCache', () => {
+  it('removes expired and unreadable forecasts only', async () => {
+    const now = Date.now();
+    await AsyncStorage.multiSet([
+      [
+        'forecastCache:1.00,2.00:forecast',
+        JSON.stringify({ data: {}, fetchedAt: now - MAX_STALE_MS - MINUTE }),
+      ],
+      [
+        'forecastCache:3.00,4.00:forecast',
+        JSON.stringify({ data: {}, fetchedAt: now - 30 * MINUTE }),
+      ],
+      ['forecastCache:5.00,6.00:forecast', 'not json'],
+      ['savedLocations', '[]'],
+    ]);
+
+    await pruneForecastCache();
+
+    expect((await AsyncStorage.getAllKeys()).sort()).toEqual([
+      'forecastCache:3.00,4.00:forecast',
+      'savedLocations',
+    ]);
+  });
+});
+
+describe('formatLastUpdated', () => {
+  const now = 1_000_000_000_000;
+
+  it('describes the age of the data', () => {
+    expect(formatLastUpdated(null, now)).toBe('');
+    expect(formatLastUpdated(now - 30 * 1000, now)).toBe('Updated just now');
+    expect(formatLastUpdated(now - 12 * MINUTE, now)).toBe(
+      'Updated 12 min ago',
+    );
+    expect(formatLastUpdated(now - 59 * MINUTE, now)).toBe(
+      'Updated 59 min ago',
+    );
+    expect(formatLastUpdated(now - 60 * MINUTE, now)).toBe('Updated 1 h ago');
+    expect(formatLastUpdated(now - 25 * 60 * MINUTE, now)).toBe(
+      'Updated 1 d ago',
+    );
+  });
+});
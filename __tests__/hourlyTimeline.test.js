@@ -0,0 +1,62 @@
+/**
+ * @format
+ */
+
+import { buildHourlyTimeline } from '../src/services/hourlyTimeline';
+
+const hoursFrom = (date, startHour, count) =>
+  Array.from({ length: count }, (_, i) => {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCHours(startHour + i);
+    return day.toISOString().slice(0, 16);
+  });
+
+const makeWeather = () => {
+  const time = hoursFrom('2026-10-19', 0, 72);
+  return {
+    current: { time: '2026-10-19T20:15' },
+    hourly: {
+      time,
+      temperature_2m: time.map((_, i) => i),
+      precipitation_probability: time.map(() => 10),
+    },
+    daily: {
+      time: ['2026-10-19', '2026-10-20', '2026-10-21'],
+      sunrise: ['2026-10-19T06:21', '2026-10-20T06:20', '2026-10-21T06:18'],
+      sunset: ['2026-10-19T19:40', '2026-10-20T19:41', '2026-10-21T19:42'],
+    },
+  };
+};
+
+describe('buildHourlyTimeline', () => {
+  it('starts at the current hour and covers 48 hours', () => {
+    const hours = buildHourlyTimeline(makeWeather()).filter(
+      entry => entry.type === 'hour',
+    );
+    expect(hours).toHaveLength(48);
+    expect(hours[0].time).toBe('2026-10-19T20:00');
+    expect(hours[0].isNow).toBe(true);
+    expect(hours[0].temperature).toBe(20);
+    expect(hours[0].windSpeed).toBeNull();
+  });
+
+  it('inserts day separators and sun markers in order', () => {
+    const entries = buildHourlyTimeline(makeWeather());
+    const markers = entries
+      .filter(entry => entry.type !== 'hour')
+      .map(entry => `${entry.type}:${entry.date ?? entry.time}`);
+
+    expect(markers).toEqual([
+      'day:2026-10-19',
+      'day:2026-10-20',
+      'sunrise:2026-10-20T06:20',
+      'sunset:2026-10-20T19:41',
+      'day:2026-10-21',
+      'sunrise:2026-10-21T06:18',
+      'sunset:2026-10-21T19:42',
+    ]);
+
+    const sunriseIndex = entries.findIndex(e => e.type === 'sunrise');
+    expect(entries[sunriseIndex - 1].time).toBe('2026-10-20T06:00');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * @format
+ */
+
+import {
+  ApiError,
+  RateLimitError,
+  TimeoutError,
+  fetchJson,
+  isAbortError,
+} from '../src/services/http';
+
+const jsonResponse = (status, body, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] ?? null },
+  json: async () => body,
+  text: async () => JSON.stringify(body),
+});
+
+const noDelay = { baseDelay: 0, maxDelay: 0 };
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('retries server errors and returns the first success', async () => {
+  global.fetch
+    .mockResolvedValueOnce(jsonResponse(503, {}))
+    .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+  await expect(
+    fetchJson('https://example.test', { backoff: noDelay }),
+  ).resolves.toEqual({ ok: true });
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('does not retry client errors', async () => {
+  global.fetch.mockResolvedValue(jsonResponse(404, {}));
+
+  await expect(
+    fetchJson('https://example.test', { backoff: noDelay }),
+  ).rejects.toBeInstanceOf(ApiError);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('surfaces rate limiting after retries are exhausted', async () => {
+  global.fetch.mockResolvedValue(jsonResponse(429, {}, { 'Retry-After': '0' }));
+
+  const error = await fetchJson('https://example.test', { retries: 1 }).catch(
+    e => e,
+  );
+  expect(error).toBeInstanceOf(RateLimitError);
+  expect(error.retryAfter).toBe(0);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('fails at once when Retry-After is longer than the backoff cap', async () => {
+  global.fetch.mockResolvedValue(
+    jsonResponse(429, {}, { 'Retry-After': '3600' }),
+  );
+
+  const error = await fetchJson('https://example.test', {
+    backoff: { baseDelay: 0, maxDelay: 30000 },
+  }).catch(e => e);
+  expect(error).toBeInstanceOf(RateLimitError);
+  expect(error.retryAfter).toBe(3600000);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('times out hung requests', async () => {
+  global.fetch.mockImplementation(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+  );
+
+  await expect(
+    fetchJson('https://example.test', { timeout: 10, retries: 0 }),
+  ).rejects.toBeInstanceOf(TimeoutError);
+});
+
+test('stops when the caller aborts', async () => {
+  const controller = new AbortController();
+  global.fetch.mockImplementation(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }),
+  );
+
+  const request = fetchJson('https://example.test', {
+    signal: controller.signal,
+  });
+  controller.abort();
+
+  const error = await request.catch(e => e);
+  expect(isAbortError(error)).toBe(true);
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
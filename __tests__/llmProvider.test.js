@@ -0,0 +1,234 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  createLlmProvider,
+  getLlmProvider,
+  setLlmProvider,
+} from '../src/services/llmProvider';
+import {
+  OFFLINE_RESPONSE,
+  createMockProvider,
+} from '../src/services/mockLlmProvider';
+import { createOpenAiProvider } from '../src/services/openAiProvider';
+import { createDalsiProvider } from '../src/services/dalsiApi';
+import { generateChartAnnotations } from '../src/services/aiWeatherAnalysis';
+import { clearAiResponseCache } from '../src/services/aiResponseCache';
+
+const encoder = new TextEncoder();
+
+const jsonResponse = body => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => null },
+  json: async () => body,
+});
+
+const streamResponse = text => {
+  const chunks = [encoder.encode(text)];
+  return {
+    ok: true,
+    status: 200,
+    body: {
+      getReader: () => ({
+        read: async () =>
+          chunks.length > 0
+            ? { done: false, value: chunks.shift() }
+            : { done: true, value: undefined },
+        cancel: async () => {},
+      }),
+    },
+  };
+};
+
+const collectStream = async (provider, prompt, options = {}) => {
+  const tokens = [];
+  const onComplete = jest.fn();
+  const onError = jest.fn();
+  await provider.stream(prompt, {
+    ...options,
+    onToken: token => tokens.push(token),
+    onComplete,
+    onError,
+  });
+  return { tokens, onComplete, onError };
+};
+
+describe('createLlmProvider', () => {
+  it('creates the provider the config selects', () => {
+    expect(createLlmProvider({ provider: 'mock', mock: {} }).name).toBe('mock');
+    expect(
+      createLlmProvider({
+        provider: 'openai',
+        openai: { baseUrl: 'http://localhost:8000/v1', model: 'phi-3' },
+      }).name,
+    ).toBe('openai');
+    expect(createLlmProvider().name).toBe('dalsi');
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createLlmProvider({ provider: 'nope' })).toThrow(
+      'Unknown LLM provider: nope',
+    );
+  });
+});
+
+describe('mock provider', () => {
+  const provider = createMockProvider({
+    responses: [{ match: /umbrella/i, text: 'Yes, take an umbrella.' }],
+  });
+
+  it('answers deterministically', async () => {
+    expect(await provider.generate('Do I need an umbrella?')).toBe(
+      'Yes, take an umbrella.',
+    );
+    expect(await provider.generate('Anything else?')).toBe(OFFLINE_RESPONSE);
+    expect(await provider.generate('Return a JSON array of events')).toBe('[]');
+    expect(await provider.health()).toEqual({ ok: true, model: 'mock' });
+  });
+
+  it('streams the same text word by word', async () => {
+    const { tokens, onComplete } = await collectStream(provider, 'Umbrella?');
+
+    expect(tokens).toEqual(['Yes, ', 'take ', 'an ', 'umbrella.']);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops streaming when aborted', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    await provider.stream('Umbrella?', {
+      signal: controller.signal,
+      onToken: token => {
+        tokens.push(token);
+        controller.abort();
+      },
+    });
+
+    expect(tokens).toEqual(['Yes, ']);
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  const provider = createOpenAiProvider({
+    baseUrl: 'http://llm.local/v1',
+    apiKey: 'secret',
+    model: 'phi-3',
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('generates with a chat completion', async () => {
+    global.fetch = jest.fn(async () =>
+      jsonResponse({ choices: [{ message: { content: 'Mild and dry.' } }] }),
+    );
+
+    expect(await provider.generate('Weather?', { maxTokens: 50 })).toBe(
+      'Mild and dry.',
+    );
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://llm.local/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(request.body)).toEqual({
+      model: 'phi-3',
+      messages: [{ role: 'user', content: 'Weather?' }],
+      max_tokens: 50,
+      stream: false,
+    });
+  });
+
+  it('streams deltas until [DONE]', async () => {
+    global.fetch = jest.fn(async () =>
+      streamResponse(
+        'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n' +
+          'data: {"choices":[{"delta":{"content":"Mild"}}]}\n\n' +
+          'data: {"choices":[{"delta":{"content":" and dry."}}]}\n\n' +
+          'data: [DONE]\n\n',
+      ),
+    );
+
+    const { tokens, onComplete, onError } = await collectStream(
+      provider,
+      'Weather?',
+    );
+
+    expect(tokens).toEqual(['Mild', ' and dry.']);
+    expect(onComplete).toHaveBeenCalledTimes(1);
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('is healthy when the server lists the model', async () => {
+    global.fetch = jest.fn(async () =>
+      jsonResponse({ data: [{ id: 'phi-3' }, { id: 'llama-3' }] }),
+    );
+    expect(await provider.health()).toEqual({ ok: true, model: 'phi-3' });
+
+    global.fetch = jest.fn(async () => jsonResponse({ data: [{ id: 'x' }] }));
+    expect(await provider.health()).toEqual({ ok: false, model: 'phi-3' });
+  });
+});
+
+describe('DalSi provider', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('calls the configured service and returns the text', async () => {
+    global.fetch = jest.fn(async () =>
+      jsonResponse({ response: 'Clear skies.' }),
+    );
+    const provider = createDalsiProvider({ textUrl: 'http://dalsi.local' });
+
+    expect(await provider.generate('Weather?', { maxTokens: 80 })).toBe(
+      'Clear skies.',
+    );
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://dalsi.local/generate',
+      expect.objectContaining({
+        body: JSON.stringify({ message: 'Weather?', max_length: 80 }),
+      }),
+    );
+  });
+});
+
+describe('analysis through the active provider', () => {
+  beforeEach(async () => {
+    await clearAiResponseCache();
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+  });
+
+  it('uses the provider that was set', async () => {
+    setLlmProvider(
+      createMockProvider({
+        responses: [
+          {
+            match: 'chart',
+            text: 'Annotations: [{"label":"Front","significance":"high"}]',
+          },
+        ],
+      }),
+    );
+
+    expect(getLlmProvider().name).toBe('mock');
+    expect(await generateChartAnnotations('pressure', [], {})).toEqual([
+      { label: 'Front', significance: 'high' },
+    ]);
+  });
+
+  it('goes back to the configured provider when cleared', () => {
+    setLlmProvider(createMockProvider());
+    setLlmProvider(null);
+    expect(getLlmProvider().name).toBe('dalsi');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/conversationHelpers', () => ({
+  getUserLocationPreferences: jest.fn(),
+  saveUserLocationPreferences: jest.fn(),
+}));
+
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolveNotificationPreferences,
+  isTypeEnabled,
+  isInQuietHours,
+  getQuietHoursEnd,
+  fetchRemoteNotificationPreferences,
+} from '../src/services/notificationPreferences';
+import { getUserLocationPreferences } from '../src/services/conversationHelpers';
+
+const at = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+describe('resolveNotificationPreferences', () => {
+  it('uses the defaults when nothing is stored', () => {
+    expect(resolveNotificationPreferences(null)).toEqual(
+      DEFAULT_NOTIFICATION_PREFERENCES,
+    );
+  });
+
+  it('keeps stored choices and fills in new types', () => {
+    const resolved = resolveNotificationPreferences({
+      types: { heatwave: false },
+      quietHours: { enabled: true },
+    });
+    expect(resolved.types.heatwave).toBe(false);
+    expect(resolved.types.thunderstorm).toBe(true);
+    expect(resolved.quietHours).toEqual({
+      enabled: true,
+      start: '22:00',
+      end: '07:00',
+    });
+  });
+});
+
+describe('isTypeEnabled', () => {
+  it('respects the per-type opt-in and the master switch', () => {
+    const preferences = resolveNotificationPreferences({});
+    expect(isTypeEnabled(preferences, 'extreme-heat')).toBe(true);
+    expect(isTypeEnabled(preferences, 'high-humidity')).toBe(false);
+    expect(isTypeEnabled(preferences, 'unknown-type')).toBe(false);
+    expect(
+      isTypeEnabled({ ...preferences, enabled: false }, 'extreme-heat'),
+    ).toBe(false);
+  });
+});
+
+describe('quiet hours', () => {
+  const overnight = { enabled: true, start: '22:00', end: '07:00' };
+
+  it('wraps overnight windows past midnight', () => {
+    expect(isInQuietHours(at(23), overnight)).toBe(true);
+    expect(isInQuietHours(at(3), overnight)).toBe(true);
+    expect(isInQuietHours(at(7), overnight)).toBe(false);
+    expect(isInQuietHours(at(12), overnight)).toBe(false);
+  });
+
+  it('handles windows within a day', () => {
+    const afternoon = { enabled: true, start: '13:00', end: '15:30' };
+    expect(isInQuietHours(at(14), afternoon)).toBe(true);
+    expect(isInQuietHours(at(15, 30), afternoon)).toBe(false);
+  });
+
+  it('does nothing when disabled', () => {
+    expect(isInQuietHours(at(23), { ...overnight, enabled: false })).toBe(
+      false,
+    );
+  });
+
+  it('finds the next end time', () => {
+    expect(getQuietHoursEnd(at(23), overnight)).toEqual(
+      new Date(2026, 9, 20, 7, 0),
+    );
+    expect(getQuietHoursEnd(at(3), overnight)).toEqual(at(7));
+  });
+});
+
+describe('fetchRemoteNotificationPreferences', () => {
+  it('treats the empty column default as unset', async () => {
+    getUserLocationPreferences.mockResolvedValueOnce({
+      notification_preferences: {},
+    });
+    expect(await fetchRemoteNotificationPreferences('user-1')).toBeNull();
+
+    getUserLocationPreferences.mockResolvedValueOnce({
+      notification_preferences: { enabled: false },
+    });
+    expect(await fetchRemoteNotificationPreferences('user-1')).toEqual({
+      enabled: false,
+    });
+  });
+});
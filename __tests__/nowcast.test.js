@@ -0,0 +1,198 @@
+/**
+ * @format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  buildPrecipitationCurve,
+  estimateMotion,
+  fetchNowcast,
+  summarizeNowcast,
+} from '../src/services/nowcast';
+
+const readFixture = name => {
+  const file = fs.readFileSync(path.join(__dirname, 'fixtures/radar', name));
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+};
+
+const createGrid = (width, height, paint) => {
+  const rates = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rates[y * width + x] = paint(x, y);
+    }
+  }
+  return { width, height, rates };
+};
+
+const curveFrom = rates =>
+  rates.map((rate, minute) => ({ minute, time: minute * 60, rate }));
+
+describe('estimateMotion', () => {
+  const cell = x0 => (x, y) =>
+    x >= x0 && x < x0 + 6 && y >= 20 && y < 26 ? 5 : 0;
+
+  it('finds how far the rain moved', () => {
+    const previous = createGrid(48, 48, cell(14));
+    const latest = createGrid(48, 48, cell(20));
+    expect(estimateMotion(previous, latest, { step: 1 })).toEqual({
+      dx: 6,
+      dy: 0,
+    });
+  });
+
+  it('tracks larger moves through the downsampled search', () => {
+    const block = (x0, y0) => (x, y) =>
+      x >= x0 && x < x0 + 10 && y >= y0 && y < y0 + 10 ? 4 : 0;
+    const previous = createGrid(128, 128, block(50, 60));
+    const latest = createGrid(128, 128, block(59, 55));
+    expect(estimateMotion(previous, latest, { step: 1 })).toEqual({
+      dx: 9,
+      dy: -5,
+    });
+  });
+
+  it('stays put when there is no rain', () => {
+    const empty = createGrid(48, 48, () => 0);
+    expect(estimateMotion(empty, empty)).toEqual({ dx: 0, dy: 0 });
+  });
+});
+
+describe('buildPrecipitationCurve', () => {
+  it('interpolates between frames then advects the latest one', () => {
+    // Rain 10 px west of the centre, moving east 1 px per minute
+    const latest = createGrid(40, 40, x => (x <= 10 ? 2 : 0));
+    const curve = buildPrecipitationCurve(
+      {
+        samples: [
+          { time: 0, rate: 0 },
+          { time: 600, rate: 1 },
+        ],
+        latest,
+        velocity: { dx: 1 / 60, dy: 0 },
+        now: 300,
+      },
+      30,
+    );
+
+    expect(curve).toHaveLength(31);
+    expect(curve[0].rate).toBeCloseTo(0.5);
+    expect(curve[5].rate).toBeCloseTo(1);
+    expect(curve[10].rate).toBe(0);
+    expect(curve[20].rate).toBe(2);
+  });
+
+  it('marks minutes whose upstream radar is off the image as unknown', () => {
+    const latest = createGrid(10, 10, () => 0);
+    const curve = buildPrecipitationCurve(
+      {
+        samples: [{ time: 0, rate: 0 }],
+        latest,
+        velocity: { dx: 1 / 60, dy: 0 },
+        now: 0,
+      },
+      10,
+    );
+    expect(curve[2].rate).toBe(0);
+    expect(curve[10].rate).toBeNull();
+  });
+});
+
+describe('summarizeNowcast', () => {
+  it('reports a dry period', () => {
+    const summary = summarizeNowcast(curveFrom(new Array(121).fill(0)));
+    expect(summary.state).toBe('dry');
+    expect(summary.sentence).toBe('No rain expected for the next 120 min.');
+  });
+
+  it('describes rain starting and stopping', () => {
+    const rates = new Array(121).fill(0).fill(1.2, 15, 55);
+    const summary = summarizeNowcast(curveFrom(rates));
+    expect(summary).toMatchObject({
+      state: 'starting',
+      startsIn: 15,
+      stopsIn: 55,
+      intensity: 'light',
+    });
+    expect(summary.sentence).toBe(
+      'Light rain starting in ~15 min, stopping ~40 min later.',
+    );
+  });
+
+  it('describes rain that is already falling', () => {
+    const stopping = new Array(121).fill(0).fill(12, 0, 22);
+    expect(summarizeNowcast(curveFrom(stopping)).sentence).toBe(
+      'Heavy rain stopping in ~20 min.',
+    );
+
+    const lasting = new Array(121).fill(3);
+    expect(summarizeNowcast(curveFrom(lasting)).sentence).toBe(
+      'Moderate rain for at least the next 120 min.',
+    );
+  });
+
+  it('does not promise an end beyond radar coverage', () => {
+    const rates = new Array(121).fill(null).fill(0, 0, 61).fill(1, 30, 61);
+    const summary = summarizeNowcast(curveFrom(rates));
+    expect(summary.stopsIn).toBeNull();
+    expect(summary.sentence).toBe('Light rain starting in ~30 min.');
+  });
+
+  it('admits when there is no coverage at all', () => {
+    expect(summarizeNowcast([]).state).toBe('unknown');
+  });
+});
+
+describe('fetchNowcast', () => {
+  const maps = {
+    host: 'https://tilecache.rainviewer.com',
+    radar: {
+      past: [
+        { time: 1000, path: '/v2/radar/1000' },
+        { time: 1600, path: '/v2/radar/1600' },
+      ],
+      nowcast: [],
+    },
+  };
+
+  beforeEach(() => {
+    // Two black and white frames with a rain cell moving 4 px east
+    global.fetch = jest.fn(async url => ({
+      ok: true,
+      status: 200,
+      json: async () => maps,
+      arrayBuffer: async () =>
+        readFixture(
+          url.includes('/1000/') ? 'bw-frame-1.png' : 'bw-frame-2.png',
+        ),
+    }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('predicts the cell reaching the point', async () => {
+    const { curve, summary, frameTime } = await fetchNowcast(
+      { latitude: 51.5, longitude: -0.12 },
+      { now: 1900 },
+    );
+
+    expect(frameTime).toBe(1600);
+    expect(curve).toHaveLength(121);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://tilecache.rainviewer.com/v2/radar/1600/256/8/51.5000/-0.1200/8/0_0.png',
+      expect.anything(),
+    );
+    expect(summary).toMatchObject({
+      state: 'starting',
+      startsIn: 12,
+      stopsIn: 39,
+      intensity: 'moderate',
+    });
+    expect(summary.sentence).toBe(
+      'Moderate rain starting in ~10 min, stopping ~25 min later.',
+    );
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * @format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  fetchOfficialWarnings,
+  getFeedsForLocation,
+  WARNINGS_REFRESH_MS,
+} from '../src/services/officialWarnings';
+
+const readFixture = name =>
+  fs.readFileSync(path.join(__dirname, 'fixtures/cap', name), 'utf8');
+
+const xmlResponse = body => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => null },
+  text: async () => body,
+});
+
+const feeds = [
+  {
+    id: 'nws',
+    name: 'NWS',
+    url: 'https://example.com/nws.atom',
+    bounds: [17.5, -180, 72, -64],
+  },
+  {
+    id: 'uk',
+    name: 'MeteoAlarm UK',
+    url: 'https://example.com/uk.atom',
+    bounds: [49.8, -8.7, 60.9, 1.8],
+    resolveLinks: true,
+  },
+];
+
+describe('getFeedsForLocation', () => {
+  it('picks feeds by their bounds', () => {
+    const picked = getFeedsForLocation(
+      { latitude: 51.5, longitude: -0.12 },
+      feeds,
+    );
+    expect(picked.map(feed => feed.id)).toEqual(['uk']);
+  });
+
+  it('fills the location into point-query URLs', () => {
+    const [picked] = getFeedsForLocation(
+      { latitude: 33.448376, longitude: -112.074036 },
+      [
+        {
+          ...feeds[0],
+          url: 'https://example.com/alerts?point={latitude},{longitude}',
+        },
+      ],
+    );
+    expect(picked.url).toBe(
+      'https://example.com/alerts?point=33.4484,-112.0740',
+    );
+  });
+
+  it('handles bounds across the antimeridian', () => {
+    const pacific = [
+      {
+        id: 'pacific',
+        url: 'https://example.com/nz.atom',
+        bounds: [-50, 160, -30, -175],
+      },
+    ];
+    expect(
+      getFeedsForLocation({ latitude: -41, longitude: 174.8 }, pacific),
+    ).toHaveLength(1);
+    expect(
+      getFeedsForLocation({ latitude: -41, longitude: -178 }, pacific),
+    ).toHaveLength(1);
+    expect(
+      getFeedsForLocation({ latitude: -41, longitude: 150 }, pacific),
+    ).toHaveLength(0);
+  });
+});
+
+describe('fetchOfficialWarnings', () => {
+  const documents = {
+    'https://example.com/nws.atom': readFixture('nws-feed.xml'),
+    'https://example.com/uk.atom': readFixture('meteoalarm-feed.xml'),
+    'https://feeds.meteoalarm.org/api/v1/warnings/feeds-united-kingdom/wind-2':
+      readFixture('dwd-alert.xml').replace(/52\.52,13\.40 25/g, '51.5,-0.1 30'),
+  };
+
+  beforeEach(() => {
+    global.fetch = jest.fn(async url =>
+      documents[url]
+        ? xmlResponse(documents[url])
+        : { ok: false, status: 404, headers: { get: () => null } },
+    );
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('returns warnings covering the location from its feeds', async () => {
+    const warnings = await fetchOfficialWarnings(
+      { latitude: 33.45, longitude: -112.07, name: 'Phoenix, AZ' },
+      { feeds, now: Date.parse('2026-07-15T12:00:00-07:00') },
+    );
+
+    expect(warnings.map(warning => warning.event)).toEqual([
+      'Excessive Heat Warning',
+    ]);
+    expect(warnings[0].source).toBe('NWS');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('fetches linked CAP documents for entries without details', async () => {
+    const warnings = await fetchOfficialWarnings(
+      { latitude: 51.5, longitude: -0.12, name: 'Greater London, UK' },
+      { feeds, now: Date.parse('2026-07-14T18:00:00+02:00') },
+    );
+
+    expect(warnings.map(warning => warning.event)).toEqual([
+      'Yellow rain warning',
+      'Severe thunderstorm',
+    ]);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://feeds.meteoalarm.org/api/v1/warnings/feeds-united-kingdom/wind-2',
+      expect.anything(),
+    );
+  });
+
+  it('reuses recent warnings for the same place within maxAge', async () => {
+    const phoenix = {
+      latitude: 33.45,
+      longitude: -112.07,
+      name: 'Phoenix, AZ',
+    };
+    const now = Date.parse('2026-07-15T12:00:00-07:00');
+    // Its own feed list, so warnings cached by other tests aren't reused
+    const phoenixFeeds = [feeds[0]];
+
+    await fetchOfficialWarnings(phoenix, {
+      feeds: phoenixFeeds,
+      now,
+      maxAge: 600000,
+    });
+    const reused = await fetchOfficialWarnings(phoenix, {
+      feeds: phoenixFeeds,
+      now: now + 60000,
+      maxAge: 600000,
+    });
+    expect(reused.map(warning => warning.event)).toEqual([
+      'Excessive Heat Warning',
+    ]);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    await fetchOfficialWarnings(phoenix, {
+      feeds: phoenixFeeds,
+      now: now + 700000,
+      maxAge: 600000,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('forgets places once no refresh would reuse them', async () => {
+    const phoenix = {
+      latitude: 33.45,
+      longitude: -112.07,
+      name: 'Phoenix, AZ',
+    };
+    const now = Date.parse('2026-07-15T12:00:00-07:00');
+    const phoenixFeeds = [feeds[0]];
+    const options = { feeds: phoenixFeeds, maxAge: 2 * WARNINGS_REFRESH_MS };
+
+    await fetchOfficialWarnings(phoenix, { ...options, now });
+    await fetchOfficialWarnings(phoenix, {
+      ...options,
+      now: now + WARNINGS_REFRESH_MS,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips a feed that fails', async () => {
+    const warnings = await fetchOfficialWarnings(
+      { latitude: 33.45, longitude: -112.07, name: 'Phoenix, AZ' },
+      { feeds: [{ ...feeds[0], url: 'https://example.com/missing.atom' }] },
+    );
+
+    expect(warnings).toEqual([]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('returns nothing without coordinates', async () => {
+    expect(
+      await fetchOfficialWarnings({ name: 'Somewhere' }, { feeds }),
+    ).toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
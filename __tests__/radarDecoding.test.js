@@ -0,0 +1,114 @@
+/**
+ * @format
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  RADAR_PALETTES,
+  decodePixel,
+  decodeRadarImage,
+  dbzToRainRate,
+  getDecodingScheme,
+  getPrecipitationIntensity,
+  sampleRainRate,
+} from '../src/services/radarDecoding';
+import { COLOR_SCHEMES } from '../src/services/rainviewerApi';
+
+const readFixture = name => {
+  const file = fs.readFileSync(path.join(__dirname, 'fixtures/radar', name));
+  return file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength);
+};
+
+describe('decodePixel', () => {
+  it('reads dBZ from black and white grey levels', () => {
+    expect(decodePixel(67, 67, 67, 255, COLOR_SCHEMES.BLACK_WHITE)).toBe(35);
+  });
+
+  it('treats transparent pixels as no echo', () => {
+    expect(decodePixel(67, 67, 67, 0, COLOR_SCHEMES.BLACK_WHITE)).toBeNull();
+    expect(decodePixel(253, 0, 0, 0, COLOR_SCHEMES.NEXRAD)).toBeNull();
+  });
+
+  it('matches palette colors, tolerating small compression shifts', () => {
+    expect(decodePixel(253, 0, 0, 255, COLOR_SCHEMES.NEXRAD)).toBe(50);
+    expect(decodePixel(250, 4, 3, 255, COLOR_SCHEMES.NEXRAD)).toBe(50);
+    expect(decodePixel(120, 60, 20, 255, COLOR_SCHEMES.NEXRAD)).toBeNull();
+  });
+});
+
+describe('getDecodingScheme', () => {
+  it('falls back to black and white for schemes without a palette', () => {
+    expect(getDecodingScheme(COLOR_SCHEMES.NEXRAD)).toBe(COLOR_SCHEMES.NEXRAD);
+    expect(getDecodingScheme(COLOR_SCHEMES.TITAN)).toBe(
+      COLOR_SCHEMES.BLACK_WHITE,
+    );
+  });
+});
+
+describe('rain rate', () => {
+  it('follows Marshall-Palmer', () => {
+    // Z = 200 R^1.6, so 1 mm/h is 10 * log10(200) ≈ 23 dBZ
+    expect(dbzToRainRate(10 * Math.log10(200))).toBeCloseTo(1, 5);
+    expect(dbzToRainRate(35)).toBeCloseTo(5.62, 2);
+    expect(dbzToRainRate(null)).toBe(0);
+  });
+
+  it('bands rates into intensities', () => {
+    expect(getPrecipitationIntensity(0.05)).toBeNull();
+    expect(getPrecipitationIntensity(1).key).toBe('light');
+    expect(getPrecipitationIntensity(5.6).key).toBe('moderate');
+    expect(getPrecipitationIntensity(20).key).toBe('heavy');
+    expect(getPrecipitationIntensity(80).key).toBe('violent');
+  });
+});
+
+describe('decodeRadarImage', () => {
+  it('decodes a black and white frame', () => {
+    // 64x64, transparent except a dBZ 35 block at x 16-24, y 26-38
+    const grid = decodeRadarImage(
+      readFixture('bw-frame-2.png'),
+      COLOR_SCHEMES.BLACK_WHITE,
+    );
+
+    expect(grid.width).toBe(64);
+    expect(grid.height).toBe(64);
+    expect(grid.rates[32 * 64 + 20]).toBeCloseTo(5.62, 2);
+    expect(grid.rates[32 * 64 + 32]).toBe(0);
+  });
+
+  it('decodes every NEXRAD palette entry', () => {
+    // Indexed PNG: one pixel per palette entry, weakest first, then a
+    // transparent pixel
+    const grid = decodeRadarImage(
+      readFixture('nexrad-palette.png'),
+      COLOR_SCHEMES.NEXRAD,
+    );
+    const expected = RADAR_PALETTES[COLOR_SCHEMES.NEXRAD].map(([dbz]) =>
+      dbzToRainRate(dbz),
+    );
+
+    expected.forEach((rate, x) => {
+      expect(grid.rates[x] / rate).toBeCloseTo(1, 4);
+    });
+    expect(grid.rates[15]).toBe(0);
+  });
+});
+
+describe('sampleRainRate', () => {
+  const grid = {
+    width: 4,
+    height: 4,
+    rates: Float32Array.from([0, 0, 0, 0, 0, 9, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+  };
+
+  it('averages the square around a pixel', () => {
+    expect(sampleRainRate(grid, 1, 1)).toBeCloseTo(1);
+    expect(sampleRainRate(grid, 1, 1, 0)).toBe(9);
+  });
+
+  it('returns null off the image', () => {
+    expect(sampleRainRate(grid, 0, 1)).toBeNull();
+    expect(sampleRainRate(grid, 3, 3)).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @format
+ */
+
+import {
+  findNearestCity,
+  formatPlaceName,
+  getGridCell,
+  offlineCityProvider,
+  reverseGeocode,
+  setReverseGeocodingProviders,
+} from '../src/services/reverseGeocoding';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+const onlinePlace = {
+  locality: 'Fitzroy',
+  region: 'Victoria',
+  country: 'Australia',
+  countryCode: 'AU',
+  source: 'test',
+  approximate: false,
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findNearestCity', () => {
+  it('picks the closest bundled city', () => {
+    const { city, distanceKm } = findNearestCity(-37.8, 144.98);
+    expect(city.name).toBe('Melbourne');
+    expect(distanceKm).toBeLessThan(5);
+  });
+});
+
+describe('formatPlaceName', () => {
+  it('combines locality and region', () => {
+    expect(formatPlaceName(onlinePlace)).toBe('Fitzroy, Victoria');
+  });
+
+  it('marks distant offline matches as approximate', () => {
+    const place = {
+      ...onlinePlace,
+      locality: 'Melbourne',
+      approximate: true,
+      distanceKm: 60,
+    };
+    expect(formatPlaceName(place)).toBe('Near Melbourne, Victoria');
+  });
+
+  it('uses the fallback when nothing resolved', () => {
+    expect(formatPlaceName(null, 'Unknown Location')).toBe('Unknown Location');
+  });
+});
+
+describe('reverseGeocode', () => {
+  it('falls back to the offline provider when the online one fails', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const failing = {
+      name: 'failing',
+      offline: false,
+      reverseGeocode: jest.fn().mockRejectedValue(new Error('offline')),
+    };
+    setReverseGeocodingProviders([failing, offlineCityProvider]);
+
+    const place = await reverseGeocode(51.51, -0.13);
+    expect(failing.reverseGeocode).toHaveBeenCalled();
+    expect(place.locality).toBe('London');
+    expect(place.source).toBe('offline');
+  });
+
+  it('caches online results per grid cell', async () => {
+    const online = {
+      name: 'online',
+      offline: false,
+      reverseGeocode: jest.fn().mockResolvedValue(onlinePlace),
+    };
+    setReverseGeocodingProviders([online]);
+
+    expect(getGridCell(-37.7981, 144.9782)).toBe(
+      getGridCell(-37.7995, 144.979),
+    );
+    await reverseGeocode(-37.7981, 144.9782);
+    const second = await reverseGeocode(-37.7995, 144.979);
+
+    expect(online.reverseGeocode).toHaveBeenCalledTimes(1);
+    expect(second).toEqual(onlinePlace);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('../src/services/conversationHelpers', () => ({
+  getUserLocationPreferences: jest.fn(),
+  saveUserLocationPreferences: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  MAX_SAVED_LOCATIONS,
+  addLocation,
+  fetchRemoteSavedLocations,
+  hasPendingSync,
+  mergeLocations,
+  moveLocation,
+  removeLocation,
+  resolveSavedLocations,
+  syncRemoteSavedLocations,
+  toSavedLocation,
+} from '../src/services/savedLocations';
+import {
+  getUserLocationPreferences,
+  saveUserLocationPreferences,
+} from '../src/services/conversationHelpers';
+
+const city = (id, name = id) => ({
+  id,
+  name,
+  region: null,
+  country: null,
+  latitude: 0,
+  longitude: 0,
+  timezone: null,
+});
+
+const melbourne = city('1', 'Melbourne');
+const sydney = city('2', 'Sydney');
+const perth = city('3', 'Perth');
+
+describe('toSavedLocation', () => {
+  it('keeps the geocoding ID, or falls back to rounded coordinates', () => {
+    expect(
+      toSavedLocation({
+        id: 2158177,
+        name: 'Melbourne',
+        admin1: 'Victoria',
+        country: 'Australia',
+        latitude: -37.814,
+        longitude: 144.9633,
+        timezone: 'Australia/Melbourne',
+      }),
+    ).toEqual({
+      id: '2158177',
+      name: 'Melbourne',
+      region: 'Victoria',
+      country: 'Australia',
+      latitude: -37.814,
+      longitude: 144.9633,
+      timezone: 'Australia/Melbourne',
+    });
+    expect(
+      toSavedLocation({ name: 'Pin', latitude: -37.814, longitude: 144.9633 })
+        .id,
+    ).toBe('-37.81,144.96');
+  });
+});
+
+describe('list changes', () => {
+  it('adds to the end, ignoring duplicates and a full list', () => {
+    const list = [melbourne];
+    expect(addLocation(list, sydney)).toEqual([melbourne, sydney]);
+    expect(addLocation(list, { ...melbourne, name: 'Again' })).toBe(list);
+
+    const full = Array.from({ length: MAX_SAVED_LOCATIONS }, (_, i) =>
+      city(`full-${i}`),
+    );
+    expect(addLocation(full, perth)).toBe(full);
+  });
+
+  it('removes by ID', () => {
+    expect(removeLocation([melbourne, sydney, perth], '2')).toEqual([
+      melbourne,
+      perth,
+    ]);
+  });
+
+  it('moves a location within the list bounds', () => {
+    const list = [melbourne, sydney, perth];
+    expect(moveLocation(list, '3', -1)).toEqual([melbourne, perth, sydney]);
+    expect(moveLocation(list, '1', 1)).toEqual([sydney, melbourne, perth]);
+    expect(moveLocation(list, '1', -1)).toBe(list);
+    expect(moveLocation(list, '3', 1)).toBe(list);
+    expect(moveLocation(list, 'missing', 1)).toBe(list);
+  });
+});
+
+describe('merging with the remote list', () => {
+  it('keeps the local order and appends remote additions', () => {
+    expect(mergeLocations([sydney, melbourne], [melbourne, perth])).toEqual([
+      sydney,
+      melbourne,
+      perth,
+    ]);
+  });
+
+  it('keeps the local list while a change is waiting to sync', () => {
+    // Perth was removed locally, but the removal never reached Supabase
+    expect(
+      resolveSavedLocations([melbourne], [melbourne, perth], true),
+    ).toEqual([melbourne]);
+    expect(
+      resolveSavedLocations([melbourne], [melbourne, perth], false),
+    ).toEqual([melbourne, perth]);
+  });
+});
+
+describe('remote sync', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads remote locations, tolerating missing preferences', async () => {
+    getUserLocationPreferences.mockResolvedValueOnce({
+      saved_locations: [melbourne],
+    });
+    expect(await fetchRemoteSavedLocations('user-1')).toEqual([melbourne]);
+
+    getUserLocationPreferences.mockResolvedValueOnce(null);
+    expect(await fetchRemoteSavedLocations('user-1')).toEqual([]);
+  });
+
+  it('queues a failed sync until one succeeds', async () => {
+    saveUserLocationPreferences.mockResolvedValueOnce(null);
+    expect(await syncRemoteSavedLocations('user-1', [melbourne])).toBe(false);
+    expect(await hasPendingSync('user-1')).toBe(true);
+    expect(await hasPendingSync('user-2')).toBe(false);
+
+    saveUserLocationPreferences.mockResolvedValueOnce({ user_id: 'user-1' });
+    expect(await syncRemoteSavedLocations('user-1', [melbourne])).toBe(true);
+    expect(await hasPendingSync('user-1')).toBe(false);
+    expect(saveUserLocationPreferences).toHaveBeenLastCalledWith('user-1', {
+      saved_locations: [melbourne],
+    });
+  });
+});
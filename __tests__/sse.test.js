@@ -0,0 +1,272 @@
+/**
+ * @format
+ */
+
+import { createSseParser, readSseStream, streamSse } from '../src/services/sse';
+
+const encoder = new TextEncoder();
+
+// Body whose reader hands out the given byte chunks, then ends or fails
+const createBody = (chunks, { error } = {}) => {
+  const queue = [...chunks];
+  const reader = {
+    read: jest.fn(async () => {
+      if (queue.length > 0) return { done: false, value: queue.shift() };
+      if (error) throw error;
+      return { done: true, value: undefined };
+    }),
+    cancel: jest.fn(async () => {}),
+  };
+  return { reader, getReader: () => reader };
+};
+
+// Deterministic chunk sizes between 1 and 4 bytes
+const fragment = (bytes, seed) => {
+  const chunks = [];
+  let state = seed;
+  for (let start = 0; start < bytes.length; ) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const size = 1 + (state % 4);
+    chunks.push(bytes.slice(start, start + size));
+    start += size;
+  }
+  return chunks;
+};
+
+const collect = async iterable => {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+};
+
+const parseAll = text => {
+  const events = [];
+  const parser = createSseParser(event => events.push(event));
+  parser.push(text);
+  parser.end();
+  return events;
+};
+
+const STREAM =
+  '\uFEFF: connected\r\n' +
+  'data: {"token":"Sunny ☀️"}\r\n\r\n' +
+  'event: status\rdata: first\rdata: second\r\r' +
+  'id: 7\ndata:{"token":"ahead"}\n\n' +
+  ':heartbeat\n\n' +
+  'retry: 2500\n' +
+  'data: {"done":true}\n\n';
+
+const EXPECTED = [
+  { type: 'message', data: '{"token":"Sunny ☀️"}', id: '' },
+  { type: 'status', data: 'first\nsecond', id: '' },
+  { type: 'message', data: '{"token":"ahead"}', id: '7' },
+  { type: 'message', data: '{"done":true}', id: '7' },
+];
+
+describe('createSseParser', () => {
+  it('handles every line ending, multi-line data, fields and comments', () => {
+    const retries = [];
+    const events = [];
+    const parser = createSseParser(event => events.push(event), {
+      onRetry: ms => retries.push(ms),
+    });
+    parser.push(STREAM);
+    parser.end();
+
+    expect(events).toEqual(EXPECTED);
+    expect(retries).toEqual([2500]);
+  });
+
+  it('gives the same events however the text is split', () => {
+    for (let split = 1; split < STREAM.length; split++) {
+      const events = [];
+      const parser = createSseParser(event => events.push(event));
+      parser.push(STREAM.slice(0, split));
+      parser.push(STREAM.slice(split));
+      parser.end();
+      expect(events).toEqual(EXPECTED);
+    }
+  });
+
+  it('treats a field without a colon as an empty value', () => {
+    expect(parseAll('data\ndata\n\n')).toEqual([
+      { type: 'message', data: '\n', id: '' },
+    ]);
+  });
+
+  it('skips events without data and resets their type', () => {
+    expect(parseAll('event: ping\n\ndata: x\n\n')).toEqual([
+      { type: 'message', data: 'x', id: '' },
+    ]);
+  });
+
+  it('ignores IDs containing NUL and invalid retry values', () => {
+    const retries = [];
+    const events = [];
+    const parser = createSseParser(event => events.push(event), {
+      onRetry: ms => retries.push(ms),
+    });
+    parser.push('id: 1\ndata: a\n\nid: 2\0\nretry: soon\ndata: b\n\n');
+
+    expect(events.map(event => event.id)).toEqual(['1', '1']);
+    expect(retries).toEqual([]);
+  });
+
+  it('discards an event cut off by the end of the stream', () => {
+    expect(parseAll('data: complete\n\ndata: partial\n')).toEqual([
+      { type: 'message', data: 'complete', id: '' },
+    ]);
+  });
+
+  it('waits to see whether a CR is part of a CRLF', () => {
+    const events = [];
+    const parser = createSseParser(event => events.push(event));
+    parser.push('data: a\r\n\r');
+    expect(events).toHaveLength(0);
+    parser.push('\ndata: b\r\n\r\n');
+    expect(events.map(event => event.data)).toEqual(['a', 'b']);
+  });
+});
+
+describe('readSseStream', () => {
+  it('decodes byte chunks split anywhere, including inside characters', async () => {
+    const bytes = encoder.encode(STREAM);
+    for (const seed of [1, 2, 3, 42, 1234]) {
+      const body = createBody(fragment(bytes, seed));
+      expect(await collect(readSseStream(body))).toEqual(EXPECTED);
+    }
+  });
+
+  it('cancels the reader when the consumer stops early', async () => {
+    const body = createBody([encoder.encode(STREAM)]);
+    for await (const event of readSseStream(body)) {
+      expect(event.data).toContain('Sunny');
+      break;
+    }
+    expect(body.reader.cancel).toHaveBeenCalled();
+  });
+
+  it('stops with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const body = createBody(fragment(encoder.encode(STREAM), 7));
+    const events = [];
+
+    await expect(async () => {
+      for await (const event of readSseStream(body, {
+        signal: controller.signal,
+      })) {
+        events.push(event);
+        controller.abort();
+      }
+    }).rejects.toMatchObject({ name: 'AbortError' });
+    expect(events).toHaveLength(1);
+    expect(body.reader.cancel).toHaveBeenCalled();
+  });
+});
+
+describe('streamSse', () => {
+  const response = body => ({ ok: true, status: 200, body });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it('reconnects with Last-Event-ID after the stream drops', async () => {
+    global.fetch
+      .mockResolvedValueOnce(
+        response(
+          createBody(
+            [encoder.encode('retry: 0\nid: 1\ndata: one\n\nid: 2\ndata: tw')],
+            { error: new TypeError('Network request failed') },
+          ),
+        ),
+      )
+      .mockResolvedValueOnce(
+        response(createBody([encoder.encode('id: 2\ndata: two\n\n')])),
+      );
+
+    const events = await collect(
+      streamSse('https://example.com/stream', { method: 'POST' }),
+    );
+
+    expect(events.map(event => event.data)).toEqual(['one', 'two']);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({
+      Accept: 'text/event-stream',
+    });
+    expect(global.fetch.mock.calls[1][1].headers).toEqual({
+      Accept: 'text/event-stream',
+      'Last-Event-ID': '1',
+    });
+  });
+
+  it("doesn't reconnect a stream without IDs once events arrived", async () => {
+    const error = new TypeError('Network request failed');
+    global.fetch.mockResolvedValueOnce(
+      response(createBody([encoder.encode('data: one\n\n')], { error })),
+    );
+
+    const events = [];
+    await expect(async () => {
+      for await (const event of streamSse('https://example.com/stream')) {
+        events.push(event);
+      }
+    }).rejects.toBe(error);
+    expect(events).toHaveLength(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("doesn't resume a stream that mustn't repeat", async () => {
+    const error = new TypeError('Network request failed');
+    global.fetch.mockResolvedValueOnce(
+      response(createBody([encoder.encode('id: 1\ndata: one\n\n')], { error })),
+    );
+
+    await expect(
+      collect(
+        streamSse('https://example.com/stream', {
+          method: 'POST',
+          resume: false,
+        }),
+      ),
+    ).rejects.toBe(error);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves repeating a failed request to the reconnects', async () => {
+    global.fetch.mockRejectedValue(new TypeError('Network down'));
+
+    await expect(
+      collect(
+        streamSse('https://example.com/stream', {
+          method: 'POST',
+          maxReconnects: 1,
+          reconnectDelay: 0,
+        }),
+      ),
+    ).rejects.toThrow('Network down');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after maxReconnects', async () => {
+    global.fetch.mockImplementation(async () =>
+      response(createBody([], { error: new TypeError('Network down') })),
+    );
+
+    await expect(
+      collect(
+        streamSse('https://example.com/stream', {
+          maxReconnects: 2,
+          reconnectDelay: 0,
+        }),
+      ),
+    ).rejects.toThrow('Network down');
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+});
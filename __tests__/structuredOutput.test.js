@@ -0,0 +1,271 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+
+import {
+  extractJson,
+  generateStructured,
+  getStructuredOutputStats,
+  parseStructured,
+  resetStructuredOutputStats,
+  validateSchema,
+} from '../src/services/structuredOutput';
+import {
+  CHART_ANNOTATIONS_SCHEMA,
+  EVENT_FORECAST_SCHEMA,
+  PHENOMENA_SCHEMA,
+} from '../src/services/aiSchemas';
+import { setLlmProvider } from '../src/services/llmProvider';
+import { clearAiResponseCache } from '../src/services/aiResponseCache';
+import { createMockProvider } from '../src/services/mockLlmProvider';
+import { detectWeatherPhenomena } from '../src/services/aiWeatherAnalysis';
+
+const sequenceProvider = (...responses) => ({
+  name: 'sequence',
+  generate: jest.fn(async () => responses.shift() ?? null),
+});
+
+const inversion = {
+  phenomenon: 'Temperature inversion',
+  explanation: 'Warm air over cold air near the ground.',
+  impact: 'Fog and poor air quality until mid-morning.',
+};
+
+describe('validateSchema', () => {
+  it('accepts responses that match', () => {
+    expect(validateSchema([inversion], PHENOMENA_SCHEMA)).toEqual([]);
+    expect(validateSchema([], PHENOMENA_SCHEMA)).toEqual([]);
+    expect(
+      validateSchema(
+        [{ label: 'Front', significance: 'high', time: null }],
+        CHART_ANNOTATIONS_SCHEMA,
+      ),
+    ).toEqual([]);
+  });
+
+  it('reports each problem with its path', () => {
+    expect(
+      validateSchema(
+        [
+          { label: '', significance: 'severe', time: 12 },
+          { description: 'No label' },
+          'Front',
+          { label: 'Gusts', significance: 'low' },
+        ],
+        CHART_ANNOTATIONS_SCHEMA,
+      ),
+    ).toEqual([
+      '$: expected at most 3 items, got 4',
+      '$[0].label: must not be empty',
+      '$[0].significance: expected one of high, medium, low, got "severe"',
+      '$[0].time: expected string or null, got number',
+      '$[1].label: is required',
+      '$[1].significance: is required',
+      '$[2]: expected object, got string',
+    ]);
+  });
+
+  it('checks number ranges', () => {
+    const event = {
+      event: 'Heatwave',
+      probability: 140,
+      timing: 'Thu afternoon',
+      impact: 'Outdoor work is unsafe.',
+    };
+    expect(validateSchema([event], EVENT_FORECAST_SCHEMA)).toEqual([
+      '$[0].probability: expected 100 or less, got 140',
+    ]);
+    expect(
+      validateSchema([{ ...event, probability: '70%' }], EVENT_FORECAST_SCHEMA),
+    ).toEqual(['$[0].probability: expected number, got string']);
+  });
+});
+
+describe('extractJson', () => {
+  it('finds JSON inside prose and code fences', () => {
+    expect(extractJson('Here you go:\n```json\n[{"a":1}]\n```')).toEqual({
+      value: [{ a: 1 }],
+    });
+    expect(extractJson('{"a":1}', 'object')).toEqual({ value: { a: 1 } });
+  });
+
+  it('stops at the end of the first array', () => {
+    // A greedy match would join both arrays into invalid JSON
+    expect(extractJson('[1, 2] and later [3]')).toEqual({ value: [1, 2] });
+    expect(extractJson('[{"label":"Cold ] front"}] [x]')).toEqual({
+      value: [{ label: 'Cold ] front' }],
+    });
+  });
+
+  it('skips bracketed prose before the JSON', () => {
+    expect(extractJson('[Note] Detected:\n[{"a":1}]')).toEqual({
+      value: [{ a: 1 }],
+    });
+  });
+
+  it('explains why nothing was found', () => {
+    expect(extractJson('No phenomena today.')).toEqual({
+      error: 'no JSON array in the response',
+    });
+    expect(extractJson('[{"phenomenon": "Wind sh')).toEqual({
+      error: 'the JSON array is incomplete',
+    });
+    expect(extractJson('[phenomena]').error).toMatch(/^invalid JSON: /);
+  });
+});
+
+describe('parseStructured', () => {
+  it('returns the value only when it is valid', () => {
+    expect(
+      parseStructured(`[${JSON.stringify(inversion)}]`, PHENOMENA_SCHEMA),
+    ).toEqual({ value: [inversion], errors: [] });
+    expect(parseStructured('[{"phenomenon":"Fog"}]', PHENOMENA_SCHEMA)).toEqual(
+      {
+        value: null,
+        errors: ['$[0].explanation: is required', '$[0].impact: is required'],
+      },
+    );
+  });
+});
+
+describe('generateStructured', () => {
+  beforeEach(async () => {
+    resetStructuredOutputStats();
+    await clearAiResponseCache();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+    console.warn.mockRestore();
+  });
+
+  it('returns a valid first response', async () => {
+    const provider = sequenceProvider(`[${JSON.stringify(inversion)}]`);
+    setLlmProvider(provider);
+
+    expect(
+      await generateStructured('Find phenomena', PHENOMENA_SCHEMA, {
+        maxTokens: 500,
+      }),
+    ).toEqual([inversion]);
+    expect(provider.generate).toHaveBeenCalledWith('Find phenomena', {
+      maxTokens: 500,
+    });
+    expect(getStructuredOutputStats().phenomena).toMatchObject({
+      requests: 1,
+      valid: 1,
+      invalidResponses: 0,
+    });
+  });
+
+  it('re-asks with the problems when the response is invalid', async () => {
+    const provider = sequenceProvider(
+      '[{"phenomenon":"Fog"}]',
+      `Sorry! [${JSON.stringify(inversion)}]`,
+    );
+    setLlmProvider(provider);
+
+    expect(
+      await generateStructured('Find phenomena', PHENOMENA_SCHEMA),
+    ).toEqual([inversion]);
+
+    const repairPrompt = provider.generate.mock.calls[1][0];
+    expect(repairPrompt).toMatch(/^Find phenomena\n/);
+    expect(repairPrompt).toContain('- $[0].explanation: is required');
+    expect(repairPrompt).toContain('[{"phenomenon":"Fog"}]');
+    expect(repairPrompt).toContain('ONLY the corrected JSON array');
+    expect(getStructuredOutputStats().phenomena).toMatchObject({
+      requests: 1,
+      valid: 0,
+      repaired: 1,
+      invalidResponses: 1,
+    });
+  });
+
+  it('gives up after the repairs run out', async () => {
+    const provider = sequenceProvider('none', 'still none');
+    setLlmProvider(provider);
+
+    expect(
+      await generateStructured('Find phenomena', PHENOMENA_SCHEMA),
+    ).toBeNull();
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+    expect(getStructuredOutputStats().phenomena).toMatchObject({
+      requests: 1,
+      failed: 1,
+      invalidResponses: 2,
+      lastErrors: ['no JSON array in the response'],
+    });
+  });
+
+  it('does not re-ask when the provider has no response', async () => {
+    const provider = sequenceProvider(null);
+    setLlmProvider(provider);
+
+    expect(
+      await generateStructured('Find phenomena', PHENOMENA_SCHEMA),
+    ).toBeNull();
+    expect(provider.generate).toHaveBeenCalledTimes(1);
+    expect(getStructuredOutputStats().phenomena).toMatchObject({
+      unavailable: 1,
+      invalidResponses: 0,
+    });
+  });
+});
+
+describe('detectWeatherPhenomena', () => {
+  const weatherData = {
+    current: {
+      temperature_2m: 4,
+      pressure_msl: 1031,
+      wind_speed_10m: 3,
+      wind_gusts_10m: 6,
+      relative_humidity_2m: 97,
+      cloud_cover: 10,
+      precipitation: 0,
+      weather_code: 45,
+    },
+  };
+
+  beforeEach(async () => {
+    resetStructuredOutputStats();
+    await clearAiResponseCache();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    setLlmProvider(null);
+    console.warn.mockRestore();
+  });
+
+  it('returns validated phenomena', async () => {
+    setLlmProvider(
+      createMockProvider({
+        responses: [
+          { match: 'phenomena', text: `[${JSON.stringify(inversion)}]` },
+        ],
+      }),
+    );
+    expect(await detectWeatherPhenomena(weatherData)).toEqual([inversion]);
+  });
+
+  it('falls back to none and records the failure', async () => {
+    setLlmProvider(
+      createMockProvider({
+        responses: [{ match: 'phenomena', text: '[{"phenomenon": "Fog"}]' }],
+      }),
+    );
+
+    expect(await detectWeatherPhenomena(weatherData)).toEqual([]);
+    expect(getStructuredOutputStats().phenomena).toMatchObject({
+      requests: 1,
+      failed: 1,
+      invalidResponses: 2,
+    });
+  });
+});
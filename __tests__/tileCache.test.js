@@ -0,0 +1,149 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('@dr.pogodin/react-native-fs', () => ({
+  CachesDirectoryPath: '/cache',
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  configureTileCache,
+  cacheTile,
+  prefetchTiles,
+  getCachedTileUri,
+  evictExpiredFrames,
+  getTileCacheStats,
+  getTileFileName,
+  selectLeastRecentlyUsed,
+} from '../src/services/tileCache';
+
+const createFileSystem = ({ failing = [] } = {}) => {
+  const files = new Set();
+  return {
+    files,
+    directory: '/tiles',
+    ensureDirectory: jest.fn(async () => {}),
+    download: jest.fn(async (url, path) => {
+      if (failing.includes(url)) return { statusCode: 404, bytesWritten: 0 };
+      files.add(path);
+      return { statusCode: 200, bytesWritten: 100 };
+    }),
+    remove: jest.fn(async path => {
+      files.delete(path);
+    }),
+  };
+};
+
+const tileUrl = (time, x) =>
+  `https://tilecache.rainviewer.com/v2/radar/${time}/256/6/${x}/20/2/1_1.png`;
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+});
+
+describe('tile cache', () => {
+  it('downloads once and serves the local file afterwards', async () => {
+    const fileSystem = createFileSystem();
+    configureTileCache(fileSystem);
+
+    const url = tileUrl(1000, 1);
+    expect(getCachedTileUri(url)).toBeNull();
+    const uri = await cacheTile(url, { frameTime: 1000 });
+    await cacheTile(url, { frameTime: 1000 });
+
+    expect(uri).toBe(`file:///tiles/${getTileFileName(url)}`);
+    expect(getCachedTileUri(url)).toBe(uri);
+    expect(fileSystem.download).toHaveBeenCalledTimes(1);
+  });
+
+  it('evicts the least recently used tiles over the size cap', async () => {
+    const fileSystem = createFileSystem();
+    configureTileCache(fileSystem, { maxBytes: 250 });
+    const nowSpy = jest.spyOn(Date, 'now');
+
+    nowSpy.mockReturnValue(1);
+    await cacheTile(tileUrl(1000, 1), { frameTime: 1000 });
+    nowSpy.mockReturnValue(2);
+    await cacheTile(tileUrl(1000, 2), { frameTime: 1000 });
+    nowSpy.mockReturnValue(3);
+    getCachedTileUri(tileUrl(1000, 1));
+    nowSpy.mockReturnValue(4);
+    await cacheTile(tileUrl(1000, 3), { frameTime: 1000 });
+    nowSpy.mockRestore();
+
+    expect(getCachedTileUri(tileUrl(1000, 2))).toBeNull();
+    expect(getCachedTileUri(tileUrl(1000, 1))).not.toBeNull();
+    expect(fileSystem.files.size).toBe(2);
+  });
+
+  it('drops tiles of frames that are no longer published', async () => {
+    const fileSystem = createFileSystem();
+    configureTileCache(fileSystem);
+
+    await cacheTile(tileUrl(1000, 1), { frameTime: 1000 });
+    await cacheTile(tileUrl(1600, 1), { frameTime: 1600 });
+    await evictExpiredFrames([1600, 2200]);
+
+    expect(getCachedTileUri(tileUrl(1000, 1))).toBeNull();
+    expect(await getTileCacheStats()).toEqual({ count: 1, bytes: 100 });
+  });
+
+  it('persists the index between sessions', async () => {
+    const fileSystem = createFileSystem();
+    configureTileCache(fileSystem);
+    await cacheTile(tileUrl(1000, 1), { frameTime: 1000 });
+
+    configureTileCache(fileSystem);
+    expect(await getTileCacheStats()).toEqual({ count: 1, bytes: 100 });
+  });
+});
+
+describe('prefetchTiles', () => {
+  it('reports progress and skips failed tiles', async () => {
+    const failing = [tileUrl(1000, 2)];
+    configureTileCache(createFileSystem({ failing }));
+
+    const jobs = [1, 2, 3].map(x => ({
+      url: tileUrl(1000, x),
+      frameTime: 1000,
+    }));
+    const updates = [];
+    const result = await prefetchTiles(jobs, {
+      concurrency: 2,
+      onProgress: progress => updates.push(progress),
+    });
+
+    expect(result).toEqual({ done: 2, failed: 1, total: 3 });
+    expect(updates[0]).toEqual({ done: 0, failed: 0, total: 3 });
+    expect(updates[updates.length - 1]).toEqual(result);
+    expect(getCachedTileUri(tileUrl(1000, 2))).toBeNull();
+  });
+
+  it('stops when aborted', async () => {
+    configureTileCache(createFileSystem());
+    const controller = new AbortController();
+    controller.abort();
+
+    const result = await prefetchTiles(
+      [{ url: tileUrl(1000, 1), frameTime: 1000 }],
+      { signal: controller.signal },
+    );
+    expect(result.done).toBe(0);
+  });
+});
+
+describe('helpers', () => {
+  it('selects least recently used entries until under the cap', () => {
+    const entries = {
+      a: { size: 100, lastAccess: 3 },
+      b: { size: 100, lastAccess: 1 },
+      c: { size: 100, lastAccess: 2 },
+    };
+    expect(selectLeastRecentlyUsed(entries, 150)).toEqual(['b', 'c']);
+    expect(selectLeastRecentlyUsed(entries, 300)).toEqual([]);
+  });
+});
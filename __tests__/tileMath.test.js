@@ -0,0 +1,100 @@
+/**
+ * @format
+ */
+
+import {
+  TILE_SIZE,
+  latLonToWorld,
+  latLonToTile,
+  worldToLatLon,
+  constrainCenter,
+  getVisibleTiles,
+  getRegionTiles,
+  getScreenPosition,
+} from '../src/services/tileMath';
+
+describe('projection', () => {
+  it('numbers tiles the way RainViewer and OpenStreetMap do', () => {
+    // London is in tile 7/63/42, Sydney in 10/942/614
+    expect(latLonToTile(51.5072, -0.1276, 7)).toEqual({ x: 63, y: 42 });
+    expect(latLonToTile(-33.8688, 151.2093, 10)).toEqual({ x: 942, y: 614 });
+
+    const point = latLonToWorld(51.5072, -0.1276, 7);
+    expect(Math.floor(point.x / TILE_SIZE)).toBe(63);
+  });
+
+  it('round-trips coordinates', () => {
+    const point = latLonToWorld(-33.8688, 151.2093, 9);
+    const back = worldToLatLon(point.x, point.y, 9);
+    expect(back.latitude).toBeCloseTo(-33.8688, 6);
+    expect(back.longitude).toBeCloseTo(151.2093, 6);
+  });
+});
+
+describe('constrainCenter', () => {
+  it('wraps horizontally and stops at the poles', () => {
+    const size = TILE_SIZE * 4;
+    expect(constrainCenter({ x: size + 10, y: -50 }, 2, 200)).toEqual({
+      x: 10,
+      y: 100,
+    });
+    expect(constrainCenter({ x: -10, y: size }, 2, 200)).toEqual({
+      x: size - 10,
+      y: size - 100,
+    });
+  });
+});
+
+describe('getVisibleTiles', () => {
+  it('covers the viewport and wraps across the antimeridian', () => {
+    const tiles = getVisibleTiles({ x: 0, y: 512 }, 2, 300, 256);
+    expect(tiles.map(tile => [tile.x, tile.y])).toEqual([
+      [3, 1],
+      [0, 1],
+      [3, 2],
+      [0, 2],
+    ]);
+    expect(tiles[0]).toMatchObject({ left: -106, top: -128, z: 2 });
+    expect(new Set(tiles.map(tile => tile.key)).size).toBe(tiles.length);
+  });
+
+  it('skips rows outside the world', () => {
+    const tiles = getVisibleTiles({ x: 128, y: 64 }, 0, 256, 256);
+    expect(tiles.map(tile => tile.y)).toEqual([0]);
+  });
+});
+
+describe('getRegionTiles', () => {
+  it('lists each tile in view once, even when the world repeats', () => {
+    const tiles = getRegionTiles({
+      latitude: 0,
+      longitude: 179.9,
+      zoom: 0,
+      width: 700,
+      height: 256,
+    });
+    expect(tiles).toEqual([{ x: 0, y: 0, z: 0 }]);
+  });
+
+  it('covers the whole viewport', () => {
+    const tiles = getRegionTiles({
+      latitude: 0,
+      longitude: 0,
+      zoom: 3,
+      width: 600,
+      height: 300,
+    });
+    expect(tiles).toHaveLength(8);
+    expect(tiles.every(tile => tile.z === 3)).toBe(true);
+  });
+});
+
+describe('getScreenPosition', () => {
+  it('uses the nearest copy of a wrapped point', () => {
+    const zoom = 1;
+    const center = latLonToWorld(0, 179, zoom);
+    const position = getScreenPosition(0, -179, center, zoom, 200, 200);
+    expect(position.left).toBeCloseTo(100 + (2 / 360) * 512, 6);
+    expect(position.top).toBeCloseTo(100, 6);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * @format
+ */
+
+import {
+  UNIT_PRESETS,
+  formatPressure,
+  formatSpeed,
+  formatTemperature,
+  formatTemperatureDelta,
+  formatVisibility,
+  getPresetName,
+  resolveUnits,
+  toBeaufort,
+} from '../src/services/units';
+
+const imperial = UNIT_PRESETS.imperial;
+
+describe('resolveUnits', () => {
+  it('accepts the preset names stored by sign-up', () => {
+    expect(resolveUnits('imperial')).toEqual(imperial);
+    expect(resolveUnits('unknown')).toEqual(UNIT_PRESETS.metric);
+  });
+
+  it('fills a partial mix from the metric defaults', () => {
+    const units = resolveUnits({ speed: 'kn', temperature: 'kelvin' });
+    expect(units.speed).toBe('kn');
+    expect(units.temperature).toBe('celsius');
+    expect(getPresetName(units)).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it('converts temperatures and differences', () => {
+    expect(formatTemperature(20, imperial)).toBe('68°F');
+    expect(formatTemperatureDelta(5, imperial)).toBe('9°F');
+    expect(formatTemperature(null, imperial)).toBe('--');
+  });
+
+  it('converts pressure and visibility', () => {
+    expect(formatPressure(1013.25, imperial)).toBe('29.92 inHg');
+    expect(formatPressure(1013.25, { ...imperial, pressure: 'mmHg' })).toBe(
+      '760 mmHg',
+    );
+    expect(formatVisibility(24140, imperial)).toBe('15.0 mi');
+  });
+
+  it('maps wind speed onto the Beaufort scale', () => {
+    expect(toBeaufort(0.5)).toBe(0);
+    expect(toBeaufort(25)).toBe(4);
+    expect(toBeaufort(130)).toBe(12);
+    expect(
+      formatSpeed(25, { ...imperial, speed: 'bft' }, { decimals: 1 }),
+    ).toBe('Bft 4');
+  });
+});
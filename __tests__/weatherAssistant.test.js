@@ -0,0 +1,143 @@
+/**
+ * @format
+ */
+
+import {
+  HISTORY_TURNS,
+  buildAssistantPrompt,
+  formatForecastSummary,
+  summarizeForecast,
+  toChatMessages,
+} from '../src/services/weatherAssistant';
+import { UNIT_PRESETS } from '../src/services/units';
+
+const pad = value => String(value).padStart(2, '0');
+
+const createWeatherData = () => {
+  const time = Array.from(
+    { length: 48 },
+    (_, hour) => `2026-10-${19 + Math.floor(hour / 24)}T${pad(hour % 24)}:00`,
+  );
+
+  return {
+    current: {
+      time: '2026-10-19T08:00',
+      temperature_2m: 14,
+      apparent_temperature: 12,
+      relative_humidity_2m: 70,
+      is_day: 1,
+      precipitation: 0,
+      weather_code: 3,
+      wind_speed_10m: 18,
+      wind_gusts_10m: 32,
+    },
+    hourly: {
+      time,
+      temperature_2m: time.map((_, hour) => 10 + (hour % 24) / 2),
+      precipitation_probability: time.map(() => 40),
+      weather_code: time.map(() => 61),
+      wind_speed_10m: time.map(() => 20),
+    },
+    daily: {
+      time: ['2026-10-19', '2026-10-20'],
+      weather_code: [61, 0],
+      temperature_2m_max: [19, 22],
+      temperature_2m_min: [9, 11],
+      precipitation_probability_max: [80, 5],
+      precipitation_sum: [6.2, 0],
+      wind_speed_10m_max: [30, 12],
+      uv_index_max: [3, 5],
+    },
+  };
+};
+
+describe('summarizeForecast', () => {
+  it('summarizes now, the next hours and the next two days', () => {
+    const summary = summarizeForecast(createWeatherData(), {
+      locationName: 'Utrecht',
+    });
+
+    expect(summary.location).toBe('Utrecht');
+    expect(summary.current).toContain('14');
+    expect(summary.current).toContain('feels like');
+    expect(summary.hours).toHaveLength(4);
+    expect(summary.hours[0]).toMatch(/^11:00, /);
+    expect(summary.today).toContain('80% chance of precipitation');
+    expect(summary.tomorrow).toContain('high 22');
+  });
+
+  it("uses the user's units", () => {
+    const summary = summarizeForecast(createWeatherData(), {
+      locationName: 'Utrecht',
+      units: UNIT_PRESETS.imperial,
+    });
+
+    expect(summary.current).toContain('°F');
+    expect(summary.current).toContain('mph');
+  });
+
+  it('needs current conditions', () => {
+    expect(summarizeForecast(null)).toBeNull();
+    expect(summarizeForecast({ hourly: {} })).toBeNull();
+  });
+});
+
+describe('buildAssistantPrompt', () => {
+  const summary = summarizeForecast(createWeatherData(), {
+    locationName: 'Utrecht',
+  });
+
+  it('includes the forecast and ends with the question', () => {
+    const prompt = buildAssistantPrompt('Should I bike to work?', { summary });
+
+    expect(prompt).toContain(formatForecastSummary(summary));
+    expect(prompt).toContain('Weather for Utrecht at 2026-10-19T08:00');
+    expect(prompt).not.toContain('Conversation so far');
+    expect(prompt.endsWith('User: Should I bike to work?\nAssistant:')).toBe(
+      true,
+    );
+  });
+
+  it('includes recent turns, skipping failed replies', () => {
+    const history = Array.from({ length: HISTORY_TURNS + 2 }, (_, index) => ({
+      role: index % 2 === 0 ? 'user' : 'assistant',
+      content: `message ${index}`,
+      status: 'done',
+    }));
+    history.push({ role: 'assistant', content: '', status: 'error' });
+
+    const prompt = buildAssistantPrompt('And tomorrow?', { summary, history });
+
+    expect(prompt).toContain('Conversation so far');
+    expect(prompt).not.toContain('message 1');
+    expect(prompt).toContain('User: message 2');
+    expect(prompt).toContain(`Assistant: message ${HISTORY_TURNS + 1}`);
+  });
+
+  it('works without a forecast', () => {
+    const prompt = buildAssistantPrompt('Hello', { summary: null });
+    expect(prompt).not.toContain('Weather for');
+  });
+});
+
+test('turns stored records into chat messages', () => {
+  expect(
+    toChatMessages([
+      {
+        id: 'a1',
+        role: 'user',
+        content: 'Hi',
+        weather_context: null,
+        created_at: '2026-10-19T08:00:00Z',
+      },
+    ]),
+  ).toEqual([
+    {
+      id: 'a1',
+      role: 'user',
+      content: 'Hi',
+      status: 'done',
+      createdAt: '2026-10-19T08:00:00Z',
+    },
+  ]);
+});
@@ -0,0 +1,129 @@
+/**
+ * @format
+ */
+
+import {
+  buildForecastUrl,
+  defineFieldSet,
+  fetchForecast,
+  normalizeForecast,
+} from '../src/services/weatherClient';
+
+const fieldSet = defineFieldSet({
+  key: 'test',
+  current: ['temperature_2m', 'wind_gusts_10m'],
+  hourly: ['temperature_2m', 'wind_gusts_10m'],
+  daily: ['temperature_2m_max'],
+  forecastDays: 2,
+});
+
+test('builds a request URL from the field set', () => {
+  const url = buildForecastUrl(-37.81, 144.96, fieldSet);
+
+  expect(url).toContain('latitude=-37.81');
+  expect(url).toContain('forecast_days=2');
+  expect(url).toContain('hourly=temperature_2m%2Cwind_gusts_10m');
+});
+
+test('fills variables missing from the response with nulls', () => {
+  const data = normalizeForecast(
+    {
+      latitude: -37.8,
+      longitude: 145,
+      current: { time: '2025-01-01T00:00', temperature_2m: 21.5 },
+      hourly: {
+        time: ['2025-01-01T00:00', '2025-01-01T01:00'],
+        temperature_2m: [21.5, 20.9],
+      },
+      daily: { time: ['2025-01-01'], temperature_2m_max: [26] },
+    },
+    fieldSet,
+    1000,
+  );
+
+  expect(data.current.wind_gusts_10m).toBeNull();
+  expect(data.hourly.wind_gusts_10m).toEqual([null, null]);
+  expect(data.hourly.temperature_2m).toEqual([21.5, 20.9]);
+  expect(data.meta).toEqual({ fieldSet: 'test', fetchedAt: 1000 });
+});
+
+describe('fetchForecast', () => {
+  let respond;
+
+  beforeEach(() => {
+    global.fetch = jest.fn(
+      (url, { signal }) =>
+        new Promise((resolve, reject) => {
+          respond = body =>
+            resolve({
+              ok: true,
+              status: 200,
+              headers: { get: () => null },
+              json: async () => body,
+            });
+          signal.addEventListener('abort', () => {
+            const error = new Error('Aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        }),
+    );
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  const fetchSignal = () => global.fetch.mock.calls[0][1].signal;
+
+  it('coalesces concurrent requests for the same forecast', async () => {
+    const first = fetchForecast(-37.81, 144.96, fieldSet);
+    const second = fetchForecast(-37.81, 144.96, fieldSet);
+    respond({ current: { time: '2025-01-01T00:00', temperature_2m: 21.5 } });
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(a).toBe(b);
+    expect(a.current.temperature_2m).toBe(21.5);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('cancels the network request when the last caller aborts', async () => {
+    const one = new AbortController();
+    const two = new AbortController();
+    const first = fetchForecast(-37.81, 144.96, fieldSet, {
+      signal: one.signal,
+    });
+    const second = fetchForecast(-37.81, 144.96, fieldSet, {
+      signal: two.signal,
+    });
+
+    one.abort();
+    await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetchSignal().aborted).toBe(false);
+
+    two.abort();
+    await expect(second).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetchSignal().aborted).toBe(true);
+
+    // A later caller starts a new request rather than joining the cancelled one
+    const later = fetchForecast(-37.81, 144.96, fieldSet);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    respond({});
+    await later;
+  });
+
+  it('keeps the request for callers without a signal', async () => {
+    const controller = new AbortController();
+    const detached = fetchForecast(-37.81, 144.96, fieldSet, {
+      signal: controller.signal,
+    });
+    const kept = fetchForecast(-37.81, 144.96, fieldSet);
+
+    controller.abort();
+    await expect(detached).rejects.toMatchObject({ name: 'AbortError' });
+    expect(fetchSignal().aborted).toBe(false);
+
+    respond({ current: { time: '2025-01-01T00:00', temperature_2m: 19 } });
+    expect((await kept).current.temperature_2m).toBe(19);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * @format
+ */
+
+import {
+  getCondition,
+  getConditionIcon,
+  getWeatherDescription,
+  getWeatherSeverity,
+  formatCondition,
+  isDaytime,
+} from '../src/services/weatherConditions';
+
+describe('getConditionIcon', () => {
+  it('uses night variants only when isDay is false', () => {
+    expect(getConditionIcon(0, true)).toBe('☀️');
+    expect(getConditionIcon(0, false)).toBe('🌙');
+    expect(getConditionIcon(0)).toBe('☀️');
+    expect(getConditionIcon(95, false)).toBe('⛈️');
+  });
+
+  it('falls back for unknown codes', () => {
+    expect(getConditionIcon(42)).toBe('🌡️');
+  });
+});
+
+describe('getWeatherDescription', () => {
+  it('translates supported languages and defaults unknown codes', () => {
+    expect(getWeatherDescription(61, 'en')).toBe('Slight rain');
+    expect(getWeatherDescription(61, 'de')).toBe('Leichter Regen');
+    expect(getWeatherDescription(42, 'fr')).toBe('Inconnu');
+  });
+});
+
+describe('getCondition', () => {
+  it('combines icon, description and severity', () => {
+    expect(getCondition(65, { isDay: false, language: 'en' })).toEqual({
+      code: 65,
+      group: 'heavyRain',
+      icon: '🌧️',
+      description: 'Heavy rain',
+      severity: 'severe',
+      severityLabel: 'Severe',
+    });
+    expect(getWeatherSeverity(53)).toBe('moderate');
+    expect(formatCondition(2, { language: 'es' })).toBe(
+      '⛅ Parcialmente nublado',
+    );
+  });
+});
+
+describe('isDaytime', () => {
+  const daily = {
+    sunrise: ['2026-10-19T06:21', '2026-10-20T06:20'],
+    sunset: ['2026-10-19T19:40', '2026-10-20T19:41'],
+  };
+
+  it('compares against that day’s sunrise and sunset', () => {
+    expect(isDaytime('2026-10-19T12:00', daily)).toBe(true);
+    expect(isDaytime('2026-10-19T05:00', daily)).toBe(false);
+    expect(isDaytime('2026-10-20T20:00', daily)).toBe(false);
+  });
+
+  it('returns null when sun times are unknown', () => {
+    expect(isDaytime('2026-10-25T12:00', daily)).toBeNull();
+    expect(isDaytime('2026-10-19T12:00', {})).toBeNull();
+  });
+});
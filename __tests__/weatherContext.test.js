@@ -0,0 +1,92 @@
+/**
+ * @format
+ */
+
+jest.mock('../src/hooks/useLocation', () => ({ useLocation: jest.fn() }));
+jest.mock('../src/hooks/useWeather', () => ({ useWeather: jest.fn() }));
+
+import React from 'react';
+import ReactTestRenderer from 'react-test-renderer';
+import {
+  WeatherProvider,
+  useCurrentLocation,
+  useForecast,
+} from '../src/context/WeatherContext';
+import { useLocation } from '../src/hooks/useLocation';
+import { useWeather } from '../src/hooks/useWeather';
+
+const melbourne = { name: 'Melbourne', latitude: -37.81, longitude: 144.96 };
+const refreshLocation = jest.fn();
+const refreshWeather = jest.fn();
+
+const locationState = location => ({
+  location,
+  loading: false,
+  error: null,
+  permissionGranted: true,
+  permissionBlocked: false,
+  refreshLocation,
+  requestLocationPermission: jest.fn(),
+  setManualLocation: jest.fn(),
+});
+
+const forecastState = weatherData => ({
+  weatherData,
+  loading: false,
+  refreshing: false,
+  error: null,
+  lastUpdated: null,
+  lastUpdatedLabel: '',
+  isStale: false,
+  isOffline: false,
+  refreshWeather,
+});
+
+describe('WeatherProvider', () => {
+  const renders = { location: 0, forecast: 0 };
+  const seen = {};
+
+  const LocationConsumer = () => {
+    renders.location++;
+    seen.location = useCurrentLocation().location;
+    return null;
+  };
+
+  const ForecastConsumer = () => {
+    renders.forecast++;
+    seen.weatherData = useForecast().weatherData;
+    return null;
+  };
+
+  // The same elements on every render, so only the store can re-render them
+  const consumers = (
+    <>
+      <LocationConsumer />
+      <ForecastConsumer />
+    </>
+  );
+
+  const location = locationState(melbourne);
+  useLocation.mockImplementation(() => location);
+
+  it('re-renders only the consumers whose slice changed', async () => {
+    useWeather.mockReturnValue(forecastState({ current: { temp: 12 } }));
+
+    let renderer;
+    await ReactTestRenderer.act(() => {
+      renderer = ReactTestRenderer.create(
+        <WeatherProvider>{consumers}</WeatherProvider>,
+      );
+    });
+    expect(renders).toEqual({ location: 1, forecast: 1 });
+
+    const update = { current: { temp: 13 } };
+    useWeather.mockReturnValue(forecastState(update));
+    await ReactTestRenderer.act(() => {
+      renderer.update(<WeatherProvider>{consumers}</WeatherProvider>);
+    });
+
+    expect(renders).toEqual({ location: 1, forecast: 2 });
+    expect(seen).toEqual({ location: melbourne, weatherData: update });
+  });
+});
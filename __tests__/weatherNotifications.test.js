@@ -0,0 +1,163 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'),
+);
+jest.mock('@notifee/react-native', () => ({
+  __esModule: true,
+  default: {
+    createChannel: jest.fn(async channel => channel.id),
+    displayNotification: jest.fn(async notification => notification.id),
+    createTriggerNotification: jest.fn(async notification => notification.id),
+    requestPermission: jest.fn(),
+  },
+  AndroidImportance: { HIGH: 4 },
+  AuthorizationStatus: { AUTHORIZED: 1 },
+  TriggerType: { TIMESTAMP: 0 },
+}));
+jest.mock('../src/services/conversationHelpers', () => ({
+  getUserLocationPreferences: jest.fn(),
+  saveUserLocationPreferences: jest.fn(),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import notifee from '@notifee/react-native';
+import {
+  notifyWeatherAlerts,
+  loadAlertEpisodes,
+} from '../src/services/weatherNotifications';
+import {
+  acknowledgeAlert,
+  createAsyncStorageAdapter,
+} from '../src/services/alertAcknowledgment';
+import { resolveNotificationPreferences } from '../src/services/notificationPreferences';
+import { createWeatherData } from './fixtures/weatherData';
+
+const options = { locationName: 'Alice Springs' };
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('notifyWeatherAlerts', () => {
+  const preferences = resolveNotificationPreferences({});
+
+  it('notifies each episode once', async () => {
+    const weatherData = createWeatherData();
+    const first = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 12),
+    });
+    const second = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 12),
+    });
+
+    expect(first).toHaveLength(3);
+    expect(second).toEqual([]);
+    expect(notifee.displayNotification).toHaveBeenCalledTimes(3);
+    expect(notifee.displayNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: first[0].id,
+        android: expect.objectContaining({ channelId: 'weather-alerts' }),
+      }),
+    );
+  });
+
+  it('holds non-critical alerts until quiet hours end', async () => {
+    const quiet = resolveNotificationPreferences({
+      quietHours: { enabled: true, start: '22:00', end: '07:00' },
+    });
+    const delivered = await notifyWeatherAlerts(createWeatherData(), {
+      ...options,
+      preferences: quiet,
+      now: new Date(2026, 9, 19, 23),
+    });
+
+    const critical = delivered.filter(alert => alert.severity === 'critical');
+    expect(notifee.displayNotification).toHaveBeenCalledTimes(critical.length);
+    expect(notifee.createTriggerNotification).toHaveBeenCalledTimes(
+      delivered.length - critical.length,
+    );
+    expect(notifee.createTriggerNotification).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        timestamp: new Date(2026, 9, 20, 7).getTime(),
+      }),
+    );
+  });
+
+  it('skips acknowledged alerts', async () => {
+    const weatherData = createWeatherData();
+    const [heat] = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 12),
+    });
+    await AsyncStorage.clear();
+    await acknowledgeAlert(
+      createAsyncStorageAdapter(),
+      heat,
+      new Date(2026, 9, 19, 12).getTime(),
+    );
+    jest.clearAllMocks();
+
+    const delivered = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 12),
+    });
+    expect(delivered.map(alert => alert.id)).not.toContain(heat.id);
+    expect(delivered).toHaveLength(2);
+  });
+
+  it('replaces the notification when an episode escalates', async () => {
+    const weatherData = createWeatherData();
+    weatherData.current.temperature_2m = 36;
+    weatherData.daily.temperature_2m_max = [30, 30, 30, 30, 30, 30, 30];
+    const first = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 6),
+    });
+    const heat = first.find(alert => alert.type === 'high-heat');
+    jest.clearAllMocks();
+
+    weatherData.current.temperature_2m = 41;
+    const delivered = await notifyWeatherAlerts(weatherData, {
+      ...options,
+      preferences,
+      now: new Date(2026, 9, 19, 7),
+    });
+
+    expect(heat.severity).toBe('high');
+    expect(delivered).toEqual([
+      expect.objectContaining({ id: heat.id, severity: 'critical' }),
+    ]);
+    expect(notifee.displayNotification).toHaveBeenCalledWith(
+      expect.objectContaining({
+        id: heat.id,
+        title: 'Upgraded: ⚠️ Extreme heat in Alice Springs',
+      }),
+    );
+    expect(await loadAlertEpisodes()).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ id: heat.id, notifiedSeverity: 'critical' }),
+      ]),
+    );
+  });
+
+  it('does nothing when notifications are off', async () => {
+    const delivered = await notifyWeatherAlerts(createWeatherData(), {
+      ...options,
+      preferences: { ...preferences, enabled: false },
+    });
+    expect(delivered).toEqual([]);
+    expect(notifee.displayNotification).not.toHaveBeenCalled();
+  });
+});
@@ -3,7 +3,12 @@
  */
 
 import { AppRegistry } from 'react-native';
+import BackgroundFetch from 'react-native-background-fetch';
 import App from './src/App';
+import { backgroundAlertsTask } from './src/services/backgroundAlerts';
 import { name as appName } from './app.json';
 
 AppRegistry.registerComponent(appName, () => App);
+
+// Android runs background alert checks headless once the app is terminated
+BackgroundFetch.registerHeadlessTask(backgroundAlertsTask);
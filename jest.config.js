@@ -1,3 +1,5 @@
 module.exports = {
   preset: 'react-native',
+  // Shared test data lives beside the tests but holds no tests itself
+  testPathIgnorePatterns: ['/node_modules/', '/__tests__/fixtures/'],
 };
@@ -4,7 +4,13 @@ import { GestureHandlerRootView } from 'react-native-gesture-handler';
 
 import AppNavigator from './navigation/AppNavigator';
 import { SupabaseProvider } from './context/SupabaseContext';
+import { WeatherProvider } from './context/WeatherContext';
+import { SavedLocationsProvider } from './context/SavedLocationsContext';
+import { UnitsProvider } from './context/UnitsContext';
+import { NotificationsProvider } from './context/NotificationsContext';
 import { initializeAdMob } from './services/adMobConfig';
+import { pruneForecastCache } from './services/forecastCache';
+import { pruneAiResponseCache } from './services/aiResponseCache';
 import AdBanner from './components/AdBanner';
 import { colors } from './utils/theme';
 
@@ -19,18 +25,30 @@ const App = () => {
     };
     
     initAds();
+
+    // Drop forecasts and AI analyses that are too old to be shown as stale data
+    pruneForecastCache();
+    pruneAiResponseCache();
   }, []);
 
   return (
     <GestureHandlerRootView style={styles.container}>
       <SupabaseProvider>
-        <SafeAreaView style={styles.container}>
-          <StatusBar barStyle="light-content" backgroundColor={colors.background.primary} />
-          <View style={styles.content}>
-            <AppNavigator />
-          </View>
-          {adMobInitialized && <AdBanner />}
-        </SafeAreaView>
+        <UnitsProvider>
+          <WeatherProvider>
+            <SavedLocationsProvider>
+              <NotificationsProvider>
+                <SafeAreaView style={styles.container}>
+                  <StatusBar barStyle="light-content" backgroundColor={colors.background.primary} />
+                  <View style={styles.content}>
+                    <AppNavigator />
+                  </View>
+                  {adMobInitialized && <AdBanner />}
+                </SafeAreaView>
+              </NotificationsProvider>
+            </SavedLocationsProvider>
+          </WeatherProvider>
+        </UnitsProvider>
       </SupabaseProvider>
     </GestureHandlerRootView>
   );
@@ -0,0 +1,101 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { getCondition } from '../services/weatherConditions';
+import { colors, fontSize, spacing, borderRadius } from '../utils/theme';
+
+const ICON_SIZES = {
+  sm: fontSize.lg,
+  md: fontSize.xxl,
+  lg: fontSize.display,
+};
+
+const SEVERITY_COLORS = {
+  moderate: colors.status.warning,
+  severe: colors.status.error,
+};
+
+/**
+ * Severity pill; nothing is shown for normal conditions
+ */
+export const SeverityBadge = ({ severity, label }) => {
+  const color = SEVERITY_COLORS[severity];
+  if (!color) return null;
+
+  return (
+    <View style={[styles.severity, { borderColor: color }]}>
+      <Text style={[styles.severityText, { color }]}>{label}</Text>
+    </View>
+  );
+};
+
+/**
+ * Icon, description and severity for a WMO weather code
+ */
+const ConditionBadge = ({
+  code,
+  isDay = true,
+  size = 'md',
+  language,
+  showDescription = true,
+  showSeverity = true,
+  style,
+}) => {
+  const condition = getCondition(code, { isDay, language });
+
+  return (
+    <View
+      style={[styles.container, size === 'lg' && styles.stacked, style]}
+      accessibilityLabel={condition.description}
+    >
+      <Text style={{ fontSize: ICON_SIZES[size] ?? ICON_SIZES.md }}>
+        {condition.icon}
+      </Text>
+      {showDescription && (
+        <Text
+          style={[styles.description, size === 'lg' && styles.descriptionLarge]}
+        >
+          {condition.description}
+        </Text>
+      )}
+      {showSeverity && (
+        <SeverityBadge
+          severity={condition.severity}
+          label={condition.severityLabel}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  stacked: {
+    flexDirection: 'column',
+  },
+  description: {
+    fontSize: fontSize.md,
+    color: colors.text.secondary,
+    marginLeft: spacing.xs,
+  },
+  descriptionLarge: {
+    fontSize: fontSize.lg,
+    marginLeft: 0,
+    marginTop: spacing.xs,
+  },
+  severity: {
+    borderWidth: 1,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  severityText: {
+    fontSize: fontSize.xs,
+    fontWeight: 'bold',
+  },
+});
+
+export default ConditionBadge;
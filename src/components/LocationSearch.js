@@ -0,0 +1,114 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  StyleSheet,
+} from 'react-native';
+import { useLocationSearch } from '../hooks/useLocationSearch';
+import { formatLocationLabel } from '../services/savedLocations';
+import { describeError } from '../services/http';
+import { colors, fontSize, spacing, borderRadius } from '../utils/theme';
+
+const LocationSearch = ({ onSelect, placeholder = 'Search for a city' }) => {
+  const { query, setQuery, results, searching, error, clear } =
+    useLocationSearch();
+
+  const handleSelect = result => {
+    onSelect(result);
+    clear();
+  };
+
+  return (
+    <View>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={setQuery}
+          placeholder={placeholder}
+          placeholderTextColor={colors.text.muted}
+          autoCorrect={false}
+          returnKeyType="search"
+        />
+        {searching && (
+          <ActivityIndicator
+            style={styles.spinner}
+            color={colors.brand.accent}
+          />
+        )}
+      </View>
+
+      {!!error && (
+        <Text style={styles.errorText}>{describeError(error).message}</Text>
+      )}
+
+      {results.map(result => (
+        <TouchableOpacity
+          key={result.id ?? `${result.latitude},${result.longitude}`}
+          style={styles.result}
+          onPress={() => handleSelect(result)}
+        >
+          <Text style={styles.resultName}>{result.name}</Text>
+          <Text style={styles.resultDetail}>{formatLocationLabel(result)}</Text>
+        </TouchableOpacity>
+      ))}
+
+      {!searching &&
+        !error &&
+        query.trim().length >= 2 &&
+        results.length === 0 && (
+          <Text style={styles.emptyText}>No matching places</Text>
+        )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.background.secondary,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+  },
+  input: {
+    flex: 1,
+    fontSize: fontSize.lg,
+    color: colors.text.primary,
+    paddingVertical: spacing.sm,
+  },
+  spinner: {
+    marginLeft: spacing.sm,
+  },
+  result: {
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: colors.background.tertiary,
+  },
+  resultName: {
+    fontSize: fontSize.lg,
+    color: colors.text.primary,
+  },
+  resultDetail: {
+    fontSize: fontSize.sm,
+    color: colors.text.tertiary,
+    marginTop: 2,
+  },
+  errorText: {
+    fontSize: fontSize.sm,
+    color: colors.status.error,
+    marginTop: spacing.sm,
+  },
+  emptyText: {
+    fontSize: fontSize.sm,
+    color: colors.text.tertiary,
+    marginTop: spacing.sm,
+    textAlign: 'center',
+  },
+});
+
+export default LocationSearch;
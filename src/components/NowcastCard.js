@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import Svg, { Path } from 'react-native-svg';
+import { linearScale, buildAreaPath } from './charts/chartMath';
+import { colors, fontSize, spacing, borderRadius } from '../utils/theme';
+
+const CHART_HEIGHT = 40;
+
+// Heavy rain fills the chart; anything heavier is clipped
+const MAX_RATE = 10;
+
+/**
+ * Next two hours of rain at the location: a sentence and an intensity curve
+ * @param {Object|null} nowcast - From useNowcast
+ */
+const NowcastCard = ({ nowcast, loading, error, onPress }) => {
+  const [width, setWidth] = useState(0);
+
+  if (!nowcast) {
+    if (!loading && !error) return null;
+    return (
+      <View style={styles.card}>
+        <Text style={styles.muted}>
+          {error ? 'Radar nowcast unavailable' : 'Checking radar…'}
+        </Text>
+      </View>
+    );
+  }
+
+  const { curve, summary } = nowcast;
+  const values = curve.map(point =>
+    point.rate == null ? null : Math.min(point.rate, MAX_RATE),
+  );
+  const xScale = linearScale([0, Math.max(values.length - 1, 1)], [0, width]);
+  // Square root scale so light rain is still visible next to heavy rain
+  const yScale = value =>
+    CHART_HEIGHT - Math.sqrt(value / MAX_RATE) * CHART_HEIGHT;
+  const hasRain = summary.state === 'starting' || summary.state === 'raining';
+
+  return (
+    <TouchableOpacity style={styles.card} onPress={onPress} disabled={!onPress}>
+      <Text style={styles.sentence}>{summary.sentence}</Text>
+      {hasRain && (
+        <View onLayout={event => setWidth(event.nativeEvent.layout.width)}>
+          {width > 0 && (
+            <Svg width={width} height={CHART_HEIGHT}>
+              <Path
+                d={buildAreaPath(values, xScale, yScale, CHART_HEIGHT)}
+                fill={colors.brand.accent}
+                fillOpacity={0.6}
+              />
+            </Svg>
+          )}
+          <View style={styles.axis}>
+            <Text style={styles.axisLabel}>Now</Text>
+            <Text style={styles.axisLabel}>1h</Text>
+            <Text style={styles.axisLabel}>2h</Text>
+          </View>
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.background.secondary,
+    borderRadius: borderRadius.md,
+    padding: spacing.md,
+    marginHorizontal: spacing.md,
+    marginBottom: spacing.sm,
+  },
+  sentence: {
+    fontSize: fontSize.md,
+    fontWeight: 'bold',
+    color: colors.text.primary,
+  },
+  muted: {
+    fontSize: fontSize.sm,
+    color: colors.text.tertiary,
+  },
+  axis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: spacing.xs,
+  },
+  axisLabel: {
+    fontSize: fontSize.xs,
+    color: colors.text.muted,
+  },
+});
+
+export default NowcastCard;
@@ -0,0 +1,270 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+  TouchableOpacity,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import Card from './Card';
+import ConditionBadge from './ConditionBadge';
+import { describeError } from '../services/http';
+import { useUnits } from '../context/UnitsContext';
+import {
+  formatTemperature,
+  formatSpeed,
+  formatPrecipitation,
+  formatPressure,
+} from '../services/units';
+import { spacing } from '../utils/theme';
+
+/**
+ * Build the quick insight shown under the current conditions. Thresholds are
+ * metric; only the displayed values follow the user's units.
+ */
+function getQuickInsight(weatherData, units) {
+  if (!weatherData) return '';
+
+  const { current, daily } = weatherData;
+  const temp = current.temperature_2m;
+  const humidity = current.relative_humidity_2m;
+  const windSpeed = current.wind_speed_10m;
+  const precipitation = current.precipitation;
+
+  if (temp > 30) {
+    return `High Temperature Alert: Current temperature is ${formatTemperature(temp, units)}. UV index is ${daily.uv_index_max[0].toFixed(1)}. Stay hydrated and use sunscreen.`;
+  } else if (temp < 5) {
+    return `Cold Weather Advisory: Temperature has dropped to ${formatTemperature(temp, units)}. Feels like ${formatTemperature(current.apparent_temperature, units)}. Dress in layers.`;
+  } else if (precipitation > 0) {
+    return `Active Precipitation: Currently experiencing ${formatPrecipitation(precipitation, units)} of precipitation. Expect wet conditions.`;
+  } else if (windSpeed > 20) {
+    return `Strong Wind Warning: Wind speeds reaching ${formatSpeed(windSpeed, units)} with gusts up to ${formatSpeed(current.wind_gusts_10m, units)}.`;
+  } else if (humidity > 80) {
+    return `High Humidity Conditions: Humidity levels at ${humidity}%. Expect muggy conditions.`;
+  }
+  return `Favorable Conditions: Atmospheric pressure is stable at ${formatPressure(current.pressure_msl, units)} with balanced temperature (${formatTemperature(temp, units)}).`;
+}
+
+/**
+ * Current conditions for one location. Used for every page of the Home pager.
+ */
+const WeatherOverview = ({
+  weatherData,
+  loading,
+  refreshing = false,
+  error,
+  lastUpdatedLabel,
+  isOffline,
+  onRefresh,
+  locationName,
+}) => {
+  const { units } = useUnits();
+  const aiInsight = useMemo(
+    () => getQuickInsight(weatherData, units),
+    [weatherData, units],
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+        <Text style={styles.loadingText}>Loading weather data...</Text>
+      </View>
+    );
+  }
+
+  if (!weatherData) {
+    const { title, message, retryable } = error
+      ? describeError(error)
+      : { title: 'No weather data available', message: '', retryable: false };
+
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorText}>{title}</Text>
+        {!!message && <Text style={styles.errorDetailText}>{message}</Text>}
+        {retryable && (
+          <TouchableOpacity style={styles.retryButton} onPress={onRefresh}>
+            <Text style={styles.retryButtonText}>Try Again</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  const { current } = weatherData;
+
+  return (
+    <ScrollView
+      style={styles.container}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      <View style={styles.header}>
+        <Text style={styles.locationText}>{locationName || 'Unknown Location'}</Text>
+        <Text style={styles.dateText}>{new Date().toLocaleDateString()}</Text>
+        {!!lastUpdatedLabel && (
+          <Text style={[styles.updatedText, isOffline && styles.offlineText]}>
+            {isOffline ? `Offline · ${lastUpdatedLabel}` : lastUpdatedLabel}
+          </Text>
+        )}
+      </View>
+
+      <Card style={styles.currentWeatherCard} variant="elevated">
+        <ConditionBadge code={current.weather_code} isDay={current.is_day !== 0} size="lg" />
+        <Text style={styles.temperatureText}>{formatTemperature(current.temperature_2m, units)}</Text>
+        <Text style={styles.feelsLikeText}>
+          Feels like {formatTemperature(current.apparent_temperature, units)}
+        </Text>
+      </Card>
+
+      <Card style={styles.insightCard}>
+        <Text style={styles.insightTitle}>Weather Insight</Text>
+        <Text style={styles.insightText}>{aiInsight}</Text>
+      </Card>
+
+      <View style={styles.detailsGrid}>
+        <Card style={styles.detailCard}>
+          <Text style={styles.detailLabel}>Humidity</Text>
+          <Text style={styles.detailValue}>{current.relative_humidity_2m}%</Text>
+        </Card>
+        <Card style={styles.detailCard}>
+          <Text style={styles.detailLabel}>Wind Speed</Text>
+          <Text style={styles.detailValue}>{formatSpeed(current.wind_speed_10m, units)}</Text>
+        </Card>
+        <Card style={styles.detailCard}>
+          <Text style={styles.detailLabel}>Precipitation</Text>
+          <Text style={styles.detailValue}>{formatPrecipitation(current.precipitation, units)}</Text>
+        </Card>
+        <Card style={styles.detailCard}>
+          <Text style={styles.detailLabel}>Pressure</Text>
+          <Text style={styles.detailValue}>{formatPressure(current.pressure_msl, units)}</Text>
+        </Card>
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+  },
+  loadingText: {
+    marginTop: verticalScale(16),
+    fontSize: moderateScale(16),
+    color: '#94a3b8',
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#0f172a',
+  },
+  errorText: {
+    fontSize: moderateScale(16),
+    color: '#ef4444',
+  },
+  errorDetailText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    marginTop: verticalScale(8),
+    paddingHorizontal: scale(32),
+    textAlign: 'center',
+  },
+  retryButton: {
+    marginTop: verticalScale(16),
+    paddingVertical: verticalScale(10),
+    paddingHorizontal: scale(24),
+    backgroundColor: '#3b82f6',
+    borderRadius: moderateScale(8),
+  },
+  retryButtonText: {
+    fontSize: moderateScale(14),
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  header: {
+    padding: scale(20),
+    paddingTop: verticalScale(40),
+  },
+  locationText: {
+    fontSize: moderateScale(28),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  dateText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+  },
+  updatedText: {
+    fontSize: moderateScale(12),
+    color: '#64748b',
+    marginTop: verticalScale(2),
+  },
+  offlineText: {
+    color: '#f59e0b',
+  },
+  currentWeatherCard: {
+    margin: spacing.lg,
+    marginTop: 0,
+    alignItems: 'center',
+  },
+  temperatureText: {
+    fontSize: moderateScale(64),
+    fontWeight: 'bold',
+    color: '#3b82f6',
+  },
+  feelsLikeText: {
+    fontSize: moderateScale(16),
+    color: '#94a3b8',
+    marginTop: verticalScale(8),
+  },
+  insightCard: {
+    margin: spacing.lg,
+    marginTop: 0,
+  },
+  insightTitle: {
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(8),
+  },
+  insightText: {
+    fontSize: moderateScale(14),
+    color: '#cbd5e1',
+    lineHeight: moderateScale(20),
+  },
+  detailsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    padding: scale(10),
+  },
+  detailCard: {
+    width: '45%',
+    margin: spacing.sm,
+  },
+  detailLabel: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginBottom: verticalScale(4),
+  },
+  detailValue: {
+    fontSize: moderateScale(20),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+});
+
+export default WeatherOverview;
+
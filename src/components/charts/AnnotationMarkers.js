@@ -0,0 +1,116 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Line, Circle, Text as SvgText } from 'react-native-svg';
+import { colors, fontSize, spacing, borderRadius } from '../../utils/theme';
+
+export const SIGNIFICANCE_COLORS = {
+  high: colors.status.error,
+  medium: colors.status.warning,
+  low: colors.status.info,
+};
+
+const getSignificanceColor = significance =>
+  SIGNIFICANCE_COLORS[significance] ?? SIGNIFICANCE_COLORS.low;
+
+/**
+ * Index of the hour an annotation refers to. The model is asked for a
+ * timestamp copied from the (downsampled) data, so match on the hour.
+ */
+export const findAnnotationIndex = (annotation, times) => {
+  if (!annotation?.time) return -1;
+  const hour = String(annotation.time).slice(0, 13);
+  return times.findIndex(time => time.slice(0, 13) === hour);
+};
+
+/**
+ * Numbered markers drawn inside a chart's SVG for annotations with a time
+ */
+const AnnotationMarkers = ({ annotations, times, xScale, top, bottom }) => (
+  <>
+    {annotations.map((annotation, position) => {
+      const index = findAnnotationIndex(annotation, times);
+      if (index === -1) return null;
+
+      const x = xScale(index);
+      const color = getSignificanceColor(annotation.significance);
+      return (
+        <React.Fragment key={`${annotation.label}-${position}`}>
+          <Line
+            x1={x}
+            x2={x}
+            y1={top}
+            y2={bottom}
+            stroke={color}
+            strokeWidth={1}
+            strokeOpacity={0.7}
+          />
+          <Circle cx={x} cy={top - 8} r={7} fill={color} />
+          <SvgText
+            x={x}
+            y={top - 5}
+            fill={colors.text.primary}
+            fontSize={fontSize.xs}
+            fontWeight="bold"
+            textAnchor="middle"
+          >
+            {position + 1}
+          </SvgText>
+        </React.Fragment>
+      );
+    })}
+  </>
+);
+
+/**
+ * Text list of annotations below a chart, numbered to match the markers
+ */
+export const AnnotationList = ({ annotations }) => {
+  if (!annotations || annotations.length === 0) return null;
+
+  return (
+    <View style={styles.list}>
+      {annotations.map((annotation, position) => (
+        <View
+          key={`${annotation.label}-${position}`}
+          style={[
+            styles.item,
+            { borderLeftColor: getSignificanceColor(annotation.significance) },
+          ]}
+        >
+          <Text style={styles.label}>
+            {position + 1}. {annotation.label}
+          </Text>
+          {!!annotation.description && (
+            <Text style={styles.description}>{annotation.description}</Text>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  list: {
+    marginTop: spacing.sm,
+  },
+  item: {
+    borderLeftWidth: 3,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.background.primary,
+    paddingVertical: spacing.xs,
+    paddingHorizontal: spacing.sm,
+    marginTop: spacing.xs,
+  },
+  label: {
+    fontSize: fontSize.sm,
+    fontWeight: 'bold',
+    color: colors.text.primary,
+  },
+  description: {
+    fontSize: fontSize.sm,
+    color: colors.text.secondary,
+    marginTop: 2,
+  },
+});
+
+export default AnnotationMarkers;
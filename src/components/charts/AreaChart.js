@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react';
+import { View } from 'react-native';
+import { Path } from 'react-native-svg';
+import ChartFrame from './ChartFrame';
+import ChartLegend from './ChartLegend';
+import { getExtent, buildAreaPath, buildLinePath } from './chartMath';
+import { colors } from '../../utils/theme';
+
+/**
+ * Filled area chart, e.g. cloud cover. Pass `domain` for bounded values such
+ * as percentages so the scale doesn't stretch to the data.
+ * @param {Array<string>} times - Hourly timestamps
+ * @param {Array<number|null>} values - Series values
+ */
+const AreaChart = ({
+  times,
+  values,
+  label,
+  domain,
+  color = colors.text.tertiary,
+  height,
+  formatTick,
+  nowIndex,
+  annotations,
+}) => {
+  const extent = useMemo(() => domain ?? getExtent([values]), [domain, values]);
+
+  return (
+    <View>
+      {!!label && <ChartLegend items={[{ label, color }]} />}
+      <ChartFrame
+        times={times}
+        domain={extent}
+        height={height}
+        formatTick={formatTick}
+        nowIndex={nowIndex}
+        annotations={annotations}
+      >
+        {({ xScale, yScale, plotBottom }) => (
+          <>
+            <Path
+              d={buildAreaPath(values, xScale, yScale, plotBottom)}
+              fill={color}
+              fillOpacity={0.35}
+            />
+            <Path
+              d={buildLinePath(values, xScale, yScale)}
+              stroke={color}
+              strokeWidth={1.5}
+              fill="none"
+            />
+          </>
+        )}
+      </ChartFrame>
+    </View>
+  );
+};
+
+export default AreaChart;
@@ -0,0 +1,85 @@
+import React, { useMemo } from 'react';
+import { View } from 'react-native';
+import { Rect, Path } from 'react-native-svg';
+import ChartFrame from './ChartFrame';
+import ChartLegend from './ChartLegend';
+import { getExtent, buildLinePath } from './chartMath';
+import { colors } from '../../utils/theme';
+
+/**
+ * Hourly bars, e.g. precipitation amounts, with an optional probability line
+ * drawn against a 0-100 scale on the same plot
+ * @param {Array<string>} times - Hourly timestamps
+ * @param {Array<number|null>} values - Bar heights
+ * @param {Array<number|null>} probability - Optional 0-100 series
+ */
+const BarChart = ({
+  times,
+  values,
+  probability,
+  label = 'Amount',
+  color = colors.brand.primary,
+  height,
+  formatTick,
+  nowIndex,
+  annotations,
+}) => {
+  // Bars always start at zero; a dry forecast still gets a visible scale
+  const domain = useMemo(() => {
+    const [, max] = getExtent([values], { min: 0, padding: 0.15 });
+    return [0, Math.max(max, 1)];
+  }, [values]);
+
+  const legend = [{ label, color }];
+  if (probability) {
+    legend.push({ label: 'Chance (%)', color: colors.brand.accent });
+  }
+
+  return (
+    <View>
+      <ChartLegend items={legend} />
+      <ChartFrame
+        times={times}
+        domain={domain}
+        height={height}
+        formatTick={formatTick}
+        nowIndex={nowIndex}
+        annotations={annotations}
+      >
+        {({ xScale, yScale, plotBottom }) => {
+          const barWidth = Math.max((xScale(1) - xScale(0)) * 0.8, 1);
+          const probabilityScale = value =>
+            plotBottom - (value / 100) * (plotBottom - yScale(domain[1]));
+
+          return (
+            <>
+              {values.map((value, index) =>
+                value > 0 ? (
+                  <Rect
+                    key={times[index]}
+                    x={xScale(index) - barWidth / 2}
+                    y={yScale(value)}
+                    width={barWidth}
+                    height={plotBottom - yScale(value)}
+                    fill={color}
+                  />
+                ) : null,
+              )}
+              {probability && (
+                <Path
+                  d={buildLinePath(probability, xScale, probabilityScale)}
+                  stroke={colors.brand.accent}
+                  strokeWidth={1.5}
+                  strokeOpacity={0.8}
+                  fill="none"
+                />
+              )}
+            </>
+          );
+        }}
+      </ChartFrame>
+    </View>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,200 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import {
+  Gesture,
+  GestureDetector,
+  ScrollView,
+} from 'react-native-gesture-handler';
+import Svg, { Line, Text as SvgText } from 'react-native-svg';
+import { format } from 'date-fns';
+import AnnotationMarkers from './AnnotationMarkers';
+import { linearScale, niceTicks, findDayBoundaries, clamp } from './chartMath';
+import { colors, fontSize, spacing } from '../../utils/theme';
+
+export const DEFAULT_HOUR_WIDTH = 6;
+export const MIN_HOUR_WIDTH = 1;
+export const MAX_HOUR_WIDTH = 24;
+
+const AXIS_WIDTH = 40;
+const PADDING_TOP = 24;
+const PADDING_BOTTOM = 22;
+const PADDING_X = 8;
+
+/**
+ * Shared chart scaffolding: y axis, day grid, "now" line and annotation
+ * markers, inside a horizontally scrollable SVG that zooms with a pinch.
+ * The plot itself is drawn by `children`, a function receiving the scales.
+ */
+const ChartFrame = ({
+  times,
+  domain,
+  height = 180,
+  formatTick = value => `${value}`,
+  nowIndex,
+  annotations = [],
+  children,
+}) => {
+  const [hourWidth, setHourWidth] = useState(DEFAULT_HOUR_WIDTH);
+  const scrollRef = useRef(null);
+  const scrollX = useRef(0);
+  const pinchStart = useRef(null);
+
+  const width = Math.max(times.length - 1, 1) * hourWidth + PADDING_X * 2;
+  const plotBottom = height - PADDING_BOTTOM;
+
+  const xScale = useMemo(
+    () =>
+      linearScale(
+        [0, Math.max(times.length - 1, 1)],
+        [PADDING_X, width - PADDING_X],
+      ),
+    [times.length, width],
+  );
+  const yScale = useMemo(
+    () => linearScale(domain, [plotBottom, PADDING_TOP]),
+    [domain, plotBottom],
+  );
+
+  const ticks = useMemo(() => niceTicks(domain[0], domain[1], 4), [domain]);
+  const days = useMemo(() => findDayBoundaries(times), [times]);
+  const dayWidth = hourWidth * 24;
+
+  // Zoom around the pinch focal point so the hour under the fingers stays put
+  const pinch = Gesture.Pinch()
+    .runOnJS(true)
+    .onStart(event => {
+      pinchStart.current = {
+        hourWidth,
+        index: (scrollX.current + event.focalX - PADDING_X) / hourWidth,
+      };
+    })
+    .onUpdate(event => {
+      if (!pinchStart.current) return;
+      const next = clamp(
+        pinchStart.current.hourWidth * event.scale,
+        MIN_HOUR_WIDTH,
+        MAX_HOUR_WIDTH,
+      );
+      setHourWidth(next);
+      scrollRef.current?.scrollTo({
+        x: Math.max(
+          pinchStart.current.index * next + PADDING_X - event.focalX,
+          0,
+        ),
+        animated: false,
+      });
+    })
+    .onEnd(() => {
+      pinchStart.current = null;
+    });
+
+  return (
+    <View style={styles.container}>
+      <View style={[styles.axis, { height }]}>
+        {ticks.map(tick => (
+          <Text
+            key={tick}
+            style={[styles.tickLabel, { top: yScale(tick) - fontSize.xs / 2 }]}
+          >
+            {formatTick(tick)}
+          </Text>
+        ))}
+      </View>
+
+      <GestureDetector gesture={pinch}>
+        <View style={styles.plotArea}>
+          <ScrollView
+            ref={scrollRef}
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            scrollEventThrottle={16}
+            onScroll={event => {
+              scrollX.current = event.nativeEvent.contentOffset.x;
+            }}
+          >
+            <Svg width={width} height={height}>
+              {ticks.map(tick => (
+                <Line
+                  key={`grid-${tick}`}
+                  x1={0}
+                  x2={width}
+                  y1={yScale(tick)}
+                  y2={yScale(tick)}
+                  stroke={colors.background.tertiary}
+                  strokeWidth={0.5}
+                />
+              ))}
+
+              {days.map(({ index, date }) => (
+                <React.Fragment key={date}>
+                  <Line
+                    x1={xScale(index)}
+                    x2={xScale(index)}
+                    y1={PADDING_TOP}
+                    y2={plotBottom}
+                    stroke={colors.background.tertiary}
+                    strokeWidth={1}
+                  />
+                  <SvgText
+                    x={xScale(index) + 3}
+                    y={height - 6}
+                    fill={colors.text.tertiary}
+                    fontSize={fontSize.xs}
+                  >
+                    {format(
+                      new Date(`${date}T00:00`),
+                      dayWidth < 48 ? 'd' : 'EEE d',
+                    )}
+                  </SvgText>
+                </React.Fragment>
+              ))}
+
+              {children({ xScale, yScale, width, height, plotBottom })}
+
+              {nowIndex != null && (
+                <Line
+                  x1={xScale(nowIndex)}
+                  x2={xScale(nowIndex)}
+                  y1={PADDING_TOP}
+                  y2={plotBottom}
+                  stroke={colors.brand.accent}
+                  strokeWidth={1}
+                  strokeDasharray="3,3"
+                />
+              )}
+
+              <AnnotationMarkers
+                annotations={annotations}
+                times={times}
+                xScale={xScale}
+                top={PADDING_TOP}
+                bottom={plotBottom}
+              />
+            </Svg>
+          </ScrollView>
+        </View>
+      </GestureDetector>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+  },
+  axis: {
+    width: AXIS_WIDTH,
+    marginRight: spacing.xs,
+  },
+  tickLabel: {
+    position: 'absolute',
+    right: 0,
+    fontSize: fontSize.xs,
+    color: colors.text.tertiary,
+  },
+  plotArea: {
+    flex: 1,
+  },
+});
+
+export default ChartFrame;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { colors, fontSize, spacing } from '../../utils/theme';
+
+/**
+ * Colour key for the series drawn in a chart
+ */
+const ChartLegend = ({ items }) => (
+  <View style={styles.legend}>
+    {items.map(item => (
+      <View key={item.label} style={styles.item}>
+        <View
+          style={[
+            styles.swatch,
+            { backgroundColor: item.color },
+            item.dashed && styles.dashed,
+          ]}
+        />
+        <Text style={styles.label}>{item.label}</Text>
+      </View>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: spacing.sm,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: spacing.md,
+  },
+  swatch: {
+    width: spacing.md,
+    height: 3,
+    borderRadius: 2,
+    marginRight: spacing.xs,
+  },
+  dashed: {
+    opacity: 0.6,
+  },
+  label: {
+    fontSize: fontSize.sm,
+    color: colors.text.secondary,
+  },
+});
+
+export default ChartLegend;
@@ -0,0 +1,55 @@
+import React, { useMemo } from 'react';
+import { View } from 'react-native';
+import { Path } from 'react-native-svg';
+import ChartFrame from './ChartFrame';
+import ChartLegend from './ChartLegend';
+import { getExtent, buildLinePath } from './chartMath';
+
+/**
+ * Multi-series line chart, e.g. temperature, feels-like and dew point
+ * @param {Array<string>} times - Hourly timestamps
+ * @param {Array<Object>} series - { label, values, color, dashed }
+ */
+const LineChart = ({
+  times,
+  series,
+  height,
+  formatTick,
+  nowIndex,
+  annotations,
+}) => {
+  const domain = useMemo(
+    () => getExtent(series.map(item => item.values)),
+    [series],
+  );
+
+  return (
+    <View>
+      <ChartLegend items={series} />
+      <ChartFrame
+        times={times}
+        domain={domain}
+        height={height}
+        formatTick={formatTick}
+        nowIndex={nowIndex}
+        annotations={annotations}
+      >
+        {({ xScale, yScale }) =>
+          series.map(item => (
+            <Path
+              key={item.label}
+              d={buildLinePath(item.values, xScale, yScale)}
+              stroke={item.color}
+              strokeWidth={2}
+              strokeDasharray={item.dashed ? '4,3' : undefined}
+              strokeLinejoin="round"
+              fill="none"
+            />
+          ))
+        }
+      </ChartFrame>
+    </View>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Path, Line } from 'react-native-svg';
+import ChartFrame from './ChartFrame';
+import { getExtent, buildLinePath } from './chartMath';
+import { colors, fontSize, spacing } from '../../utils/theme';
+
+const TENDENCY_DISPLAY = {
+  rising: { arrow: '↗', text: 'Rising', color: colors.status.success },
+  falling: { arrow: '↘', text: 'Falling', color: colors.status.warning },
+  steady: { arrow: '→', text: 'Steady', color: colors.text.secondary },
+};
+
+/**
+ * Pressure line with a standard-atmosphere reference and a tendency label
+ * @param {Array<string>} times - Hourly timestamps
+ * @param {Array<number|null>} values - Pressure in display units
+ * @param {number} reference - Standard pressure in display units
+ * @param {Object} tendency - Result of getPressureTendency
+ * @param {string} changeLabel - Formatted change for the tendency window
+ */
+const PressureTrendChart = ({
+  times,
+  values,
+  reference,
+  tendency,
+  changeLabel,
+  height,
+  formatTick,
+  nowIndex,
+  annotations,
+}) => {
+  // Keep the reference line on screen when pressure is far from it
+  const domain = useMemo(
+    () => getExtent([values, reference != null ? [reference] : []]),
+    [values, reference],
+  );
+  const display = tendency ? TENDENCY_DISPLAY[tendency.tendency] : null;
+
+  return (
+    <View>
+      {display && (
+        <View style={styles.header}>
+          <Text style={[styles.tendency, { color: display.color }]}>
+            {display.arrow} {display.text}
+          </Text>
+          {!!changeLabel && (
+            <Text style={styles.change}>{changeLabel} over 3h</Text>
+          )}
+        </View>
+      )}
+      <ChartFrame
+        times={times}
+        domain={domain}
+        height={height}
+        formatTick={formatTick}
+        nowIndex={nowIndex}
+        annotations={annotations}
+      >
+        {({ xScale, yScale, width }) => (
+          <>
+            {reference != null && (
+              <Line
+                x1={0}
+                x2={width}
+                y1={yScale(reference)}
+                y2={yScale(reference)}
+                stroke={colors.text.muted}
+                strokeWidth={1}
+                strokeDasharray="6,4"
+              />
+            )}
+            <Path
+              d={buildLinePath(values, xScale, yScale)}
+              stroke={colors.weather.mild}
+              strokeWidth={2}
+              fill="none"
+            />
+          </>
+        )}
+      </ChartFrame>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  header: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    marginBottom: spacing.sm,
+  },
+  tendency: {
+    fontSize: fontSize.lg,
+    fontWeight: 'bold',
+    marginRight: spacing.sm,
+  },
+  change: {
+    fontSize: fontSize.sm,
+    color: colors.text.tertiary,
+  },
+});
+
+export default PressureTrendChart;
@@ -0,0 +1,220 @@
+// Chart Math
+// Pure helpers shared by the chart components: scales, ticks and SVG paths.
+// Series are arrays aligned with the hourly `time` array; null values leave
+// gaps in lines and areas rather than being drawn as zero.
+
+/**
+ * Minimum and maximum across several series, padded for breathing room
+ * @param {Array<Array<number|null>>} seriesList - Series to include
+ * @param {Object} options - Extent options
+ * @param {number} options.padding - Fraction of the range added on both sides
+ * @param {number} options.min - Fixed lower bound
+ * @param {number} options.max - Fixed upper bound
+ * @returns {Array<number>} [min, max]
+ */
+export function getExtent(seriesList, { padding = 0.1, min, max } = {}) {
+  let lo = Infinity;
+  let hi = -Infinity;
+
+  seriesList.forEach(series => {
+    series.forEach(value => {
+      if (value === null || value === undefined || Number.isNaN(value)) return;
+      if (value < lo) lo = value;
+      if (value > hi) hi = value;
+    });
+  });
+
+  if (lo === Infinity) {
+    lo = 0;
+    hi = 1;
+  } else if (lo === hi) {
+    lo -= 1;
+    hi += 1;
+  }
+
+  const pad = (hi - lo) * padding;
+  return [min ?? lo - pad, max ?? hi + pad];
+}
+
+/**
+ * Linear mapping from a domain onto a pixel range
+ * @param {Array<number>} domain - [min, max] data values
+ * @param {Array<number>} range - [start, end] pixels
+ * @returns {Function} value => pixel
+ */
+export function linearScale([d0, d1], [r0, r1]) {
+  const span = d1 - d0 || 1;
+  return value => r0 + ((value - d0) / span) * (r1 - r0);
+}
+
+/**
+ * Evenly spaced "nice" tick values covering a domain
+ * @param {number} min - Domain minimum
+ * @param {number} max - Domain maximum
+ * @param {number} count - Approximate number of ticks
+ * @returns {Array<number>} Tick values
+ */
+export function niceTicks(min, max, count = 4) {
+  const rawStep = (max - min) / Math.max(count, 1);
+  if (!(rawStep > 0)) return [min];
+
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const residual = rawStep / magnitude;
+  // Round to 1, 2, 5 or 10, switching at the geometric midpoints
+  const niceResidual =
+    residual >= Math.sqrt(50)
+      ? 10
+      : residual >= Math.sqrt(10)
+      ? 5
+      : residual >= Math.sqrt(2)
+      ? 2
+      : 1;
+  const step = niceResidual * magnitude;
+
+  const ticks = [];
+  for (
+    let tick = Math.ceil(min / step) * step;
+    tick <= max + step * 1e-9;
+    tick += step
+  ) {
+    // Avoid floating point noise such as 0.30000000000000004
+    ticks.push(Number(tick.toPrecision(12)));
+  }
+  return ticks;
+}
+
+/**
+ * SVG path through a series, starting a new segment after each gap
+ * @param {Array<number|null>} values - Series values
+ * @param {Function} xScale - index => x
+ * @param {Function} yScale - value => y
+ * @returns {string} Path data
+ */
+export function buildLinePath(values, xScale, yScale) {
+  let path = '';
+  let drawing = false;
+
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      drawing = false;
+      return;
+    }
+    const x = xScale(index).toFixed(1);
+    const y = yScale(value).toFixed(1);
+    path += `${drawing ? 'L' : 'M'}${x},${y}`;
+    drawing = true;
+  });
+
+  return path;
+}
+
+/**
+ * SVG path filling the area between a series and a baseline
+ * @param {Array<number|null>} values - Series values
+ * @param {Function} xScale - index => x
+ * @param {Function} yScale - value => y
+ * @param {number} baselineY - Pixel y of the baseline
+ * @returns {string} Path data
+ */
+export function buildAreaPath(values, xScale, yScale, baselineY) {
+  let path = '';
+  let segmentStart = null;
+  let lastX = null;
+
+  const closeSegment = () => {
+    if (segmentStart !== null) {
+      path += `L${lastX},${baselineY.toFixed(
+        1,
+      )}L${segmentStart},${baselineY.toFixed(1)}Z`;
+    }
+    segmentStart = null;
+  };
+
+  values.forEach((value, index) => {
+    if (value === null || value === undefined) {
+      closeSegment();
+      return;
+    }
+    const x = xScale(index).toFixed(1);
+    const y = yScale(value).toFixed(1);
+    path += `${segmentStart === null ? 'M' : 'L'}${x},${y}`;
+    if (segmentStart === null) segmentStart = x;
+    lastX = x;
+  });
+  closeSegment();
+
+  return path;
+}
+
+/**
+ * Indices where a new local day starts
+ * @param {Array<string>} times - Local "YYYY-MM-DDTHH:MM" timestamps
+ * @returns {Array<Object>} { index, date }
+ */
+export function findDayBoundaries(times) {
+  const boundaries = [];
+  let previous = null;
+
+  times.forEach((time, index) => {
+    const date = time.slice(0, 10);
+    if (date !== previous) {
+      boundaries.push({ index, date });
+      previous = date;
+    }
+  });
+
+  return boundaries;
+}
+
+/**
+ * Thin a set of aligned series to every `step`th point, e.g. to keep an AI
+ * prompt short while still covering the whole range
+ * @param {Array<string>} times - Timestamps
+ * @param {Object<string, Array>} seriesMap - Named series aligned with times
+ * @param {number} step - Keep one point in this many
+ * @returns {Array<Object>} Points as { time, ...values }
+ */
+export function downsampleSeries(times, seriesMap, step = 6) {
+  const points = [];
+  for (let index = 0; index < times.length; index += step) {
+    const point = { time: times[index] };
+    Object.keys(seriesMap).forEach(name => {
+      const value = seriesMap[name][index];
+      point[name] =
+        typeof value === 'number' ? Number(value.toFixed(1)) : value ?? null;
+    });
+    points.push(point);
+  }
+  return points;
+}
+
+/**
+ * Keep a value within bounds
+ */
+export function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Pressure tendency over the hours following an index. Changes under
+ * 1 hPa per 3 hours are treated as steady, as in synoptic reports.
+ * @param {Array<number|null>} hPaValues - Pressure series in hPa
+ * @param {number} index - Start index
+ * @param {number} hours - Look-ahead window
+ * @returns {Object|null} { tendency: 'rising'|'falling'|'steady', change }
+ */
+export function getPressureTendency(hPaValues, index = 0, hours = 3) {
+  const start = hPaValues[index];
+  const end = hPaValues[Math.min(index + hours, hPaValues.length - 1)];
+  if (start == null || end == null) return null;
+
+  const change = end - start;
+  const threshold = hours / 3;
+  const tendency =
+    change >= threshold
+      ? 'rising'
+      : change <= -threshold
+      ? 'falling'
+      : 'steady';
+  return { tendency, change };
+}
@@ -0,0 +1,10 @@
+export { default as ChartFrame } from './ChartFrame';
+export { default as ChartLegend } from './ChartLegend';
+export { default as LineChart } from './LineChart';
+export { default as BarChart } from './BarChart';
+export { default as AreaChart } from './AreaChart';
+export { default as PressureTrendChart } from './PressureTrendChart';
+export {
+  default as AnnotationMarkers,
+  AnnotationList,
+} from './AnnotationMarkers';
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { formatRadarTime } from '../../services/rainviewerApi';
+import { colors, fontSize, spacing, borderRadius } from '../../utils/theme';
+
+/**
+ * Play/pause button and a strip of frame segments. Tap or drag along the
+ * strip to pick a frame; nowcast frames are tinted differently.
+ *
+ * @param {Array<Object>} frames - Frames with `time` and optional `isNowcast`
+ * @param {number} index - Selected frame
+ * @param {Function} onChange - Called with the new index
+ * @param {boolean} playing - Whether the animation is running
+ * @param {Function} onTogglePlay - Play/pause handler
+ * @param {Object} progress - Tile prefetch progress { done, failed, total }
+ */
+const FrameScrubber = ({
+  frames,
+  index,
+  onChange,
+  playing,
+  onTogglePlay,
+  progress,
+}) => {
+  const [trackWidth, setTrackWidth] = useState(0);
+
+  const selectAt = x => {
+    if (trackWidth <= 0 || frames.length === 0) return;
+    const next = Math.floor((x / trackWidth) * frames.length);
+    const clamped = Math.min(Math.max(next, 0), frames.length - 1);
+    if (clamped !== index) onChange(clamped);
+  };
+
+  const scrub = Gesture.Pan()
+    .runOnJS(true)
+    .minDistance(0)
+    .onBegin(event => selectAt(event.x))
+    .onUpdate(event => selectAt(event.x));
+
+  const frame = frames[index];
+  const loaded = progress ? progress.done + progress.failed : 0;
+  const caching = progress && loaded < progress.total;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.playButton} onPress={onTogglePlay}>
+          <Text style={styles.playText}>{playing ? '❚❚' : '▶'}</Text>
+        </TouchableOpacity>
+        <Text style={styles.timeText}>
+          {frame ? formatRadarTime(frame.time) : '--'}
+        </Text>
+        {frame?.isNowcast && <Text style={styles.nowcastLabel}>Forecast</Text>}
+        {caching && (
+          <Text style={styles.progressText}>
+            Loading frames {Math.round((loaded / progress.total) * 100)}%
+          </Text>
+        )}
+      </View>
+
+      <GestureDetector gesture={scrub}>
+        <View
+          style={styles.track}
+          onLayout={event => setTrackWidth(event.nativeEvent.layout.width)}
+        >
+          {frames.map((item, position) => (
+            <View
+              key={item.time}
+              style={[
+                styles.segment,
+                item.isNowcast && styles.segmentNowcast,
+                position === index && styles.segmentActive,
+              ]}
+            />
+          ))}
+        </View>
+      </GestureDetector>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: spacing.sm,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: spacing.sm,
+  },
+  playButton: {
+    width: spacing.xl,
+    height: spacing.xl,
+    borderRadius: spacing.xl / 2,
+    backgroundColor: colors.brand.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: spacing.sm,
+  },
+  playText: {
+    fontSize: fontSize.sm,
+    color: colors.text.primary,
+  },
+  timeText: {
+    fontSize: fontSize.lg,
+    fontWeight: 'bold',
+    color: colors.text.primary,
+  },
+  nowcastLabel: {
+    fontSize: fontSize.xs,
+    color: colors.status.warning,
+    borderWidth: 1,
+    borderColor: colors.status.warning,
+    borderRadius: borderRadius.sm,
+    paddingHorizontal: spacing.xs,
+    marginLeft: spacing.sm,
+  },
+  progressText: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: fontSize.xs,
+    color: colors.text.tertiary,
+  },
+  track: {
+    flexDirection: 'row',
+    height: spacing.lg,
+    alignItems: 'center',
+  },
+  segment: {
+    flex: 1,
+    height: spacing.sm,
+    marginHorizontal: 1,
+    borderRadius: 2,
+    backgroundColor: colors.background.tertiary,
+  },
+  segmentNowcast: {
+    backgroundColor: colors.text.muted,
+  },
+  segmentActive: {
+    height: spacing.lg,
+    backgroundColor: colors.brand.accent,
+  },
+});
+
+export default FrameScrubber;
@@ -0,0 +1,244 @@
+import React, { useEffect, useState } from 'react';
+import { View, Image, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import {
+  TILE_SIZE,
+  latLonToWorld,
+  worldToLatLon,
+  constrainCenter,
+  getVisibleTiles,
+  getScreenPosition,
+} from '../../services/tileMath';
+import { MAX_TILE_ZOOM } from '../../services/rainviewerApi';
+import { colors, fontSize, spacing, borderRadius } from '../../utils/theme';
+
+export const MIN_ZOOM = 3;
+export const DEFAULT_ZOOM = 6;
+
+const BASE_TILE_URL = 'https://tile.openstreetmap.org';
+const PIN_SIZE = 16;
+
+const clampZoom = zoom => Math.min(Math.max(zoom, MIN_ZOOM), MAX_TILE_ZOOM);
+
+/**
+ * Slippy map of OpenStreetMap tiles with an optional overlay layer and a pin.
+ * Pan with one finger; pinch or use the buttons to change zoom. Zoom snaps to
+ * whole levels because overlay tiles only exist at integer zooms.
+ *
+ * @param {number} latitude - Pin and initial centre
+ * @param {number} longitude - Pin and initial centre
+ * @param {Function} getOverlayUrl - tile => URL of the overlay tile, or null
+ * @param {number} overlayOpacity - Overlay opacity
+ * @param {Function} onRegionChange - Called with { latitude, longitude, zoom,
+ *   width, height } whenever the map is laid out or settles after a pan or
+ *   zoom
+ */
+const RadarMap = ({
+  latitude,
+  longitude,
+  getOverlayUrl,
+  overlayOpacity = 0.7,
+  initialZoom = DEFAULT_ZOOM,
+  onRegionChange,
+}) => {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [zoom, setZoom] = useState(initialZoom);
+  const [center, setCenter] = useState({ latitude, longitude });
+  const [drag, setDrag] = useState({ x: 0, y: 0 });
+  const [pinchScale, setPinchScale] = useState(1);
+
+  const recenter = () => setCenter({ latitude, longitude });
+
+  // Follow the pin when the location itself changes
+  useEffect(() => {
+    setCenter({ latitude, longitude });
+  }, [latitude, longitude]);
+
+  useEffect(() => {
+    if (size.width === 0) return;
+    onRegionChange?.({
+      ...center,
+      zoom,
+      width: size.width,
+      height: size.height,
+    });
+  }, [center, zoom, size, onRegionChange]);
+
+  // The centre is kept as a coordinate so it survives zoom changes
+  const centerWorld = latLonToWorld(center.latitude, center.longitude, zoom);
+
+  const changeZoom = next => setZoom(clampZoom(next));
+
+  const pan = Gesture.Pan()
+    .runOnJS(true)
+    .onUpdate(event => {
+      setDrag({ x: event.translationX, y: event.translationY });
+    })
+    .onEnd(event => {
+      const moved = constrainCenter(
+        {
+          x: centerWorld.x - event.translationX,
+          y: centerWorld.y - event.translationY,
+        },
+        zoom,
+        size.height,
+      );
+      setCenter(worldToLatLon(moved.x, moved.y, zoom));
+      setDrag({ x: 0, y: 0 });
+    });
+
+  const pinch = Gesture.Pinch()
+    .runOnJS(true)
+    .onUpdate(event => {
+      setPinchScale(event.scale);
+    })
+    .onEnd(event => {
+      changeZoom(zoom + Math.round(Math.log2(event.scale)));
+      setPinchScale(1);
+    });
+
+  const viewCenter = constrainCenter(
+    { x: centerWorld.x - drag.x, y: centerWorld.y - drag.y },
+    zoom,
+    size.height,
+  );
+  const tiles =
+    size.width > 0
+      ? getVisibleTiles(viewCenter, zoom, size.width, size.height)
+      : [];
+  const pin =
+    size.width > 0
+      ? getScreenPosition(
+          latitude,
+          longitude,
+          viewCenter,
+          zoom,
+          size.width,
+          size.height,
+        )
+      : null;
+
+  return (
+    <View
+      style={styles.container}
+      onLayout={event => {
+        const { width, height } = event.nativeEvent.layout;
+        setSize({ width, height });
+      }}
+    >
+      <GestureDetector gesture={Gesture.Simultaneous(pan, pinch)}>
+        <View
+          style={[
+            StyleSheet.absoluteFill,
+            { transform: [{ scale: pinchScale }] },
+          ]}
+        >
+          {tiles.map(tile => {
+            const overlayUrl = getOverlayUrl?.(tile);
+            const position = { left: tile.left, top: tile.top };
+            return (
+              <React.Fragment key={tile.key}>
+                <Image
+                  source={{
+                    uri: `${BASE_TILE_URL}/${tile.z}/${tile.x}/${tile.y}.png`,
+                  }}
+                  style={[styles.tile, position]}
+                />
+                {!!overlayUrl && (
+                  <Image
+                    source={{ uri: overlayUrl }}
+                    style={[styles.tile, position, { opacity: overlayOpacity }]}
+                  />
+                )}
+              </React.Fragment>
+            );
+          })}
+
+          {pin && (
+            <View
+              style={[
+                styles.pin,
+                { left: pin.left - PIN_SIZE / 2, top: pin.top - PIN_SIZE / 2 },
+              ]}
+            />
+          )}
+        </View>
+      </GestureDetector>
+
+      <View style={styles.controls}>
+        <TouchableOpacity
+          style={styles.controlButton}
+          onPress={() => changeZoom(zoom + 1)}
+          disabled={zoom >= MAX_TILE_ZOOM}
+        >
+          <Text style={styles.controlText}>+</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.controlButton}
+          onPress={() => changeZoom(zoom - 1)}
+          disabled={zoom <= MIN_ZOOM}
+        >
+          <Text style={styles.controlText}>−</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.controlButton} onPress={recenter}>
+          <Text style={styles.controlText}>◎</Text>
+        </TouchableOpacity>
+      </View>
+
+      <Text style={styles.attribution}>
+        © OpenStreetMap contributors · RainViewer
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    overflow: 'hidden',
+    backgroundColor: colors.background.tertiary,
+  },
+  tile: {
+    position: 'absolute',
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+  },
+  pin: {
+    position: 'absolute',
+    width: PIN_SIZE,
+    height: PIN_SIZE,
+    borderRadius: PIN_SIZE / 2,
+    backgroundColor: colors.brand.primary,
+    borderWidth: 3,
+    borderColor: colors.text.primary,
+  },
+  controls: {
+    position: 'absolute',
+    top: spacing.sm,
+    right: spacing.sm,
+  },
+  controlButton: {
+    width: spacing.xl,
+    height: spacing.xl,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.background.secondary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginBottom: spacing.xs,
+  },
+  controlText: {
+    fontSize: fontSize.xl,
+    color: colors.text.primary,
+  },
+  attribution: {
+    position: 'absolute',
+    right: spacing.xs,
+    bottom: spacing.xs,
+    fontSize: fontSize.xs,
+    color: colors.text.muted,
+    backgroundColor: 'rgba(15, 23, 42, 0.6)',
+    paddingHorizontal: spacing.xs,
+  },
+});
+
+export default RadarMap;
@@ -0,0 +1,2 @@
+export { default as RadarMap } from './RadarMap';
+export { default as FrameScrubber } from './FrameScrubber';
@@ -0,0 +1,216 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import { useSupabase } from './SupabaseContext';
+import { useCurrentLocation, useForecast } from './WeatherContext';
+import { useUnits } from './UnitsContext';
+import {
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  resolveNotificationPreferences,
+  loadNotificationPreferences,
+  persistNotificationPreferences,
+  fetchRemoteNotificationPreferences,
+  syncRemoteNotificationPreferences,
+} from '../services/notificationPreferences';
+import {
+  notifyWeatherAlerts,
+  loadAlertEpisodes,
+  requestNotificationPermission,
+} from '../services/weatherNotifications';
+import {
+  startBackgroundAlerts,
+  stopBackgroundAlerts,
+} from '../services/backgroundAlerts';
+import {
+  fetchOfficialWarnings,
+  WARNINGS_REFRESH_MS,
+} from '../services/officialWarnings';
+import { isAbortError } from '../services/http';
+
+const NotificationsContext = createContext();
+
+/**
+ * Holds the user's notification preferences and notifies about alerts in the
+ * current location's forecast and official warnings whenever it is refreshed,
+ * and in the background while the app is closed. Preferences stored on the
+ * device win over the copy in Supabase, which seeds a new device. Also
+ * exposes the alert episodes found so far, for the alert center.
+ */
+export const NotificationsProvider = ({ children }) => {
+  const { currentUser } = useSupabase();
+  const { location } = useCurrentLocation();
+  const { weatherData } = useForecast();
+  const { units } = useUnits();
+  const [preferences, setPreferences] = useState(
+    DEFAULT_NOTIFICATION_PREFERENCES,
+  );
+  const [loaded, setLoaded] = useState(false);
+  const [episodes, setEpisodes] = useState([]);
+  const preferencesRef = useRef(DEFAULT_NOTIFICATION_PREFERENCES);
+
+  const userId = currentUser?.id;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      loadAlertEpisodes().then(stored => {
+        if (!cancelled) setEpisodes(stored);
+      });
+      const local = await loadNotificationPreferences();
+      const remote =
+        !local && userId
+          ? await fetchRemoteNotificationPreferences(userId)
+          : null;
+      if (cancelled) return;
+
+      const resolved = resolveNotificationPreferences(local ?? remote);
+      preferencesRef.current = resolved;
+      setPreferences(resolved);
+      setLoaded(true);
+
+      if (resolved.enabled) {
+        requestNotificationPermission();
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  // Background checks follow the master switch
+  const notificationsEnabled = preferences.enabled;
+  useEffect(() => {
+    if (!loaded) return;
+    if (notificationsEnabled) {
+      startBackgroundAlerts();
+    } else {
+      stopBackgroundAlerts();
+    }
+  }, [loaded, notificationsEnabled]);
+
+  // Runs again on refreshes and preference changes; already notified alerts
+  // are skipped by the service, so only new or newly opted-in ones show
+  const locationName = location?.name;
+  const latitude = location?.latitude;
+  const longitude = location?.longitude;
+  useEffect(() => {
+    if (!loaded || !weatherData || !locationName) return;
+    const controller = new AbortController();
+
+    // Official warnings are fetched alongside refreshes, at most every
+    // WARNINGS_REFRESH_MS per place; without them the derived alerts are
+    // still notified
+    fetchOfficialWarnings(
+      { latitude, longitude, name: locationName },
+      { maxAge: WARNINGS_REFRESH_MS, signal: controller.signal },
+    )
+      .catch(error => {
+        if (isAbortError(error)) throw error;
+        return [];
+      })
+      .then(warnings =>
+        notifyWeatherAlerts(weatherData, {
+          locationName,
+          units,
+          warnings,
+          preferences,
+        }),
+      )
+      .then(loadAlertEpisodes)
+      .then(stored => {
+        if (!controller.signal.aborted) setEpisodes(stored);
+      })
+      .catch(error => {
+        if (isAbortError(error)) return;
+        console.error('Error notifying weather alerts:', error);
+      });
+
+    return () => controller.abort();
+  }, [
+    loaded,
+    weatherData,
+    locationName,
+    latitude,
+    longitude,
+    units,
+    preferences,
+  ]);
+
+  const update = useCallback(
+    transform => {
+      const next = transform(preferencesRef.current);
+      preferencesRef.current = next;
+      setPreferences(next);
+      persistNotificationPreferences(next);
+      if (userId) {
+        syncRemoteNotificationPreferences(userId, next);
+      }
+    },
+    [userId],
+  );
+
+  const setEnabled = useCallback(
+    enabled => {
+      update(previous => ({ ...previous, enabled }));
+      if (enabled) {
+        requestNotificationPermission();
+      }
+    },
+    [update],
+  );
+
+  const setTypeEnabled = useCallback(
+    (type, enabled) =>
+      update(previous => ({
+        ...previous,
+        types: { ...previous.types, [type]: enabled },
+      })),
+    [update],
+  );
+
+  const setQuietHours = useCallback(
+    changes =>
+      update(previous => ({
+        ...previous,
+        quietHours: { ...previous.quietHours, ...changes },
+      })),
+    [update],
+  );
+
+  const value = useMemo(
+    () => ({
+      preferences,
+      episodes,
+      setEnabled,
+      setTypeEnabled,
+      setQuietHours,
+    }),
+    [preferences, episodes, setEnabled, setTypeEnabled, setQuietHours],
+  );
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      {children}
+    </NotificationsContext.Provider>
+  );
+};
+
+export const useNotifications = () => {
+  const context = useContext(NotificationsContext);
+  if (context === undefined) {
+    throw new Error(
+      'useNotifications must be used within a NotificationsProvider',
+    );
+  }
+  return context;
+};
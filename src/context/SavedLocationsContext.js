@@ -0,0 +1,132 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import { useSupabase } from './SupabaseContext';
+import {
+  addLocation,
+  removeLocation,
+  moveLocation,
+  resolveSavedLocations,
+  loadSavedLocations,
+  persistSavedLocations,
+  fetchRemoteSavedLocations,
+  syncRemoteSavedLocations,
+  hasPendingSync,
+} from '../services/savedLocations';
+
+const SavedLocationsContext = createContext();
+
+export const SavedLocationsProvider = ({ children }) => {
+  const { currentUser } = useSupabase();
+  const [savedLocations, setSavedLocations] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const savedLocationsRef = useRef([]);
+  // Syncs run one at a time so the last change is the one Supabase keeps
+  const syncQueueRef = useRef(Promise.resolve());
+
+  const userId = currentUser?.id;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      const local = await loadSavedLocations();
+      const pendingSync = userId ? await hasPendingSync(userId) : false;
+      const remote =
+        userId && !pendingSync ? await fetchRemoteSavedLocations(userId) : [];
+      if (cancelled) return;
+
+      const merged = resolveSavedLocations(local, remote, pendingSync);
+      savedLocationsRef.current = merged;
+      setSavedLocations(merged);
+      setLoaded(true);
+
+      if (merged.length !== local.length) {
+        await persistSavedLocations(merged);
+      }
+      if (pendingSync) {
+        // Retry the change that didn't reach Supabase last time
+        await syncRemoteSavedLocations(userId, local);
+      }
+    };
+
+    load().catch(error => {
+      console.error('Error loading saved locations:', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+
+  const update = useCallback(
+    transform => {
+      const previous = savedLocationsRef.current;
+      const next = transform(previous);
+      if (next === previous) return;
+
+      savedLocationsRef.current = next;
+      setSavedLocations(next);
+
+      syncQueueRef.current = syncQueueRef.current
+        .then(async () => {
+          await persistSavedLocations(next);
+          if (userId) {
+            await syncRemoteSavedLocations(userId, next);
+          }
+        })
+        .catch(error => {
+          console.error('Error syncing saved locations:', error);
+        });
+    },
+    [userId],
+  );
+
+  const add = useCallback(
+    location => update(previous => addLocation(previous, location)),
+    [update],
+  );
+
+  const remove = useCallback(
+    id => update(previous => removeLocation(previous, id)),
+    [update],
+  );
+
+  const move = useCallback(
+    (id, offset) => update(previous => moveLocation(previous, id, offset)),
+    [update],
+  );
+
+  const value = useMemo(
+    () => ({
+      savedLocations,
+      loaded,
+      addLocation: add,
+      removeLocation: remove,
+      moveLocation: move,
+    }),
+    [savedLocations, loaded, add, remove, move],
+  );
+
+  return (
+    <SavedLocationsContext.Provider value={value}>
+      {children}
+    </SavedLocationsContext.Provider>
+  );
+};
+
+export const useSavedLocations = () => {
+  const context = useContext(SavedLocationsContext);
+  if (context === undefined) {
+    throw new Error(
+      'useSavedLocations must be used within a SavedLocationsProvider',
+    );
+  }
+  return context;
+};
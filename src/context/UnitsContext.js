@@ -0,0 +1,117 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useSupabase } from './SupabaseContext';
+import { updateUserPreferences } from '../services/authHelpers';
+import {
+  DEFAULT_UNITS,
+  UNIT_PRESETS,
+  resolveUnits,
+  getPresetName,
+} from '../services/units';
+
+const UNITS_STORAGE_KEY = 'unitPreferences';
+
+const UnitsContext = createContext();
+
+/**
+ * Holds the user's unit preferences. They are stored locally and mirrored to
+ * `preferences.units` on the user's profile, which also seeds them on a new
+ * device. A preset name is stored when the units match one, otherwise the
+ * full per-dimension object.
+ */
+export const UnitsProvider = ({ children }) => {
+  const { currentUser, setCurrentUser } = useSupabase();
+  const [units, setUnits] = useState(DEFAULT_UNITS);
+
+  const profileUnits = currentUser?.preferences?.units;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const stored = await AsyncStorage.getItem(UNITS_STORAGE_KEY);
+        if (cancelled) return;
+        if (stored) {
+          setUnits(resolveUnits(JSON.parse(stored)));
+        } else if (profileUnits) {
+          setUnits(resolveUnits(profileUnits));
+        }
+      } catch (error) {
+        console.error('Error loading unit preferences:', error);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [profileUnits]);
+
+  const save = useCallback(
+    async next => {
+      setUnits(next);
+      const stored = getPresetName(next) ?? next;
+
+      try {
+        await AsyncStorage.setItem(UNITS_STORAGE_KEY, JSON.stringify(stored));
+      } catch (error) {
+        console.error('Error saving unit preferences:', error);
+      }
+
+      if (currentUser?.id) {
+        const { user, error } = await updateUserPreferences(
+          currentUser.id,
+          currentUser.preferences,
+          { units: stored },
+        );
+        if (error) {
+          console.error('Error syncing unit preferences:', error);
+        } else if (user) {
+          setCurrentUser(user);
+        }
+      }
+    },
+    [currentUser, setCurrentUser],
+  );
+
+  const setUnit = useCallback(
+    (dimension, unit) => save({ ...units, [dimension]: unit }),
+    [save, units],
+  );
+
+  const applyPreset = useCallback(
+    name => save(UNIT_PRESETS[name] ?? DEFAULT_UNITS),
+    [save],
+  );
+
+  const value = useMemo(
+    () => ({
+      units,
+      preset: getPresetName(units),
+      setUnit,
+      applyPreset,
+    }),
+    [units, setUnit, applyPreset],
+  );
+
+  return (
+    <UnitsContext.Provider value={value}>{children}</UnitsContext.Provider>
+  );
+};
+
+export const useUnits = () => {
+  const context = useContext(UnitsContext);
+  if (context === undefined) {
+    throw new Error('useUnits must be used within a UnitsProvider');
+  }
+  return context;
+};
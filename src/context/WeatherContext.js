@@ -0,0 +1,177 @@
+import React, {
+  createContext,
+  useContext,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from 'react';
+import { useLocation } from '../hooks/useLocation';
+import { useWeather } from '../hooks/useWeather';
+
+const WeatherContext = createContext();
+
+// Holds the latest provider state outside React so each consumer can
+// subscribe to its own slice; the context only carries the store, which
+// never changes, so a forecast update doesn't re-render location consumers
+function createWeatherStore(initialState) {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+    setState: next => {
+      if (next === state) return;
+      state = next;
+      listeners.forEach(listener => listener());
+    },
+    subscribe: listener => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
+
+const shallowEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => Object.is(a[key], b[key]))
+  );
+};
+
+/**
+ * Owns the single location fix and forecast for the app. Screens read from it
+ * through the selector hooks below instead of calling useLocation/useWeather
+ * themselves, so permission prompts and API calls happen once.
+ */
+export const WeatherProvider = ({ children }) => {
+  const {
+    location,
+    loading: locationLoading,
+    error: locationError,
+    permissionGranted,
+    permissionBlocked,
+    refreshLocation,
+    requestLocationPermission,
+    setManualLocation,
+  } = useLocation();
+
+  const {
+    weatherData,
+    loading: weatherLoading,
+    refreshing: weatherRefreshing,
+    error: weatherError,
+    lastUpdated,
+    lastUpdatedLabel,
+    isStale,
+    isOffline,
+    refreshWeather,
+  } = useWeather(location);
+
+  const value = useMemo(
+    () => ({
+      location,
+      locationLoading,
+      locationError,
+      permissionGranted,
+      permissionBlocked,
+      refreshLocation,
+      requestLocationPermission,
+      setManualLocation,
+      weatherData,
+      weatherLoading,
+      weatherRefreshing,
+      weatherError,
+      lastUpdated,
+      lastUpdatedLabel,
+      isStale,
+      isOffline,
+      refreshWeather,
+    }),
+    [
+      location,
+      locationLoading,
+      locationError,
+      permissionGranted,
+      permissionBlocked,
+      refreshLocation,
+      requestLocationPermission,
+      setManualLocation,
+      weatherData,
+      weatherLoading,
+      weatherRefreshing,
+      weatherError,
+      lastUpdated,
+      lastUpdatedLabel,
+      isStale,
+      isOffline,
+      refreshWeather,
+    ],
+  );
+
+  const [store] = useState(() => createWeatherStore(value));
+  useLayoutEffect(() => {
+    store.setState(value);
+  }, [store, value]);
+
+  return (
+    <WeatherContext.Provider value={store}>{children}</WeatherContext.Provider>
+  );
+};
+
+/**
+ * Read from the shared weather store. The caller re-renders only when the
+ * selected slice changes (compared shallowly), so selectors may return a
+ * new object each time.
+ * @param {Function} selector - Picks the slice of state the caller needs
+ * @returns {*} Selected state
+ */
+export const useWeatherStore = (selector = state => state) => {
+  const store = useContext(WeatherContext);
+  if (store === undefined) {
+    throw new Error('useWeatherStore must be used within a WeatherProvider');
+  }
+
+  // useSyncExternalStore needs a stable snapshot while nothing changed
+  const selectionRef = useRef();
+  const getSelection = () => {
+    const selection = selector(store.getState());
+    if (!shallowEqual(selectionRef.current, selection)) {
+      selectionRef.current = selection;
+    }
+    return selectionRef.current;
+  };
+
+  return useSyncExternalStore(store.subscribe, getSelection);
+};
+
+export const selectLocation = state => ({
+  location: state.location,
+  loading: state.locationLoading,
+  error: state.locationError,
+  permissionGranted: state.permissionGranted,
+  permissionBlocked: state.permissionBlocked,
+  refreshLocation: state.refreshLocation,
+  requestLocationPermission: state.requestLocationPermission,
+  setManualLocation: state.setManualLocation,
+});
+
+export const selectForecast = state => ({
+  weatherData: state.weatherData,
+  loading: state.weatherLoading,
+  refreshing: state.weatherRefreshing,
+  error: state.weatherError,
+  lastUpdated: state.lastUpdated,
+  lastUpdatedLabel: state.lastUpdatedLabel,
+  isStale: state.isStale,
+  isOffline: state.isOffline,
+  refreshWeather: state.refreshWeather,
+});
+
+export const useCurrentLocation = () => useWeatherStore(selectLocation);
+
+export const useForecast = () => useWeatherStore(selectForecast);
@@ -0,0 +1,253 @@
+// Bundled City List
+// Major cities used for offline reverse geocoding. Rows are
+// [name, region, country, countryCode, latitude, longitude].
+
+const CITY_ROWS = [
+  // Oceania
+  ['Melbourne', 'Victoria', 'Australia', 'AU', -37.8136, 144.9631],
+  ['Geelong', 'Victoria', 'Australia', 'AU', -38.1499, 144.3617],
+  ['Ballarat', 'Victoria', 'Australia', 'AU', -37.5622, 143.8503],
+  ['Bendigo', 'Victoria', 'Australia', 'AU', -36.757, 144.2794],
+  ['Sydney', 'New South Wales', 'Australia', 'AU', -33.8688, 151.2093],
+  ['Newcastle', 'New South Wales', 'Australia', 'AU', -32.9283, 151.7817],
+  ['Wollongong', 'New South Wales', 'Australia', 'AU', -34.4278, 150.8931],
+  [
+    'Canberra',
+    'Australian Capital Territory',
+    'Australia',
+    'AU',
+    -35.2809,
+    149.13,
+  ],
+  ['Brisbane', 'Queensland', 'Australia', 'AU', -27.4698, 153.0251],
+  ['Gold Coast', 'Queensland', 'Australia', 'AU', -28.0167, 153.4],
+  ['Cairns', 'Queensland', 'Australia', 'AU', -16.9186, 145.7781],
+  ['Townsville', 'Queensland', 'Australia', 'AU', -19.259, 146.8169],
+  ['Adelaide', 'South Australia', 'Australia', 'AU', -34.9285, 138.6007],
+  ['Perth', 'Western Australia', 'Australia', 'AU', -31.9505, 115.8605],
+  ['Hobart', 'Tasmania', 'Australia', 'AU', -42.8821, 147.3272],
+  ['Launceston', 'Tasmania', 'Australia', 'AU', -41.4332, 147.1441],
+  ['Darwin', 'Northern Territory', 'Australia', 'AU', -12.4634, 130.8456],
+  ['Alice Springs', 'Northern Territory', 'Australia', 'AU', -23.698, 133.8807],
+  ['Auckland', 'Auckland', 'New Zealand', 'NZ', -36.8485, 174.7633],
+  ['Wellington', 'Wellington', 'New Zealand', 'NZ', -41.2866, 174.7756],
+  ['Christchurch', 'Canterbury', 'New Zealand', 'NZ', -43.5321, 172.6362],
+  ['Suva', 'Central', 'Fiji', 'FJ', -18.1248, 178.4501],
+  [
+    'Port Moresby',
+    'National Capital District',
+    'Papua New Guinea',
+    'PG',
+    -9.4438,
+    147.1803,
+  ],
+
+  // Asia
+  ['Singapore', 'Singapore', 'Singapore', 'SG', 1.3521, 103.8198],
+  ['Kuala Lumpur', 'Kuala Lumpur', 'Malaysia', 'MY', 3.139, 101.6869],
+  ['Jakarta', 'Jakarta', 'Indonesia', 'ID', -6.2088, 106.8456],
+  ['Denpasar', 'Bali', 'Indonesia', 'ID', -8.6705, 115.2126],
+  ['Bangkok', 'Bangkok', 'Thailand', 'TH', 13.7563, 100.5018],
+  ['Ho Chi Minh City', 'Ho Chi Minh City', 'Vietnam', 'VN', 10.8231, 106.6297],
+  ['Hanoi', 'Hanoi', 'Vietnam', 'VN', 21.0278, 105.8342],
+  ['Manila', 'Metro Manila', 'Philippines', 'PH', 14.5995, 120.9842],
+  ['Hong Kong', 'Hong Kong', 'China', 'HK', 22.3193, 114.1694],
+  ['Taipei', 'Taipei', 'Taiwan', 'TW', 25.033, 121.5654],
+  ['Shanghai', 'Shanghai', 'China', 'CN', 31.2304, 121.4737],
+  ['Beijing', 'Beijing', 'China', 'CN', 39.9042, 116.4074],
+  ['Guangzhou', 'Guangdong', 'China', 'CN', 23.1291, 113.2644],
+  ['Shenzhen', 'Guangdong', 'China', 'CN', 22.5431, 114.0579],
+  ['Chengdu', 'Sichuan', 'China', 'CN', 30.5728, 104.0668],
+  ['Seoul', 'Seoul', 'South Korea', 'KR', 37.5665, 126.978],
+  ['Busan', 'Busan', 'South Korea', 'KR', 35.1796, 129.0756],
+  ['Tokyo', 'Tokyo', 'Japan', 'JP', 35.6762, 139.6503],
+  ['Osaka', 'Osaka', 'Japan', 'JP', 34.6937, 135.5023],
+  ['Sapporo', 'Hokkaido', 'Japan', 'JP', 43.0618, 141.3545],
+  ['Fukuoka', 'Fukuoka', 'Japan', 'JP', 33.5904, 130.4017],
+  ['Mumbai', 'Maharashtra', 'India', 'IN', 19.076, 72.8777],
+  ['Delhi', 'Delhi', 'India', 'IN', 28.7041, 77.1025],
+  ['Bengaluru', 'Karnataka', 'India', 'IN', 12.9716, 77.5946],
+  ['Chennai', 'Tamil Nadu', 'India', 'IN', 13.0827, 80.2707],
+  ['Kolkata', 'West Bengal', 'India', 'IN', 22.5726, 88.3639],
+  ['Hyderabad', 'Telangana', 'India', 'IN', 17.385, 78.4867],
+  ['Colombo', 'Western Province', 'Sri Lanka', 'LK', 6.9271, 79.8612],
+  ['Dhaka', 'Dhaka', 'Bangladesh', 'BD', 23.8103, 90.4125],
+  ['Kathmandu', 'Bagmati', 'Nepal', 'NP', 27.7172, 85.324],
+  ['Karachi', 'Sindh', 'Pakistan', 'PK', 24.8607, 67.0011],
+  ['Lahore', 'Punjab', 'Pakistan', 'PK', 31.5204, 74.3587],
+  ['Dubai', 'Dubai', 'United Arab Emirates', 'AE', 25.2048, 55.2708],
+  ['Abu Dhabi', 'Abu Dhabi', 'United Arab Emirates', 'AE', 24.4539, 54.3773],
+  ['Doha', 'Doha', 'Qatar', 'QA', 25.2854, 51.531],
+  ['Riyadh', 'Riyadh', 'Saudi Arabia', 'SA', 24.7136, 46.6753],
+  ['Tehran', 'Tehran', 'Iran', 'IR', 35.6892, 51.389],
+  ['Tel Aviv', 'Tel Aviv', 'Israel', 'IL', 32.0853, 34.7818],
+  ['Istanbul', 'Istanbul', 'Turkey', 'TR', 41.0082, 28.9784],
+  ['Ankara', 'Ankara', 'Turkey', 'TR', 39.9334, 32.8597],
+  ['Almaty', 'Almaty', 'Kazakhstan', 'KZ', 43.222, 76.8512],
+  ['Tashkent', 'Tashkent', 'Uzbekistan', 'UZ', 41.2995, 69.2401],
+
+  // Europe
+  ['London', 'England', 'United Kingdom', 'GB', 51.5074, -0.1278],
+  ['Manchester', 'England', 'United Kingdom', 'GB', 53.4808, -2.2426],
+  ['Birmingham', 'England', 'United Kingdom', 'GB', 52.4862, -1.8904],
+  ['Edinburgh', 'Scotland', 'United Kingdom', 'GB', 55.9533, -3.1883],
+  ['Glasgow', 'Scotland', 'United Kingdom', 'GB', 55.8642, -4.2518],
+  ['Cardiff', 'Wales', 'United Kingdom', 'GB', 51.4816, -3.1791],
+  ['Belfast', 'Northern Ireland', 'United Kingdom', 'GB', 54.5973, -5.9301],
+  ['Dublin', 'Leinster', 'Ireland', 'IE', 53.3498, -6.2603],
+  ['Paris', 'Île-de-France', 'France', 'FR', 48.8566, 2.3522],
+  ['Lyon', 'Auvergne-Rhône-Alpes', 'France', 'FR', 45.764, 4.8357],
+  ['Marseille', "Provence-Alpes-Côte d'Azur", 'France', 'FR', 43.2965, 5.3698],
+  ['Bordeaux', 'Nouvelle-Aquitaine', 'France', 'FR', 44.8378, -0.5792],
+  ['Brussels', 'Brussels', 'Belgium', 'BE', 50.8503, 4.3517],
+  ['Amsterdam', 'North Holland', 'Netherlands', 'NL', 52.3676, 4.9041],
+  ['Rotterdam', 'South Holland', 'Netherlands', 'NL', 51.9244, 4.4777],
+  ['Luxembourg', 'Luxembourg', 'Luxembourg', 'LU', 49.6116, 6.1319],
+  ['Berlin', 'Berlin', 'Germany', 'DE', 52.52, 13.405],
+  ['Hamburg', 'Hamburg', 'Germany', 'DE', 53.5511, 9.9937],
+  ['Munich', 'Bavaria', 'Germany', 'DE', 48.1351, 11.582],
+  ['Frankfurt', 'Hesse', 'Germany', 'DE', 50.1109, 8.6821],
+  ['Cologne', 'North Rhine-Westphalia', 'Germany', 'DE', 50.9375, 6.9603],
+  ['Zurich', 'Zurich', 'Switzerland', 'CH', 47.3769, 8.5417],
+  ['Geneva', 'Geneva', 'Switzerland', 'CH', 46.2044, 6.1432],
+  ['Vienna', 'Vienna', 'Austria', 'AT', 48.2082, 16.3738],
+  ['Prague', 'Prague', 'Czechia', 'CZ', 50.0755, 14.4378],
+  ['Warsaw', 'Masovia', 'Poland', 'PL', 52.2297, 21.0122],
+  ['Krakow', 'Lesser Poland', 'Poland', 'PL', 50.0647, 19.945],
+  ['Budapest', 'Budapest', 'Hungary', 'HU', 47.4979, 19.0402],
+  ['Copenhagen', 'Capital Region', 'Denmark', 'DK', 55.6761, 12.5683],
+  ['Oslo', 'Oslo', 'Norway', 'NO', 59.9139, 10.7522],
+  ['Bergen', 'Vestland', 'Norway', 'NO', 60.3913, 5.3221],
+  ['Stockholm', 'Stockholm', 'Sweden', 'SE', 59.3293, 18.0686],
+  ['Gothenburg', 'Västra Götaland', 'Sweden', 'SE', 57.7089, 11.9746],
+  ['Helsinki', 'Uusimaa', 'Finland', 'FI', 60.1699, 24.9384],
+  ['Reykjavik', 'Capital Region', 'Iceland', 'IS', 64.1466, -21.9426],
+  ['Tallinn', 'Harju', 'Estonia', 'EE', 59.437, 24.7536],
+  ['Riga', 'Riga', 'Latvia', 'LV', 56.9496, 24.1052],
+  ['Vilnius', 'Vilnius', 'Lithuania', 'LT', 54.6872, 25.2797],
+  ['Madrid', 'Community of Madrid', 'Spain', 'ES', 40.4168, -3.7038],
+  ['Barcelona', 'Catalonia', 'Spain', 'ES', 41.3851, 2.1734],
+  ['Valencia', 'Valencian Community', 'Spain', 'ES', 39.4699, -0.3763],
+  ['Seville', 'Andalusia', 'Spain', 'ES', 37.3891, -5.9845],
+  ['Lisbon', 'Lisbon', 'Portugal', 'PT', 38.7223, -9.1393],
+  ['Porto', 'Porto', 'Portugal', 'PT', 41.1579, -8.6291],
+  ['Rome', 'Lazio', 'Italy', 'IT', 41.9028, 12.4964],
+  ['Milan', 'Lombardy', 'Italy', 'IT', 45.4642, 9.19],
+  ['Naples', 'Campania', 'Italy', 'IT', 40.8518, 14.2681],
+  ['Venice', 'Veneto', 'Italy', 'IT', 45.4408, 12.3155],
+  ['Athens', 'Attica', 'Greece', 'GR', 37.9838, 23.7275],
+  ['Bucharest', 'Bucharest', 'Romania', 'RO', 44.4268, 26.1025],
+  ['Sofia', 'Sofia City', 'Bulgaria', 'BG', 42.6977, 23.3219],
+  ['Belgrade', 'Belgrade', 'Serbia', 'RS', 44.7866, 20.4489],
+  ['Zagreb', 'Zagreb', 'Croatia', 'HR', 45.815, 15.9819],
+  ['Kyiv', 'Kyiv', 'Ukraine', 'UA', 50.4501, 30.5234],
+  ['Moscow', 'Moscow', 'Russia', 'RU', 55.7558, 37.6173],
+  ['Saint Petersburg', 'Saint Petersburg', 'Russia', 'RU', 59.9311, 30.3609],
+
+  // Africa
+  ['Cairo', 'Cairo', 'Egypt', 'EG', 30.0444, 31.2357],
+  ['Casablanca', 'Casablanca-Settat', 'Morocco', 'MA', 33.5731, -7.5898],
+  ['Tunis', 'Tunis', 'Tunisia', 'TN', 36.8065, 10.1815],
+  ['Algiers', 'Algiers', 'Algeria', 'DZ', 36.7538, 3.0588],
+  ['Lagos', 'Lagos', 'Nigeria', 'NG', 6.5244, 3.3792],
+  ['Abuja', 'Federal Capital Territory', 'Nigeria', 'NG', 9.0765, 7.3986],
+  ['Accra', 'Greater Accra', 'Ghana', 'GH', 5.6037, -0.187],
+  ['Dakar', 'Dakar', 'Senegal', 'SN', 14.7167, -17.4677],
+  ['Addis Ababa', 'Addis Ababa', 'Ethiopia', 'ET', 8.9806, 38.7578],
+  ['Nairobi', 'Nairobi', 'Kenya', 'KE', -1.2921, 36.8219],
+  ['Dar es Salaam', 'Dar es Salaam', 'Tanzania', 'TZ', -6.7924, 39.2083],
+  ['Kinshasa', 'Kinshasa', 'DR Congo', 'CD', -4.4419, 15.2663],
+  ['Luanda', 'Luanda', 'Angola', 'AO', -8.839, 13.2894],
+  ['Johannesburg', 'Gauteng', 'South Africa', 'ZA', -26.2041, 28.0473],
+  ['Cape Town', 'Western Cape', 'South Africa', 'ZA', -33.9249, 18.4241],
+  ['Durban', 'KwaZulu-Natal', 'South Africa', 'ZA', -29.8587, 31.0218],
+  ['Antananarivo', 'Analamanga', 'Madagascar', 'MG', -18.8792, 47.5079],
+
+  // North America
+  ['New York', 'New York', 'United States', 'US', 40.7128, -74.006],
+  ['Boston', 'Massachusetts', 'United States', 'US', 42.3601, -71.0589],
+  ['Philadelphia', 'Pennsylvania', 'United States', 'US', 39.9526, -75.1652],
+  [
+    'Washington',
+    'District of Columbia',
+    'United States',
+    'US',
+    38.9072,
+    -77.0369,
+  ],
+  ['Atlanta', 'Georgia', 'United States', 'US', 33.749, -84.388],
+  ['Miami', 'Florida', 'United States', 'US', 25.7617, -80.1918],
+  ['Orlando', 'Florida', 'United States', 'US', 28.5383, -81.3792],
+  ['Chicago', 'Illinois', 'United States', 'US', 41.8781, -87.6298],
+  ['Detroit', 'Michigan', 'United States', 'US', 42.3314, -83.0458],
+  ['Minneapolis', 'Minnesota', 'United States', 'US', 44.9778, -93.265],
+  ['St. Louis', 'Missouri', 'United States', 'US', 38.627, -90.1994],
+  ['New Orleans', 'Louisiana', 'United States', 'US', 29.9511, -90.0715],
+  ['Houston', 'Texas', 'United States', 'US', 29.7604, -95.3698],
+  ['Dallas', 'Texas', 'United States', 'US', 32.7767, -96.797],
+  ['Austin', 'Texas', 'United States', 'US', 30.2672, -97.7431],
+  ['Oklahoma City', 'Oklahoma', 'United States', 'US', 35.4676, -97.5164],
+  ['Denver', 'Colorado', 'United States', 'US', 39.7392, -104.9903],
+  ['Phoenix', 'Arizona', 'United States', 'US', 33.4484, -112.074],
+  ['Salt Lake City', 'Utah', 'United States', 'US', 40.7608, -111.891],
+  ['Las Vegas', 'Nevada', 'United States', 'US', 36.1699, -115.1398],
+  ['Los Angeles', 'California', 'United States', 'US', 34.0522, -118.2437],
+  ['San Diego', 'California', 'United States', 'US', 32.7157, -117.1611],
+  ['San Francisco', 'California', 'United States', 'US', 37.7749, -122.4194],
+  ['Sacramento', 'California', 'United States', 'US', 38.5816, -121.4944],
+  ['Portland', 'Oregon', 'United States', 'US', 45.5152, -122.6784],
+  ['Seattle', 'Washington', 'United States', 'US', 47.6062, -122.3321],
+  ['Anchorage', 'Alaska', 'United States', 'US', 61.2181, -149.9003],
+  ['Honolulu', 'Hawaii', 'United States', 'US', 21.3069, -157.8583],
+  ['Toronto', 'Ontario', 'Canada', 'CA', 43.6532, -79.3832],
+  ['Ottawa', 'Ontario', 'Canada', 'CA', 45.4215, -75.6972],
+  ['Montreal', 'Quebec', 'Canada', 'CA', 45.5017, -73.5673],
+  ['Quebec City', 'Quebec', 'Canada', 'CA', 46.8139, -71.208],
+  ['Halifax', 'Nova Scotia', 'Canada', 'CA', 44.6488, -63.5752],
+  ['Winnipeg', 'Manitoba', 'Canada', 'CA', 49.8951, -97.1384],
+  ['Calgary', 'Alberta', 'Canada', 'CA', 51.0447, -114.0719],
+  ['Edmonton', 'Alberta', 'Canada', 'CA', 53.5461, -113.4938],
+  ['Vancouver', 'British Columbia', 'Canada', 'CA', 49.2827, -123.1207],
+  ['Mexico City', 'Mexico City', 'Mexico', 'MX', 19.4326, -99.1332],
+  ['Guadalajara', 'Jalisco', 'Mexico', 'MX', 20.6597, -103.3496],
+  ['Monterrey', 'Nuevo León', 'Mexico', 'MX', 25.6866, -100.3161],
+  ['Cancún', 'Quintana Roo', 'Mexico', 'MX', 21.1619, -86.8515],
+  ['Guatemala City', 'Guatemala', 'Guatemala', 'GT', 14.6349, -90.5069],
+  ['San José', 'San José', 'Costa Rica', 'CR', 9.9281, -84.0907],
+  ['Panama City', 'Panamá', 'Panama', 'PA', 8.9824, -79.5199],
+  ['Havana', 'Havana', 'Cuba', 'CU', 23.1136, -82.3666],
+  ['Kingston', 'Kingston', 'Jamaica', 'JM', 17.9714, -76.7931],
+  ['San Juan', 'San Juan', 'Puerto Rico', 'PR', 18.4655, -66.1057],
+
+  // South America
+  ['Bogotá', 'Bogotá', 'Colombia', 'CO', 4.711, -74.0721],
+  ['Medellín', 'Antioquia', 'Colombia', 'CO', 6.2442, -75.5812],
+  ['Caracas', 'Capital District', 'Venezuela', 'VE', 10.4806, -66.9036],
+  ['Quito', 'Pichincha', 'Ecuador', 'EC', -0.1807, -78.4678],
+  ['Lima', 'Lima', 'Peru', 'PE', -12.0464, -77.0428],
+  ['La Paz', 'La Paz', 'Bolivia', 'BO', -16.4897, -68.1193],
+  ['Santiago', 'Santiago Metropolitan', 'Chile', 'CL', -33.4489, -70.6693],
+  ['Buenos Aires', 'Buenos Aires', 'Argentina', 'AR', -34.6037, -58.3816],
+  ['Córdoba', 'Córdoba', 'Argentina', 'AR', -31.4201, -64.1888],
+  ['Montevideo', 'Montevideo', 'Uruguay', 'UY', -34.9011, -56.1645],
+  ['Asunción', 'Asunción', 'Paraguay', 'PY', -25.2637, -57.5759],
+  ['São Paulo', 'São Paulo', 'Brazil', 'BR', -23.5505, -46.6333],
+  ['Rio de Janeiro', 'Rio de Janeiro', 'Brazil', 'BR', -22.9068, -43.1729],
+  ['Brasília', 'Federal District', 'Brazil', 'BR', -15.8267, -47.9218],
+  ['Salvador', 'Bahia', 'Brazil', 'BR', -12.9777, -38.5016],
+  ['Manaus', 'Amazonas', 'Brazil', 'BR', -3.119, -60.0217],
+  ['Porto Alegre', 'Rio Grande do Sul', 'Brazil', 'BR', -30.0346, -51.2177],
+];
+
+export const CITIES = CITY_ROWS.map(
+  ([name, region, country, countryCode, latitude, longitude]) => ({
+    name,
+    region,
+    country,
+    countryCode,
+    latitude,
+    longitude,
+  }),
+);
+
+export default CITIES;
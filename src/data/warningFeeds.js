@@ -0,0 +1,41 @@
+// Official Warning Feeds
+// CAP 1.2 sources for government weather warnings. A feed is only fetched
+// for locations inside its bounds, [south, west, north, east] in degrees.
+// `{latitude}` and `{longitude}` in a feed's URL are filled in with the
+// location, for services that can be queried by point instead of listing
+// every warning they have.
+// Add a source by appending an entry. Optional fields: `headers` sent with
+// each request, `language` of the CAP info to prefer (default 'en'), and
+// `resolveLinks` to fetch the linked CAP document for entries that only name
+// their area, in case it has a polygon.
+
+export const WARNING_FEEDS = [
+  {
+    id: 'nws',
+    name: 'US National Weather Service',
+    // The full active list covers the whole US and runs to several MB
+    url: 'https://api.weather.gov/alerts/active?point={latitude},{longitude}',
+    bounds: [17.5, -180, 72, -64],
+    // api.weather.gov rejects requests without a User-Agent
+    headers: {
+      Accept: 'application/atom+xml',
+      'User-Agent': 'AetherWeatherMobile',
+    },
+  },
+  {
+    id: 'meteoalarm-de',
+    name: 'MeteoAlarm (Deutscher Wetterdienst)',
+    url: 'https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-germany',
+    bounds: [47.2, 5.8, 55.1, 15.1],
+    resolveLinks: true,
+  },
+  {
+    id: 'meteoalarm-uk',
+    name: 'MeteoAlarm (Met Office)',
+    url: 'https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-united-kingdom',
+    bounds: [49.8, -8.7, 60.9, 1.8],
+    resolveLinks: true,
+  },
+];
+
+export default WARNING_FEEDS;
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { useSupabase } from '../context/SupabaseContext';
+import {
+  getAcknowledgmentAdapter,
+  loadAcknowledgments,
+  acknowledgeAlert,
+  unacknowledgeAlert,
+} from '../services/alertAcknowledgment';
+
+/**
+ * The current user's alert acknowledgments
+ * @returns {Object} { acknowledgments, loading, acknowledge, unacknowledge }
+ */
+export const useAlertAcknowledgments = () => {
+  const { currentUser } = useSupabase();
+  const [acknowledgments, setAcknowledgments] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const userId = currentUser?.id;
+  const adapter = useMemo(() => getAcknowledgmentAdapter(userId), [userId]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const loaded = await loadAcknowledgments(adapter);
+      if (cancelled) return;
+      setAcknowledgments(loaded);
+      setLoading(false);
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [adapter]);
+
+  const acknowledge = useCallback(
+    async alert => setAcknowledgments(await acknowledgeAlert(adapter, alert)),
+    [adapter],
+  );
+
+  const unacknowledge = useCallback(
+    async alertId =>
+      setAcknowledgments(await unacknowledgeAlert(adapter, alertId)),
+    [adapter],
+  );
+
+  return { acknowledgments, loading, acknowledge, unacknowledge };
+};
+
+export default useAlertAcknowledgments;
@@ -0,0 +1,22 @@
+import { useForecast } from '../context/WeatherContext';
+import { useWeather } from './useWeather';
+
+/**
+ * Forecast for a screen reached with an optional location route param.
+ * Saved cities pass their location and fetch their own forecast; otherwise
+ * the shared forecast for the current location is used.
+ *
+ * @param {Object} route - Navigation route of the screen
+ * @returns {Object} Forecast state as returned by useForecast, plus
+ *   savedLocation (null when showing the current location)
+ */
+export const useForecastFor = route => {
+  const savedLocation = route?.params?.location ?? null;
+  const shared = useForecast();
+  // Idle without a location, so only the branch in use fetches
+  const saved = useWeather(savedLocation);
+
+  return { ...(savedLocation ? saved : shared), savedLocation };
+};
+
+export default useForecastFor;
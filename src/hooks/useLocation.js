@@ -1,13 +1,26 @@
 import { useState, useEffect } from 'react';
-import { Platform, PermissionsAndroid, Alert } from 'react-native';
+import { Platform, PermissionsAndroid } from 'react-native';
 import Geolocation from '@react-native-community/geolocation';
 import { check, request, PERMISSIONS, RESULTS } from 'react-native-permissions';
+import {
+  loadManualLocation,
+  saveManualLocation,
+  clearManualLocation,
+  saveLastKnownLocation,
+} from '../services/locationStorage';
+import { reverseGeocode, formatPlaceName } from '../services/reverseGeocoding';
 
+/**
+ * Device location with a manual fallback. When permission is denied or GPS
+ * fails, a previously chosen manual location is restored; otherwise `location`
+ * stays null and the UI is expected to call `setManualLocation`.
+ */
 export const useLocation = () => {
   const [location, setLocation] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [permissionGranted, setPermissionGranted] = useState(false);
+  const [permissionBlocked, setPermissionBlocked] = useState(false);
 
   useEffect(() => {
     requestLocationPermission();
@@ -30,17 +43,15 @@ export const useLocation = () => {
         if (granted === PermissionsAndroid.RESULTS.GRANTED) {
           console.log('Location permission granted');
           setPermissionGranted(true);
+          setPermissionBlocked(false);
           getCurrentLocation();
         } else {
           console.log('Location permission denied');
           setPermissionGranted(false);
-          setLoading(false);
-          setError('Location permission denied');
-          Alert.alert(
-            'Permission Required',
-            'Location access is required to show weather data for your area. Please enable it in settings.',
-            [{ text: 'OK' }]
+          setPermissionBlocked(
+            granted === PermissionsAndroid.RESULTS.NEVER_ASK_AGAIN
           );
+          applyFallbackLocation('Location permission denied');
         }
       } else if (Platform.OS === 'ios') {
         const permission = PERMISSIONS.IOS.LOCATION_WHEN_IN_USE;
@@ -48,58 +59,63 @@ export const useLocation = () => {
 
         if (result === RESULTS.GRANTED) {
           setPermissionGranted(true);
+          setPermissionBlocked(false);
           getCurrentLocation();
         } else if (result === RESULTS.DENIED) {
           const requestResult = await request(permission);
           if (requestResult === RESULTS.GRANTED) {
             setPermissionGranted(true);
+            setPermissionBlocked(false);
             getCurrentLocation();
           } else {
             setPermissionGranted(false);
-            setLoading(false);
-            setError('Location permission denied');
-            Alert.alert(
-              'Permission Required',
-              'Location access is required to show weather data for your area.',
-              [{ text: 'OK' }]
-            );
+            setPermissionBlocked(requestResult === RESULTS.BLOCKED);
+            applyFallbackLocation('Location permission denied');
           }
         } else {
           setPermissionGranted(false);
-          setLoading(false);
-          setError('Location permission blocked');
+          setPermissionBlocked(true);
+          applyFallbackLocation('Location permission blocked');
         }
       }
     } catch (err) {
       console.error('Error requesting location permission:', err);
-      setError(err.message);
-      setLoading(false);
+      applyFallbackLocation(err.message);
     }
   };
 
+  // Restore the user's manual choice, if any, so a denied permission does not
+  // send them back through the fallback screen on every launch
+  const applyFallbackLocation = async (message) => {
+    setError(message);
+    const manual = await loadManualLocation();
+    if (manual) {
+      setLocation(manual);
+    }
+    setLoading(false);
+  };
+
   const getCurrentLocation = () => {
     Geolocation.getCurrentPosition(
       (position) => {
         const { latitude, longitude } = position.coords;
         console.log('Current location:', latitude, longitude);
         
-        setLocation({
+        const fix = {
           latitude,
           longitude,
           name: 'Current Location',
-        });
+          source: 'gps',
+        };
+        setLocation(fix);
         setLoading(false);
         setError(null);
+        clearManualLocation();
+        nameLocation(fix);
       },
       (err) => {
         console.error('Error getting location:', err);
-        setError(err.message);
-        setLoading(false);
-        Alert.alert(
-          'Location Error',
-          'Unable to get your current location. Please check your GPS settings.',
-          [{ text: 'OK' }]
-        );
+        applyFallbackLocation(err.message);
       },
       {
         enableHighAccuracy: true,
@@ -109,19 +125,65 @@ export const useLocation = () => {
     );
   };
 
+  // Replace the placeholder name once the fix has been reverse geocoded
+  const nameLocation = async (fix) => {
+    let named = fix;
+    try {
+      const place = await reverseGeocode(fix.latitude, fix.longitude);
+      if (place) {
+        named = {
+          ...fix,
+          name: formatPlaceName(place),
+          region: place.region,
+          country: place.country,
+        };
+        setLocation((current) =>
+          current &&
+          current.latitude === fix.latitude &&
+          current.longitude === fix.longitude
+            ? named
+            : current
+        );
+      }
+    } catch (err) {
+      console.error('Error naming location:', err);
+    }
+    saveLastKnownLocation(named);
+  };
+
   const refreshLocation = () => {
     setLoading(true);
     setError(null);
     getCurrentLocation();
   };
 
+  /**
+   * Use a location chosen by the user instead of GPS. It is remembered and
+   * restored on later launches until a GPS fix succeeds.
+   * @param {Object} manual - { latitude, longitude, name }
+   * @param {string} source - Where it came from ('search', 'profile', 'lastKnown')
+   */
+  const setManualLocation = (manual, source = 'search') => {
+    const chosen = {
+      latitude: manual.latitude,
+      longitude: manual.longitude,
+      name: manual.name,
+      source,
+    };
+    setLocation(chosen);
+    setLoading(false);
+    saveManualLocation(chosen);
+  };
+
   return {
     location,
     loading,
     error,
     permissionGranted,
+    permissionBlocked,
     refreshLocation,
     requestLocationPermission,
+    setManualLocation,
   };
 };
 
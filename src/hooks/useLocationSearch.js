@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { searchLocation } from '../services/weatherApi';
+import { isAbortError } from '../services/http';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+
+/**
+ * Search-as-you-type over the Open-Meteo geocoding API. Requests are debounced
+ * and the previous request is cancelled whenever the query changes.
+ */
+export const useLocationSearch = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setSearching(false);
+      setError(null);
+      return;
+    }
+
+    const controller = new AbortController();
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const found = await searchLocation(trimmed, {
+          signal: controller.signal,
+        });
+        setResults(found);
+        setError(null);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setResults([]);
+        // searchLocation throws when nothing matches; that is not an error here
+        setError(err.message === 'Location not found' ? null : err);
+      } finally {
+        if (!controller.signal.aborted) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  const clear = () => setQuery('');
+
+  return {
+    query,
+    setQuery,
+    results,
+    searching,
+    error,
+    clear,
+  };
+};
+
+export default useLocationSearch;
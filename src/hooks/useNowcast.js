@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import { fetchNowcast } from '../services/nowcast';
+import { isAbortError } from '../services/http';
+import { COLOR_SCHEMES } from '../services/rainviewerApi';
+
+// Matches RainViewer's frame cadence
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Two-hour precipitation nowcast for a location, refreshed while mounted
+ * @param {Object|null} location - { latitude, longitude }
+ * @param {number} colorScheme - Radar color scheme to decode
+ * @returns {Object} { nowcast, loading, error }
+ */
+export const useNowcast = (location, colorScheme = COLOR_SCHEMES.TITAN) => {
+  const [nowcast, setNowcast] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Radar pixels are ~600 m, so two decimals is plenty
+  const latitude =
+    location?.latitude != null ? Number(location.latitude.toFixed(2)) : null;
+  const longitude =
+    location?.longitude != null ? Number(location.longitude.toFixed(2)) : null;
+
+  useEffect(() => {
+    if (latitude == null || longitude == null) return;
+    const controller = new AbortController();
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const result = await fetchNowcast(
+          { latitude, longitude },
+          { colorScheme, signal: controller.signal },
+        );
+        setNowcast(result);
+        setError(null);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error building nowcast:', err);
+        setError(err);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    setNowcast(null);
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [latitude, longitude, colorScheme]);
+
+  return { nowcast, loading, error };
+};
+
+export default useNowcast;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  fetchWeatherMaps,
+  getRadarTimeline,
+  getSatelliteFrames,
+} from '../services/rainviewerApi';
+import { isAbortError } from '../services/http';
+import { initTileCache, evictExpiredFrames } from '../services/tileCache';
+
+// RainViewer publishes a new radar frame every 10 minutes
+const REFRESH_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Radar and satellite frame lists from RainViewer, refreshed while mounted.
+ * Each refresh also drops cached tiles of frames that are no longer listed.
+ */
+export const useRadarFrames = () => {
+  const [host, setHost] = useState(null);
+  const [radarFrames, setRadarFrames] = useState([]);
+  const [satelliteFrames, setSatelliteFrames] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const load = async () => {
+      try {
+        const [maps] = await Promise.all([
+          fetchWeatherMaps({ signal: controller.signal }),
+          // The map still works uncached if the disk cache can't be opened
+          initTileCache().catch(err =>
+            console.error('Error opening radar tile cache:', err),
+          ),
+        ]);
+        const radar = getRadarTimeline(maps);
+        const satellite = getSatelliteFrames(maps);
+        setHost(maps.host);
+        setRadarFrames(radar);
+        setSatelliteFrames(satellite);
+        setError(null);
+
+        // Cached tiles of frames that have rotated out are never shown again
+        evictExpiredFrames(
+          [...radar, ...satellite].map(frame => frame.time),
+        ).catch(err => console.error('Error evicting radar tiles:', err));
+      } catch (err) {
+        if (isAbortError(err)) return;
+        setError(err);
+      } finally {
+        if (!controller.signal.aborted) {
+          setLoading(false);
+        }
+      }
+    };
+
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      controller.abort();
+    };
+  }, [reloadKey]);
+
+  const reload = useCallback(() => {
+    setLoading(true);
+    setReloadKey(key => key + 1);
+  }, []);
+
+  return { host, radarFrames, satelliteFrames, loading, error, reload };
+};
+
+export default useRadarFrames;
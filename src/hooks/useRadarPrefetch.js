@@ -0,0 +1,103 @@
+import { useState, useEffect, useRef } from 'react';
+import { constructFrameTileUrl } from '../services/rainviewerApi';
+import { prefetchTiles } from '../services/tileCache';
+import { getRegionTiles } from '../services/tileMath';
+
+// Wait for the map to settle before downloading a new region
+const PREFETCH_DELAY_MS = 500;
+
+/**
+ * Download every frame of the current layer for the tiles visible in the
+ * map, reporting progress as tiles land in the cache.
+ *
+ * @param {Object} params - Prefetch parameters
+ * @param {string} params.host - RainViewer tile host
+ * @param {Array<Object>} params.frames - Frames to fetch
+ * @param {string} params.layer - 'radar' or 'satellite'
+ * @param {number} params.colorScheme - Radar color scheme
+ * @param {Object} params.region - { latitude, longitude, zoom, width, height }
+ *   of the map (see RadarMap's onRegionChange)
+ * @returns {Object} { progress, prefetching, ready }; ready turns true only
+ *   once the download for the current region has settled
+ */
+export const useRadarPrefetch = ({
+  host,
+  frames,
+  layer,
+  colorScheme,
+  region,
+}) => {
+  const [progress, setProgress] = useState(null);
+  const [prefetching, setPrefetching] = useState(false);
+  const [ready, setReady] = useState(false);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const latitude = region?.latitude;
+  const longitude = region?.longitude;
+  const zoom = region?.zoom;
+  const width = region?.width;
+  const height = region?.height;
+
+  useEffect(() => {
+    setReady(false);
+    if (!host || frames.length === 0 || latitude == null || !width) return;
+
+    const controller = new AbortController();
+    const tiles = getRegionTiles({ latitude, longitude, zoom, width, height });
+    const jobs = frames.flatMap(frame =>
+      tiles.map(tile => ({
+        url: constructFrameTileUrl(layer, host, frame, tile, colorScheme),
+        frameTime: frame.time,
+      })),
+    );
+
+    const timer = setTimeout(async () => {
+      setPrefetching(true);
+      try {
+        await prefetchTiles(jobs, {
+          signal: controller.signal,
+          onProgress: setProgress,
+        });
+      } catch (error) {
+        console.error('Error prefetching radar tiles:', error);
+      } finally {
+        // An aborted run clears its indicator too; a newer run only sets it
+        // again after its own delay
+        if (mountedRef.current) {
+          setPrefetching(false);
+          if (controller.signal.aborted) {
+            setProgress(null);
+          } else {
+            setReady(true);
+          }
+        }
+      }
+    }, PREFETCH_DELAY_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [
+    host,
+    frames,
+    layer,
+    colorScheme,
+    latitude,
+    longitude,
+    zoom,
+    width,
+    height,
+  ]);
+
+  return { progress, prefetching, ready };
+};
+
+export default useRadarPrefetch;
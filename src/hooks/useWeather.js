@@ -1,103 +1,163 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import NetInfo from '@react-native-community/netinfo';
+import { fetchForecast, DEFAULT_FIELD_SET } from '../services/weatherClient';
+import {
+  readCachedForecast,
+  writeCachedForecast,
+  getCacheStatus,
+  formatLastUpdated,
+} from '../services/forecastCache';
+import { isAbortError } from '../services/http';
 
-const OPEN_METEO_API = 'https://api.open-meteo.com/v1/forecast';
-
-export const useWeather = (location) => {
+export const useWeather = (location, fieldSet = DEFAULT_FIELD_SET) => {
   const [weatherData, setWeatherData] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
   const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [isOffline, setIsOffline] = useState(false);
+  const [now, setNow] = useState(Date.now());
 
-  useEffect(() => {
-    if (location?.latitude && location?.longitude) {
-      fetchWeatherData();
-    }
-  }, [location]);
+  // Coordinates are rounded so a new location object for the same place
+  // (or a few metres of GPS drift) does not trigger a refetch
+  const latitude =
+    location?.latitude != null ? Number(location.latitude.toFixed(2)) : null;
+  const longitude =
+    location?.longitude != null ? Number(location.longitude.toFixed(2)) : null;
+
+  const abortControllerRef = useRef(null);
+  const lastUpdatedRef = useRef(null);
 
-  const fetchWeatherData = async () => {
-    if (!location?.latitude || !location?.longitude) {
+  const revalidate = useCallback(
+    async (hasData = true) => {
+      if (latitude == null || longitude == null) {
+        return;
+      }
+
+      // Only the latest request for this hook may update state
+      abortControllerRef.current?.abort();
+      const controller = new AbortController();
+      abortControllerRef.current = controller;
+
+      if (hasData) {
+        setRefreshing(true);
+      } else {
+        setLoading(true);
+      }
+      setError(null);
+
+      try {
+        console.log('Fetching weather for:', latitude, longitude, fieldSet.key);
+        const data = await fetchForecast(latitude, longitude, fieldSet, {
+          signal: controller.signal,
+        });
+
+        console.log('Weather data received');
+        setWeatherData(data);
+        setLastUpdated(data.meta.fetchedAt);
+        lastUpdatedRef.current = data.meta.fetchedAt;
+        writeCachedForecast(latitude, longitude, fieldSet.key, data);
+      } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('Error fetching weather data:', err);
+        setError(err);
+      } finally {
+        if (abortControllerRef.current === controller) {
+          abortControllerRef.current = null;
+          setLoading(false);
+          setRefreshing(false);
+        }
+      }
+    },
+    [latitude, longitude, fieldSet],
+  );
+
+  // Serve the cached forecast first, then revalidate if it is stale or missing
+  useEffect(() => {
+    if (latitude == null || longitude == null) {
       return;
     }
 
-    setLoading(true);
-    setError(null);
-
-    try {
-      const { latitude, longitude } = location;
-      
-      // Build API URL with all required parameters
-      const params = new URLSearchParams({
-        latitude: latitude.toString(),
-        longitude: longitude.toString(),
-        current: [
-          'temperature_2m',
-          'relative_humidity_2m',
-          'apparent_temperature',
-          'precipitation',
-          'rain',
-          'showers',
-          'snowfall',
-          'weather_code',
-          'cloud_cover',
-          'pressure_msl',
-          'surface_pressure',
-          'wind_speed_10m',
-          'wind_direction_10m',
-          'wind_gusts_10m',
-        ].join(','),
-        hourly: [
-          'temperature_2m',
-          'relative_humidity_2m',
-          'precipitation_probability',
-          'precipitation',
-          'weather_code',
-          'wind_speed_10m',
-        ].join(','),
-        daily: [
-          'weather_code',
-          'temperature_2m_max',
-          'temperature_2m_min',
-          'sunrise',
-          'sunset',
-          'uv_index_max',
-          'precipitation_sum',
-          'precipitation_probability_max',
-        ].join(','),
-        timezone: 'auto',
-        forecast_days: 7,
-      });
-
-      const url = `${OPEN_METEO_API}?${params.toString()}`;
-      console.log('Fetching weather from:', url);
-
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Weather API error: ${response.status}`);
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      const cached = await readCachedForecast(
+        latitude,
+        longitude,
+        fieldSet.key,
+      );
+      if (cancelled) return;
+
+      if (cached) {
+        setWeatherData(cached.data);
+        setLastUpdated(cached.fetchedAt);
+        lastUpdatedRef.current = cached.fetchedAt;
+        setLoading(false);
+
+        if (cached.status === 'fresh') {
+          return;
+        }
+      } else {
+        setWeatherData(null);
+        setLastUpdated(null);
+        lastUpdatedRef.current = null;
       }
 
-      const data = await response.json();
-      console.log('Weather data received');
+      revalidate(Boolean(cached));
+    };
 
-      setWeatherData(data);
-      setLoading(false);
-    } catch (err) {
-      console.error('Error fetching weather data:', err);
-      setError(err.message);
-      setLoading(false);
-    }
-  };
+    load();
 
-  const refreshWeather = () => {
-    fetchWeatherData();
-  };
+    // Cancel any in-flight request when the location changes or on unmount
+    return () => {
+      cancelled = true;
+      abortControllerRef.current?.abort();
+      abortControllerRef.current = null;
+    };
+  }, [latitude, longitude, fieldSet, revalidate]);
+
+  // Refresh in the background when connectivity returns
+  useEffect(() => {
+    let wasOffline = false;
+
+    const unsubscribe = NetInfo.addEventListener(state => {
+      const offline = state.isConnected === false;
+      setIsOffline(offline);
+
+      if (wasOffline && !offline) {
+        const fetchedAt = lastUpdatedRef.current;
+        if (!fetchedAt || getCacheStatus(fetchedAt) !== 'fresh') {
+          revalidate(Boolean(fetchedAt));
+        }
+      }
+      wasOffline = offline;
+    });
+
+    return unsubscribe;
+  }, [revalidate]);
+
+  // Keep the "last updated" label current
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const refreshWeather = useCallback(() => {
+    revalidate(Boolean(lastUpdatedRef.current));
+  }, [revalidate]);
 
   return {
     weatherData,
     loading,
+    refreshing,
     error,
+    lastUpdated,
+    lastUpdatedLabel: formatLastUpdated(lastUpdated, now),
+    isStale: lastUpdated ? getCacheStatus(lastUpdated, now) !== 'fresh' : false,
+    isOffline,
     refreshWeather,
   };
 };
 
 export default useWeather;
-
@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useSupabase } from '../context/SupabaseContext';
+import { getLlmProvider } from '../services/llmProvider';
+import {
+  saveConversationMessage,
+  getConversationHistory,
+} from '../services/conversationHelpers';
+import {
+  buildAssistantPrompt,
+  toChatMessages,
+} from '../services/weatherAssistant';
+
+// Room for a few sentences of advice
+const MAX_REPLY_TOKENS = 300;
+
+let nextLocalId = 0;
+const localId = role => `local-${role}-${nextLocalId++}`;
+
+/**
+ * Chat with the weather assistant about a forecast. Replies stream in token
+ * by token; signed-in users' turns are saved to and restored from Supabase.
+ * @param {Object|null} summary - Forecast summary (see summarizeForecast)
+ * @returns {Object} { messages, loading, streaming, send, stop, retry }
+ */
+export const useWeatherAssistant = summary => {
+  const { currentUser } = useSupabase();
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [streaming, setStreaming] = useState(false);
+  const controllerRef = useRef(null);
+  const messagesRef = useRef([]);
+  const summaryRef = useRef(summary);
+
+  const userId = currentUser?.id;
+
+  useEffect(() => {
+    summaryRef.current = summary;
+  }, [summary]);
+
+  const update = useCallback(transform => {
+    messagesRef.current = transform(messagesRef.current);
+    setMessages(messagesRef.current);
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    update(() => []);
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+
+    const load = async () => {
+      setLoading(true);
+      const history = await getConversationHistory(userId);
+      if (cancelled) return;
+      update(current => [...toChatMessages(history), ...current]);
+      setLoading(false);
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, update]);
+
+  // Leaving the screen stops the reply
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const reply = useCallback(
+    async (question, history) => {
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      const id = localId('assistant');
+      const context = summaryRef.current;
+      let content = '';
+      let error = null;
+
+      const patch = changes =>
+        update(current =>
+          current.map(message =>
+            message.id === id ? { ...message, ...changes } : message,
+          ),
+        );
+
+      update(current => [
+        ...current,
+        { id, role: 'assistant', content, status: 'streaming', question },
+      ]);
+      setStreaming(true);
+
+      await getLlmProvider().stream(
+        buildAssistantPrompt(question, { summary: context, history }),
+        {
+          maxTokens: MAX_REPLY_TOKENS,
+          signal: controller.signal,
+          onToken: token => {
+            content += token;
+            patch({ content });
+          },
+          onError: message => {
+            error = message;
+          },
+        },
+      );
+
+      const stopped = controller.signal.aborted;
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setStreaming(false);
+      }
+      if (stopped) {
+        patch({ status: 'stopped' });
+      } else if (error || !content) {
+        patch({ status: 'error', error: error || 'No response' });
+      } else {
+        patch({ status: 'done' });
+        // Stopped and failed replies can be retried, so only finished ones
+        // are kept
+        if (userId) {
+          saveConversationMessage(userId, 'assistant', content, context);
+        }
+      }
+    },
+    [userId, update],
+  );
+
+  const send = useCallback(
+    text => {
+      const question = text.trim();
+      if (!question || controllerRef.current) return;
+
+      const history = messagesRef.current;
+      update(current => [
+        ...current,
+        {
+          id: localId('user'),
+          role: 'user',
+          content: question,
+          status: 'done',
+        },
+      ]);
+      if (userId) {
+        saveConversationMessage(userId, 'user', question, summaryRef.current);
+      }
+      reply(question, history);
+    },
+    [userId, update, reply],
+  );
+
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  // Replaces a failed or stopped reply with a new one
+  const retry = useCallback(
+    messageId => {
+      if (controllerRef.current) return;
+      const index = messagesRef.current.findIndex(
+        message => message.id === messageId,
+      );
+      const failed = messagesRef.current[index];
+      if (!failed?.question) return;
+
+      // Everything before the question it answered
+      const history = messagesRef.current.slice(0, Math.max(index - 1, 0));
+      update(current => current.filter(message => message.id !== messageId));
+      reply(failed.question, history);
+    },
+    [update, reply],
+  );
+
+  return { messages, loading, streaming, send, stop, retry };
+};
+
+export default useWeatherAssistant;
@@ -1,19 +1,51 @@
 import React from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, useNavigation } from '@react-navigation/native';
 import { createStackNavigator } from '@react-navigation/stack';
-import { View, Text, ActivityIndicator, StyleSheet } from 'react-native';
+import { View, Text, ActivityIndicator, StyleSheet, TouchableOpacity } from 'react-native';
 import HomeScreen from '../screens/HomeScreen';
 import ForecastScreen from '../screens/ForecastScreen';
+import DayDetailScreen from '../screens/DayDetailScreen';
+import HourlyScreen from '../screens/HourlyScreen';
+import ChartsScreen from '../screens/ChartsScreen';
+import RadarScreen from '../screens/RadarScreen';
 import SettingsScreen from '../screens/SettingsScreen';
-import { useLocation } from '../hooks/useLocation';
-import { useWeather } from '../hooks/useWeather';
+import LocationsScreen from '../screens/LocationsScreen';
+import LocationFallbackScreen from '../screens/LocationFallbackScreen';
+import AlertCenterScreen from '../screens/AlertCenterScreen';
+import AssistantScreen from '../screens/AssistantScreen';
+import { useCurrentLocation } from '../context/WeatherContext';
 import { colors, fontSize, spacing } from '../utils/theme';
 
 const Stack = createStackNavigator();
 
+const CitiesButton = () => {
+  const navigation = useNavigation();
+
+  return (
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={() => navigation.navigate('Locations')}
+    >
+      <Text style={styles.headerButtonText}>Cities</Text>
+    </TouchableOpacity>
+  );
+};
+
+const AlertsButton = () => {
+  const navigation = useNavigation();
+
+  return (
+    <TouchableOpacity
+      style={styles.headerButton}
+      onPress={() => navigation.navigate('AlertCenter')}
+    >
+      <Text style={styles.headerButtonText}>Alerts</Text>
+    </TouchableOpacity>
+  );
+};
+
 const AppNavigator = () => {
-  const { location, loading: locationLoading, error: locationError } = useLocation();
-  const { weatherData, loading: weatherLoading } = useWeather(location);
+  const { location, loading: locationLoading, error: locationError } = useCurrentLocation();
 
   // Show loading screen while getting location
   if (locationLoading) {
@@ -25,16 +57,9 @@ const AppNavigator = () => {
     );
   }
 
-  // Show error if location access failed
+  // No GPS fix and no remembered choice: let the user pick a location
   if (locationError && !location) {
-    return (
-      <View style={styles.centerContainer}>
-        <Text style={styles.errorTitle}>Location Access Required</Text>
-        <Text style={styles.errorText}>
-          Please enable location permissions to use Aether Weather.
-        </Text>
-      </View>
-    );
+    return <LocationFallbackScreen />;
   }
 
   return (
@@ -51,26 +76,53 @@ const AppNavigator = () => {
           },
         }}
       >
-        <Stack.Screen name="Home">
-          {(props) => (
-            <HomeScreen
-              {...props}
-              weatherData={weatherData}
-              loading={weatherLoading}
-              location={location}
-            />
-          )}
-        </Stack.Screen>
-        <Stack.Screen name="Forecast">
-          {(props) => (
-            <ForecastScreen
-              {...props}
-              weatherData={weatherData}
-              loading={weatherLoading}
-              location={location}
-            />
-          )}
-        </Stack.Screen>
+        <Stack.Screen
+          name="Home"
+          component={HomeScreen}
+          options={{ headerLeft: AlertsButton, headerRight: CitiesButton }}
+        />
+        <Stack.Screen
+          name="Hourly"
+          component={HourlyScreen}
+          options={({ route }) => ({
+            title: route.params?.location?.name ?? 'Hourly',
+          })}
+        />
+        <Stack.Screen
+          name="Charts"
+          component={ChartsScreen}
+          options={({ route }) => ({
+            title: route.params?.location?.name ?? 'Trends',
+          })}
+        />
+        <Stack.Screen
+          name="Radar"
+          component={RadarScreen}
+          options={({ route }) => ({
+            title: route.params?.location?.name ?? 'Radar',
+          })}
+        />
+        <Stack.Screen name="Forecast" component={ForecastScreen} />
+        <Stack.Screen
+          name="DayDetail"
+          component={DayDetailScreen}
+          options={{ title: 'Day Detail' }}
+        />
+        <Stack.Screen
+          name="Locations"
+          component={LocationsScreen}
+          options={{ title: 'Locations' }}
+        />
+        <Stack.Screen
+          name="AlertCenter"
+          component={AlertCenterScreen}
+          options={{ title: 'Alerts' }}
+        />
+        <Stack.Screen
+          name="Assistant"
+          component={AssistantScreen}
+          options={{ title: 'Assistant' }}
+        />
         <Stack.Screen 
           name="Settings" 
           component={SettingsScreen} 
@@ -94,18 +146,13 @@ const styles = StyleSheet.create({
     fontSize: fontSize.lg,
     color: colors.text.secondary,
   },
-  errorTitle: {
-    fontSize: fontSize.xxl,
-    fontWeight: 'bold',
-    color: colors.text.primary,
-    marginBottom: spacing.md,
-    textAlign: 'center',
+  headerButton: {
+    paddingHorizontal: spacing.md,
   },
-  errorText: {
+  headerButtonText: {
     fontSize: fontSize.md,
-    color: colors.text.tertiary,
-    textAlign: 'center',
-    lineHeight: 24,
+    color: colors.brand.accent,
+    fontWeight: 'bold',
   },
 });
 
@@ -0,0 +1,210 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { format } from 'date-fns';
+import { useNotifications } from '../context/NotificationsContext';
+import { useAlertAcknowledgments } from '../hooks/useAlertAcknowledgments';
+import { groupAlerts } from '../services/alertAcknowledgment';
+import { SEVERITY_RANK, getEpisodeStatus } from '../services/alertEpisodes';
+
+const SEVERITY_COLORS = {
+  critical: '#ef4444',
+  high: '#f59e0b',
+  moderate: '#06b6d4',
+  low: '#94a3b8',
+};
+
+const AlertRow = ({ alert, detail, actionLabel, onAction }) => (
+  <View
+    style={[
+      styles.alertRow,
+      { borderLeftColor: SEVERITY_COLORS[alert.severity] ?? '#94a3b8' },
+    ]}
+  >
+    <View style={styles.alertText}>
+      <Text style={styles.alertTitle}>{alert.title}</Text>
+      <Text style={styles.alertBody}>{alert.body}</Text>
+      {detail ? <Text style={styles.alertDetail}>{detail}</Text> : null}
+    </View>
+    {onAction ? (
+      <TouchableOpacity style={styles.actionButton} onPress={onAction}>
+        <Text style={styles.actionText}>{actionLabel}</Text>
+      </TouchableOpacity>
+    ) : null}
+  </View>
+);
+
+const Section = ({ title, emptyText, children }) => (
+  <View style={styles.section}>
+    <Text style={styles.sectionTitle}>{title}</Text>
+    {React.Children.count(children) > 0 ? (
+      children
+    ) : (
+      <Text style={styles.emptyText}>{emptyText}</Text>
+    )}
+  </View>
+);
+
+const formatTime = timestamp => format(new Date(timestamp), 'EEE HH:mm');
+
+const describeEpisode = (episode, now) => {
+  const window = `${formatTime(episode.startsAt)} – ${formatTime(
+    episode.endsAt,
+  )}`;
+  const peak =
+    episode.peakSeverity !== episode.severity
+      ? ` · peaked ${episode.peakSeverity}`
+      : '';
+  return getEpisodeStatus(episode, now) === 'upcoming'
+    ? `Expected ${window}${peak}`
+    : `Ongoing, ${window}${peak}`;
+};
+
+/**
+ * Alert episodes that haven't ended, split into those still needing
+ * attention, those acknowledged and those whose acknowledgment has expired.
+ * Acknowledged alerts aren't notified again until they expire or escalate.
+ */
+const AlertCenterScreen = () => {
+  const { episodes } = useNotifications();
+  const { acknowledgments, loading, acknowledge, unacknowledge } =
+    useAlertAcknowledgments();
+
+  const now = Date.now();
+  const current = episodes
+    .filter(episode => getEpisodeStatus(episode, now) !== 'ended')
+    .sort(
+      (a, b) =>
+        (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0),
+    );
+  const { active, acknowledged, expired } = groupAlerts(
+    current,
+    acknowledgments,
+    now,
+  );
+
+  if (loading) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#60a5fa" />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Section title="Active" emptyText="No weather alerts right now.">
+        {active.map(alert => (
+          <AlertRow
+            key={alert.id}
+            alert={alert}
+            detail={describeEpisode(alert, now)}
+            actionLabel="Acknowledge"
+            onAction={() => acknowledge(alert)}
+          />
+        ))}
+      </Section>
+
+      <Section title="Acknowledged" emptyText="Nothing acknowledged.">
+        {acknowledged.map(acknowledgment => (
+          <AlertRow
+            key={acknowledgment.id}
+            alert={acknowledgment}
+            detail={`Acknowledged ${formatTime(
+              acknowledgment.acknowledgedAt,
+            )} · silenced until ${formatTime(acknowledgment.expiresAt)}`}
+            actionLabel="Un-acknowledge"
+            onAction={() => unacknowledge(acknowledgment.id)}
+          />
+        ))}
+      </Section>
+
+      <Section title="Expired" emptyText="No expired acknowledgments.">
+        {expired.map(acknowledgment => (
+          <AlertRow
+            key={acknowledgment.id}
+            alert={acknowledgment}
+            detail={`Expired ${formatTime(acknowledgment.expiresAt)}`}
+          />
+        ))}
+      </Section>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    padding: scale(20),
+    paddingBottom: verticalScale(32),
+  },
+  section: {
+    marginBottom: verticalScale(20),
+  },
+  sectionTitle: {
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(8),
+  },
+  alertRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    borderLeftWidth: scale(4),
+    padding: scale(12),
+    marginBottom: verticalScale(8),
+  },
+  alertText: {
+    flex: 1,
+  },
+  alertTitle: {
+    fontSize: moderateScale(15),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  alertBody: {
+    fontSize: moderateScale(13),
+    color: '#cbd5e1',
+    marginTop: verticalScale(2),
+  },
+  alertDetail: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+  },
+  actionButton: {
+    marginLeft: scale(12),
+    paddingVertical: verticalScale(6),
+    paddingHorizontal: scale(10),
+    borderRadius: moderateScale(8),
+    borderWidth: 1,
+    borderColor: '#60a5fa',
+  },
+  actionText: {
+    fontSize: moderateScale(12),
+    fontWeight: 'bold',
+    color: '#60a5fa',
+  },
+  emptyText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+  },
+});
+
+export default AlertCenterScreen;
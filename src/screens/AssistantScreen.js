@@ -0,0 +1,288 @@
+import React, { useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { useCurrentLocation, useForecast } from '../context/WeatherContext';
+import { useUnits } from '../context/UnitsContext';
+import { useWeatherAssistant } from '../hooks/useWeatherAssistant';
+import {
+  SUGGESTED_PROMPTS,
+  summarizeForecast,
+} from '../services/weatherAssistant';
+
+const MessageBubble = ({ message, onRetry }) => {
+  const isUser = message.role === 'user';
+  const canRetry = message.status === 'error' || message.status === 'stopped';
+
+  return (
+    <View
+      style={[
+        styles.bubble,
+        isUser ? styles.userBubble : styles.assistantBubble,
+      ]}
+    >
+      {message.status === 'streaming' && !message.content ? (
+        <ActivityIndicator size="small" color="#94a3b8" />
+      ) : (
+        <Text style={styles.bubbleText}>
+          {message.content}
+          {message.status === 'streaming' ? '▍' : ''}
+        </Text>
+      )}
+      {message.status === 'error' ? (
+        <Text style={styles.errorText}>
+          Couldn't get an answer: {message.error}
+        </Text>
+      ) : null}
+      {message.status === 'stopped' ? (
+        <Text style={styles.statusText}>Stopped</Text>
+      ) : null}
+      {canRetry ? (
+        <TouchableOpacity
+          style={styles.retryButton}
+          onPress={() => onRetry(message.id)}
+        >
+          <Text style={styles.retryText}>Retry</Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
+  );
+};
+
+const SuggestedPrompts = ({ onSelect }) => (
+  <View style={styles.suggestions}>
+    <Text style={styles.introTitle}>Ask about your weather</Text>
+    <Text style={styles.introText}>
+      Answers use the current forecast for your location.
+    </Text>
+    {SUGGESTED_PROMPTS.map(prompt => (
+      <TouchableOpacity
+        key={prompt}
+        style={styles.suggestion}
+        onPress={() => onSelect(prompt)}
+      >
+        <Text style={styles.suggestionText}>{prompt}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+/**
+ * Chat with the weather assistant about the current location's forecast.
+ * Replies stream in and can be stopped or retried.
+ */
+const AssistantScreen = () => {
+  const { location } = useCurrentLocation();
+  const { weatherData } = useForecast();
+  const { units } = useUnits();
+  const [input, setInput] = useState('');
+  const listRef = useRef(null);
+
+  const locationName = location?.name;
+  const summary = useMemo(
+    () => summarizeForecast(weatherData, { locationName, units }),
+    [weatherData, locationName, units],
+  );
+  const { messages, loading, streaming, send, stop, retry } =
+    useWeatherAssistant(summary);
+
+  const submit = text => {
+    if (streaming) return;
+    send(text);
+    setInput('');
+  };
+
+  if (loading) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#60a5fa" />
+      </View>
+    );
+  }
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+      keyboardVerticalOffset={verticalScale(64)}
+    >
+      <Text style={styles.contextText}>
+        {summary
+          ? `Using the forecast for ${locationName ?? 'your location'}`
+          : 'No forecast loaded yet; answers may be general'}
+      </Text>
+
+      <FlatList
+        ref={listRef}
+        data={messages}
+        keyExtractor={message => message.id}
+        renderItem={({ item }) => (
+          <MessageBubble message={item} onRetry={retry} />
+        )}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<SuggestedPrompts onSelect={submit} />}
+        onContentSizeChange={() => listRef.current?.scrollToEnd()}
+      />
+
+      <View style={styles.inputRow}>
+        <TextInput
+          style={styles.input}
+          value={input}
+          onChangeText={setInput}
+          placeholder="Ask about the weather…"
+          placeholderTextColor="#64748b"
+          multiline
+          editable={!streaming}
+        />
+        {streaming ? (
+          <TouchableOpacity style={styles.sendButton} onPress={stop}>
+            <Text style={styles.sendText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.sendButton, !input.trim() && styles.disabled]}
+            onPress={() => submit(input)}
+            disabled={!input.trim()}
+          >
+            <Text style={styles.sendText}>Send</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </KeyboardAvoidingView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  contextText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: verticalScale(6),
+  },
+  list: {
+    flexGrow: 1,
+    padding: scale(16),
+  },
+  bubble: {
+    maxWidth: '85%',
+    borderRadius: moderateScale(12),
+    padding: scale(12),
+    marginBottom: verticalScale(8),
+  },
+  userBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#2563eb',
+  },
+  assistantBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#1e293b',
+  },
+  bubbleText: {
+    fontSize: moderateScale(15),
+    color: '#f8fafc',
+    lineHeight: moderateScale(21),
+  },
+  errorText: {
+    fontSize: moderateScale(13),
+    color: '#f87171',
+    marginTop: verticalScale(4),
+  },
+  statusText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+  },
+  retryButton: {
+    alignSelf: 'flex-start',
+    marginTop: verticalScale(6),
+    paddingVertical: verticalScale(4),
+    paddingHorizontal: scale(10),
+    borderRadius: moderateScale(8),
+    borderWidth: 1,
+    borderColor: '#60a5fa',
+  },
+  retryText: {
+    fontSize: moderateScale(12),
+    fontWeight: 'bold',
+    color: '#60a5fa',
+  },
+  suggestions: {
+    flex: 1,
+    justifyContent: 'center',
+  },
+  introTitle: {
+    fontSize: moderateScale(20),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    textAlign: 'center',
+  },
+  introText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    textAlign: 'center',
+    marginTop: verticalScale(4),
+    marginBottom: verticalScale(16),
+  },
+  suggestion: {
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    paddingVertical: verticalScale(10),
+    paddingHorizontal: scale(14),
+    marginBottom: verticalScale(8),
+  },
+  suggestionText: {
+    fontSize: moderateScale(14),
+    color: '#60a5fa',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    padding: scale(10),
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#334155',
+  },
+  input: {
+    flex: 1,
+    maxHeight: verticalScale(120),
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    paddingHorizontal: scale(12),
+    paddingVertical: verticalScale(8),
+    fontSize: moderateScale(15),
+    color: '#f8fafc',
+  },
+  sendButton: {
+    marginLeft: scale(8),
+    paddingVertical: verticalScale(10),
+    paddingHorizontal: scale(14),
+    borderRadius: moderateScale(10),
+    backgroundColor: '#2563eb',
+  },
+  sendText: {
+    fontSize: moderateScale(14),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
+
+export default AssistantScreen;
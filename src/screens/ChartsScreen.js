@@ -0,0 +1,358 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { useUnits } from '../context/UnitsContext';
+import { useForecastFor } from '../hooks/useForecastFor';
+import { describeError } from '../services/http';
+import { findCurrentHourIndex } from '../services/hourlyTimeline';
+import { generateChartAnnotations } from '../services/aiWeatherAnalysis';
+import {
+  convertTemperature,
+  convertPrecipitation,
+  convertPressure,
+  formatPressure,
+  getUnitLabel,
+} from '../services/units';
+import {
+  LineChart,
+  BarChart,
+  AreaChart,
+  PressureTrendChart,
+  AnnotationList,
+} from '../components/charts';
+import {
+  downsampleSeries,
+  getPressureTendency,
+} from '../components/charts/chartMath';
+
+const STANDARD_PRESSURE_HPA = 1013.25;
+
+// Hours between points sent to the AI; 14 days of hourly data is too long
+const ANNOTATION_STEP = 6;
+
+const mapSeries = (values, convert) =>
+  (values ?? []).map(value => (value == null ? null : convert(value)));
+
+const ChartCard = ({
+  title,
+  annotating,
+  annotations,
+  annotationNote,
+  onAnnotate,
+  children,
+}) => (
+  <View style={styles.card}>
+    <View style={styles.cardHeader}>
+      <Text style={styles.cardTitle}>{title}</Text>
+      <TouchableOpacity
+        style={styles.annotateButton}
+        onPress={onAnnotate}
+        disabled={annotating}
+      >
+        {annotating ? (
+          <ActivityIndicator size="small" color="#60a5fa" />
+        ) : (
+          <Text style={styles.annotateText}>Annotate with AI</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+    {children}
+    <AnnotationList annotations={annotations} />
+    {!!annotationNote && (
+      <Text style={styles.annotationNote}>{annotationNote}</Text>
+    )}
+  </View>
+);
+
+const ChartsScreen = ({ route }) => {
+  const { weatherData, loading, error } = useForecastFor(route);
+  const { units } = useUnits();
+
+  const [annotations, setAnnotations] = useState({});
+  const [annotating, setAnnotating] = useState({});
+  const [annotationErrors, setAnnotationErrors] = useState({});
+
+  const charts = useMemo(() => {
+    const hourly = weatherData?.hourly;
+    if (!hourly?.time?.length) return null;
+
+    const toTemperature = value => convertTemperature(value, units.temperature);
+    const pressureHpa = hourly.pressure_msl ?? [];
+    const nowIndex = findCurrentHourIndex(
+      hourly.time,
+      weatherData.current?.time,
+    );
+
+    return {
+      times: hourly.time,
+      nowIndex,
+      temperature: mapSeries(hourly.temperature_2m, toTemperature),
+      apparentTemperature: mapSeries(
+        hourly.apparent_temperature,
+        toTemperature,
+      ),
+      dewPoint: mapSeries(hourly.dew_point_2m, toTemperature),
+      precipitation: mapSeries(hourly.precipitation, value =>
+        convertPrecipitation(value, units.precipitation),
+      ),
+      precipitationProbability: hourly.precipitation_probability ?? null,
+      cloudCover: hourly.cloud_cover ?? [],
+      pressure: mapSeries(pressureHpa, value =>
+        convertPressure(value, units.pressure),
+      ),
+      pressureTendency: getPressureTendency(pressureHpa, nowIndex),
+    };
+  }, [weatherData, units]);
+
+  if (loading && !weatherData) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#60a5fa" />
+      </View>
+    );
+  }
+
+  if (!charts) {
+    const { title, message } = error
+      ? describeError(error)
+      : { title: 'No chart data available', message: '' };
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.errorText}>
+          {title}
+          {message ? `: ${message}` : ''}
+        </Text>
+      </View>
+    );
+  }
+
+  const temperatureUnit = getUnitLabel(units.temperature);
+  const precipitationUnit = getUnitLabel(units.precipitation);
+  const pressureUnit = getUnitLabel(units.pressure);
+
+  const annotationInputs = {
+    temperature: {
+      chartType: 'temperature',
+      unit: temperatureUnit,
+      series: {
+        temperature: charts.temperature,
+        feelsLike: charts.apparentTemperature,
+        dewPoint: charts.dewPoint,
+      },
+    },
+    precipitation: {
+      chartType: 'precipitation',
+      unit: precipitationUnit,
+      series: {
+        precipitation: charts.precipitation,
+        probability: charts.precipitationProbability ?? [],
+      },
+    },
+    cloudCover: {
+      chartType: 'cloud cover',
+      unit: '%',
+      series: { cloudCover: charts.cloudCover },
+    },
+    pressure: {
+      chartType: 'pressure',
+      unit: pressureUnit,
+      series: { pressure: charts.pressure },
+    },
+  };
+
+  const annotate = async key => {
+    const { chartType, unit, series } = annotationInputs[key];
+    setAnnotating(prev => ({ ...prev, [key]: true }));
+    setAnnotationErrors(prev => ({ ...prev, [key]: null }));
+    try {
+      const result = await generateChartAnnotations(
+        chartType,
+        {
+          unit,
+          points: downsampleSeries(charts.times, series, ANNOTATION_STEP),
+        },
+        weatherData,
+      );
+      setAnnotations(prev => ({
+        ...prev,
+        [key]: Array.isArray(result) ? result : [],
+      }));
+    } catch (err) {
+      console.error('Error annotating chart:', err);
+      setAnnotationErrors(prev => ({
+        ...prev,
+        [key]: describeError(err).message || "Couldn't annotate this chart.",
+      }));
+    } finally {
+      setAnnotating(prev => ({ ...prev, [key]: false }));
+    }
+  };
+
+  // Annotated with nothing found reads differently from not annotated yet
+  const getAnnotationNote = key => {
+    if (annotationErrors[key]) return annotationErrors[key];
+    if (annotations[key]?.length === 0) return 'Nothing notable in this chart.';
+    return null;
+  };
+
+  const cardProps = key => ({
+    annotating: !!annotating[key],
+    annotations: annotations[key] ?? [],
+    annotationNote: annotating[key] ? null : getAnnotationNote(key),
+    onAnnotate: () => annotate(key),
+  });
+
+  const frameProps = key => ({
+    times: charts.times,
+    nowIndex: charts.nowIndex,
+    annotations: annotations[key] ?? [],
+  });
+
+  const pressureChange = charts.pressureTendency
+    ? formatPressure(Math.abs(charts.pressureTendency.change), units, {
+        decimals: units.pressure === 'hPa' ? 1 : undefined,
+      })
+    : null;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>Trends</Text>
+      <Text style={styles.hint}>
+        Scroll sideways through 14 days; pinch to zoom.
+      </Text>
+
+      <ChartCard title="Temperature" {...cardProps('temperature')}>
+        <LineChart
+          {...frameProps('temperature')}
+          series={[
+            {
+              label: 'Temperature',
+              values: charts.temperature,
+              color: '#f59e0b',
+            },
+            {
+              label: 'Feels like',
+              values: charts.apparentTemperature,
+              color: '#ef4444',
+              dashed: true,
+            },
+            {
+              label: 'Dew point',
+              values: charts.dewPoint,
+              color: '#06b6d4',
+            },
+          ]}
+          formatTick={value => `${Math.round(value)}°`}
+        />
+      </ChartCard>
+
+      <ChartCard title="Precipitation" {...cardProps('precipitation')}>
+        <BarChart
+          {...frameProps('precipitation')}
+          values={charts.precipitation}
+          probability={charts.precipitationProbability}
+          label={`Amount (${precipitationUnit})`}
+          color="#3b82f6"
+          formatTick={value => `${value}`}
+        />
+      </ChartCard>
+
+      <ChartCard title="Cloud Cover" {...cardProps('cloudCover')}>
+        <AreaChart
+          {...frameProps('cloudCover')}
+          values={charts.cloudCover}
+          domain={[0, 100]}
+          formatTick={value => `${value}%`}
+        />
+      </ChartCard>
+
+      <ChartCard title="Pressure" {...cardProps('pressure')}>
+        <PressureTrendChart
+          {...frameProps('pressure')}
+          values={charts.pressure}
+          reference={convertPressure(STANDARD_PRESSURE_HPA, units.pressure)}
+          tendency={charts.pressureTendency}
+          changeLabel={pressureChange}
+          formatTick={value => `${value}`}
+        />
+      </ChartCard>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: scale(20),
+  },
+  content: {
+    padding: scale(16),
+    paddingBottom: verticalScale(32),
+  },
+  title: {
+    fontSize: moderateScale(24),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  hint: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+    marginBottom: verticalScale(16),
+  },
+  errorText: {
+    fontSize: moderateScale(16),
+    color: '#ef4444',
+    textAlign: 'center',
+  },
+  card: {
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(12),
+    padding: scale(12),
+    marginBottom: verticalScale(16),
+  },
+  cardHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: verticalScale(8),
+  },
+  cardTitle: {
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  annotateButton: {
+    minWidth: scale(110),
+    alignItems: 'center',
+    paddingVertical: verticalScale(6),
+    paddingHorizontal: scale(10),
+    borderRadius: moderateScale(8),
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+  },
+  annotateText: {
+    fontSize: moderateScale(12),
+    color: '#60a5fa',
+    fontWeight: 'bold',
+  },
+  annotationNote: {
+    marginTop: verticalScale(8),
+    fontSize: moderateScale(13),
+    color: '#94a3b8',
+  },
+});
+
+export default ChartsScreen;
@@ -0,0 +1,321 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { format } from 'date-fns';
+import { useUnits } from '../context/UnitsContext';
+import { useForecastFor } from '../hooks/useForecastFor';
+import { describeError } from '../services/http';
+import { getClockTime } from '../services/hourlyTimeline';
+import {
+  buildDailyForecast,
+  getHoursForDate,
+  getCardinalDirection,
+  formatDuration,
+} from '../services/dailyForecast';
+import {
+  formatTemperature,
+  formatSpeed,
+  formatPrecipitation,
+} from '../services/units';
+import {
+  getTemperatureColor,
+  getPrecipitationColor,
+  getUVIndexColor,
+} from '../services/weatherColorCoding';
+import ConditionBadge from '../components/ConditionBadge';
+
+const DetailItem = ({ label, value, color }) => (
+  <View style={styles.detailItem}>
+    <Text style={styles.detailLabel}>{label}</Text>
+    <Text style={[styles.detailValue, color && { color }]}>{value}</Text>
+  </View>
+);
+
+const HourRow = ({ hour, units }) => (
+  <View style={styles.hourRow}>
+    <Text style={styles.hourTime}>{getClockTime(hour.time)}</Text>
+    <ConditionBadge
+      code={hour.weatherCode}
+      isDay={hour.isDay}
+      size="sm"
+      showDescription={false}
+      showSeverity={false}
+    />
+    <Text
+      style={[
+        styles.hourTemp,
+        { color: getTemperatureColor(hour.temperature).color },
+      ]}
+    >
+      {formatTemperature(hour.temperature, units, { decimals: 0 })}
+    </Text>
+    <Text
+      style={[
+        styles.hourValue,
+        {
+          color: getPrecipitationColor(hour.precipitationProbability ?? 0)
+            .color,
+        },
+      ]}
+    >
+      {hour.precipitationProbability ?? '--'}%
+    </Text>
+    <Text style={styles.hourValue}>
+      {formatSpeed(hour.windSpeed, units, { decimals: 0 })}{' '}
+      {getCardinalDirection(hour.windDirection)}
+    </Text>
+  </View>
+);
+
+/**
+ * Everything the forecast knows about one day: the full daily record and
+ * its hourly breakdown. Reached by tapping a day on the Forecast screen.
+ */
+const DayDetailScreen = ({ route }) => {
+  const date = route?.params?.date;
+  const { weatherData, loading, error } = useForecastFor(route);
+  const { units } = useUnits();
+
+  const day = useMemo(
+    () => buildDailyForecast(weatherData).find(item => item.date === date),
+    [weatherData, date],
+  );
+  const hours = useMemo(
+    () => getHoursForDate(weatherData, date),
+    [weatherData, date],
+  );
+
+  if (loading && !weatherData) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#60a5fa" />
+      </View>
+    );
+  }
+
+  if (!day) {
+    const { title, message } = error
+      ? describeError(error)
+      : { title: 'This day is no longer in the forecast', message: '' };
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.errorText}>
+          {title}
+          {message ? `: ${message}` : ''}
+        </Text>
+      </View>
+    );
+  }
+
+  const formatTemp = value => formatTemperature(value, units, { decimals: 0 });
+  const rainAndShowers = [day.rainSum, day.showersSum]
+    .map(value => formatPrecipitation(value, units))
+    .join(' / ');
+  const windSpeedMax = formatSpeed(day.windSpeedMax, units);
+  const windMax = `${windSpeedMax} ${getCardinalDirection(
+    day.windDirectionDominant,
+  )}`;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.title}>
+        {format(new Date(`${day.date}T00:00`), 'EEEE, MMMM d')}
+      </Text>
+
+      <View style={styles.summaryCard}>
+        <ConditionBadge code={day.weatherCode} size="lg" />
+        <Text style={styles.summaryTemps}>
+          {formatTemp(day.temperatureMax)}
+          <Text style={styles.summaryMin}>
+            {' '}
+            / {formatTemp(day.temperatureMin)}
+          </Text>
+        </Text>
+        <Text style={styles.summaryFeels}>
+          Feels like {formatTemp(day.apparentTemperatureMax)} /{' '}
+          {formatTemp(day.apparentTemperatureMin)}
+        </Text>
+      </View>
+
+      <View style={styles.detailsGrid}>
+        <DetailItem label="Sunrise" value={getClockTime(day.sunrise) || '--'} />
+        <DetailItem label="Sunset" value={getClockTime(day.sunset) || '--'} />
+        <DetailItem
+          label="Daylight"
+          value={formatDuration(day.daylightDuration)}
+        />
+        <DetailItem
+          label="Sunshine"
+          value={formatDuration(day.sunshineDuration)}
+        />
+        <DetailItem
+          label="UV Index (max)"
+          value={day.uvIndexMax != null ? day.uvIndexMax.toFixed(1) : '--'}
+          color={getUVIndexColor(day.uvIndexMax ?? 0).color}
+        />
+        <DetailItem
+          label="Chance of Rain"
+          value={`${day.precipitationProbabilityMax ?? '--'}%`}
+          color={
+            getPrecipitationColor(day.precipitationProbabilityMax ?? 0).color
+          }
+        />
+        <DetailItem
+          label="Precipitation"
+          value={formatPrecipitation(day.precipitationSum, units)}
+        />
+        <DetailItem
+          label="Precip. Hours"
+          value={
+            day.precipitationHours != null
+              ? `${day.precipitationHours} h`
+              : '--'
+          }
+        />
+        <DetailItem label="Rain / Showers" value={rainAndShowers} />
+        <DetailItem
+          label="Snowfall"
+          value={day.snowfallSum != null ? `${day.snowfallSum} cm` : '--'}
+        />
+        <DetailItem label="Wind (max)" value={windMax} />
+        <DetailItem
+          label="Gusts (max)"
+          value={formatSpeed(day.windGustsMax, units)}
+        />
+      </View>
+
+      <Text style={styles.sectionTitle}>Hour by Hour</Text>
+      <View style={styles.hoursCard}>
+        {hours.length > 0 ? (
+          hours.map(hour => (
+            <HourRow key={hour.time} hour={hour} units={units} />
+          ))
+        ) : (
+          <Text style={styles.emptyText}>No hourly data for this day.</Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: scale(20),
+  },
+  content: {
+    padding: scale(20),
+    paddingBottom: verticalScale(32),
+  },
+  title: {
+    fontSize: moderateScale(24),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(16),
+  },
+  errorText: {
+    fontSize: moderateScale(16),
+    color: '#ef4444',
+    textAlign: 'center',
+  },
+  summaryCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(12),
+    padding: scale(16),
+    alignItems: 'center',
+  },
+  summaryTemps: {
+    fontSize: moderateScale(36),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginTop: verticalScale(8),
+  },
+  summaryMin: {
+    fontSize: moderateScale(24),
+    fontWeight: 'normal',
+    color: '#94a3b8',
+  },
+  summaryFeels: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+  },
+  detailsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginTop: verticalScale(12),
+  },
+  detailItem: {
+    width: '48%',
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    padding: scale(12),
+    marginBottom: verticalScale(8),
+  },
+  detailLabel: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginBottom: verticalScale(4),
+  },
+  detailValue: {
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  sectionTitle: {
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginTop: verticalScale(12),
+    marginBottom: verticalScale(8),
+  },
+  hoursCard: {
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(12),
+    paddingHorizontal: scale(12),
+  },
+  hourRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: verticalScale(8),
+    borderBottomWidth: StyleSheet.hairlineWidth,
+    borderBottomColor: '#334155',
+  },
+  hourTime: {
+    width: scale(48),
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+  },
+  hourTemp: {
+    width: scale(56),
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+    textAlign: 'right',
+  },
+  hourValue: {
+    flex: 1,
+    fontSize: moderateScale(13),
+    color: '#cbd5e1',
+    textAlign: 'right',
+  },
+  emptyText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: verticalScale(16),
+  },
+});
+
+export default DayDetailScreen;
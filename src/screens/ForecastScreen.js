@@ -1,61 +1,120 @@
-
-import React from 'react';
-import { View, Text, StyleSheet, ScrollView, ActivityIndicator } from 'react-native';
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
-import { useWeather } from '../hooks/useWeather';
-import { useLocation } from '../hooks/useLocation';
+import { useCurrentLocation } from '../context/WeatherContext';
 import { format } from 'date-fns';
+import { describeError } from '../services/http';
+import { useUnits } from '../context/UnitsContext';
+import { useForecastFor } from '../hooks/useForecastFor';
+import { formatTemperature, formatPrecipitation } from '../services/units';
+import { getTemperatureColor } from '../services/weatherColorCoding';
+import {
+  buildDailyForecast,
+  getTemperatureRange,
+  getRangeBarPosition,
+  FORECAST_RANGES,
+} from '../services/dailyForecast';
+import ConditionBadge from '../components/ConditionBadge';
+
+const RangeBar = ({ day, range }) => {
+  const position = getRangeBarPosition(day, range);
+
+  return (
+    <View style={styles.rangeTrack}>
+      {position && (
+        <View
+          style={[
+            styles.rangeFill,
+            {
+              left: `${position.start * 100}%`,
+              width: `${Math.max(position.width * 100, 2)}%`,
+              backgroundColor: getTemperatureColor(day.temperatureMax).color,
+            },
+          ]}
+        />
+      )}
+    </View>
+  );
+};
 
-const ForecastScreen = () => {
-  const { location, loading: locationLoading, error: locationError } = useLocation();
-  const { weatherData, loading: weatherLoading, error: weatherError } = useWeather(location);
+/**
+ * Daily forecast for 7 or 14 days. Each day's min/max bar is drawn against the
+ * coldest and warmest temperatures of the whole period so days compare at a glance.
+ */
+const ForecastScreen = ({ navigation, route }) => {
+  const { loading: locationLoading, error: locationError } = useCurrentLocation();
+  const { weatherData, loading: weatherLoading, error: weatherError, savedLocation } = useForecastFor(route);
+  const { units } = useUnits();
+  const [dayCount, setDayCount] = useState(FORECAST_RANGES[0]);
+
+  const days = useMemo(() => buildDailyForecast(weatherData, dayCount), [weatherData, dayCount]);
+  const range = useMemo(() => getTemperatureRange(days), [days]);
 
   const renderDailyForecast = () => {
-    if (locationLoading || weatherLoading) {
+    if ((!savedLocation && locationLoading) || weatherLoading) {
       return <ActivityIndicator size="large" color="#60a5fa" />;
     }
 
-    if (locationError) {
+    if (!savedLocation && locationError) {
       return <Text style={styles.errorText}>Error getting location: {locationError}</Text>;
     }
 
-    if (weatherError) {
-      return <Text style={styles.errorText}>Error fetching weather: {weatherError}</Text>;
+    if (weatherError && !weatherData) {
+      const { title, message } = describeError(weatherError);
+      return <Text style={styles.errorText}>{title}: {message}</Text>;
     }
 
-    if (!weatherData || !weatherData.daily) {
+    if (days.length === 0) {
       return <Text style={styles.subtitle}>No forecast data available.</Text>;
     }
 
-    const daily = weatherData.daily;
-    const dates = daily.time;
-    const maxTemps = daily.temperature_2m_max;
-    const minTemps = daily.temperature_2m_min;
-    const weatherCodes = daily.weather_code;
-    const precipitationSums = daily.precipitation_sum;
-    const precipitationProbabilities = daily.precipitation_probability_max;
-
-    return dates.map((date, index) => (
-      <View key={date} style={styles.dailyForecastCard}>
-        <Text style={styles.dateText}>{format(new Date(date), 'EEE, MMM d')}</Text>
-        <View style={styles.forecastDetails}>
-          <Text style={styles.tempText}>{Math.round(maxTemps[index])}°C / {Math.round(minTemps[index])}°C</Text>
-          <Text style={styles.weatherCodeText}>Weather Code: {weatherCodes[index]}</Text>
-          {precipitationSums[index] > 0 && (
-            <Text style={styles.precipitationText}>Precipitation: {precipitationSums[index]} mm</Text>
-          )}
-          {precipitationProbabilities[index] > 0 && (
-            <Text style={styles.precipitationText}>Chance of Rain: {precipitationProbabilities[index]}%</Text>
-          )}
+    return days.map((day, index) => (
+      <TouchableOpacity
+        key={day.date}
+        style={styles.dailyForecastCard}
+        onPress={() => navigation.navigate('DayDetail', { date: day.date, location: savedLocation })}
+      >
+        <View style={styles.dayHeader}>
+          <Text style={styles.dateText}>
+            {index === 0 ? 'Today' : format(new Date(`${day.date}T00:00`), 'EEE, MMM d')}
+          </Text>
+          <ConditionBadge code={day.weatherCode} size="sm" style={styles.condition} />
         </View>
-      </View>
+        <View style={styles.rangeRow}>
+          <Text style={styles.minTempText}>{formatTemperature(day.temperatureMin, units, { decimals: 0 })}</Text>
+          <RangeBar day={day} range={range} />
+          <Text style={styles.tempText}>{formatTemperature(day.temperatureMax, units, { decimals: 0 })}</Text>
+        </View>
+        {(day.precipitationSum > 0 || day.precipitationProbabilityMax > 0) && (
+          <Text style={styles.precipitationText}>
+            {day.precipitationProbabilityMax > 0 ? `${day.precipitationProbabilityMax}% chance` : ''}
+            {day.precipitationProbabilityMax > 0 && day.precipitationSum > 0 ? ' · ' : ''}
+            {day.precipitationSum > 0 ? formatPrecipitation(day.precipitationSum, units) : ''}
+          </Text>
+        )}
+      </TouchableOpacity>
     ));
   };
 
   return (
     <ScrollView style={styles.container}>
       <View style={styles.content}>
-        <Text style={styles.title}>7-Day Forecast</Text>
+        <View style={styles.titleRow}>
+          <Text style={styles.title}>{dayCount}-Day Forecast</Text>
+          <View style={styles.toggle}>
+            {FORECAST_RANGES.map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.toggleOption, option === dayCount && styles.toggleOptionActive]}
+                onPress={() => setDayCount(option)}
+              >
+                <Text style={[styles.toggleText, option === dayCount && styles.toggleTextActive]}>
+                  {option} days
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
         {renderDailyForecast()}
       </View>
     </ScrollView>
@@ -70,11 +129,38 @@ const styles = StyleSheet.create({
   content: {
     padding: scale(20),
   },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: verticalScale(16),
+  },
   title: {
     fontSize: moderateScale(24),
     fontWeight: 'bold',
     color: '#f8fafc',
-    marginBottom: verticalScale(16),
+  },
+  toggle: {
+    flexDirection: 'row',
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(8),
+    padding: scale(2),
+  },
+  toggleOption: {
+    paddingVertical: verticalScale(4),
+    paddingHorizontal: scale(10),
+    borderRadius: moderateScale(6),
+  },
+  toggleOptionActive: {
+    backgroundColor: '#3b82f6',
+  },
+  toggleText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+  },
+  toggleTextActive: {
+    color: '#f8fafc',
+    fontWeight: 'bold',
   },
   subtitle: {
     fontSize: moderateScale(16),
@@ -93,6 +179,8 @@ const styles = StyleSheet.create({
     borderRadius: scale(10),
     padding: scale(15),
     marginBottom: verticalScale(10),
+  },
+  dayHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
@@ -103,23 +191,46 @@ const styles = StyleSheet.create({
     color: '#f8fafc',
     flex: 1,
   },
-  forecastDetails: {
+  condition: {
     flex: 2,
-    alignItems: 'flex-end',
+    justifyContent: 'flex-end',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: verticalScale(10),
+  },
+  rangeTrack: {
+    flex: 1,
+    height: verticalScale(6),
+    borderRadius: verticalScale(3),
+    backgroundColor: '#0f172a',
+    marginHorizontal: scale(10),
+    overflow: 'hidden',
+  },
+  rangeFill: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderRadius: verticalScale(3),
+  },
+  minTempText: {
+    width: scale(44),
+    fontSize: moderateScale(16),
+    color: '#94a3b8',
+    textAlign: 'right',
   },
   tempText: {
+    width: scale(44),
     fontSize: moderateScale(16),
+    fontWeight: 'bold',
     color: '#cbd5e1',
   },
-  weatherCodeText: {
-    fontSize: moderateScale(14),
-    color: '#94a3b8',
-  },
   precipitationText: {
     fontSize: moderateScale(14),
     color: '#94a3b8',
+    marginTop: verticalScale(6),
   },
 });
 
 export default ForecastScreen;
-
@@ -1,122 +1,210 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useLayoutEffect } from 'react';
 import {
   View,
   Text,
   ScrollView,
   StyleSheet,
-  ActivityIndicator,
-  RefreshControl,
+  TouchableOpacity,
+  useWindowDimensions,
 } from 'react-native';
 import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
-import Card from '../components/Card';
-import { colors, fontSize, spacing, borderRadius } from '../utils/theme';
+import WeatherOverview from '../components/WeatherOverview';
+import { useCurrentLocation, useForecast } from '../context/WeatherContext';
+import { useSavedLocations } from '../context/SavedLocationsContext';
+import { useWeather } from '../hooks/useWeather';
+import { useNowcast } from '../hooks/useNowcast';
+import NowcastCard from '../components/NowcastCard';
+
+/**
+ * Page for the device's own location, backed by the shared weather store
+ */
+const CurrentLocationPage = ({ width }) => {
+  const { location } = useCurrentLocation();
+  const {
+    weatherData,
+    loading,
+    refreshing,
+    error,
+    lastUpdatedLabel,
+    isOffline,
+    refreshWeather,
+  } = useForecast();
 
-const HomeScreen = ({ weatherData, loading, location, navigation }) => {
-  const [aiInsight, setAiInsight] = useState('');
-  const [refreshing, setRefreshing] = useState(false);
-
-  useEffect(() => {
-    if (weatherData) {
-      generateQuickInsight();
-    }
-  }, [weatherData]);
-
-  const generateQuickInsight = () => {
-    if (!weatherData) return;
-
-    const { current, daily } = weatherData;
-    const temp = current.temperature_2m;
-    const humidity = current.relative_humidity_2m;
-    const windSpeed = current.wind_speed_10m;
-    const precipitation = current.precipitation;
-
-    let insight = '';
+  return (
+    <View style={{ width }}>
+      <WeatherOverview
+        weatherData={weatherData}
+        loading={loading}
+        refreshing={refreshing}
+        error={error}
+        lastUpdatedLabel={lastUpdatedLabel}
+        isOffline={isOffline}
+        onRefresh={refreshWeather}
+        locationName={location?.name}
+      />
+    </View>
+  );
+};
 
-    if (temp > 30) {
-      insight = `High Temperature Alert: Current temperature is ${temp.toFixed(1)}°C. UV index is ${daily.uv_index_max[0].toFixed(1)}. Stay hydrated and use sunscreen.`;
-    } else if (temp < 5) {
-      insight = `Cold Weather Advisory: Temperature has dropped to ${temp.toFixed(1)}°C. Feels like ${current.apparent_temperature.toFixed(1)}°C. Dress in layers.`;
-    } else if (precipitation > 0) {
-      insight = `Active Precipitation: Currently experiencing ${precipitation}mm of precipitation. Expect wet conditions.`;
-    } else if (windSpeed > 20) {
-      insight = `Strong Wind Warning: Wind speeds reaching ${windSpeed.toFixed(1)} km/h with gusts up to ${current.wind_gusts_10m.toFixed(1)} km/h.`;
-    } else if (humidity > 80) {
-      insight = `High Humidity Conditions: Humidity levels at ${humidity}%. Expect muggy conditions.`;
-    } else {
-      insight = `Favorable Conditions: Atmospheric pressure is stable at ${current.pressure_msl.toFixed(0)} hPa with balanced temperature (${temp.toFixed(1)}°C).`;
-    }
+/**
+ * Page for a saved city, with its own cached forecast
+ */
+const SavedLocationPage = ({ location, width }) => {
+  const {
+    weatherData,
+    loading,
+    refreshing,
+    error,
+    lastUpdatedLabel,
+    isOffline,
+    refreshWeather,
+  } = useWeather(location);
 
-    setAiInsight(insight);
-  };
+  return (
+    <View style={{ width }}>
+      <WeatherOverview
+        weatherData={weatherData}
+        loading={loading}
+        refreshing={refreshing}
+        error={error}
+        lastUpdatedLabel={lastUpdatedLabel}
+        isOffline={isOffline}
+        onRefresh={refreshWeather}
+        locationName={location.name}
+      />
+    </View>
+  );
+};
 
-  const onRefresh = () => {
-    setRefreshing(true);
-    // Trigger weather data refresh here
-    setTimeout(() => setRefreshing(false), 2000);
+const HomeScreen = ({ navigation }) => {
+  const { width } = useWindowDimensions();
+  const { location: currentLocation } = useCurrentLocation();
+  const { savedLocations } = useSavedLocations();
+  const [pageIndex, setPageIndex] = useState(0);
+
+  const pageCount = savedLocations.length + 1;
+  const activeIndex = Math.min(pageIndex, pageCount - 1);
+
+  // Header follows the visible page
+  const activeSavedLocation =
+    activeIndex === 0 ? null : savedLocations[activeIndex - 1];
+  const activeName = activeSavedLocation
+    ? activeSavedLocation.name
+    : currentLocation?.name;
+  const nowcast = useNowcast(activeSavedLocation ?? currentLocation);
+
+  useLayoutEffect(() => {
+    navigation.setOptions({ title: activeName || 'Aether Weather' });
+  }, [navigation, activeName]);
+
+  const handleScrollEnd = event => {
+    const index = Math.round(event.nativeEvent.contentOffset.x / width);
+    setPageIndex(Math.min(Math.max(index, 0), pageCount - 1));
   };
 
-  if (loading) {
-    return (
-      <View style={styles.loadingContainer}>
-        <ActivityIndicator size="large" color="#3b82f6" />
-        <Text style={styles.loadingText}>Loading weather data...</Text>
-      </View>
-    );
-  }
-
-  if (!weatherData) {
-    return (
-      <View style={styles.errorContainer}>
-        <Text style={styles.errorText}>No weather data available</Text>
-      </View>
-    );
-  }
-
-  const { current } = weatherData;
-
   return (
-    <ScrollView
-      style={styles.container}
-      refreshControl={
-        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
-      }
-    >
-      <View style={styles.header}>
-        <Text style={styles.locationText}>{location?.name || 'Unknown Location'}</Text>
-        <Text style={styles.dateText}>{new Date().toLocaleDateString()}</Text>
-      </View>
-
-      <Card style={styles.currentWeatherCard} variant="elevated">
-        <Text style={styles.temperatureText}>{current.temperature_2m.toFixed(1)}°C</Text>
-        <Text style={styles.feelsLikeText}>
-          Feels like {current.apparent_temperature.toFixed(1)}°C
-        </Text>
-      </Card>
-
-      <Card style={styles.insightCard}>
-        <Text style={styles.insightTitle}>Weather Insight</Text>
-        <Text style={styles.insightText}>{aiInsight}</Text>
-      </Card>
-
-      <View style={styles.detailsGrid}>
-        <Card style={styles.detailCard}>
-          <Text style={styles.detailLabel}>Humidity</Text>
-          <Text style={styles.detailValue}>{current.relative_humidity_2m}%</Text>
-        </Card>
-        <Card style={styles.detailCard}>
-          <Text style={styles.detailLabel}>Wind Speed</Text>
-          <Text style={styles.detailValue}>{current.wind_speed_10m.toFixed(1)} km/h</Text>
-        </Card>
-        <Card style={styles.detailCard}>
-          <Text style={styles.detailLabel}>Precipitation</Text>
-          <Text style={styles.detailValue}>{current.precipitation} mm</Text>
-        </Card>
-        <Card style={styles.detailCard}>
-          <Text style={styles.detailLabel}>Pressure</Text>
-          <Text style={styles.detailValue}>{current.pressure_msl.toFixed(0)} hPa</Text>
-        </Card>
+    <View style={styles.container}>
+      <ScrollView
+        horizontal
+        pagingEnabled
+        showsHorizontalScrollIndicator={false}
+        onMomentumScrollEnd={handleScrollEnd}
+      >
+        <CurrentLocationPage width={width} />
+        {savedLocations.map((location, index) =>
+          // Only pages next to the visible one fetch their forecast
+          Math.abs(index + 1 - activeIndex) <= 1 ? (
+            <SavedLocationPage
+              key={location.id}
+              location={location}
+              width={width}
+            />
+          ) : (
+            <View key={location.id} style={{ width }} />
+          ),
+        )}
+      </ScrollView>
+
+      {pageCount > 1 && (
+        <View style={styles.pageIndicator}>
+          {Array.from({ length: pageCount }, (_, index) => (
+            <View
+              key={index}
+              style={[styles.dot, index === activeIndex && styles.dotActive]}
+            />
+          ))}
+        </View>
+      )}
+
+      <NowcastCard
+        {...nowcast}
+        onPress={() =>
+          navigation.navigate(
+            'Radar',
+            activeSavedLocation ? { location: activeSavedLocation } : {},
+          )
+        }
+      />
+
+      <View style={styles.navRow}>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() =>
+            navigation.navigate(
+              'Hourly',
+              activeSavedLocation ? { location: activeSavedLocation } : {},
+            )
+          }
+        >
+          <Text style={styles.navButtonText}>Hourly</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() =>
+            navigation.navigate(
+              'Charts',
+              activeSavedLocation ? { location: activeSavedLocation } : {},
+            )
+          }
+        >
+          <Text style={styles.navButtonText}>Trends</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() =>
+            navigation.navigate(
+              'Radar',
+              activeSavedLocation ? { location: activeSavedLocation } : {},
+            )
+          }
+        >
+          <Text style={styles.navButtonText}>Radar</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() =>
+            navigation.navigate(
+              'Forecast',
+              activeSavedLocation ? { location: activeSavedLocation } : {},
+            )
+          }
+        >
+          <Text style={styles.navButtonText}>Forecast</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() => navigation.navigate('Assistant')}
+        >
+          <Text style={styles.navButtonText}>Ask</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.navButton}
+          onPress={() => navigation.navigate('Settings')}
+        >
+          <Text style={styles.navButtonText}>Settings</Text>
+        </TouchableOpacity>
       </View>
-    </ScrollView>
+    </View>
   );
 };
 
@@ -125,91 +213,36 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#0f172a',
   },
-  loadingContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: '#0f172a',
-  },
-  loadingText: {
-    marginTop: verticalScale(16),
-    fontSize: moderateScale(16),
-    color: '#94a3b8',
-  },
-  errorContainer: {
-    flex: 1,
+  pageIndicator: {
+    flexDirection: 'row',
     justifyContent: 'center',
-    alignItems: 'center',
-    backgroundColor: '#0f172a',
+    paddingVertical: verticalScale(8),
   },
-  errorText: {
-    fontSize: moderateScale(16),
-    color: '#ef4444',
+  dot: {
+    width: scale(6),
+    height: scale(6),
+    borderRadius: scale(3),
+    marginHorizontal: scale(3),
+    backgroundColor: '#334155',
   },
-  header: {
-    padding: scale(20),
-    paddingTop: verticalScale(40),
+  dotActive: {
+    backgroundColor: '#60a5fa',
   },
-  locationText: {
-    fontSize: moderateScale(28),
-    fontWeight: 'bold',
-    color: '#f8fafc',
-  },
-  dateText: {
-    fontSize: moderateScale(14),
-    color: '#94a3b8',
-    marginTop: verticalScale(4),
+  navRow: {
+    flexDirection: 'row',
+    borderTopWidth: StyleSheet.hairlineWidth,
+    borderTopColor: '#334155',
   },
-  currentWeatherCard: {
-    margin: spacing.lg,
-    marginTop: 0,
+  navButton: {
+    flex: 1,
     alignItems: 'center',
+    paddingVertical: verticalScale(12),
   },
-  temperatureText: {
-    fontSize: moderateScale(64),
-    fontWeight: 'bold',
-    color: '#3b82f6',
-  },
-  feelsLikeText: {
-    fontSize: moderateScale(16),
-    color: '#94a3b8',
-    marginTop: verticalScale(8),
-  },
-  insightCard: {
-    margin: spacing.lg,
-    marginTop: 0,
-  },
-  insightTitle: {
-    fontSize: moderateScale(18),
-    fontWeight: 'bold',
-    color: '#f8fafc',
-    marginBottom: verticalScale(8),
-  },
-  insightText: {
+  navButtonText: {
     fontSize: moderateScale(14),
-    color: '#cbd5e1',
-    lineHeight: moderateScale(20),
-  },
-  detailsGrid: {
-    flexDirection: 'row',
-    flexWrap: 'wrap',
-    padding: scale(10),
-  },
-  detailCard: {
-    width: '45%',
-    margin: spacing.sm,
-  },
-  detailLabel: {
-    fontSize: moderateScale(12),
-    color: '#94a3b8',
-    marginBottom: verticalScale(4),
-  },
-  detailValue: {
-    fontSize: moderateScale(20),
     fontWeight: 'bold',
-    color: '#f8fafc',
+    color: '#60a5fa',
   },
 });
 
 export default HomeScreen;
-
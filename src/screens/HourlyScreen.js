@@ -0,0 +1,354 @@
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ActivityIndicator,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { format } from 'date-fns';
+import { useUnits } from '../context/UnitsContext';
+import { useForecastFor } from '../hooks/useForecastFor';
+import ConditionBadge from '../components/ConditionBadge';
+import { describeError } from '../services/http';
+import {
+  buildHourlyTimeline,
+  getClockTime,
+  TIMELINE_HOURS,
+} from '../services/hourlyTimeline';
+import {
+  formatTemperature,
+  formatSpeed,
+  getUnitLabel,
+} from '../services/units';
+import {
+  getTemperatureColor,
+  getPrecipitationColor,
+  getWindSpeedColor,
+  getUVIndexColor,
+} from '../services/weatherColorCoding';
+
+const COLUMN_WIDTH = scale(64);
+const MARKER_WIDTH = scale(44);
+const ROW_HEIGHT = verticalScale(34);
+
+const ROWS = ['Time', 'Sky', 'Temp', 'Feels', 'Rain', 'Wind', 'UV'];
+
+const formatDegrees = (celsius, units) =>
+  `${formatTemperature(celsius, units, { decimals: 0, withUnit: false })}°`;
+
+const HourColumn = ({ entry, units }) => {
+  const rainColor = getPrecipitationColor(entry.precipitationProbability ?? 0);
+
+  return (
+    <View style={[styles.column, entry.isNow && styles.nowColumn]}>
+      <Text style={[styles.cell, styles.timeText]}>
+        {entry.isNow ? 'Now' : getClockTime(entry.time)}
+      </Text>
+      <ConditionBadge
+        code={entry.weatherCode}
+        isDay={entry.isDay}
+        size="sm"
+        showDescription={false}
+        showSeverity={false}
+        style={styles.cellContainer}
+      />
+      <Text
+        style={[
+          styles.cell,
+          styles.tempText,
+          { color: getTemperatureColor(entry.temperature).color },
+        ]}
+      >
+        {formatDegrees(entry.temperature, units)}
+      </Text>
+      <Text
+        style={[
+          styles.cell,
+          { color: getTemperatureColor(entry.apparentTemperature).color },
+        ]}
+      >
+        {formatDegrees(entry.apparentTemperature, units)}
+      </Text>
+      <View style={styles.cellContainer}>
+        <Text style={[styles.valueText, { color: rainColor.color }]}>
+          {entry.precipitationProbability ?? '--'}%
+        </Text>
+        <View style={styles.barTrack}>
+          <View
+            style={[
+              styles.barFill,
+              {
+                width: `${entry.precipitationProbability ?? 0}%`,
+                backgroundColor: rainColor.color,
+              },
+            ]}
+          />
+        </View>
+      </View>
+      <View style={styles.cellContainer}>
+        <Text
+          style={[
+            styles.valueText,
+            { color: getWindSpeedColor(entry.windSpeed).color },
+          ]}
+        >
+          {formatSpeed(entry.windSpeed, units, {
+            decimals: 0,
+            withUnit: false,
+          })}
+        </Text>
+        {entry.windDirection != null && (
+          // Arrow points where the wind is blowing to
+          <Text
+            style={[
+              styles.windArrow,
+              { transform: [{ rotate: `${entry.windDirection + 180}deg` }] },
+            ]}
+          >
+            ↑
+          </Text>
+        )}
+      </View>
+      <Text
+        style={[
+          styles.cell,
+          { color: getUVIndexColor(entry.uvIndex ?? 0).color },
+        ]}
+      >
+        {entry.uvIndex != null ? Math.round(entry.uvIndex) : '--'}
+      </Text>
+    </View>
+  );
+};
+
+const DaySeparator = ({ date }) => (
+  <View style={styles.daySeparator}>
+    <Text style={styles.dayText}>
+      {format(new Date(`${date}T00:00`), 'EEE d')}
+    </Text>
+  </View>
+);
+
+const SunMarker = ({ type, time }) => (
+  <View style={styles.sunMarker}>
+    <Text style={styles.sunIcon}>{type === 'sunrise' ? '🌅' : '🌇'}</Text>
+    <Text style={styles.sunLabel}>{type === 'sunrise' ? 'Rise' : 'Set'}</Text>
+    <Text style={styles.sunTime}>{getClockTime(time)}</Text>
+  </View>
+);
+
+const HourlyTimeline = ({ weatherData, loading, error }) => {
+  const { units } = useUnits();
+  const entries = useMemo(
+    () => buildHourlyTimeline(weatherData, TIMELINE_HOURS),
+    [weatherData],
+  );
+
+  if (loading && !weatherData) {
+    return <ActivityIndicator size="large" color="#60a5fa" />;
+  }
+
+  if (!weatherData) {
+    const { title, message } = error
+      ? describeError(error)
+      : { title: 'No hourly data available', message: '' };
+    return (
+      <Text style={styles.errorText}>
+        {title}
+        {message ? `: ${message}` : ''}
+      </Text>
+    );
+  }
+
+  const rowUnits = {
+    Temp: getUnitLabel(units.temperature),
+    Feels: getUnitLabel(units.temperature),
+    Rain: '%',
+    Wind: getUnitLabel(units.speed),
+  };
+
+  const renderEntry = ({ item }) => {
+    switch (item.type) {
+      case 'day':
+        return <DaySeparator date={item.date} />;
+      case 'sunrise':
+      case 'sunset':
+        return <SunMarker type={item.type} time={item.time} />;
+      default:
+        return <HourColumn entry={item} units={units} />;
+    }
+  };
+
+  return (
+    <View style={styles.timeline}>
+      <View style={styles.legend}>
+        {ROWS.map(row => (
+          <View key={row} style={styles.legendCell}>
+            <Text style={styles.legendText}>{row}</Text>
+            {!!rowUnits[row] && (
+              <Text style={styles.legendUnit}>{rowUnits[row]}</Text>
+            )}
+          </View>
+        ))}
+      </View>
+      <FlatList
+        horizontal
+        data={entries}
+        keyExtractor={item => item.key}
+        renderItem={renderEntry}
+        showsHorizontalScrollIndicator={false}
+        initialNumToRender={12}
+      />
+    </View>
+  );
+};
+
+/**
+ * Saved cities pass their location as a route param and fetch their own
+ * forecast; otherwise the shared forecast for the current location is used.
+ */
+const HourlyScreen = ({ route }) => {
+  const { weatherData, loading, error } = useForecastFor(route);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>Next 48 Hours</Text>
+      <HourlyTimeline
+        weatherData={weatherData}
+        loading={loading}
+        error={error}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+    paddingVertical: verticalScale(20),
+  },
+  title: {
+    fontSize: moderateScale(24),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(16),
+    paddingHorizontal: scale(20),
+  },
+  errorText: {
+    fontSize: moderateScale(16),
+    color: '#ef4444',
+    textAlign: 'center',
+    marginTop: verticalScale(20),
+  },
+  timeline: {
+    flexDirection: 'row',
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(12),
+    marginHorizontal: scale(12),
+    paddingVertical: verticalScale(8),
+  },
+  legend: {
+    width: scale(52),
+    borderRightWidth: StyleSheet.hairlineWidth,
+    borderRightColor: '#334155',
+  },
+  legendCell: {
+    height: ROW_HEIGHT,
+    justifyContent: 'center',
+    paddingLeft: scale(8),
+  },
+  legendText: {
+    fontSize: moderateScale(11),
+    color: '#94a3b8',
+    fontWeight: 'bold',
+  },
+  legendUnit: {
+    fontSize: moderateScale(9),
+    color: '#64748b',
+  },
+  column: {
+    width: COLUMN_WIDTH,
+    alignItems: 'center',
+  },
+  nowColumn: {
+    backgroundColor: '#334155',
+    borderRadius: moderateScale(8),
+  },
+  cell: {
+    height: ROW_HEIGHT,
+    lineHeight: ROW_HEIGHT,
+    fontSize: moderateScale(14),
+    color: '#cbd5e1',
+    textAlign: 'center',
+  },
+  cellContainer: {
+    height: ROW_HEIGHT,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  timeText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+  },
+  tempText: {
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+  },
+  valueText: {
+    fontSize: moderateScale(13),
+    fontWeight: 'bold',
+  },
+  barTrack: {
+    width: COLUMN_WIDTH * 0.6,
+    height: verticalScale(3),
+    borderRadius: verticalScale(2),
+    backgroundColor: '#0f172a',
+    marginTop: verticalScale(2),
+    overflow: 'hidden',
+  },
+  barFill: {
+    height: '100%',
+  },
+  windArrow: {
+    fontSize: moderateScale(11),
+    color: '#94a3b8',
+  },
+  daySeparator: {
+    width: scale(28),
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderLeftWidth: 1,
+    borderLeftColor: '#475569',
+  },
+  dayText: {
+    width: ROW_HEIGHT * ROWS.length,
+    fontSize: moderateScale(11),
+    fontWeight: 'bold',
+    color: '#60a5fa',
+    textAlign: 'center',
+    transform: [{ rotate: '-90deg' }],
+  },
+  sunMarker: {
+    width: MARKER_WIDTH,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  sunIcon: {
+    fontSize: moderateScale(18),
+  },
+  sunLabel: {
+    fontSize: moderateScale(10),
+    color: '#f59e0b',
+    marginTop: verticalScale(4),
+  },
+  sunTime: {
+    fontSize: moderateScale(11),
+    color: '#fbbf24',
+    fontWeight: 'bold',
+  },
+});
+
+export default HourlyScreen;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Linking,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import LocationSearch from '../components/LocationSearch';
+import { useCurrentLocation } from '../context/WeatherContext';
+import { useSupabase } from '../context/SupabaseContext';
+import { loadLastKnownLocation } from '../services/locationStorage';
+
+/**
+ * Shown instead of the app when there is no GPS fix and no remembered manual
+ * location. Lets the user pick a city, their profile default or the last fix.
+ */
+const LocationFallbackScreen = () => {
+  const {
+    permissionGranted,
+    permissionBlocked,
+    requestLocationPermission,
+    setManualLocation,
+  } = useCurrentLocation();
+  const { currentUser } = useSupabase();
+  const [lastKnown, setLastKnown] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadLastKnownLocation().then(stored => {
+      if (!cancelled) {
+        setLastKnown(stored);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Fixes saved before reverse geocoding finished only have the placeholder
+  const hasLastKnownName =
+    !!lastKnown?.name && lastKnown.name !== 'Current Location';
+
+  const hasProfileDefault =
+    currentUser?.default_latitude != null &&
+    currentUser?.default_longitude != null;
+
+  const selectProfileDefault = () => {
+    setManualLocation(
+      {
+        latitude: currentUser.default_latitude,
+        longitude: currentUser.default_longitude,
+        name: currentUser.default_location || 'Default Location',
+      },
+      'profile',
+    );
+  };
+
+  const selectLastKnown = () => {
+    setManualLocation(
+      {
+        ...lastKnown,
+        name: hasLastKnownName ? lastKnown.name : 'Last Known Location',
+      },
+      'lastKnown',
+    );
+  };
+
+  const message = permissionBlocked
+    ? 'Location access is turned off for Aether Weather. Enable it in Settings, or choose a location below.'
+    : !permissionGranted
+    ? 'Without location access, choose where to show the weather for.'
+    : "We couldn't get a GPS fix. Choose a location below or try again.";
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={styles.title}>Choose a Location</Text>
+      <Text style={styles.message}>{message}</Text>
+
+      <TouchableOpacity
+        style={styles.primaryButton}
+        onPress={
+          permissionBlocked
+            ? () => Linking.openSettings()
+            : requestLocationPermission
+        }
+      >
+        <Text style={styles.primaryButtonText}>
+          {permissionBlocked ? 'Open Settings' : 'Use My Location'}
+        </Text>
+      </TouchableOpacity>
+
+      {(lastKnown || hasProfileDefault) && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Quick Picks</Text>
+          {lastKnown && (
+            <TouchableOpacity style={styles.option} onPress={selectLastKnown}>
+              <Text style={styles.optionName}>Last Known Location</Text>
+              <Text style={styles.optionDetail}>
+                {hasLastKnownName
+                  ? lastKnown.name
+                  : `${lastKnown.latitude.toFixed(
+                      2,
+                    )}, ${lastKnown.longitude.toFixed(2)}`}
+                {' · '}
+                {new Date(lastKnown.savedAt).toLocaleDateString()}
+              </Text>
+            </TouchableOpacity>
+          )}
+          {hasProfileDefault && (
+            <TouchableOpacity
+              style={styles.option}
+              onPress={selectProfileDefault}
+            >
+              <Text style={styles.optionName}>
+                {currentUser.default_location || 'Default Location'}
+              </Text>
+              <Text style={styles.optionDetail}>
+                Your profile's home location
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Search for a City</Text>
+        <LocationSearch
+          onSelect={result => setManualLocation(result, 'search')}
+        />
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  content: {
+    padding: scale(20),
+    paddingTop: verticalScale(40),
+  },
+  title: {
+    fontSize: moderateScale(24),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    textAlign: 'center',
+    marginBottom: verticalScale(12),
+  },
+  message: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    textAlign: 'center',
+    lineHeight: moderateScale(20),
+    marginBottom: verticalScale(20),
+  },
+  primaryButton: {
+    backgroundColor: '#3b82f6',
+    borderRadius: moderateScale(10),
+    paddingVertical: verticalScale(12),
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+    color: '#ffffff',
+  },
+  section: {
+    marginTop: verticalScale(28),
+  },
+  sectionTitle: {
+    fontSize: moderateScale(18),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(12),
+  },
+  option: {
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    padding: scale(12),
+    marginBottom: verticalScale(8),
+  },
+  optionName: {
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  optionDetail: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(2),
+  },
+});
+
+export default LocationFallbackScreen;
@@ -0,0 +1,161 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import LocationSearch from '../components/LocationSearch';
+import { useSavedLocations } from '../context/SavedLocationsContext';
+import {
+  toSavedLocation,
+  formatLocationLabel,
+  MAX_SAVED_LOCATIONS,
+} from '../services/savedLocations';
+
+const LocationsScreen = () => {
+  const { savedLocations, addLocation, removeLocation, moveLocation } =
+    useSavedLocations();
+
+  const handleAdd = result => {
+    if (savedLocations.length >= MAX_SAVED_LOCATIONS) {
+      Alert.alert(
+        'Limit Reached',
+        `You can save up to ${MAX_SAVED_LOCATIONS} locations. Remove one to add another.`,
+      );
+      return;
+    }
+    addLocation(toSavedLocation(result));
+  };
+
+  const handleRemove = location => {
+    Alert.alert('Remove Location', `Remove ${location.name} from your list?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => removeLocation(location.id),
+      },
+    ]);
+  };
+
+  return (
+    <ScrollView style={styles.container} keyboardShouldPersistTaps="handled">
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Add a City</Text>
+        <LocationSearch onSelect={handleAdd} />
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Saved Locations</Text>
+        {savedLocations.length === 0 && (
+          <Text style={styles.emptyText}>
+            Search for a city above to add it. Saved cities appear as pages on
+            the Home screen.
+          </Text>
+        )}
+        {savedLocations.map((location, index) => (
+          <View key={location.id} style={styles.locationRow}>
+            <View style={styles.locationInfo}>
+              <Text style={styles.locationName}>{location.name}</Text>
+              <Text style={styles.locationDetail}>
+                {formatLocationLabel(location)}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => moveLocation(location.id, -1)}
+              disabled={index === 0}
+            >
+              <Text
+                style={[styles.iconText, index === 0 && styles.iconDisabled]}
+              >
+                ▲
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => moveLocation(location.id, 1)}
+              disabled={index === savedLocations.length - 1}
+            >
+              <Text
+                style={[
+                  styles.iconText,
+                  index === savedLocations.length - 1 && styles.iconDisabled,
+                ]}
+              >
+                ▼
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => handleRemove(location)}
+            >
+              <Text style={[styles.iconText, styles.removeText]}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  section: {
+    padding: scale(20),
+  },
+  sectionTitle: {
+    fontSize: moderateScale(20),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+    marginBottom: verticalScale(16),
+  },
+  emptyText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    lineHeight: moderateScale(20),
+  },
+  locationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#1e293b',
+    borderRadius: moderateScale(10),
+    padding: scale(12),
+    marginBottom: verticalScale(8),
+  },
+  locationInfo: {
+    flex: 1,
+  },
+  locationName: {
+    fontSize: moderateScale(16),
+    fontWeight: 'bold',
+    color: '#f8fafc',
+  },
+  locationDetail: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(2),
+  },
+  iconButton: {
+    padding: scale(8),
+  },
+  iconText: {
+    fontSize: moderateScale(16),
+    color: '#60a5fa',
+  },
+  iconDisabled: {
+    color: '#334155',
+  },
+  removeText: {
+    color: '#ef4444',
+  },
+});
+
+export default LocationsScreen;
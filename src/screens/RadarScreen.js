@@ -0,0 +1,309 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from 'react-native';
+import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
+import { useCurrentLocation } from '../context/WeatherContext';
+import { useRadarFrames } from '../hooks/useRadarFrames';
+import { useRadarPrefetch } from '../hooks/useRadarPrefetch';
+import { describeError } from '../services/http';
+import {
+  COLOR_SCHEMES,
+  COLOR_SCHEME_NAMES,
+  constructFrameTileUrl,
+} from '../services/rainviewerApi';
+import { getCachedTileUri } from '../services/tileCache';
+import { RadarMap, FrameScrubber } from '../components/radar';
+
+const LAYERS = [
+  { key: 'radar', label: 'Radar' },
+  { key: 'satellite', label: 'Satellite' },
+];
+
+const FRAME_INTERVAL_MS = 600;
+
+// Start on the most recent observed frame rather than the end of the nowcast
+const getLatestObservedIndex = frames => {
+  const index = frames.findIndex(frame => frame.isNowcast);
+  return (index === -1 ? frames.length : index) - 1;
+};
+
+/**
+ * Animated RainViewer radar or satellite imagery over a slippy map. Saved
+ * cities pass their location as a route param; otherwise the map is centred
+ * on the current location.
+ */
+const RadarScreen = ({ route }) => {
+  const { location: currentLocation } = useCurrentLocation();
+  const location = route?.params?.location ?? currentLocation;
+  const { host, radarFrames, satelliteFrames, loading, error, reload } =
+    useRadarFrames();
+
+  const [layer, setLayer] = useState('radar');
+  const [colorScheme, setColorScheme] = useState(COLOR_SCHEMES.TITAN);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [playRequested, setPlayRequested] = useState(false);
+  const [region, setRegion] = useState(null);
+
+  const frames = layer === 'radar' ? radarFrames : satelliteFrames;
+  const frame = frames[frameIndex] ?? null;
+
+  const { progress, ready } = useRadarPrefetch({
+    host,
+    frames,
+    layer,
+    colorScheme,
+    region,
+  });
+
+  // Playback waits for the frames to be cached so the loop doesn't stutter;
+  // ready stays false until the prefetch itself settles, debounce included
+  useEffect(() => {
+    if (playRequested && ready) {
+      setPlayRequested(false);
+      setPlaying(true);
+    }
+  }, [playRequested, ready]);
+
+  // Reset to the latest observation whenever the frame list changes
+  useEffect(() => {
+    setFrameIndex(Math.max(getLatestObservedIndex(frames), 0));
+  }, [frames]);
+
+  useEffect(() => {
+    if (!playing || frames.length < 2) return;
+    const timer = setInterval(() => {
+      setFrameIndex(index => (index + 1) % frames.length);
+    }, FRAME_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [playing, frames.length]);
+
+  // Resolved on every render so tiles switch to local files as the
+  // prefetch fills the cache
+  const getOverlayUrl = tile => {
+    if (!host || !frame) return null;
+    const url = constructFrameTileUrl(layer, host, frame, tile, colorScheme);
+    return getCachedTileUri(url) ?? url;
+  };
+
+  const togglePlay = () => {
+    if (playing || playRequested) {
+      setPlaying(false);
+      setPlayRequested(false);
+    } else {
+      setPlayRequested(true);
+    }
+  };
+
+  if (!location) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <Text style={styles.messageText}>
+          Choose a location to see the radar.
+        </Text>
+      </View>
+    );
+  }
+
+  const renderStatus = () => {
+    if (loading && frames.length === 0) {
+      return <ActivityIndicator color="#60a5fa" />;
+    }
+    if (error && frames.length === 0) {
+      const { title, message, retryable } = describeError(error);
+      return (
+        <View style={styles.status}>
+          <Text style={styles.errorText}>
+            {title}
+            {message ? `: ${message}` : ''}
+          </Text>
+          {retryable && (
+            <TouchableOpacity onPress={reload}>
+              <Text style={styles.retryText}>Try Again</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      );
+    }
+    if (frames.length === 0) {
+      return (
+        <Text style={styles.messageText}>
+          No {layer} imagery is available right now.
+        </Text>
+      );
+    }
+    return (
+      <FrameScrubber
+        frames={frames}
+        index={frameIndex}
+        onChange={index => {
+          setPlaying(false);
+          setPlayRequested(false);
+          setFrameIndex(index);
+        }}
+        playing={playing || playRequested}
+        onTogglePlay={togglePlay}
+        progress={progress}
+      />
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <RadarMap
+        latitude={location.latitude}
+        longitude={location.longitude}
+        getOverlayUrl={getOverlayUrl}
+        onRegionChange={setRegion}
+      />
+
+      <View style={styles.panel}>
+        {renderStatus()}
+
+        <View style={styles.toggleRow}>
+          {LAYERS.map(option => (
+            <TouchableOpacity
+              key={option.key}
+              style={[
+                styles.toggleOption,
+                option.key === layer && styles.toggleOptionActive,
+              ]}
+              onPress={() => {
+                setPlaying(false);
+                setPlayRequested(false);
+                setLayer(option.key);
+              }}
+            >
+              <Text
+                style={[
+                  styles.toggleText,
+                  option.key === layer && styles.toggleTextActive,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {layer === 'radar' && (
+          <ScrollView
+            horizontal
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={styles.schemeRow}
+          >
+            {Object.values(COLOR_SCHEMES).map(scheme => (
+              <TouchableOpacity
+                key={scheme}
+                style={[
+                  styles.schemeChip,
+                  scheme === colorScheme && styles.schemeChipActive,
+                ]}
+                onPress={() => setColorScheme(scheme)}
+              >
+                <Text
+                  style={[
+                    styles.schemeText,
+                    scheme === colorScheme && styles.toggleTextActive,
+                  ]}
+                >
+                  {COLOR_SCHEME_NAMES[scheme]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#0f172a',
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: scale(20),
+  },
+  panel: {
+    backgroundColor: '#1e293b',
+    paddingHorizontal: scale(16),
+    paddingTop: verticalScale(8),
+    paddingBottom: verticalScale(16),
+  },
+  status: {
+    alignItems: 'center',
+    paddingVertical: verticalScale(8),
+  },
+  messageText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: verticalScale(8),
+  },
+  errorText: {
+    fontSize: moderateScale(14),
+    color: '#ef4444',
+    textAlign: 'center',
+  },
+  retryText: {
+    fontSize: moderateScale(14),
+    fontWeight: 'bold',
+    color: '#60a5fa',
+    marginTop: verticalScale(6),
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    backgroundColor: '#0f172a',
+    borderRadius: moderateScale(8),
+    padding: scale(2),
+    marginTop: verticalScale(8),
+  },
+  toggleOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: verticalScale(6),
+    borderRadius: moderateScale(6),
+  },
+  toggleOptionActive: {
+    backgroundColor: '#3b82f6',
+  },
+  toggleText: {
+    fontSize: moderateScale(13),
+    color: '#94a3b8',
+  },
+  toggleTextActive: {
+    color: '#f8fafc',
+    fontWeight: 'bold',
+  },
+  schemeRow: {
+    paddingTop: verticalScale(10),
+  },
+  schemeChip: {
+    paddingVertical: verticalScale(4),
+    paddingHorizontal: scale(10),
+    borderRadius: moderateScale(12),
+    borderWidth: 1,
+    borderColor: '#334155',
+    marginRight: scale(6),
+  },
+  schemeChipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  schemeText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+  },
+});
+
+export default RadarScreen;
@@ -7,19 +7,132 @@ import {
   TouchableOpacity,
   Alert,
   ActivityIndicator,
+  Switch,
 } from 'react-native';
 import { scale, verticalScale, moderateScale } from 'react-native-size-matters';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { useUnits } from '../context/UnitsContext';
+import { useNotifications } from '../context/NotificationsContext';
+import { UNIT_OPTIONS, UNIT_LABELS } from '../services/units';
+import { NOTIFICATION_GROUPS } from '../services/notificationPreferences';
+
+const PRESET_OPTIONS = [
+  { key: 'metric', label: 'Metric' },
+  { key: 'imperial', label: 'Imperial' },
+  { key: 'uk', label: 'UK' },
+];
+
+const DIMENSION_LABELS = {
+  temperature: 'Temperature',
+  speed: 'Wind Speed',
+  precipitation: 'Precipitation',
+  pressure: 'Pressure',
+  visibility: 'Visibility',
+};
+
+const QUIET_START_OPTIONS = ['21:00', '22:00', '23:00'].map(time => ({ key: time, label: time }));
+const QUIET_END_OPTIONS = ['06:00', '07:00', '08:00'].map(time => ({ key: time, label: time }));
+
+const SwitchRow = ({ label, value, onValueChange, disabled }) => (
+  <View style={styles.switchRow}>
+    <Text style={[styles.switchLabel, disabled && styles.switchLabelDisabled]}>{label}</Text>
+    <Switch
+      value={value}
+      onValueChange={onValueChange}
+      disabled={disabled}
+      trackColor={{ false: '#334155', true: '#3b82f6' }}
+    />
+  </View>
+);
+
+const OptionRow = ({ options, selected, onSelect }) => (
+  <View style={styles.optionRow}>
+    {options.map(option => (
+      <TouchableOpacity
+        key={option.key}
+        style={[styles.optionButton, selected === option.key && styles.optionButtonActive]}
+        onPress={() => onSelect(option.key)}
+      >
+        <Text style={[styles.optionText, selected === option.key && styles.optionTextActive]}>
+          {option.label}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
 
 const SettingsScreen = () => {
   const isPremium = false; // Temporarily disable premium features
   const loading = false;
   const handlePurchase = () => Alert.alert('Feature Disabled', 'Subscription feature is temporarily disabled.');
   const handleRestore = () => Alert.alert('Feature Disabled', 'Restore Purchase feature is temporarily disabled.');
+  const { units, preset, setUnit, applyPreset } = useUnits();
+  const { preferences, setEnabled, setTypeEnabled, setQuietHours } = useNotifications();
 
 
   return (
     <ScrollView style={styles.container}>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Units</Text>
+        <OptionRow options={PRESET_OPTIONS} selected={preset} onSelect={applyPreset} />
+        {Object.keys(UNIT_OPTIONS).map(dimension => (
+          <View key={dimension} style={styles.unitGroup}>
+            <Text style={styles.unitLabel}>{DIMENSION_LABELS[dimension]}</Text>
+            <OptionRow
+              options={UNIT_OPTIONS[dimension].map(unit => ({ key: unit, label: UNIT_LABELS[unit] }))}
+              selected={units[dimension]}
+              onSelect={unit => setUnit(dimension, unit)}
+            />
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Notifications</Text>
+        <SwitchRow label="Weather alerts" value={preferences.enabled} onValueChange={setEnabled} />
+        <SwitchRow
+          label="Quiet hours"
+          value={preferences.quietHours.enabled}
+          onValueChange={enabled => setQuietHours({ enabled })}
+          disabled={!preferences.enabled}
+        />
+        {preferences.enabled && preferences.quietHours.enabled && (
+          <>
+            <Text style={styles.hintText}>Critical alerts still come through; others wait until quiet hours end.</Text>
+            <View style={styles.unitGroup}>
+              <Text style={styles.unitLabel}>From</Text>
+              <OptionRow
+                options={QUIET_START_OPTIONS}
+                selected={preferences.quietHours.start}
+                onSelect={start => setQuietHours({ start })}
+              />
+            </View>
+            <View style={styles.unitGroup}>
+              <Text style={styles.unitLabel}>Until</Text>
+              <OptionRow
+                options={QUIET_END_OPTIONS}
+                selected={preferences.quietHours.end}
+                onSelect={end => setQuietHours({ end })}
+              />
+            </View>
+          </>
+        )}
+        {NOTIFICATION_GROUPS.map(group => (
+          <View key={group.key} style={styles.unitGroup}>
+            <Text style={styles.unitLabel}>{group.label}</Text>
+            {group.types.map(type => (
+              <SwitchRow
+                key={type.key}
+                label={type.label}
+                value={preferences.types[type.key] === true}
+                onValueChange={enabled => setTypeEnabled(type.key, enabled)}
+                disabled={!preferences.enabled}
+              />
+            ))}
+          </View>
+        ))}
+      </View>
+
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Subscription</Text>
         
@@ -138,6 +251,55 @@ const styles = StyleSheet.create({
     fontSize: moderateScale(14),
     color: '#3b82f6',
   },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  optionButton: {
+    paddingVertical: verticalScale(8),
+    paddingHorizontal: scale(14),
+    marginRight: scale(8),
+    marginBottom: verticalScale(8),
+    borderRadius: moderateScale(8),
+    backgroundColor: '#1e293b',
+  },
+  optionButtonActive: {
+    backgroundColor: '#3b82f6',
+  },
+  optionText: {
+    fontSize: moderateScale(14),
+    color: '#94a3b8',
+  },
+  optionTextActive: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  unitGroup: {
+    marginTop: verticalScale(12),
+  },
+  unitLabel: {
+    fontSize: moderateScale(14),
+    color: '#cbd5e1',
+    marginBottom: verticalScale(8),
+  },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: verticalScale(6),
+  },
+  switchLabel: {
+    fontSize: moderateScale(14),
+    color: '#f8fafc',
+  },
+  switchLabelDisabled: {
+    color: '#64748b',
+  },
+  hintText: {
+    fontSize: moderateScale(12),
+    color: '#94a3b8',
+    marginTop: verticalScale(4),
+  },
   aboutText: {
     fontSize: moderateScale(14),
     color: '#94a3b8',
@@ -0,0 +1,250 @@
+// AI Response Cache
+// Analyses are prompted from forecast values, so every render of the same
+// forecast would ask the model the same question. Results are cached in
+// memory and AsyncStorage under a hash of the prompt, with each quoted value
+// bucketed by its unit so small fluctuations between forecast fetches reuse
+// the same entry.
+// Identical requests made while one is in flight share it, and entries the
+// model can't currently refresh are still returned so the last analyses show
+// offline.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'aiResponse:';
+
+// Open-Meteo reissues its forecasts about hourly; a response is reused for
+// newer forecasts until then
+export const FORECAST_ISSUE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Entries older than this are discarded instead of being shown offline
+export const MAX_STALE_MS = 48 * 60 * 60 * 1000;
+
+// Bucket width per unit a prompt quotes values in (see UNIT_LABELS in
+// units.js); readings in the same bucket ask the model the same question.
+// A bare ° is a wind direction.
+const BUCKET_SIZES = {
+  '°C': 1,
+  '°F': 2,
+  '°': 10,
+  '%': 5,
+  hPa: 2,
+  mmHg: 2,
+  inHg: 0.05,
+  'km/h': 5,
+  mph: 3,
+  'm/s': 1,
+  kn: 3,
+  mm: 1,
+  in: 0.05,
+};
+
+// A number, optionally followed by one of the units above; longer units
+// first so °C isn't read as a direction
+const QUANTITY_PATTERN = new RegExp(
+  `(-?\\d+(?:\\.\\d+)?)(?:(\\s?)(${Object.keys(BUCKET_SIZES)
+    .sort((a, b) => b.length - a.length)
+    .join('|')})(?![A-Za-z]))?`,
+  'g',
+);
+
+const memoryCache = new Map();
+const inFlightRequests = new Map();
+
+// Two polynomial hashes over different primes (~60 bits together); prompts
+// are too long to use as keys
+function hashString(text) {
+  let first = 0;
+  let second = 0;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    first = (first * 31 + char) % 1000000007;
+    second = (second * 131 + char) % 998244353;
+  }
+  return `${first.toString(36)}-${second.toString(36)}`;
+}
+
+// Lower bound of the bucket a value falls in. Flooring keeps every bucket
+// the same width, negative values included; the epsilon stops 29.9 / 0.05
+// landing just below its bucket.
+function bucketValue(value, size) {
+  const bucket = Math.floor(value / size + 1e-9) * size;
+  return bucket.toFixed(size < 1 ? 2 : 0);
+}
+
+/**
+ * Reduce a prompt to what decides its answer: values with a unit are
+ * bucketed per quantity (71% and 72% humidity, 1013 and 1012 hPa ask the same
+ * question), other decimals floored to whole numbers, and whitespace
+ * collapsed. The result is only used as a key.
+ * @param {string} prompt - Prompt text
+ * @returns {string} Normalized prompt
+ */
+export function normalizePrompt(prompt) {
+  return prompt
+    .replace(QUANTITY_PATTERN, (match, number, space, unit) => {
+      if (unit) {
+        return `${bucketValue(
+          Number(number),
+          BUCKET_SIZES[unit],
+        )}${space}${unit}`;
+      }
+      return number.includes('.') ? bucketValue(Number(number), 1) : match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Build the cache key for a prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} namespace - Kind of result, so a prompt's raw text and
+ *   its validated JSON are kept apart
+ * @returns {string} AsyncStorage key
+ */
+export function getAiCacheKey(prompt, namespace = 'text') {
+  return `${CACHE_PREFIX}${namespace}:${hashString(normalizePrompt(prompt))}`;
+}
+
+/**
+ * Whether a cached response can be served for a forecast without asking the
+ * model again: it came from the same fetch or a later one, or it is younger
+ * than the forecast's issue interval so no newer forecast can exist yet.
+ * Open-Meteo doesn't report model run times, so fetch times stand in for
+ * them.
+ * @param {Object} entry - Cached { value, fetchedAt }
+ * @param {number} fetchedAt - Fetch time of the caller's forecast in ms
+ * @param {number} now - Current timestamp in ms
+ * @returns {boolean} True if the entry is current
+ */
+export function isCurrentResponse(entry, fetchedAt, now = Date.now()) {
+  return (
+    fetchedAt <= entry.fetchedAt ||
+    now - entry.fetchedAt < FORECAST_ISSUE_INTERVAL_MS
+  );
+}
+
+const isExpired = (entry, now = Date.now()) =>
+  now - entry.fetchedAt >= MAX_STALE_MS;
+
+async function readCachedResponse(key) {
+  const remembered = memoryCache.get(key);
+  if (remembered && !isExpired(remembered)) {
+    return remembered;
+  }
+  memoryCache.delete(key);
+
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    if (!stored) return null;
+
+    const entry = JSON.parse(stored);
+    if (isExpired(entry)) {
+      await AsyncStorage.removeItem(key);
+      return null;
+    }
+
+    memoryCache.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.error('Error reading AI response cache:', error);
+    return null;
+  }
+}
+
+async function writeCachedResponse(key, entry) {
+  memoryCache.set(key, entry);
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(entry));
+  } catch (error) {
+    console.error('Error writing AI response cache:', error);
+  }
+}
+
+async function refreshResponse(key, produce, fetchedAt, cached) {
+  const value = await produce();
+  if (value == null) {
+    // Model unavailable: the last answer for this prompt beats none
+    return cached?.value ?? null;
+  }
+  await writeCachedResponse(key, { value, fetchedAt });
+  return value;
+}
+
+/**
+ * Get an AI result for a prompt, asking the model only when no current
+ * cached result exists
+ * @param {string} prompt - Prompt the result answers (used as the key)
+ * @param {Function} produce - () => Promise<*|null> asking the model; null
+ *   means no answer and is never cached
+ * @param {Object} options - Options
+ * @param {string} options.namespace - Kind of result (see getAiCacheKey)
+ * @param {number} options.fetchedAt - Time in ms the forecast the prompt was
+ *   built from was fetched, i.e. its meta.fetchedAt (default: now)
+ * @returns {Promise<*|null>} Result, a cached one if the model has none, or
+ *   null
+ */
+export async function getCachedAiResponse(
+  prompt,
+  produce,
+  { namespace = 'text', fetchedAt = Date.now() } = {},
+) {
+  const key = getAiCacheKey(prompt, namespace);
+  const cached = await readCachedResponse(key);
+  if (cached && isCurrentResponse(cached, fetchedAt)) {
+    return cached.value;
+  }
+
+  if (!inFlightRequests.has(key)) {
+    const request = refreshResponse(key, produce, fetchedAt, cached).finally(
+      () => {
+        inFlightRequests.delete(key);
+      },
+    );
+    inFlightRequests.set(key, request);
+  }
+  return inFlightRequests.get(key);
+}
+
+/**
+ * Remove every expired response from storage
+ */
+export async function pruneAiResponseCache() {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
+    const entries = await AsyncStorage.multiGet(cacheKeys);
+
+    const expiredKeys = entries
+      .filter(([, value]) => {
+        try {
+          return isExpired(JSON.parse(value));
+        } catch (e) {
+          return true;
+        }
+      })
+      .map(([key]) => key);
+
+    expiredKeys.forEach(key => memoryCache.delete(key));
+    if (expiredKeys.length > 0) {
+      await AsyncStorage.multiRemove(expiredKeys);
+    }
+  } catch (error) {
+    console.error('Error pruning AI response cache:', error);
+  }
+}
+
+/**
+ * Forget every cached response, e.g. after switching LLM provider
+ */
+export async function clearAiResponseCache() {
+  memoryCache.clear();
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
+    if (cacheKeys.length > 0) {
+      await AsyncStorage.multiRemove(cacheKeys);
+    }
+  } catch (error) {
+    console.error('Error clearing AI response cache:', error);
+  }
+}
@@ -0,0 +1,64 @@
+// AI Response Schemas
+// The JSON shapes the analysis prompts ask the model for, checked by
+// structuredOutput.js before anything reaches the screens. Schemas use a
+// small subset of JSON Schema: type, enum, required, properties, items,
+// minItems/maxItems, minLength/maxLength and minimum/maximum. `title` names
+// the response type in logs and telemetry.
+
+const text = { type: 'string', minLength: 1 };
+
+/**
+ * detectWeatherPhenomena: phenomena in the current conditions, often none
+ */
+export const PHENOMENA_SCHEMA = {
+  title: 'phenomena',
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['phenomenon', 'explanation', 'impact'],
+    properties: {
+      phenomenon: text,
+      explanation: text,
+      impact: text,
+    },
+  },
+};
+
+/**
+ * generateChartAnnotations: up to 3 features to mark on a chart
+ */
+export const CHART_ANNOTATIONS_SCHEMA = {
+  title: 'chart-annotations',
+  type: 'array',
+  maxItems: 3,
+  items: {
+    type: 'object',
+    required: ['label', 'significance'],
+    properties: {
+      label: text,
+      description: { type: 'string' },
+      significance: { type: 'string', enum: ['high', 'medium', 'low'] },
+      time: { type: ['string', 'null'] },
+    },
+  },
+};
+
+/**
+ * generateEventBasedForecast: the most significant upcoming events
+ */
+export const EVENT_FORECAST_SCHEMA = {
+  title: 'event-forecast',
+  type: 'array',
+  maxItems: 3,
+  items: {
+    type: 'object',
+    required: ['event', 'probability', 'timing', 'impact'],
+    properties: {
+      event: text,
+      probability: { type: 'number', minimum: 0, maximum: 100 },
+      timing: text,
+      impact: text,
+      preparation: { type: 'string' },
+    },
+  },
+};
@@ -1,15 +1,41 @@
-import { dalsiaiGenerateText } from './dalsiApi.js'
+import { getLlmProvider } from './llmProvider'
+import { generateStructured } from './structuredOutput'
+import { getCachedAiResponse } from './aiResponseCache'
+import { CHART_ANNOTATIONS_SCHEMA, PHENOMENA_SCHEMA } from './aiSchemas'
+import {
+  DEFAULT_UNITS,
+  formatTemperature,
+  formatTemperatureDelta,
+  formatSpeed,
+  formatPrecipitation,
+  formatPressure
+} from './units'
+
+// Weather data is metric; every prompt below formats values in the caller's
+// units (see services/units.js) so AI responses quote the same units the user sees
+
+/**
+ * Ask the model about a forecast. Answers are cached until the forecast is
+ * reissued (see aiResponseCache.js), so re-renders don't re-prompt.
+ */
+function generateForForecast(prompt, weatherData, maxTokens) {
+  return getCachedAiResponse(
+    prompt,
+    () => getLlmProvider().generate(prompt, { maxTokens }),
+    { fetchedAt: weatherData?.meta?.fetchedAt }
+  )
+}
 
 /**
  * Generate AI-enhanced analysis for pressure systems
  */
-export async function generatePressureAnalysis(pressureData, weatherData) {
+export async function generatePressureAnalysis(pressureData, weatherData, units = DEFAULT_UNITS) {
   const prompt = `As a professional meteorologist, analyze this atmospheric pressure data and provide expert insights:
 
-Current Pressure: ${pressureData.current.toFixed(1)} hPa
+Current Pressure: ${formatPressure(pressureData.current, units)}
 Trend: ${pressureData.trend}
-Temperature: ${weatherData.current.temperature_2m}°C
-Wind Speed: ${weatherData.current.wind_speed_10m} km/h
+Temperature: ${formatTemperature(weatherData.current.temperature_2m, units)}
+Wind Speed: ${formatSpeed(weatherData.current.wind_speed_10m, units)}
 Humidity: ${weatherData.current.relative_humidity_2m}%
 
 Provide a detailed analysis covering:
@@ -22,12 +48,12 @@ Provide a detailed analysis covering:
 Keep the response concise but technically accurate (3-4 sentences).`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 300)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 300)
+    if (!response) {
       console.warn('No response from AI for pressure analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating pressure analysis:', error)
     return null
@@ -37,14 +63,14 @@ Keep the response concise but technically accurate (3-4 sentences).`
 /**
  * Generate AI-enhanced analysis for wind patterns
  */
-export async function generateWindAnalysis(windData, weatherData) {
+export async function generateWindAnalysis(windData, weatherData, units = DEFAULT_UNITS) {
   const prompt = `As a meteorologist, analyze this wind pattern data:
 
-Current Wind Speed: ${windData.current.toFixed(1)} km/h
+Current Wind Speed: ${formatSpeed(windData.current, units)}
 Wind Direction: ${windData.direction}° (${getWindDirection(windData.direction)})
-Wind Gusts: ${windData.gusts.toFixed(1)} km/h
-Average Wind: ${windData.avg.toFixed(1)} km/h
-Pressure: ${weatherData.current.pressure_msl} hPa
+Wind Gusts: ${formatSpeed(windData.gusts, units)}
+Average Wind: ${formatSpeed(windData.avg, units)}
+Pressure: ${formatPressure(weatherData.current.pressure_msl, units)}
 
 Analyze:
 1. Wind pattern characteristics and what's driving this air movement
@@ -56,12 +82,12 @@ Analyze:
 Provide expert meteorological insights in 3-4 sentences.`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 300)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 300)
+    if (!response) {
       console.warn('No response from AI for wind analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating wind analysis:', error)
     return null
@@ -71,14 +97,14 @@ Provide expert meteorological insights in 3-4 sentences.`
 /**
  * Generate AI-enhanced analysis for temperature patterns
  */
-export async function generateTemperatureAnalysis(tempData, weatherData) {
+export async function generateTemperatureAnalysis(tempData, weatherData, units = DEFAULT_UNITS) {
   const prompt = `Analyze this temperature data as a meteorologist:
 
-Current: ${tempData.current.toFixed(1)}°C
-Range: ${tempData.min.toFixed(1)}°C to ${tempData.max.toFixed(1)}°C
-Average: ${tempData.avg.toFixed(1)}°C
-Volatility: ${tempData.volatility.toFixed(2)}°C/hour
-Trend: ${tempData.trend > 0 ? 'Rising' : 'Falling'} (${Math.abs(tempData.trend).toFixed(1)}°C)
+Current: ${formatTemperature(tempData.current, units, { decimals: 1 })}
+Range: ${formatTemperature(tempData.min, units, { decimals: 1 })} to ${formatTemperature(tempData.max, units, { decimals: 1 })}
+Average: ${formatTemperature(tempData.avg, units, { decimals: 1 })}
+Volatility: ${formatTemperatureDelta(tempData.volatility, units, { decimals: 2 })}/hour
+Trend: ${tempData.trend > 0 ? 'Rising' : 'Falling'} (${formatTemperatureDelta(Math.abs(tempData.trend), units, { decimals: 1 })})
 Cloud Cover: ${weatherData.current.cloud_cover}%
 Humidity: ${weatherData.current.relative_humidity_2m}%
 
@@ -92,12 +118,12 @@ Provide analysis on:
 Expert insights in 3-4 sentences.`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 300)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 300)
+    if (!response) {
       console.warn('No response from AI for temperature analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating temperature analysis:', error)
     return null
@@ -107,14 +133,14 @@ Expert insights in 3-4 sentences.`
 /**
  * Generate AI-enhanced analysis for humidity and moisture
  */
-export async function generateHumidityAnalysis(humidityData, weatherData) {
+export async function generateHumidityAnalysis(humidityData, weatherData, units = DEFAULT_UNITS) {
   const prompt = `Analyze atmospheric moisture conditions:
 
 Current Humidity: ${humidityData.current}%
 Average: ${humidityData.avg.toFixed(1)}%
 Range: ${humidityData.min}% to ${humidityData.max}%
-Temperature: ${weatherData.current.temperature_2m}°C
-Dew Point: ${weatherData.hourly.dew_point_2m[0]}°C
+Temperature: ${formatTemperature(weatherData.current.temperature_2m, units)}
+Dew Point: ${formatTemperature(weatherData.hourly.dew_point_2m[0], units)}
 Cloud Cover: ${weatherData.current.cloud_cover}%
 
 Analyze:
@@ -127,12 +153,12 @@ Analyze:
 Meteorological insights in 3-4 sentences.`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 300)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 300)
+    if (!response) {
       console.warn('No response from AI for humidity analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating humidity analysis:', error)
     return null
@@ -142,15 +168,15 @@ Meteorological insights in 3-4 sentences.`
 /**
  * Generate AI-enhanced analysis for precipitation patterns
  */
-export async function generatePrecipitationAnalysis(precipData, weatherData) {
+export async function generatePrecipitationAnalysis(precipData, weatherData, units = DEFAULT_UNITS) {
   const prompt = `Analyze precipitation patterns and potential:
 
-Total Precipitation: ${precipData.total.toFixed(1)} mm
+Total Precipitation: ${formatPrecipitation(precipData.total, units)}
 Probability: ${precipData.probability}%
-Max Rate: ${precipData.max.toFixed(1)} mm/h
+Max Rate: ${formatPrecipitation(precipData.max, units)}/h
 Cloud Cover: ${weatherData.current.cloud_cover}%
 Humidity: ${weatherData.current.relative_humidity_2m}%
-Pressure: ${weatherData.current.pressure_msl} hPa
+Pressure: ${formatPressure(weatherData.current.pressure_msl, units)}
 
 Provide analysis on:
 1. Precipitation formation mechanisms (convective/stratiform/orographic)
@@ -162,12 +188,12 @@ Provide analysis on:
 Expert meteorological analysis in 3-4 sentences.`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 300)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 300)
+    if (!response) {
       console.warn('No response from AI for precipitation analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating precipitation analysis:', error)
     return null
@@ -177,16 +203,16 @@ Expert meteorological analysis in 3-4 sentences.`
 /**
  * Generate synoptic-level weather system analysis
  */
-export async function generateSynopticAnalysis(weatherData, duration) {
+export async function generateSynopticAnalysis(weatherData, duration, units = DEFAULT_UNITS) {
   const prompt = `Provide a synoptic-scale meteorological analysis for the ${duration} period:
 
 Location: Current weather observation
-Pressure: ${weatherData.current.pressure_msl} hPa
-Temperature: ${weatherData.current.temperature_2m}°C
-Wind: ${weatherData.current.wind_speed_10m} km/h from ${weatherData.current.wind_direction_10m}°
+Pressure: ${formatPressure(weatherData.current.pressure_msl, units)}
+Temperature: ${formatTemperature(weatherData.current.temperature_2m, units)}
+Wind: ${formatSpeed(weatherData.current.wind_speed_10m, units)} from ${weatherData.current.wind_direction_10m}°
 Humidity: ${weatherData.current.relative_humidity_2m}%
 Cloud Cover: ${weatherData.current.cloud_cover}%
-Precipitation: ${weatherData.current.precipitation} mm
+Precipitation: ${formatPrecipitation(weatherData.current.precipitation, units)}
 
 As a synoptic meteorologist, analyze:
 1. Dominant weather system type (anticyclone, cyclone, front, ridge, trough)
@@ -198,12 +224,12 @@ As a synoptic meteorologist, analyze:
 Provide professional synoptic analysis in 4-5 sentences suitable for a weather briefing.`
 
   try {
-    const result = await dalsiaiGenerateText(prompt, 400)
-    if (!result || !result.response) {
+    const response = await generateForForecast(prompt, weatherData, 400)
+    if (!response) {
       console.warn('No response from AI for synoptic analysis')
       return null
     }
-    return result.response
+    return response
   } catch (error) {
     console.error('Error generating synoptic analysis:', error)
     return null
@@ -228,28 +254,18 @@ Return ONLY a JSON array of annotations with this exact structure:
   {
     "label": "Brief label text",
     "description": "One sentence explanation",
-    "significance": "high|medium|low"
+    "significance": "high|medium|low",
+    "time": "Timestamp from the data the feature refers to, or null"
   }
 ]
 
 Maximum 3 annotations. Be specific and technical.`
 
-  try {
-    const result = await dalsiaiGenerateText(prompt, 400)
-    if (!result || !result.response) {
-      console.warn('No response from AI for chart annotations')
-      return []
-    }
-    // Try to parse JSON from response
-    const jsonMatch = result.response.match(/\[[\s\S]*\]/)
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0])
-    }
-    return []
-  } catch (error) {
-    console.error('Error generating chart annotations:', error)
-    return []
-  }
+  const annotations = await generateStructured(prompt, CHART_ANNOTATIONS_SCHEMA, {
+    maxTokens: 400,
+    fetchedAt: weatherData?.meta?.fetchedAt
+  })
+  return annotations ?? []
 }
 
 /**
@@ -264,15 +280,15 @@ function getWindDirection(degrees) {
 /**
  * Generate weather phenomena detection and explanation
  */
-export async function detectWeatherPhenomena(weatherData) {
+export async function detectWeatherPhenomena(weatherData, units = DEFAULT_UNITS) {
   const prompt = `Analyze this weather data to detect and explain any notable meteorological phenomena:
 
-Temperature: ${weatherData.current.temperature_2m}°C
-Pressure: ${weatherData.current.pressure_msl} hPa
-Wind: ${weatherData.current.wind_speed_10m} km/h, gusts ${weatherData.current.wind_gusts_10m} km/h
+Temperature: ${formatTemperature(weatherData.current.temperature_2m, units)}
+Pressure: ${formatPressure(weatherData.current.pressure_msl, units)}
+Wind: ${formatSpeed(weatherData.current.wind_speed_10m, units)}, gusts ${formatSpeed(weatherData.current.wind_gusts_10m, units)}
 Humidity: ${weatherData.current.relative_humidity_2m}%
 Cloud Cover: ${weatherData.current.cloud_cover}%
-Precipitation: ${weatherData.current.precipitation} mm
+Precipitation: ${formatPrecipitation(weatherData.current.precipitation, units)}
 Weather Code: ${weatherData.current.weather_code}
 
 Identify any of these phenomena if present:
@@ -298,20 +314,10 @@ Return a JSON array of detected phenomena:
 
 If no notable phenomena, return empty array [].`
 
-  try {
-    const result = await dalsiaiGenerateText(prompt, 500)
-    if (!result || !result.response) {
-      console.warn('No response from AI for phenomena detection')
-      return []
-    }
-    const jsonMatch = result.response.match(/\[[\s\S]*\]/)
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0])
-    }
-    return []
-  } catch (error) {
-    console.error('Error detecting weather phenomena:', error)
-    return []
-  }
+  const phenomena = await generateStructured(prompt, PHENOMENA_SCHEMA, {
+    maxTokens: 500,
+    fetchedAt: weatherData?.meta?.fetchedAt
+  })
+  return phenomena ?? []
 }
 
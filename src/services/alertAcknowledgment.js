@@ -1,210 +1,256 @@
-// Alert Acknowledgment System
-// Tracks which weather alerts have been acknowledged by users
-// Works for both guest users (localStorage) and registered users (Firestore)
+// Alert Acknowledgment
+// Tracks which weather alerts the user has acknowledged, so they aren't
+// notified again unless they escalate. Acknowledgments are kept through a
+// storage adapter: the device (AsyncStorage) for guests, and Supabase for
+// signed-in users with a copy on the device for background checks. Each
+// acknowledgment expires after a day and is forgotten a week later.
 
-import { doc, setDoc, getDoc, updateDoc, arrayUnion } from 'firebase/firestore'
-import { db } from './firebaseConfig'
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getUserLocationPreferences,
+  saveUserLocationPreferences,
+} from './conversationHelpers';
+import { isEscalation } from './alertEpisodes';
+
+const STORAGE_KEY = 'acknowledgedAlerts';
+const MAX_ACKNOWLEDGMENTS = 100;
+
+// How long an acknowledgment silences its alert
+export const ACKNOWLEDGMENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long expired acknowledgments stay listed before they're dropped
+export const ACKNOWLEDGMENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Acknowledgment
+ * @property {string} id - Alert ID
+ * @property {string} type - Alert type
+ * @property {string} severity - Alert severity when acknowledged
+ * @property {string} title - Alert title when acknowledged
+ * @property {string} body - Alert body when acknowledged
+ * @property {number} acknowledgedAt - Epoch milliseconds
+ * @property {number} expiresAt - Epoch milliseconds
+ */
+
+/**
+ * Where acknowledgments are kept
+ * @typedef {Object} AcknowledgmentAdapter
+ * @property {function(): Promise<Array<Acknowledgment>|null>} load - Stored
+ *   acknowledgments, or null if they couldn't be read
+ * @property {function(Array<Acknowledgment>): Promise<void>} save - Replace
+ *   the stored acknowledgments
+ */
 
 /**
- * Generate unique alert ID based on location, type, and time
- * @param {string} location - Location name
- * @param {string} alertType - Type of alert (e.g., 'high-humidity', 'extreme-heat')
- * @param {object} weatherData - Current weather data
- * @returns {string} Unique alert ID
+ * Adapter storing acknowledgments on the device
+ * @param {string} key - AsyncStorage key
+ * @returns {AcknowledgmentAdapter} Adapter
  */
-export function generateAlertId(location, alertType, weatherData) {
-  const now = new Date()
-  const dateStr = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
-  const hourStr = String(now.getHours()).padStart(2, '0')
-  
-  // Normalize location name
-  const normalizedLocation = location.toLowerCase().replace(/[^a-z0-9]/g, '-')
-  
-  // Include key weather values to ensure uniqueness
-  const temp = weatherData?.current?.temperature_2m?.toFixed(0) || '0'
-  const humidity = weatherData?.current?.relative_humidity_2m || '0'
-  
-  return `${normalizedLocation}-${alertType}-${dateStr}-${hourStr}-${temp}-${humidity}`
+export function createAsyncStorageAdapter(key = STORAGE_KEY) {
+  return {
+    async load() {
+      try {
+        const stored = await AsyncStorage.getItem(key);
+        return stored ? JSON.parse(stored) : [];
+      } catch (error) {
+        console.error('Error loading acknowledged alerts:', error);
+        return null;
+      }
+    },
+    async save(acknowledgments) {
+      try {
+        await AsyncStorage.setItem(key, JSON.stringify(acknowledgments));
+      } catch (error) {
+        console.error('Error saving acknowledged alerts:', error);
+      }
+    },
+  };
 }
 
 /**
- * Determine alert type from weather data
- * @param {object} weatherData - Current weather data
- * @returns {string} Alert type
+ * Adapter storing acknowledgments in user_preferences.acknowledged_alerts
+ * @param {string} userId - The user's ID
+ * @returns {AcknowledgmentAdapter} Adapter
  */
-export function determineAlertType(weatherData) {
-  if (!weatherData?.current) return 'general'
-  
-  const { current, daily } = weatherData
-  const temp = current.temperature_2m
-  const humidity = current.relative_humidity_2m
-  const windSpeed = current.wind_speed_10m
-  const precipitation = current.precipitation
-  const uvIndex = daily?.uv_index_max?.[0] || 0
-  
-  // Priority order: most critical first
-  if (temp >= 40) return 'extreme-heat'
-  if (temp < 0) return 'freezing'
-  if (windSpeed >= 60) return 'dangerous-wind'
-  if (precipitation > 10) return 'heavy-rain'
-  if (uvIndex >= 8) return 'high-uv'
-  if (temp >= 35) return 'high-heat'
-  if (temp < 5) return 'cold'
-  if (windSpeed >= 40) return 'strong-wind'
-  if (humidity >= 85) return 'high-humidity'
-  if (precipitation > 0) return 'precipitation'
-  
-  return 'general'
+export function createSupabaseAdapter(userId) {
+  return {
+    async load() {
+      const preferences = await getUserLocationPreferences(userId);
+      // A schema without the column can't have stored anything
+      if (!preferences || !('acknowledged_alerts' in preferences)) return null;
+      return preferences.acknowledged_alerts ?? [];
+    },
+    async save(acknowledgments) {
+      await saveUserLocationPreferences(userId, {
+        acknowledged_alerts: acknowledgments,
+      });
+    },
+  };
+}
+
+// One entry per alert, keeping whichever acknowledgment lasts longer, in
+// the order they were made
+function mergeAcknowledgments(first, second) {
+  const byId = new Map();
+  [...first, ...second].forEach(acknowledgment => {
+    const known = byId.get(acknowledgment.id);
+    if (!known || acknowledgment.expiresAt > known.expiresAt) {
+      byId.set(acknowledgment.id, acknowledgment);
+    }
+  });
+  return [...byId.values()].sort((a, b) => a.acknowledgedAt - b.acknowledgedAt);
 }
 
 /**
- * Check if alert has been acknowledged (guest user - localStorage)
- * @param {string} alertId - Alert ID
- * @returns {boolean} True if acknowledged
+ * Adapter for the current user. Signed-in users read from Supabase and the
+ * device, merged so neither copy wipes out the other, and write to both.
+ * @param {string|null} userId - The user's ID, or null for a guest
+ * @returns {AcknowledgmentAdapter} Adapter
  */
-export function isAlertAcknowledgedLocal(alertId) {
-  try {
-    const acknowledgedAlerts = JSON.parse(localStorage.getItem('acknowledgedAlerts') || '[]')
-    return acknowledgedAlerts.includes(alertId)
-  } catch (error) {
-    console.error('Error checking acknowledged alerts:', error)
-    return false
-  }
+export function getAcknowledgmentAdapter(userId) {
+  const local = createAsyncStorageAdapter();
+  if (!userId) return local;
+
+  const remote = createSupabaseAdapter(userId);
+  return {
+    async load() {
+      const [stored, copy] = await Promise.all([remote.load(), local.load()]);
+      if (!stored) return copy;
+      if (!copy) return stored;
+      return mergeAcknowledgments(copy, stored);
+    },
+    async save(acknowledgments) {
+      await Promise.all([
+        local.save(acknowledgments),
+        remote.save(acknowledgments),
+      ]);
+    },
+  };
 }
 
 /**
- * Acknowledge alert (guest user - localStorage)
- * @param {string} alertId - Alert ID
+ * Whether an acknowledgment still silences its alert
+ * @param {Acknowledgment} acknowledgment - Acknowledgment
+ * @param {number} now - Epoch milliseconds
+ * @returns {boolean} True until it expires
  */
-export function acknowledgeAlertLocal(alertId) {
-  try {
-    const acknowledgedAlerts = JSON.parse(localStorage.getItem('acknowledgedAlerts') || '[]')
-    if (!acknowledgedAlerts.includes(alertId)) {
-      acknowledgedAlerts.push(alertId)
-      localStorage.setItem('acknowledgedAlerts', JSON.stringify(acknowledgedAlerts))
-      
-      // Clean up old alerts (keep only last 100)
-      if (acknowledgedAlerts.length > 100) {
-        const recentAlerts = acknowledgedAlerts.slice(-100)
-        localStorage.setItem('acknowledgedAlerts', JSON.stringify(recentAlerts))
-      }
-    }
-  } catch (error) {
-    console.error('Error acknowledging alert:', error)
-  }
+export function isAcknowledgmentActive(acknowledgment, now = Date.now()) {
+  return now < acknowledgment.expiresAt;
 }
 
 /**
- * Check if alert has been acknowledged (registered user - Firestore)
- * @param {string} userId - User ID
- * @param {string} alertId - Alert ID
- * @returns {Promise<boolean>} True if acknowledged
+ * Whether an alert is acknowledged at its severity; an escalated alert
+ * breaks through an earlier acknowledgment
+ * @param {Object} alert - { id, severity }
+ * @param {Array<Acknowledgment>} acknowledgments - Acknowledgments
+ * @param {number} now - Epoch milliseconds
+ * @returns {boolean} True if the alert should stay quiet
  */
-export async function isAlertAcknowledgedFirestore(userId, alertId) {
-  try {
-    const userDoc = await getDoc(doc(db, 'users', userId))
-    if (userDoc.exists()) {
-      const acknowledgedAlerts = userDoc.data().acknowledgedAlerts || []
-      return acknowledgedAlerts.includes(alertId)
-    }
-    return false
-  } catch (error) {
-    console.error('Error checking acknowledged alerts in Firestore:', error)
-    return false
-  }
+export function isAlertSilenced(alert, acknowledgments, now = Date.now()) {
+  return acknowledgments.some(
+    acknowledgment =>
+      acknowledgment.id === alert.id &&
+      isAcknowledgmentActive(acknowledgment, now) &&
+      !isEscalation(alert.severity, acknowledgment.severity),
+  );
 }
 
 /**
- * Acknowledge alert (registered user - Firestore)
- * @param {string} userId - User ID
- * @param {string} alertId - Alert ID
+ * Drop acknowledgments past their retention, keeping the newest
+ * MAX_ACKNOWLEDGMENTS
+ * @param {Array<Acknowledgment>} acknowledgments - Acknowledgments
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<Acknowledgment>} Retained acknowledgments
  */
-export async function acknowledgeAlertFirestore(userId, alertId) {
-  try {
-    const userDocRef = doc(db, 'users', userId)
-    const userDoc = await getDoc(userDocRef)
-    
-    if (userDoc.exists()) {
-      // Update existing document
-      await updateDoc(userDocRef, {
-        acknowledgedAlerts: arrayUnion(alertId),
-        lastAlertAcknowledged: new Date().toISOString()
-      })
-    } else {
-      // Create new document
-      await setDoc(userDocRef, {
-        acknowledgedAlerts: [alertId],
-        lastAlertAcknowledged: new Date().toISOString(),
-        createdAt: new Date().toISOString()
-      })
-    }
-    
-    // Clean up old alerts (keep only last 50 in Firestore)
-    const updatedDoc = await getDoc(userDocRef)
-    const acknowledgedAlerts = updatedDoc.data().acknowledgedAlerts || []
-    if (acknowledgedAlerts.length > 50) {
-      const recentAlerts = acknowledgedAlerts.slice(-50)
-      await updateDoc(userDocRef, {
-        acknowledgedAlerts: recentAlerts
-      })
-    }
-  } catch (error) {
-    console.error('Error acknowledging alert in Firestore:', error)
-  }
+export function pruneAcknowledgments(acknowledgments, now = Date.now()) {
+  return acknowledgments
+    .filter(
+      acknowledgment =>
+        now < acknowledgment.expiresAt + ACKNOWLEDGMENT_RETENTION_MS,
+    )
+    .slice(-MAX_ACKNOWLEDGMENTS);
 }
 
 /**
- * Check if alert should be shown (unified for guest and registered users)
- * @param {object} user - User object (null for guest)
- * @param {string} location - Location name
- * @param {object} weatherData - Weather data
- * @returns {Promise<boolean>} True if alert should be shown
+ * Sort alerts for the alert center
+ * @param {Array<Object>} alerts - Current alerts (or episodes)
+ * @param {Array<Acknowledgment>} acknowledgments - Acknowledgments
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object} { active, acknowledged, expired }: alerts not silenced,
+ *   and acknowledgments still in force or expired, newest first
  */
-export async function shouldShowAlert(user, location, weatherData) {
-  const alertType = determineAlertType(weatherData)
-  const alertId = generateAlertId(location, alertType, weatherData)
-  
-  if (user) {
-    // Registered user - check Firestore
-    return !(await isAlertAcknowledgedFirestore(user.uid, alertId))
-  } else {
-    // Guest user - check localStorage
-    return !isAlertAcknowledgedLocal(alertId)
-  }
+export function groupAlerts(alerts, acknowledgments, now = Date.now()) {
+  const newestFirst = [...acknowledgments].sort(
+    (a, b) => b.acknowledgedAt - a.acknowledgedAt,
+  );
+
+  return {
+    active: alerts.filter(
+      alert => !isAlertSilenced(alert, acknowledgments, now),
+    ),
+    acknowledged: newestFirst.filter(acknowledgment =>
+      isAcknowledgmentActive(acknowledgment, now),
+    ),
+    expired: newestFirst.filter(
+      acknowledgment => !isAcknowledgmentActive(acknowledgment, now),
+    ),
+  };
 }
 
 /**
- * Acknowledge current alert (unified for guest and registered users)
- * @param {object} user - User object (null for guest)
- * @param {string} location - Location name
- * @param {object} weatherData - Weather data
+ * Load acknowledgments, forgetting those past their retention
+ * @param {AcknowledgmentAdapter} adapter - Storage adapter
+ * @param {number} now - Epoch milliseconds
+ * @returns {Promise<Array<Acknowledgment>>} Acknowledgments
  */
-export async function acknowledgeCurrentAlert(user, location, weatherData) {
-  const alertType = determineAlertType(weatherData)
-  const alertId = generateAlertId(location, alertType, weatherData)
-  
-  if (user) {
-    // Registered user - save to Firestore
-    await acknowledgeAlertFirestore(user.uid, alertId)
-  } else {
-    // Guest user - save to localStorage
-    acknowledgeAlertLocal(alertId)
+export async function loadAcknowledgments(adapter, now = Date.now()) {
+  const stored = (await adapter.load()) ?? [];
+  const retained = pruneAcknowledgments(stored, now);
+  if (retained.length !== stored.length) {
+    await adapter.save(retained);
   }
+  return retained;
 }
 
 /**
- * Get alert severity level
- * @param {string} alertType - Alert type
- * @returns {string} Severity level
+ * Acknowledge an alert, silencing it for ACKNOWLEDGMENT_TTL_MS
+ * @param {AcknowledgmentAdapter} adapter - Storage adapter
+ * @param {Object} alert - { id, type, severity, title, body }
+ * @param {number} now - Epoch milliseconds
+ * @returns {Promise<Array<Acknowledgment>>} Updated acknowledgments
  */
-export function getAlertSeverity(alertType) {
-  const criticalAlerts = ['extreme-heat', 'freezing', 'dangerous-wind', 'heavy-rain']
-  const highAlerts = ['high-heat', 'cold', 'strong-wind', 'high-uv']
-  const moderateAlerts = ['high-humidity', 'precipitation']
-  
-  if (criticalAlerts.includes(alertType)) return 'critical'
-  if (highAlerts.includes(alertType)) return 'high'
-  if (moderateAlerts.includes(alertType)) return 'moderate'
-  return 'low'
+export async function acknowledgeAlert(adapter, alert, now = Date.now()) {
+  const { id, type, severity, title, body } = alert;
+  const acknowledgments = [
+    ...(await loadAcknowledgments(adapter, now)).filter(
+      acknowledgment => acknowledgment.id !== id,
+    ),
+    {
+      id,
+      type,
+      severity,
+      title,
+      body,
+      acknowledgedAt: now,
+      expiresAt: now + ACKNOWLEDGMENT_TTL_MS,
+    },
+  ];
+  const retained = pruneAcknowledgments(acknowledgments, now);
+  await adapter.save(retained);
+  return retained;
 }
 
+/**
+ * Withdraw an acknowledgment, making the alert active again
+ * @param {AcknowledgmentAdapter} adapter - Storage adapter
+ * @param {string} alertId - Alert ID
+ * @param {number} now - Epoch milliseconds
+ * @returns {Promise<Array<Acknowledgment>>} Updated acknowledgments
+ */
+export async function unacknowledgeAlert(adapter, alertId, now = Date.now()) {
+  const acknowledgments = (await loadAcknowledgments(adapter, now)).filter(
+    acknowledgment => acknowledgment.id !== alertId,
+  );
+  await adapter.save(acknowledgments);
+  return acknowledgments;
+}
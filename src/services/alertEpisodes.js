@@ -0,0 +1,200 @@
+// Alert Episodes
+// Gives alerts a stable identity across forecast refreshes. Alerts of the
+// same family (e.g. precipitation and heavy-rain) in the same grid cell whose
+// time windows touch are one episode, with a start, a peak and an end. An
+// episode is notified when it begins and again only if its severity rises.
+
+import { format } from 'date-fns';
+
+// ~11 km; forecasts for nearby points land in the same cell
+export const GRID_CELL_DEGREES = 0.1;
+
+// Windows closer than this are the same episode
+export const EPISODE_GAP_MS = 6 * 60 * 60 * 1000;
+
+// Ended episodes are kept this long, then forgotten
+export const EPISODE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+export const SEVERITY_RANK = { low: 0, moderate: 1, high: 2, critical: 3 };
+
+// Alert types that are stages of the same hazard
+const ALERT_FAMILIES = {
+  'high-heat': 'heat',
+  'extreme-heat': 'heat',
+  heatwave: 'heat',
+  cold: 'cold',
+  freezing: 'cold',
+  cold_snap: 'cold',
+  'strong-wind': 'wind',
+  'dangerous-wind': 'wind',
+  strong_wind: 'wind',
+  precipitation: 'rain',
+  'heavy-rain': 'rain',
+  heavy_rain: 'rain',
+};
+
+/**
+ * @typedef {Object} AlertEpisode
+ * @property {string} id - Grid cell, family and start; the alert's ID
+ * @property {string} cell - From getGridCell
+ * @property {string} family - From getAlertFamily
+ * @property {string} type - Type of the most recent alert
+ * @property {string} severity - Severity of the most recent alert
+ * @property {string} title - Title of the most recent alert
+ * @property {string} body - Body of the most recent alert
+ * @property {number} startsAt - Window start, epoch milliseconds
+ * @property {number} endsAt - Window end, epoch milliseconds
+ * @property {string} peakSeverity - Highest severity seen
+ * @property {number} peakAt - When the peak was first seen
+ * @property {string|null} notifiedSeverity - Highest severity notified
+ */
+
+/**
+ * Grid cell a forecast belongs to
+ * @param {number|null} latitude - Latitude
+ * @param {number|null} longitude - Longitude
+ * @param {string} fallback - Used when there are no coordinates
+ * @returns {string} Cell key
+ */
+export function getGridCell(latitude, longitude, fallback = '') {
+  if (latitude == null || longitude == null) {
+    return fallback.toLowerCase().replace(/[^a-z0-9]/g, '-');
+  }
+  const row = Math.floor(latitude / GRID_CELL_DEGREES);
+  const column = Math.floor(longitude / GRID_CELL_DEGREES);
+  return `${row}_${column}`;
+}
+
+/**
+ * Hazard an alert type belongs to
+ * @param {string} type - Alert type
+ * @returns {string} Family; the type itself if it stands alone
+ */
+export function getAlertFamily(type) {
+  return ALERT_FAMILIES[type] ?? type;
+}
+
+/**
+ * Whether a severity is higher than a previous one
+ * @param {string} severity - New severity
+ * @param {string|null} previous - Earlier severity, or null if none
+ * @returns {boolean} True if it escalates
+ */
+export function isEscalation(severity, previous) {
+  if (previous == null) return true;
+  return (SEVERITY_RANK[severity] ?? 0) > (SEVERITY_RANK[previous] ?? 0);
+}
+
+/**
+ * Where an episode is in its lifecycle
+ * @param {AlertEpisode} episode - Episode
+ * @param {number} now - Epoch milliseconds
+ * @returns {string} 'upcoming', 'ongoing' or 'ended'
+ */
+export function getEpisodeStatus(episode, now = Date.now()) {
+  if (now < episode.startsAt) return 'upcoming';
+  if (now < episode.endsAt) return 'ongoing';
+  return 'ended';
+}
+
+const touches = (episode, alert) =>
+  alert.startsAt <= episode.endsAt + EPISODE_GAP_MS &&
+  alert.endsAt >= episode.startsAt - EPISODE_GAP_MS;
+
+const bySeverity = (a, b) =>
+  (SEVERITY_RANK[b.severity] ?? 0) - (SEVERITY_RANK[a.severity] ?? 0);
+
+/**
+ * Fold alerts into episodes. Each alert needs type, severity, startsAt and
+ * endsAt, and may set its own family; alerts are returned with the ID of
+ * their episode, one per episode (the most severe).
+ * @param {Array<AlertEpisode>} episodes - Known episodes
+ * @param {Array<Object>} alerts - Alerts from one forecast
+ * @param {string} cell - Grid cell of the forecast
+ * @param {number} now - Epoch milliseconds
+ * @returns {Object} { episodes, alerts }
+ */
+export function trackEpisodes(episodes, alerts, cell, now = Date.now()) {
+  const tracked = episodes.map(episode => ({ ...episode }));
+  const strongest = new Map();
+
+  [...alerts]
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .forEach(alert => {
+      const family = alert.family ?? getAlertFamily(alert.type);
+      let episode = tracked.find(
+        candidate =>
+          candidate.cell === cell &&
+          candidate.family === family &&
+          touches(candidate, alert),
+      );
+
+      if (!episode) {
+        episode = {
+          id: `${cell}-${family}-${format(alert.startsAt, "yyyyMMdd'T'HH")}`,
+          cell,
+          family,
+          startsAt: alert.startsAt,
+          endsAt: alert.endsAt,
+          peakSeverity: alert.severity,
+          peakAt: now,
+          notifiedSeverity: null,
+        };
+        tracked.push(episode);
+      }
+
+      episode.startsAt = Math.min(episode.startsAt, alert.startsAt);
+      episode.endsAt = Math.max(episode.endsAt, alert.endsAt);
+      if (isEscalation(alert.severity, episode.peakSeverity)) {
+        episode.peakSeverity = alert.severity;
+        episode.peakAt = now;
+      }
+
+      const previous = strongest.get(episode.id);
+      if (!previous || bySeverity(alert, previous) < 0) {
+        strongest.set(episode.id, { ...alert, id: episode.id });
+      }
+    });
+
+  strongest.forEach(alert => {
+    Object.assign(
+      tracked.find(episode => episode.id === alert.id),
+      {
+        type: alert.type,
+        severity: alert.severity,
+        title: alert.title,
+        body: alert.body,
+      },
+    );
+  });
+
+  return { episodes: tracked, alerts: [...strongest.values()] };
+}
+
+/**
+ * Record that alerts were notified
+ * @param {Array<AlertEpisode>} episodes - Episodes
+ * @param {Array<Object>} alerts - Notified alerts, with episode IDs
+ * @returns {Array<AlertEpisode>} Updated episodes
+ */
+export function markNotified(episodes, alerts) {
+  const notified = new Map(alerts.map(alert => [alert.id, alert.severity]));
+  return episodes.map(episode =>
+    notified.has(episode.id) &&
+    isEscalation(notified.get(episode.id), episode.notifiedSeverity)
+      ? { ...episode, notifiedSeverity: notified.get(episode.id) }
+      : episode,
+  );
+}
+
+/**
+ * Forget episodes that ended more than EPISODE_RETENTION_MS ago
+ * @param {Array<AlertEpisode>} episodes - Episodes
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<AlertEpisode>} Retained episodes
+ */
+export function pruneEpisodes(episodes, now = Date.now()) {
+  return episodes.filter(
+    episode => now < episode.endsAt + EPISODE_RETENTION_MS,
+  );
+}
@@ -0,0 +1,249 @@
+// Alert Evaluation
+// Turns a forecast into the alerts worth notifying: official warnings (see
+// officialWarnings), current conditions (determineAlertType), forecast events
+// (detectWeatherEvents) and rapid changes (detectRapidWeatherChanges). Alerts
+// are folded into episodes (alertEpisodes), and an episode is notified when it
+// starts or escalates, unless it is opted out of or acknowledged at that
+// severity. Pure, so the app and the background task share it.
+
+import { determineAlertType, getAlertSeverity } from './alertTypes';
+import { detectWeatherEvents } from './eventBasedAnalysis';
+import { detectRapidWeatherChanges } from './weatherApi';
+import { formatCondition, getConditionIcon } from './weatherConditions';
+import { findCurrentHourIndex, getClockTime } from './hourlyTimeline';
+import { DEFAULT_UNITS, formatTemperature } from './units';
+import { NOTIFICATION_GROUPS, isTypeEnabled } from './notificationPreferences';
+import { isAlertSilenced } from './alertAcknowledgment';
+import {
+  getGridCell,
+  isEscalation,
+  trackEpisodes,
+  pruneEpisodes,
+} from './alertEpisodes';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rapid changes further out than this are left to the forecast screens
+const RAPID_CHANGE_HOURS = 12;
+
+// Forecast events are only notified once they are this close
+const EVENT_DAYS = ['Today', 'Tomorrow'];
+
+const EVENT_ICONS = {
+  heatwave: '🔥',
+  cold_snap: '🥶',
+  heavy_rain: '🌧️',
+  thunderstorm: '⛈️',
+  strong_wind: '💨',
+  warm_front: '🌡️',
+  cold_front: '🌡️',
+};
+
+const TYPE_LABELS = Object.fromEntries(
+  NOTIFICATION_GROUPS.flatMap(group =>
+    group.types.map(type => [type.key, type.label]),
+  ),
+);
+
+/**
+ * A notifiable alert
+ * @typedef {Object} WeatherAlert
+ * @property {string} id - Episode ID, once tracked (see trackEpisodes)
+ * @property {string} type - Alert type, a key of the notification preferences
+ * @property {string} severity - 'critical', 'high', 'moderate' or 'low'
+ * @property {string} title - Notification title
+ * @property {string} body - Notification body
+ * @property {number} startsAt - Start of the time it covers, epoch milliseconds
+ * @property {number} endsAt - End of the time it covers, epoch milliseconds
+ * @property {string} [family] - Episode family, if not the type's
+ */
+
+// Forecast times are local and carry no offset, so Date reads them as local
+const toTimestamp = time => new Date(time).getTime();
+
+// Event and rapid-change severities mapped onto getAlertSeverity's levels
+const normalizeSeverity = severity =>
+  ({ extreme: 'critical', severe: 'high' }[severity] ?? severity);
+
+// Each kind of official warning is its own episode family, so updates to a
+// warning continue its episode
+function buildWarningAlerts(warnings) {
+  return warnings.map(warning => ({
+    type: 'official-warning',
+    family: `warning-${warning.event.toLowerCase().replace(/[^a-z0-9]/g, '-')}`,
+    severity: warning.severity,
+    title: `🚨 ${warning.event}`,
+    body: warning.headline || warning.areas[0]?.description || warning.source,
+    startsAt: warning.startsAt,
+    endsAt: warning.endsAt,
+    source: warning.source,
+  }));
+}
+
+function buildConditionAlert(weatherData, locationName, units) {
+  const type = determineAlertType(weatherData);
+  if (type === 'general') return null;
+
+  const { current } = weatherData;
+  const condition = formatCondition(current.weather_code, {
+    isDay: current.is_day !== 0,
+  });
+  const temperature = formatTemperature(current.temperature_2m, units, {
+    decimals: 0,
+  });
+
+  const startsAt = toTimestamp(current.time);
+  return {
+    type,
+    severity: getAlertSeverity(type),
+    title: `⚠️ ${TYPE_LABELS[type] ?? type} in ${locationName}`,
+    body: `${condition}, ${temperature}`,
+    startsAt,
+    endsAt: startsAt + HOUR_MS,
+  };
+}
+
+function buildEventAlerts(weatherData, locationName, units) {
+  const { hourly, daily } = weatherData;
+  if (!hourly?.time || !daily?.time) return [];
+
+  return detectWeatherEvents(hourly, daily, units)
+    .filter(event => EVENT_DAYS.includes(event.day))
+    .map(event => {
+      const date = daily.time[EVENT_DAYS.indexOf(event.day)];
+      const startsAt = toTimestamp(`${date}T00:00`);
+      return {
+        type: event.type,
+        severity: normalizeSeverity(event.severity),
+        title: `${EVENT_ICONS[event.type] ?? '⚠️'} ${
+          TYPE_LABELS[event.type] ?? event.type
+        } ${event.day.toLowerCase()} in ${locationName}`,
+        body: `${event.description} (${event.probability}% likely)`,
+        startsAt,
+        endsAt: startsAt + DAY_MS,
+      };
+    });
+}
+
+function buildChangeAlerts(weatherData, locationName, units) {
+  const { hourly, current } = weatherData;
+  if (!hourly?.time) return [];
+
+  // The detector counts hours from the start of the series; start it now
+  const start = findCurrentHourIndex(hourly.time, current?.time);
+  const upcoming = {};
+  [
+    'time',
+    'temperature_2m',
+    'weather_code',
+    'precipitation_probability',
+    'is_day',
+  ]
+    .filter(key => hourly[key])
+    .forEach(key => {
+      upcoming[key] = hourly[key].slice(start);
+    });
+
+  return detectRapidWeatherChanges(upcoming, RAPID_CHANGE_HOURS, units)
+    .filter(change => change.severity !== 'normal')
+    .map(change => {
+      const time = upcoming.time[change.hour];
+      const type = `rapid-${change.type}`;
+      const icon =
+        change.icon ??
+        getConditionIcon(upcoming.weather_code[change.hour], true);
+      const startsAt = toTimestamp(time);
+      return {
+        type,
+        severity: normalizeSeverity(change.severity),
+        title: `${icon} ${change.description}`,
+        body: `${locationName}, around ${getClockTime(time)}`,
+        startsAt,
+        endsAt: startsAt + HOUR_MS,
+      };
+    });
+}
+
+/**
+ * Every alert the detectors find in a forecast
+ * @param {Object} weatherData - Normalized forecast
+ * @param {Object} options - Alert options
+ * @param {string} options.locationName - Shown in the alert
+ * @param {Object} options.units - Unit preferences for descriptions
+ * @param {Array<Object>} options.warnings - Official warnings for the location
+ * @returns {Array<WeatherAlert>} Untracked alerts, official warnings first,
+ *   then current conditions
+ */
+export function buildWeatherAlerts(
+  weatherData,
+  { locationName, units = DEFAULT_UNITS, warnings = [] },
+) {
+  if (!weatherData?.current || !locationName) return [];
+
+  return [
+    ...buildWarningAlerts(warnings),
+    buildConditionAlert(weatherData, locationName, units),
+    ...buildEventAlerts(weatherData, locationName, units),
+    ...buildChangeAlerts(weatherData, locationName, units),
+  ].filter(Boolean);
+}
+
+/**
+ * Fold a forecast's alerts into the known episodes and pick those to notify:
+ * new or escalated episodes the user has opted into and not acknowledged at
+ * their current severity
+ * @param {Object} weatherData - Normalized forecast
+ * @param {Object} options - Evaluation options
+ * @param {string} options.locationName - Location the forecast is for
+ * @param {Object} options.units - Unit preferences for descriptions
+ * @param {Array<Object>} options.warnings - Official warnings for the location
+ * @param {Object} options.preferences - Notification preferences
+ * @param {Array<Object>} options.episodes - Known episodes
+ * @param {Array<Object>} options.acknowledgments - The user's acknowledgments
+ * @param {number} options.now - Epoch milliseconds
+ * @returns {Object} { alerts, episodes }: alerts to notify, flagged
+ *   `escalated` when their episode was notified before, and the updated
+ *   episodes
+ */
+export function evaluateAlerts(
+  weatherData,
+  {
+    locationName,
+    units,
+    warnings,
+    preferences,
+    episodes = [],
+    acknowledgments = [],
+    now = Date.now(),
+  },
+) {
+  const cell = getGridCell(
+    weatherData?.latitude,
+    weatherData?.longitude,
+    locationName,
+  );
+  const tracked = trackEpisodes(
+    pruneEpisodes(episodes, now),
+    buildWeatherAlerts(weatherData, { locationName, units, warnings }),
+    cell,
+    now,
+  );
+  if (!preferences?.enabled) {
+    return { alerts: [], episodes: tracked.episodes };
+  }
+
+  const notified = new Map(
+    tracked.episodes.map(episode => [episode.id, episode.notifiedSeverity]),
+  );
+  const alerts = tracked.alerts
+    .filter(
+      alert =>
+        isTypeEnabled(preferences, alert.type) &&
+        isEscalation(alert.severity, notified.get(alert.id)) &&
+        !isAlertSilenced(alert, acknowledgments, now),
+    )
+    .map(alert => ({ ...alert, escalated: notified.get(alert.id) != null }));
+
+  return { alerts, episodes: tracked.episodes };
+}
@@ -0,0 +1,50 @@
+// Alert Types
+// Classifies current conditions into alert types and their severity. Alert
+// identity is handled by alertEpisodes.
+
+/**
+ * Determine alert type from weather data
+ * @param {object} weatherData - Current weather data
+ * @returns {string} Alert type
+ */
+export function determineAlertType(weatherData) {
+  if (!weatherData?.current) return 'general'
+  
+  const { current, daily } = weatherData
+  const temp = current.temperature_2m
+  const humidity = current.relative_humidity_2m
+  const windSpeed = current.wind_speed_10m
+  const precipitation = current.precipitation
+  const uvIndex = daily?.uv_index_max?.[0] || 0
+  
+  // Priority order: most critical first
+  if (temp >= 40) return 'extreme-heat'
+  if (temp < 0) return 'freezing'
+  if (windSpeed >= 60) return 'dangerous-wind'
+  if (precipitation > 10) return 'heavy-rain'
+  if (uvIndex >= 8) return 'high-uv'
+  if (temp >= 35) return 'high-heat'
+  if (temp < 5) return 'cold'
+  if (windSpeed >= 40) return 'strong-wind'
+  if (humidity >= 85) return 'high-humidity'
+  if (precipitation > 0) return 'precipitation'
+  
+  return 'general'
+}
+
+/**
+ * Get alert severity level
+ * @param {string} alertType - Alert type
+ * @returns {string} Severity level
+ */
+export function getAlertSeverity(alertType) {
+  const criticalAlerts = ['extreme-heat', 'freezing', 'dangerous-wind', 'heavy-rain']
+  const highAlerts = ['high-heat', 'cold', 'strong-wind', 'high-uv']
+  const moderateAlerts = ['high-humidity', 'precipitation']
+  
+  if (criticalAlerts.includes(alertType)) return 'critical'
+  if (highAlerts.includes(alertType)) return 'high'
+  if (moderateAlerts.includes(alertType)) return 'moderate'
+  return 'low'
+}
+
@@ -144,3 +144,27 @@ export async function getCurrentUserFromSupabase() {
   }
 }
 
+
+/**
+ * Update the preferences stored on a user's profile
+ * Merges into the existing preferences object
+ */
+export async function updateUserPreferences(userId, currentPreferences, changes) {
+  try {
+    const preferences = { ...(currentPreferences || {}), ...changes };
+    const { data: userProfile, error } = await supabase
+      .from('user_profiles')
+      .update({ preferences })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    return { user: userProfile, error: null };
+  } catch (error) {
+    return { user: null, error: error.message };
+  }
+}
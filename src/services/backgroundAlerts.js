@@ -0,0 +1,123 @@
+// Background Alerts
+// Checks for new weather alerts while the app is closed. The OS wakes the app
+// periodically (BGAppRefresh on iOS, a headless JS task on Android); each run
+// refreshes the forecast and official warnings for the cached location and
+// notifies through weatherNotifications, so alerts are never shown twice
+// whichever side finds them first.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import BackgroundFetch from 'react-native-background-fetch';
+import { fetchForecast, FIELD_SETS } from './weatherClient';
+import { writeCachedForecast } from './forecastCache';
+import { loadManualLocation, loadLastKnownLocation } from './locationStorage';
+import {
+  loadNotificationPreferences,
+  resolveNotificationPreferences,
+} from './notificationPreferences';
+import { DEFAULT_UNITS, resolveUnits } from './units';
+import { notifyWeatherAlerts } from './weatherNotifications';
+import { fetchOfficialWarnings } from './officialWarnings';
+
+// The OS treats this as a lower bound and may run the task less often
+const FETCH_INTERVAL_MINUTES = 30;
+
+// Same key as UnitsContext
+const UNITS_STORAGE_KEY = 'unitPreferences';
+
+async function loadUnits() {
+  try {
+    const stored = await AsyncStorage.getItem(UNITS_STORAGE_KEY);
+    return stored ? resolveUnits(JSON.parse(stored)) : DEFAULT_UNITS;
+  } catch (error) {
+    console.error('Error loading unit preferences:', error);
+    return DEFAULT_UNITS;
+  }
+}
+
+/**
+ * Refresh the forecast for the cached location and notify any new alerts
+ * @returns {Promise<Array<Object>>} Alerts notified or scheduled
+ */
+export async function checkWeatherAlerts() {
+  const preferences = resolveNotificationPreferences(
+    await loadNotificationPreferences(),
+  );
+  if (!preferences.enabled) return [];
+
+  // A manual choice wins, as it does in the app when GPS is unavailable
+  const location =
+    (await loadManualLocation()) ?? (await loadLastKnownLocation());
+  if (!location) return [];
+
+  const { latitude, longitude, name } = location;
+  const fieldSet = FIELD_SETS.forecast;
+  const [weatherData, warnings] = await Promise.all([
+    fetchForecast(latitude, longitude, fieldSet),
+    fetchOfficialWarnings(location),
+  ]);
+  await writeCachedForecast(latitude, longitude, fieldSet.key, weatherData);
+
+  return notifyWeatherAlerts(weatherData, {
+    locationName: name,
+    units: await loadUnits(),
+    warnings,
+    preferences,
+  });
+}
+
+async function runTask(taskId) {
+  try {
+    await checkWeatherAlerts();
+  } catch (error) {
+    console.error('Error checking weather alerts in the background:', error);
+  }
+  BackgroundFetch.finish(taskId);
+}
+
+/**
+ * Headless task for Android, run when the app has been terminated. Register
+ * it in index.js with BackgroundFetch.registerHeadlessTask.
+ * @param {Object} event - { taskId, timeout }
+ */
+export async function backgroundAlertsTask({ taskId, timeout }) {
+  if (timeout) {
+    BackgroundFetch.finish(taskId);
+    return;
+  }
+  await runTask(taskId);
+}
+
+/**
+ * Schedule periodic background alert checks
+ * @returns {Promise<boolean>} True if the OS allows background fetch
+ */
+export async function startBackgroundAlerts() {
+  try {
+    const status = await BackgroundFetch.configure(
+      {
+        minimumFetchInterval: FETCH_INTERVAL_MINUTES,
+        stopOnTerminate: false,
+        startOnBoot: true,
+        enableHeadless: true,
+        requiredNetworkType: BackgroundFetch.NETWORK_TYPE_ANY,
+      },
+      runTask,
+      taskId => BackgroundFetch.finish(taskId),
+    );
+    return status === BackgroundFetch.STATUS_AVAILABLE;
+  } catch (error) {
+    console.error('Error scheduling background alerts:', error);
+    return false;
+  }
+}
+
+/**
+ * Stop background alert checks (e.g. when notifications are turned off)
+ */
+export async function stopBackgroundAlerts() {
+  try {
+    await BackgroundFetch.stop();
+  } catch (error) {
+    console.error('Error stopping background alerts:', error);
+  }
+}
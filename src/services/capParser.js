@@ -0,0 +1,375 @@
+// CAP Parser
+// Reads Common Alerting Protocol (CAP 1.2) warnings as published by weather
+// services: standalone CAP documents, Atom feeds with CAP fields inline (e.g.
+// the US National Weather Service) and Atom/RSS feeds that link to CAP
+// documents (e.g. MeteoAlarm). Also answers whether a warning's area covers
+// a point.
+
+import { XMLParser } from 'fast-xml-parser';
+
+const EARTH_RADIUS_KM = 6371;
+
+// Warnings without an expiry are assumed to last this long
+const DEFAULT_DURATION_MS = 24 * 60 * 60 * 1000;
+
+const CAP_CONTENT_TYPE = 'application/cap+xml';
+
+const ARRAY_ELEMENTS = new Set([
+  'entry',
+  'item',
+  'info',
+  'area',
+  'polygon',
+  'circle',
+  'geocode',
+  'link',
+]);
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  isArray: name => ARRAY_ELEMENTS.has(name),
+});
+
+// CAP severity mapped onto the app's alert severities
+const SEVERITY_LEVELS = {
+  extreme: 'critical',
+  severe: 'high',
+  moderate: 'moderate',
+  minor: 'low',
+};
+
+const URGENCY_LEVELS = ['immediate', 'expected', 'future', 'past'];
+const CERTAINTY_LEVELS = ['observed', 'likely', 'possible', 'unlikely'];
+
+/**
+ * @typedef {Object} CapWarning
+ * @property {string} id - CAP identifier (or the Atom entry ID)
+ * @property {string} sender - Issuing authority
+ * @property {string} status - 'actual', 'exercise', 'system', 'test' or 'draft'
+ * @property {string} msgType - 'alert', 'update' or 'cancel'
+ * @property {Array<string>} references - Identifiers this message replaces
+ * @property {string} event - e.g. "Severe Thunderstorm Warning"
+ * @property {string} headline - One-line summary
+ * @property {string} description - Full text
+ * @property {string} instruction - Recommended action
+ * @property {string} severity - 'critical', 'high', 'moderate' or 'low'
+ * @property {string} urgency - 'immediate', 'expected', 'future', 'past' or 'unknown'
+ * @property {string} certainty - 'observed', 'likely', 'possible', 'unlikely' or 'unknown'
+ * @property {number} startsAt - Onset (or effective time), epoch milliseconds
+ * @property {number} endsAt - Expiry, epoch milliseconds
+ * @property {Array<Object>} areas - { description, polygons, circles }
+ */
+
+const text = node => {
+  if (node == null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '').trim();
+  return String(node).trim();
+};
+
+const first = node => (Array.isArray(node) ? node[0] : node);
+
+/**
+ * Map a CAP severity onto the app's severities
+ * @param {string} severity - CAP severity (Extreme, Severe, Moderate, Minor, Unknown)
+ * @returns {string} 'critical', 'high', 'moderate' or 'low'
+ */
+export function normalizeSeverity(severity) {
+  return SEVERITY_LEVELS[text(severity).toLowerCase()] ?? 'low';
+}
+
+/**
+ * Normalize a CAP urgency
+ * @param {string} urgency - CAP urgency (Immediate, Expected, Future, Past, Unknown)
+ * @returns {string} Lower-case urgency, or 'unknown'
+ */
+export function normalizeUrgency(urgency) {
+  const value = text(urgency).toLowerCase();
+  return URGENCY_LEVELS.includes(value) ? value : 'unknown';
+}
+
+/**
+ * Normalize a CAP certainty. "Very Likely" is a CAP 1.0 value for likely.
+ * @param {string} certainty - CAP certainty (Observed, Likely, Possible, Unlikely, Unknown)
+ * @returns {string} Lower-case certainty, or 'unknown'
+ */
+export function normalizeCertainty(certainty) {
+  const value = text(certainty).toLowerCase();
+  if (value === 'very likely') return 'likely';
+  return CERTAINTY_LEVELS.includes(value) ? value : 'unknown';
+}
+
+/**
+ * Parse a CAP polygon: space-separated "lat,lon" pairs
+ * @param {string} value - Polygon text
+ * @returns {Array<Array<number>>|null} [latitude, longitude] points, or null
+ */
+export function parsePolygon(value) {
+  const points = text(value)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(pair => pair.split(',').map(Number));
+  const valid = points.every(
+    point => point.length === 2 && point.every(Number.isFinite),
+  );
+  return valid && points.length >= 3 ? points : null;
+}
+
+/**
+ * Parse a CAP circle: "lat,lon radius" with the radius in kilometres
+ * @param {string} value - Circle text
+ * @returns {Object|null} { latitude, longitude, radiusKm }, or null
+ */
+export function parseCircle(value) {
+  const [center, radius] = text(value).split(/\s+/);
+  const [latitude, longitude] = (center ?? '').split(',').map(Number);
+  const radiusKm = Number(radius);
+  return [latitude, longitude, radiusKm].every(Number.isFinite)
+    ? { latitude, longitude, radiusKm }
+    : null;
+}
+
+/**
+ * Whether a point lies inside a polygon (ray casting)
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Array<Array<number>>} polygon - [latitude, longitude] points
+ * @returns {boolean} True if inside
+ */
+export function isPointInPolygon(latitude, longitude, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lonI] = polygon[i];
+    const [latJ, lonJ] = polygon[j];
+    const crosses =
+      lonI > longitude !== lonJ > longitude &&
+      latitude < ((latJ - latI) * (longitude - lonI)) / (lonJ - lonI) + latI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a circle
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Object} circle - { latitude, longitude, radiusKm }
+ * @returns {boolean} True if inside
+ */
+export function isPointInCircle(latitude, longitude, circle) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(circle.latitude - latitude);
+  const dLon = toRadians(circle.longitude - longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(latitude)) *
+      Math.cos(toRadians(circle.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  const distance = 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  return distance <= circle.radiusKm;
+}
+
+/**
+ * Whether any of a warning's areas has a polygon or circle
+ * @param {CapWarning} warning - Warning
+ * @returns {boolean} True if its areas can be tested by position
+ */
+export function hasGeometry(warning) {
+  return warning.areas.some(
+    area => area.polygons.length > 0 || area.circles.length > 0,
+  );
+}
+
+/**
+ * Whether a warning covers a location. Areas with a polygon or circle are
+ * tested by position; areas with only a description match when it names
+ * the place (e.g. "Berlin" for "Berlin, Germany").
+ * @param {CapWarning} warning - Warning
+ * @param {Object} location - { latitude, longitude, name }
+ * @returns {boolean} True if the location is covered
+ */
+export function isWarningForLocation(warning, { latitude, longitude, name }) {
+  const place = (name ?? '').split(',')[0].trim().toLowerCase();
+
+  return warning.areas.some(area => {
+    if (area.polygons.length > 0 || area.circles.length > 0) {
+      return (
+        area.polygons.some(polygon =>
+          isPointInPolygon(latitude, longitude, polygon),
+        ) ||
+        area.circles.some(circle =>
+          isPointInCircle(latitude, longitude, circle),
+        )
+      );
+    }
+    if (!place) return false;
+    return area.description
+      .toLowerCase()
+      .split(/[;,/]/)
+      .some(part => part.trim() === place);
+  });
+}
+
+const toTime = value => {
+  const time = Date.parse(text(value));
+  return Number.isFinite(time) ? time : null;
+};
+
+// CAP references are space-separated "sender,identifier,sent" triples
+const parseReferences = value =>
+  text(value)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(reference => reference.split(',')[1])
+    .filter(Boolean);
+
+const parseArea = area => ({
+  description: text(area.areaDesc),
+  polygons: (area.polygon ?? []).map(parsePolygon).filter(Boolean),
+  circles: (area.circle ?? []).map(parseCircle).filter(Boolean),
+});
+
+// Several <info> blocks are the same warning in different languages
+const pickInfo = (infos, language) =>
+  infos.find(info => text(info.language).toLowerCase().startsWith(language)) ??
+  infos[0];
+
+function buildWarning(alert, info, areas) {
+  const startsAt =
+    toTime(info.onset) ?? toTime(info.effective) ?? toTime(alert.sent);
+  return {
+    id: text(alert.identifier),
+    sender: text(info.senderName) || text(alert.sender),
+    status: text(alert.status).toLowerCase(),
+    msgType: text(alert.msgType).toLowerCase(),
+    references: parseReferences(alert.references),
+    event: text(info.event),
+    headline: text(info.headline),
+    description: text(info.description),
+    instruction: text(info.instruction),
+    severity: normalizeSeverity(info.severity),
+    urgency: normalizeUrgency(info.urgency),
+    certainty: normalizeCertainty(info.certainty),
+    startsAt,
+    endsAt: toTime(info.expires) ?? startsAt + DEFAULT_DURATION_MS,
+    areas,
+  };
+}
+
+function parseAlert(alert, language) {
+  const infos = alert.info ?? [];
+  if (infos.length === 0) {
+    // Cancellations may carry no info block at all
+    return buildWarning(alert, {}, []);
+  }
+  const info = pickInfo(infos, language);
+  return buildWarning(alert, info, (info.area ?? []).map(parseArea));
+}
+
+const capLink = links =>
+  (links ?? []).find(link => link['@_type'] === CAP_CONTENT_TYPE) ??
+  (links ?? []).find(link => (link['@_rel'] ?? 'alternate') === 'alternate');
+
+// Atom entries with CAP fields inline, as the NWS publishes them
+function parseAtomEntry(entry) {
+  const link = capLink(entry.link);
+  if (!entry.event) {
+    return { warning: null, link: link?.['@_href'] ?? null };
+  }
+
+  const polygon = parsePolygon(entry.polygon?.[0]);
+  const warning = buildWarning(
+    {
+      identifier: entry.identifier ?? entry.id,
+      sender: entry.author?.name,
+      sent: entry.sent ?? entry.updated,
+      status: entry.status ?? 'Actual',
+      msgType: entry.msgType ?? 'Alert',
+      references: entry.references,
+    },
+    {
+      event: entry.event,
+      headline: entry.title,
+      description: entry.summary,
+      severity: entry.severity,
+      urgency: entry.urgency,
+      certainty: entry.certainty,
+      effective: entry.effective,
+      onset: entry.onset,
+      expires: entry.expires,
+    },
+    [
+      {
+        description: text(entry.areaDesc),
+        polygons: polygon ? [polygon] : [],
+        circles: [],
+      },
+    ],
+  );
+  return { warning, link: link?.['@_href'] ?? null };
+}
+
+/**
+ * Parse a CAP document or a feed of CAP warnings
+ * @param {string} xml - CAP 1.2 document, or Atom/RSS feed
+ * @param {Object} options - Parse options
+ * @param {string} options.language - Preferred info language (default: 'en')
+ * @returns {Object} { warnings, links }: warnings found in the document, and
+ *   for feed entries without inline CAP fields, the CAP documents they link to
+ */
+export function parseCap(xml, { language = 'en' } = {}) {
+  const document = parser.parse(xml);
+
+  if (document.alert) {
+    return { warnings: [parseAlert(document.alert, language)], links: [] };
+  }
+
+  const entries = document.feed?.entry ?? [];
+  const items = document.rss?.channel?.item ?? [];
+  const warnings = [];
+  const links = [];
+
+  entries.forEach(entry => {
+    const embedded = first(entry.content)?.alert;
+    if (embedded) {
+      warnings.push(parseAlert(embedded, language));
+      return;
+    }
+    const { warning, link } = parseAtomEntry(entry);
+    if (warning) {
+      warnings.push({ ...warning, link });
+    } else if (link) {
+      links.push(link);
+    }
+  });
+
+  items.forEach(item => {
+    const link = text(first(item.link));
+    if (link) links.push(link);
+  });
+
+  return { warnings, links };
+}
+
+/**
+ * Warnings that are real, current and not withdrawn. Cancellations and
+ * updates retire the messages they reference.
+ * @param {Array<CapWarning>} warnings - Parsed warnings
+ * @param {number} now - Epoch milliseconds
+ * @returns {Array<CapWarning>} Warnings in force
+ */
+export function selectActiveWarnings(warnings, now = Date.now()) {
+  const replaced = new Set(warnings.flatMap(warning => warning.references));
+
+  return warnings.filter(
+    warning =>
+      warning.status === 'actual' &&
+      warning.msgType !== 'cancel' &&
+      !replaced.has(warning.id) &&
+      warning.urgency !== 'past' &&
+      warning.certainty !== 'unlikely' &&
+      warning.endsAt > now,
+  );
+}
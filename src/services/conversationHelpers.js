@@ -71,7 +71,7 @@ export async function saveUserLocationPreferences(userId, locationData) {
           ...locationData,
           updated_at: new Date().toISOString()
         }
-      ])
+      ], { onConflict: 'user_id' })
       .select()
       .single()
 
@@ -105,7 +105,9 @@ export async function getUserLocationPreferences(userId) {
           home_longitude: null,
           office_address: null,
           office_latitude: null,
-          office_longitude: null
+          office_longitude: null,
+          saved_locations: [],
+          acknowledged_alerts: []
         }
       }
       throw error
@@ -189,7 +191,9 @@ export async function analyzeUserConversationPatterns(userId) {
  *   office_address TEXT,
  *   office_latitude DOUBLE PRECISION,
  *   office_longitude DOUBLE PRECISION,
+ *   saved_locations JSONB DEFAULT '[]',
  *   notification_preferences JSONB DEFAULT '{}',
+ *   acknowledged_alerts JSONB DEFAULT '[]',
  *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
  *   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
  * );
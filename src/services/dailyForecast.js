@@ -0,0 +1,184 @@
+// Daily Forecast
+// Shapes the daily arrays of a forecast into one record per day for the
+// Forecast and Day Detail screens, and slices out the hours belonging to a
+// given day. Dates and times are local strings (timezone=auto), compared as
+// strings like in hourlyTimeline.js.
+
+import { getDatePart } from './hourlyTimeline';
+import { isDaytime } from './weatherConditions';
+
+export const FORECAST_RANGES = [7, 14];
+
+const CARDINAL_DIRECTIONS = [
+  'N',
+  'NNE',
+  'NE',
+  'ENE',
+  'E',
+  'ESE',
+  'SE',
+  'SSE',
+  'S',
+  'SSW',
+  'SW',
+  'WSW',
+  'W',
+  'WNW',
+  'NW',
+  'NNW',
+];
+
+/**
+ * One day of the forecast
+ * @typedef {Object} DailyRecord
+ * @property {string} date - "YYYY-MM-DD"
+ * @property {number} weatherCode - WMO code
+ * @property {number} temperatureMax - °C
+ * @property {number} temperatureMin - °C
+ * @property {number} apparentTemperatureMax - °C
+ * @property {number} apparentTemperatureMin - °C
+ * @property {string} sunrise - Local timestamp
+ * @property {string} sunset - Local timestamp
+ * @property {number} daylightDuration - Seconds
+ * @property {number} sunshineDuration - Seconds
+ * @property {number} uvIndexMax - UV index
+ * @property {number} precipitationSum - mm
+ * @property {number} rainSum - mm
+ * @property {number} showersSum - mm
+ * @property {number} snowfallSum - cm
+ * @property {number} precipitationHours - Hours with precipitation
+ * @property {number} precipitationProbabilityMax - %
+ * @property {number} windSpeedMax - km/h
+ * @property {number} windGustsMax - km/h
+ * @property {number} windDirectionDominant - Degrees
+ */
+
+/**
+ * Daily records for the first days of a forecast
+ * @param {Object} weatherData - Normalized weather data
+ * @param {number} days - Number of days to include
+ * @returns {Array<DailyRecord>} One record per day
+ */
+export function buildDailyForecast(weatherData, days = 14) {
+  const daily = weatherData?.daily;
+  if (!daily?.time) return [];
+
+  const value = (key, index) => daily[key]?.[index] ?? null;
+
+  return daily.time.slice(0, days).map((date, index) => ({
+    date,
+    weatherCode: value('weather_code', index),
+    temperatureMax: value('temperature_2m_max', index),
+    temperatureMin: value('temperature_2m_min', index),
+    apparentTemperatureMax: value('apparent_temperature_max', index),
+    apparentTemperatureMin: value('apparent_temperature_min', index),
+    sunrise: value('sunrise', index),
+    sunset: value('sunset', index),
+    daylightDuration: value('daylight_duration', index),
+    sunshineDuration: value('sunshine_duration', index),
+    uvIndexMax: value('uv_index_max', index),
+    precipitationSum: value('precipitation_sum', index),
+    rainSum: value('rain_sum', index),
+    showersSum: value('showers_sum', index),
+    snowfallSum: value('snowfall_sum', index),
+    precipitationHours: value('precipitation_hours', index),
+    precipitationProbabilityMax: value('precipitation_probability_max', index),
+    windSpeedMax: value('wind_speed_10m_max', index),
+    windGustsMax: value('wind_gusts_10m_max', index),
+    windDirectionDominant: value('wind_direction_10m_dominant', index),
+  }));
+}
+
+/**
+ * Lowest minimum and highest maximum across a set of days
+ * @param {Array<DailyRecord>} days - Daily records
+ * @returns {Object|null} { min, max } in °C, or null without data
+ */
+export function getTemperatureRange(days) {
+  const mins = days.map(day => day.temperatureMin).filter(v => v != null);
+  const maxes = days.map(day => day.temperatureMax).filter(v => v != null);
+  if (mins.length === 0 || maxes.length === 0) return null;
+
+  return { min: Math.min(...mins), max: Math.max(...maxes) };
+}
+
+/**
+ * Where a day's min-max bar sits within the period's overall range
+ * @param {DailyRecord} day - Daily record
+ * @param {Object} range - Result of getTemperatureRange
+ * @returns {Object|null} { start, width } as fractions of the full track
+ */
+export function getRangeBarPosition(day, range) {
+  if (!range || day.temperatureMin == null || day.temperatureMax == null) {
+    return null;
+  }
+
+  const span = range.max - range.min || 1;
+  const start = (day.temperatureMin - range.min) / span;
+  const end = (day.temperatureMax - range.min) / span;
+  return { start, width: Math.max(end - start, 0) };
+}
+
+/**
+ * The hourly values for one local day
+ * @param {Object} weatherData - Normalized weather data
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {Array<Object>} Up to 24 entries with the hour's time and values
+ */
+export function getHoursForDate(weatherData, date) {
+  const hourly = weatherData?.hourly;
+  if (!hourly?.time) return [];
+
+  const hours = [];
+  hourly.time.forEach((time, i) => {
+    if (getDatePart(time) !== date) return;
+    hours.push({
+      time,
+      temperature: hourly.temperature_2m?.[i] ?? null,
+      apparentTemperature: hourly.apparent_temperature?.[i] ?? null,
+      precipitationProbability: hourly.precipitation_probability?.[i] ?? null,
+      precipitation: hourly.precipitation?.[i] ?? null,
+      windSpeed: hourly.wind_speed_10m?.[i] ?? null,
+      windDirection: hourly.wind_direction_10m?.[i] ?? null,
+      weatherCode: hourly.weather_code?.[i] ?? null,
+      isDay:
+        hourly.is_day?.[i] != null
+          ? hourly.is_day[i] === 1
+          : isDaytime(time, weatherData.daily) ?? true,
+    });
+  });
+  return hours;
+}
+
+/**
+ * Compass point for a bearing
+ * @param {number} degrees - Direction in degrees
+ * @returns {string} e.g. "NNE"
+ */
+export function getCardinalDirection(degrees) {
+  if (degrees == null) return '--';
+  const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+  return CARDINAL_DIRECTIONS[index];
+}
+
+/**
+ * Human-readable length of a duration given in seconds
+ * @param {number} seconds - Duration
+ * @returns {string} e.g. "11h 24m"
+ */
+export function formatDuration(seconds) {
+  if (seconds == null) return '--';
+  const totalMinutes = Math.round(seconds / 60);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+export default {
+  buildDailyForecast,
+  getTemperatureRange,
+  getRangeBarPosition,
+  getHoursForDate,
+  getCardinalDirection,
+  formatDuration,
+};
@@ -1,42 +1,89 @@
 // DalSi AI API Integration
 // Text-based AI: DalSi AI (Phi-3 model)
 // Vision AI: DalSi Vi (Phi-3 Vision model)
+// Service URLs come from llmConfig; createDalsiProvider wraps the text model
+// as an LLM provider (see llmProvider.js).
 
-const DALSIAI_SERVICE_URL = 'https://dalsiai-106681824395.asia-south2.run.app';
-const DALSIAIVI_SERVICE_URL = 'https://dalsiaivi-service-594985777520.asia-south2.run.app';
+import { fetchJson, isAbortError } from './http';
+import { streamSse } from './sse';
+import { LLM_CONFIG } from './llmConfig';
+import { STREAM_CONNECT_TIMEOUT_MS, logRequestError } from './llmRequests';
+
+const DALSIAI_SERVICE_URL = LLM_CONFIG.dalsi.textUrl;
+const DALSIAIVI_SERVICE_URL = LLM_CONFIG.dalsi.visionUrl;
+
+// Generation can take a while on a cold Cloud Run instance
+const GENERATE_TIMEOUT_MS = 60000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+/**
+ * Stream a generation, passing each token on as its event arrives
+ */
+async function streamTokens(url, payload, { label, service, signal }, onToken, onComplete, onError) {
+  try {
+    const events = streamSse(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      service,
+      timeout: STREAM_CONNECT_TIMEOUT_MS,
+      // Reconnecting mid-answer would generate (and bill) it again
+      resume: false,
+      signal
+    });
+
+    for await (const event of events) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (e) {
+        console.error('Error parsing JSON from stream:', e);
+        continue;
+      }
+
+      if (data.token) {
+        onToken(data.token);
+      } else if (data.done) {
+        onComplete();
+        return;
+      } else if (data.error) {
+        onError(data.error);
+        return;
+      }
+    }
+  } catch (error) {
+    if (isAbortError(error)) return;
+    logRequestError('DalSi AI', label, error, payload);
+    if (onError) onError(error.message);
+  }
+}
 
 /**
  * Generate text using DalSi AI (Text-only model)
  * @param {string} message - The input prompt
  * @param {number} maxLength - Maximum tokens to generate (default: 200)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {string} options.baseUrl - Service URL (default: from llmConfig)
  * @returns {Promise<Object>} Response with generated text
  */
-export async function dalsiaiGenerateText(message, maxLength = 200) {
+export async function dalsiaiGenerateText(message, maxLength = 200, { signal, baseUrl = DALSIAI_SERVICE_URL } = {}) {
   const headers = { 'Content-Type': 'application/json' };
   const payload = { message, max_length: maxLength };
 
   try {
-    const response = await fetch(`${DALSIAI_SERVICE_URL}/generate`, {
+    return await fetchJson(`${baseUrl}/generate`, {
       method: 'POST',
       headers,
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      service: 'DalSi AI',
+      timeout: GENERATE_TIMEOUT_MS,
+      signal
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('DalSi AI error response:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText,
-        endpoint: response.url,
-        payload
-      });
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    return await response.json();
   } catch (error) {
-    console.error('Error calling DalSi AI generate endpoint:', error);
+    if (!isAbortError(error)) {
+      logRequestError('DalSi AI', 'DalSi AI generate endpoint', error, payload);
+    }
     return null;
   }
 }
@@ -48,67 +95,21 @@ export async function dalsiaiGenerateText(message, maxLength = 200) {
  * @param {Function} onToken - Callback for each token
  * @param {Function} onComplete - Callback when generation completes
  * @param {Function} onError - Callback for errors
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Stops the stream; no further callbacks fire
+ * @param {string} options.baseUrl - Service URL (default: from llmConfig)
  */
-export async function dalsiaiStreamText(message, maxLength = 200, onToken, onComplete, onError) {
-  const headers = { 'Content-Type': 'application/json' };
+export async function dalsiaiStreamText(message, maxLength = 200, onToken, onComplete, onError, { signal, baseUrl = DALSIAI_SERVICE_URL } = {}) {
   const payload = { message, max_length: maxLength };
 
-  try {
-    const response = await fetch(`${DALSIAI_SERVICE_URL}/stream`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('DalSi AI error response:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText,
-        endpoint: response.url,
-        payload
-      });
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder('utf-8');
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) {
-        // Flush any remaining bytes in the decoder
-        decoder.decode(new Uint8Array(), { stream: false });
-        break;
-      }
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.trim() && line.startsWith('data: ')) {
-          try {
-            const jsonData = line.substring(6); // Remove 'data: ' prefix
-            const data = JSON.parse(jsonData);
-
-            if (data.token) {
-              onToken(data.token);
-            } else if (data.done) {
-              onComplete();
-            } else if (data.error) {
-              onError(data.error);
-            }
-          } catch (e) {
-            console.error('Error parsing JSON from stream:', e);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error calling DalSi AI stream endpoint:', error);
-    if (onError) onError(error.message);
-  }
+  await streamTokens(
+    `${baseUrl}/stream`,
+    payload,
+    { label: 'DalSi AI stream endpoint', service: 'DalSi AI', signal },
+    onToken,
+    onComplete,
+    onError
+  );
 }
 
 /**
@@ -116,9 +117,11 @@ export async function dalsiaiStreamText(message, maxLength = 200, onToken, onCom
  * @param {string} message - The input prompt
  * @param {string|null} imageDataUrl - Optional base64 image data URL
  * @param {number} maxLength - Maximum tokens to generate
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  * @returns {Promise<Object>} Response with generated text
  */
-export async function dalsiaiviGenerateMultimodal(message, imageDataUrl = null, maxLength = 200) {
+export async function dalsiaiviGenerateMultimodal(message, imageDataUrl = null, maxLength = 200, { signal } = {}) {
   const headers = { 'Content-Type': 'application/json' };
   const payload = { message, max_length: maxLength };
 
@@ -127,27 +130,18 @@ export async function dalsiaiviGenerateMultimodal(message, imageDataUrl = null,
   }
 
   try {
-    const response = await fetch(`${DALSIAIVI_SERVICE_URL}/generate`, {
+    return await fetchJson(`${DALSIAIVI_SERVICE_URL}/generate`, {
       method: 'POST',
       headers,
-      body: JSON.stringify(payload)
+      body: JSON.stringify(payload),
+      service: 'DalSi Vi',
+      timeout: GENERATE_TIMEOUT_MS,
+      signal
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('DalSi AI error response:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText,
-        endpoint: response.url,
-        payload
-      });
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    return await response.json();
   } catch (error) {
-    console.error('Error calling DalSi Vi generate endpoint:', error);
+    if (!isAbortError(error)) {
+      logRequestError('DalSi Vi', 'DalSi Vi generate endpoint', error, payload);
+    }
     return null;
   }
 }
@@ -160,81 +154,39 @@ export async function dalsiaiviGenerateMultimodal(message, imageDataUrl = null,
  * @param {Function} onToken - Callback for each token
  * @param {Function} onComplete - Callback when generation completes
  * @param {Function} onError - Callback for errors
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Stops the stream; no further callbacks fire
  */
-export async function dalsiaiviStreamMultimodal(message, imageDataUrl = null, maxLength = 200, onToken, onComplete, onError) {
-  const headers = { 'Content-Type': 'application/json' };
+export async function dalsiaiviStreamMultimodal(message, imageDataUrl = null, maxLength = 200, onToken, onComplete, onError, { signal } = {}) {
   const payload = { message, max_length: maxLength };
 
   if (imageDataUrl) {
     payload.image_data_url = imageDataUrl;
   }
 
-  try {
-    const response = await fetch(`${DALSIAIVI_SERVICE_URL}/stream`, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('DalSi AI error response:', {
-        status: response.status,
-        statusText: response.statusText,
-        body: errorText,
-        endpoint: response.url,
-        payload
-      });
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder('utf-8');
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) {
-        // Flush any remaining bytes in the decoder
-        decoder.decode(new Uint8Array(), { stream: false });
-        break;
-      }
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.trim() && line.startsWith('data: ')) {
-          try {
-            const jsonData = line.substring(6);
-            const data = JSON.parse(jsonData);
-
-            if (data.token) {
-              onToken(data.token);
-            } else if (data.done) {
-              onComplete();
-            } else if (data.error) {
-              onError(data.error);
-            }
-          } catch (e) {
-            console.error('Error parsing JSON from stream:', e);
-          }
-        }
-      }
-    }
-  } catch (error) {
-    console.error('Error calling DalSi Vi stream endpoint:', error);
-    if (onError) onError(error.message);
-  }
+  await streamTokens(
+    `${DALSIAIVI_SERVICE_URL}/stream`,
+    payload,
+    { label: 'DalSi Vi stream endpoint', service: 'DalSi Vi', signal },
+    onToken,
+    onComplete,
+    onError
+  );
 }
 
 /**
  * Check health status of DalSi AI service
+ * @param {Object} options - Request options
+ * @param {string} options.baseUrl - Service URL (default: from llmConfig)
  * @returns {Promise<Object>} Health status
  */
-export async function dalsiaiHealthCheck() {
+export async function dalsiaiHealthCheck({ baseUrl = DALSIAI_SERVICE_URL } = {}) {
   try {
-    const response = await fetch(`${DALSIAI_SERVICE_URL}/health`);
-    return await response.json();
+    return await fetchJson(`${baseUrl}/health`, {
+      service: 'DalSi AI',
+      timeout: HEALTH_TIMEOUT_MS,
+      retries: 0
+    });
   } catch (error) {
     console.error('Error checking DalSi AI health:', error);
     return { status: 'error', model_loaded: false };
@@ -247,11 +199,42 @@ export async function dalsiaiHealthCheck() {
  */
 export async function dalsiaiviHealthCheck() {
   try {
-    const response = await fetch(`${DALSIAIVI_SERVICE_URL}/health`);
-    return await response.json();
+    return await fetchJson(`${DALSIAIVI_SERVICE_URL}/health`, {
+      service: 'DalSi Vi',
+      timeout: HEALTH_TIMEOUT_MS,
+      retries: 0
+    });
   } catch (error) {
     console.error('Error checking DalSi Vi health:', error);
     return { status: 'error', model_loaded: false };
   }
 }
 
+/**
+ * DalSi AI as an LLM provider
+ * @param {Object} config - Provider config (default: LLM_CONFIG.dalsi)
+ * @param {string} config.textUrl - DalSi AI service URL
+ * @returns {Object} LlmProvider (see llmProvider.js)
+ */
+export function createDalsiProvider({ textUrl = DALSIAI_SERVICE_URL } = LLM_CONFIG.dalsi) {
+  return {
+    name: 'dalsi',
+
+    async generate(prompt, { maxTokens = 200, signal } = {}) {
+      const result = await dalsiaiGenerateText(prompt, maxTokens, { signal, baseUrl: textUrl });
+      return result?.response || null;
+    },
+
+    stream(prompt, { maxTokens = 200, signal, onToken, onComplete = () => {}, onError = () => {} } = {}) {
+      return dalsiaiStreamText(prompt, maxTokens, onToken, onComplete, onError, { signal, baseUrl: textUrl });
+    },
+
+    async health() {
+      const result = await dalsiaiHealthCheck({ baseUrl: textUrl });
+      return {
+        ok: result.status !== 'error' && result.model_loaded !== false,
+        model: result.model ?? null
+      };
+    }
+  };
+}
@@ -3,12 +3,21 @@
  * Detects and predicts specific weather events with probability scores
  */
 
-import { dalsiaiGenerateText } from './dalsiApi.js'
+import { generateStructured } from './structuredOutput'
+import { EVENT_FORECAST_SCHEMA } from './aiSchemas'
+import {
+  DEFAULT_UNITS,
+  formatTemperature,
+  formatTemperatureDelta,
+  formatSpeed,
+  formatPrecipitation
+} from './units'
 
 /**
- * Detect potential weather events from forecast data
+ * Detect potential weather events from forecast data. Thresholds are metric;
+ * `units` only affects the descriptions.
  */
-export function detectWeatherEvents(hourly, daily) {
+export function detectWeatherEvents(hourly, daily, units = DEFAULT_UNITS) {
   const events = []
   
   // Analyze next 7 days for patterns
@@ -41,7 +50,7 @@ export function detectWeatherEvents(hourly, daily) {
           duration: duration,
           uvIndex: daily.uv_index_max[day]
         },
-        description: `Heatwave conditions with temperatures reaching ${daily.temperature_2m_max[day].toFixed(0)}°C for ${duration} day(s)`
+        description: `Heatwave conditions with temperatures reaching ${formatTemperature(daily.temperature_2m_max[day], units, { decimals: 0 })} for ${duration} day(s)`
       })
     }
     
@@ -57,7 +66,7 @@ export function detectWeatherEvents(hourly, daily) {
           minTemp: daily.temperature_2m_min[day],
           maxTemp: daily.temperature_2m_max[day]
         },
-        description: `Cold conditions with temperatures ${daily.temperature_2m_min[day].toFixed(0)}°C to ${daily.temperature_2m_max[day].toFixed(0)}°C`
+        description: `Cold conditions with temperatures ${formatTemperature(daily.temperature_2m_min[day], units, { decimals: 0 })} to ${formatTemperature(daily.temperature_2m_max[day], units, { decimals: 0 })}`
       })
     }
     
@@ -75,7 +84,7 @@ export function detectWeatherEvents(hourly, daily) {
           totalPrecipitation: totalPrecip,
           maxProbability: maxPrecipProb
         },
-        description: `Heavy rainfall expected (${totalPrecip.toFixed(1)}mm) with ${maxPrecipProb}% probability`
+        description: `Heavy rainfall expected (${formatPrecipitation(totalPrecip, units)}) with ${maxPrecipProb}% probability`
       })
     }
     
@@ -111,7 +120,7 @@ export function detectWeatherEvents(hourly, daily) {
           maxWind: maxWind,
           maxGusts: maxGusts
         },
-        description: `Strong winds up to ${maxWind.toFixed(0)} km/h with gusts to ${maxGusts.toFixed(0)} km/h`
+        description: `Strong winds up to ${formatSpeed(maxWind, units, { decimals: 0 })} with gusts to ${formatSpeed(maxGusts, units, { decimals: 0 })}`
       })
     }
     
@@ -130,7 +139,7 @@ export function detectWeatherEvents(hourly, daily) {
             previousTemp: daily.temperature_2m_max[day - 1],
             newTemp: daily.temperature_2m_max[day]
           },
-          description: `${tempChange > 0 ? 'Warming' : 'Cooling'} trend: ${Math.abs(tempChange).toFixed(0)}°C ${tempChange > 0 ? 'increase' : 'decrease'}`
+          description: `${tempChange > 0 ? 'Warming' : 'Cooling'} trend: ${formatTemperatureDelta(Math.abs(tempChange), units, { decimals: 0 })} ${tempChange > 0 ? 'increase' : 'decrease'}`
         })
       }
     }
@@ -140,10 +149,12 @@ export function detectWeatherEvents(hourly, daily) {
 }
 
 /**
- * Generate AI-powered event analysis and predictions
+ * Generate AI-powered event analysis and predictions. `aiEvents` holds the
+ * model's events (see EVENT_FORECAST_SCHEMA) and `aiAnalysis` the same as
+ * bullet-point text.
  */
-export async function generateEventBasedForecast(weatherData, location) {
-  const events = detectWeatherEvents(weatherData.hourly, weatherData.daily)
+export async function generateEventBasedForecast(weatherData, location, units = DEFAULT_UNITS) {
+  const events = detectWeatherEvents(weatherData.hourly, weatherData.daily, units)
   
   // Prepare data summary for AI
   const next7Days = weatherData.daily.time.slice(0, 7).map((time, i) => ({
@@ -158,40 +169,48 @@ export async function generateEventBasedForecast(weatherData, location) {
   const prompt = `Analyze the following 7-day weather forecast for ${location} and identify HIGH-PROBABILITY weather events with specific timing and impact:
 
 ${next7Days.map(day => 
-  `${day.date}: ${day.tempMin.toFixed(0)}-${day.tempMax.toFixed(0)}°C, ${day.precipProb}% rain (${day.precipSum.toFixed(1)}mm), wind ${day.windMax.toFixed(0)} km/h`
+  `${day.date}: ${formatTemperature(day.tempMin, units, { decimals: 0 })} to ${formatTemperature(day.tempMax, units, { decimals: 0 })}, ${day.precipProb}% rain (${formatPrecipitation(day.precipSum, units)}), wind ${formatSpeed(day.windMax, units, { decimals: 0 })}`
 ).join('\n')}
 
 Detected Events:
 ${events.slice(0, 5).map(e => `- ${e.type}: ${e.day}, ${e.probability}% probability, ${e.description}`).join('\n')}
 
-Provide:
-1. Top 3 most significant weather events with probability percentages
-2. Specific timing (day and time period)
-3. Practical impact on daily activities
-4. Preparation recommendations
+Return ONLY a JSON array of the top 3 most significant weather events with this exact structure:
+[
+  {
+    "event": "Event name",
+    "probability": 70,
+    "timing": "Day and time period",
+    "impact": "Practical impact on daily activities",
+    "preparation": "Preparation recommendation"
+  }
+]
 
-Format as concise bullet points.`
+If no significant events are expected, return empty array [].`
 
-  try {
-    console.log("AI Analysis Prompt:", prompt);
-    const response = await dalsiaiGenerateText(prompt, 300);
-    console.log("AI Analysis Raw Response:", response);
-    return {
-      events: events,
-      aiAnalysis: response && response.response ? response.response : 'Analysis unavailable',
-      summary: generateEventSummary(events)
-    }
-  } catch (error) {
-    console.error("Error generating AI event forecast:", error);
-    console.log("AI Analysis Prompt that caused error:", prompt);
-    return {
-      events: events,
-      aiAnalysis: 'AI analysis temporarily unavailable',
-      summary: generateEventSummary(events)
-    }
+  const aiEvents = await generateStructured(prompt, EVENT_FORECAST_SCHEMA, {
+    maxTokens: 400,
+    fetchedAt: weatherData.meta?.fetchedAt
+  })
+  return {
+    events: events,
+    aiEvents: aiEvents ?? [],
+    aiAnalysis: aiEvents ? formatAiEvents(aiEvents) : 'Analysis unavailable',
+    summary: generateEventSummary(events)
   }
 }
 
+/**
+ * Bullet-point text for the AI events
+ */
+function formatAiEvents(aiEvents) {
+  if (aiEvents.length === 0) return 'No significant weather events expected'
+  return aiEvents.map(e => {
+    const preparation = e.preparation ? ` ${e.preparation}` : ''
+    return `• ${e.event} (${Math.round(e.probability)}%), ${e.timing}: ${e.impact}${preparation}`
+  }).join('\n')
+}
+
 /**
  * Helper functions for probability calculations
  */
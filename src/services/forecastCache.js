@@ -0,0 +1,138 @@
+// Forecast Cache
+// Persists normalized forecasts in AsyncStorage so screens can render
+// immediately (and offline) while a fresh copy is fetched in the background.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'forecastCache:';
+
+// Entries younger than this are served without revalidating
+export const FRESH_TTL_MS = 15 * 60 * 1000;
+
+// Entries older than this are discarded instead of being shown as stale
+export const MAX_STALE_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Build the cache key for a location and field set. Coordinates are rounded
+ * to two decimals (~1 km) so small GPS jitter reuses the same entry.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {string} fieldSetKey - Field set identifier
+ * @returns {string} AsyncStorage key
+ */
+export function getForecastCacheKey(latitude, longitude, fieldSetKey) {
+  return `${CACHE_PREFIX}${latitude.toFixed(2)},${longitude.toFixed(
+    2,
+  )}:${fieldSetKey}`;
+}
+
+/**
+ * Classify a cache entry by age
+ * @param {number} fetchedAt - Fetch timestamp in ms
+ * @param {number} now - Current timestamp in ms
+ * @returns {string} 'fresh', 'stale' or 'expired'
+ */
+export function getCacheStatus(fetchedAt, now = Date.now()) {
+  const age = now - fetchedAt;
+  if (age < FRESH_TTL_MS) return 'fresh';
+  if (age < MAX_STALE_MS) return 'stale';
+  return 'expired';
+}
+
+/**
+ * Read a cached forecast
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {string} fieldSetKey - Field set identifier
+ * @returns {Promise<Object|null>} { data, fetchedAt, status } or null when missing/expired
+ */
+export async function readCachedForecast(latitude, longitude, fieldSetKey) {
+  const key = getForecastCacheKey(latitude, longitude, fieldSetKey);
+
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    if (!stored) return null;
+
+    const { data, fetchedAt } = JSON.parse(stored);
+    const status = getCacheStatus(fetchedAt);
+
+    if (status === 'expired') {
+      await AsyncStorage.removeItem(key);
+      return null;
+    }
+
+    return { data, fetchedAt, status };
+  } catch (error) {
+    console.error('Error reading cached forecast:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a forecast
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {string} fieldSetKey - Field set identifier
+ * @param {Object} data - Normalized weather data
+ */
+export async function writeCachedForecast(
+  latitude,
+  longitude,
+  fieldSetKey,
+  data,
+) {
+  const key = getForecastCacheKey(latitude, longitude, fieldSetKey);
+  const fetchedAt = data?.meta?.fetchedAt ?? Date.now();
+
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify({ data, fetchedAt }));
+  } catch (error) {
+    console.error('Error writing cached forecast:', error);
+  }
+}
+
+/**
+ * Remove every expired forecast from storage
+ */
+export async function pruneForecastCache() {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const cacheKeys = keys.filter(key => key.startsWith(CACHE_PREFIX));
+    const entries = await AsyncStorage.multiGet(cacheKeys);
+
+    const expiredKeys = entries
+      .filter(([, value]) => {
+        try {
+          return getCacheStatus(JSON.parse(value).fetchedAt) === 'expired';
+        } catch (e) {
+          return true;
+        }
+      })
+      .map(([key]) => key);
+
+    if (expiredKeys.length > 0) {
+      await AsyncStorage.multiRemove(expiredKeys);
+    }
+  } catch (error) {
+    console.error('Error pruning forecast cache:', error);
+  }
+}
+
+/**
+ * Describe how long ago data was fetched
+ * @param {number|null} fetchedAt - Fetch timestamp in ms
+ * @param {number} now - Current timestamp in ms
+ * @returns {string} e.g. 'Updated just now', 'Updated 12 min ago'
+ */
+export function formatLastUpdated(fetchedAt, now = Date.now()) {
+  if (!fetchedAt) return '';
+
+  const minutes = Math.floor((now - fetchedAt) / 60000);
+  if (minutes < 1) return 'Updated just now';
+  if (minutes < 60) return `Updated ${minutes} min ago`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `Updated ${hours} h ago`;
+
+  return `Updated ${Math.floor(hours / 24)} d ago`;
+}
@@ -0,0 +1,130 @@
+// Hourly Timeline
+// Flattens the hourly and daily forecast arrays into the rows shown on the
+// Hourly screen: one entry per hour, plus day separators and sunrise/sunset
+// markers slotted in at the right position.
+//
+// Open-Meteo is queried with timezone=auto, so every timestamp is a local
+// "YYYY-MM-DDTHH:MM" string for the forecast location. They are compared as
+// strings to avoid shifting them into the device's timezone.
+
+import { isDaytime } from './weatherConditions';
+
+export const TIMELINE_HOURS = 48;
+
+/**
+ * Hour and minute of a local ISO timestamp
+ * @param {string} time - "YYYY-MM-DDTHH:MM"
+ * @returns {string} "HH:MM"
+ */
+export function getClockTime(time) {
+  return time ? time.slice(11, 16) : '';
+}
+
+/**
+ * Date part of a local ISO timestamp
+ * @param {string} time - "YYYY-MM-DDTHH:MM"
+ * @returns {string} "YYYY-MM-DD"
+ */
+export function getDatePart(time) {
+  return time ? time.slice(0, 10) : '';
+}
+
+/**
+ * Index of the hour containing the current observation time
+ * @param {Array<string>} times - Hourly timestamps
+ * @param {string} currentTime - Current observation timestamp
+ * @returns {number} Start index (0 if unknown)
+ */
+export function findCurrentHourIndex(times, currentTime) {
+  if (!currentTime) return 0;
+
+  let index = 0;
+  for (let i = 0; i < times.length; i++) {
+    if (times[i] <= currentTime) {
+      index = i;
+    } else {
+      break;
+    }
+  }
+  return index;
+}
+
+/**
+ * Build timeline entries for the next hours of a forecast
+ * @param {Object} weatherData - Normalized weather data
+ * @param {number} hours - Number of hours to include
+ * @returns {Array<Object>} Entries with `type` of 'hour', 'day', 'sunrise' or 'sunset'
+ */
+export function buildHourlyTimeline(weatherData, hours = TIMELINE_HOURS) {
+  const hourly = weatherData?.hourly;
+  if (!hourly || !hourly.time || hourly.time.length === 0) {
+    return [];
+  }
+
+  const start = findCurrentHourIndex(hourly.time, weatherData.current?.time);
+  const end = Math.min(start + hours, hourly.time.length);
+  const daily = weatherData.daily ?? {};
+  const sunEvents = [];
+
+  (daily.sunrise ?? []).forEach(time => {
+    if (time) sunEvents.push({ type: 'sunrise', time });
+  });
+  (daily.sunset ?? []).forEach(time => {
+    if (time) sunEvents.push({ type: 'sunset', time });
+  });
+  sunEvents.sort((a, b) => (a.time < b.time ? -1 : 1));
+
+  const entries = [];
+  let previousDate = null;
+
+  for (let i = start; i < end; i++) {
+    const time = hourly.time[i];
+    const date = getDatePart(time);
+
+    if (date !== previousDate) {
+      entries.push({ type: 'day', key: `day-${date}`, date });
+      previousDate = date;
+    }
+
+    entries.push({
+      type: 'hour',
+      key: time,
+      time,
+      isNow: i === start,
+      temperature: hourly.temperature_2m?.[i] ?? null,
+      apparentTemperature: hourly.apparent_temperature?.[i] ?? null,
+      precipitationProbability: hourly.precipitation_probability?.[i] ?? null,
+      precipitation: hourly.precipitation?.[i] ?? null,
+      windSpeed: hourly.wind_speed_10m?.[i] ?? null,
+      windDirection: hourly.wind_direction_10m?.[i] ?? null,
+      windGusts: hourly.wind_gusts_10m?.[i] ?? null,
+      uvIndex: hourly.uv_index?.[i] ?? null,
+      weatherCode: hourly.weather_code?.[i] ?? null,
+      isDay:
+        hourly.is_day?.[i] != null
+          ? hourly.is_day[i] === 1
+          : isDaytime(time, daily) ?? true,
+    });
+
+    // Sun events that fall inside this hour follow its column
+    const nextTime = hourly.time[i + 1];
+    sunEvents.forEach(event => {
+      if (event.time >= time && (!nextTime || event.time < nextTime)) {
+        entries.push({
+          type: event.type,
+          key: `${event.type}-${event.time}`,
+          time: event.time,
+        });
+      }
+    });
+  }
+
+  return entries;
+}
+
+export default {
+  buildHourlyTimeline,
+  findCurrentHourIndex,
+  getClockTime,
+  getDatePart,
+};
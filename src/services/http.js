@@ -0,0 +1,374 @@
+// HTTP Layer
+// Shared fetch wrapper used by every outbound request: per-attempt timeouts,
+// AbortSignal cancellation, exponential backoff with jitter for 5xx/429, and
+// typed errors that screens can render differently.
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 8000;
+
+/**
+ * The request never produced an HTTP response (offline, DNS, TLS, timeout)
+ */
+export class NetworkError extends Error {
+  constructor(message, { url, cause } = {}) {
+    super(message);
+    this.name = 'NetworkError';
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/**
+ * The request did not complete within its timeout
+ */
+export class TimeoutError extends NetworkError {
+  constructor(message, { url, timeout } = {}) {
+    super(message, { url });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class ApiError extends Error {
+  constructor(message, { url, status, body } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The server answered 429 Too Many Requests
+ */
+export class RateLimitError extends ApiError {
+  constructor(message, { url, status = 429, body, retryAfter } = {}) {
+    super(message, { url, status, body });
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Check whether an error comes from the caller cancelling the request
+ * @param {Error} error - Error to inspect
+ * @returns {boolean} True if the request was aborted
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Error thrown when a request or wait is cancelled (see isAbortError)
+ * @returns {Error} Error named 'AbortError'
+ */
+export function createAbortError() {
+  const error = new Error('Request aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in ms, or null when absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelay - Delay of the first retry in ms
+ * @param {number} options.maxDelay - Upper bound for any delay in ms
+ * @returns {number} Delay in ms
+ */
+export function getBackoffDelay(
+  attempt,
+  { baseDelay = DEFAULT_BASE_DELAY_MS, maxDelay = DEFAULT_MAX_DELAY_MS } = {},
+) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Reject as soon as the signal aborts, without cancelling the shared promise.
+ * Used where several callers wait on one coalesced request.
+ * @param {Promise} promise - Promise to wrap
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @returns {Promise} Promise that settles with the original or rejects on abort
+ */
+export function withAbort(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(createAbortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort);
+
+    promise.then(
+      value => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+function isRetryable(error) {
+  if (isAbortError(error)) return false;
+  if (error instanceof NetworkError) return true;
+  if (error instanceof RateLimitError) return true;
+  return error instanceof ApiError && error.status >= 500;
+}
+
+async function attemptRequest(
+  url,
+  fetchOptions,
+  { timeout, signal, service },
+  parse,
+) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort);
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...fetchOptions,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(
+          `${service} request timed out after ${timeout}ms`,
+          { url, timeout },
+        );
+      }
+      if (signal?.aborted || isAbortError(error)) {
+        throw createAbortError();
+      }
+      throw new NetworkError(`${service} request failed: ${error.message}`, {
+        url,
+        cause: error,
+      });
+    }
+
+    if (!response.ok) {
+      let body = '';
+      try {
+        body = await response.text();
+      } catch (e) {
+        // Body could not be read, report the status only
+      }
+
+      if (response.status === 429) {
+        throw new RateLimitError(`${service} rate limit exceeded`, {
+          url,
+          body,
+          retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After')),
+        });
+      }
+      throw new ApiError(`${service} error: ${response.status}`, {
+        url,
+        status: response.status,
+        body,
+      });
+    }
+
+    try {
+      return await parse(response);
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(
+          `${service} response timed out after ${timeout}ms`,
+          { url, timeout },
+        );
+      }
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+      throw error;
+    }
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Perform a request with timeout, cancellation and retries
+ * @param {string} url - Request URL
+ * @param {Object} options - fetch options plus the policy options below
+ * @param {number} options.timeout - Per-attempt timeout in ms (default: 15000)
+ * @param {number} options.retries - Retries after the first attempt (default: 2)
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {string} options.service - Service name used in error messages
+ * @param {Function} options.parse - Reads the response within the timeout window
+ * @param {Object} options.backoff - { baseDelay, maxDelay } in ms; a
+ *   Retry-After longer than maxDelay fails the request instead of waiting
+ * @returns {Promise<*>} Parsed response (the Response itself by default)
+ */
+export async function httpRequest(url, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    signal,
+    service = 'HTTP',
+    parse = response => response,
+    backoff,
+    ...fetchOptions
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    try {
+      return await attemptRequest(
+        url,
+        fetchOptions,
+        { timeout, signal, service },
+        parse,
+      );
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const serverDelay =
+        error instanceof RateLimitError ? error.retryAfter : null;
+      // Retrying before the server's wait is over would only be refused again,
+      // and a long wait isn't worth holding the caller for
+      if (serverDelay > (backoff?.maxDelay ?? DEFAULT_MAX_DELAY_MS)) {
+        throw error;
+      }
+      const delay = serverDelay ?? getBackoffDelay(attempt, backoff);
+      console.warn(
+        `${service} attempt ${attempt + 1} failed, retrying in ${delay}ms:`,
+        error.message,
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Perform a request and parse the JSON body
+ * @param {string} url - Request URL
+ * @param {Object} options - Same as httpRequest
+ * @returns {Promise<*>} Parsed JSON
+ */
+export function fetchJson(url, options = {}) {
+  return httpRequest(url, { ...options, parse: response => response.json() });
+}
+
+/**
+ * Map an error to text a screen can show
+ * @param {Error|string|null} error - Error from a request
+ * @returns {{ title: string, message: string, retryable: boolean }} Display text
+ */
+export function describeError(error) {
+  if (!error) {
+    return { title: 'Something went wrong', message: '', retryable: true };
+  }
+  if (typeof error === 'string') {
+    return { title: 'Something went wrong', message: error, retryable: true };
+  }
+  if (error instanceof RateLimitError) {
+    const seconds = error.retryAfter
+      ? Math.ceil(error.retryAfter / 1000)
+      : null;
+    return {
+      title: 'Service busy',
+      message: seconds
+        ? `Too many requests. Try again in ${seconds} seconds.`
+        : 'Too many requests. Try again in a moment.',
+      retryable: true,
+    };
+  }
+  if (error instanceof TimeoutError) {
+    return {
+      title: 'Request timed out',
+      message: 'The server took too long to respond. Pull to try again.',
+      retryable: true,
+    };
+  }
+  if (error instanceof NetworkError) {
+    return {
+      title: 'No connection',
+      message: 'Check your internet connection and try again.',
+      retryable: true,
+    };
+  }
+  if (error instanceof ApiError) {
+    return {
+      title: 'Service unavailable',
+      message: `The server returned an error (${error.status}).`,
+      retryable: error.status >= 500,
+    };
+  }
+  return {
+    title: 'Something went wrong',
+    message: error.message,
+    retryable: true,
+  };
+}
@@ -0,0 +1,25 @@
+// LLM Configuration
+// Which model backs the AI features (see llmProvider.js). `provider` picks
+// one of the entries below:
+// - 'dalsi': the hosted DalSi AI service
+// - 'openai': any server with the OpenAI chat completions API, such as a
+//   self-hosted vLLM, llama.cpp or Ollama
+// - 'mock': canned responses, for tests and offline use
+
+export const LLM_CONFIG = {
+  provider: 'dalsi',
+  dalsi: {
+    textUrl: 'https://dalsiai-106681824395.asia-south2.run.app',
+    visionUrl: 'https://dalsiaivi-service-594985777520.asia-south2.run.app',
+  },
+  openai: {
+    // Replace with your server's base URL, including the /v1 prefix
+    baseUrl: 'http://localhost:8000/v1',
+    // Leave null for servers that don't check keys
+    apiKey: null,
+    model: 'phi-3-mini-4k-instruct',
+  },
+  mock: {},
+};
+
+export default LLM_CONFIG;
@@ -0,0 +1,62 @@
+// LLM Provider
+// The AI features talk to a model through one interface, so the backing
+// service is a config change (llmConfig.js) rather than a code change.
+// Providers never throw for a failed request: generate resolves null and
+// stream reports through onError, after logging the details.
+
+import { LLM_CONFIG } from './llmConfig';
+import { createDalsiProvider } from './dalsiApi';
+import { createOpenAiProvider } from './openAiProvider';
+import { createMockProvider } from './mockLlmProvider';
+
+/**
+ * @typedef {Object} LlmProvider
+ * @property {string} name - Provider key, e.g. 'dalsi'
+ * @property {Function} generate - (prompt, { maxTokens, signal }) =>
+ *   Promise<string|null>: the response text, or null if there is none
+ * @property {Function} stream - (prompt, { maxTokens, signal, onToken,
+ *   onComplete, onError }) => Promise<void>; settles when the stream ends,
+ *   and no callbacks fire once the signal aborts
+ * @property {Function} health - () => Promise<{ ok, model }>
+ */
+
+export const PROVIDER_FACTORIES = {
+  dalsi: createDalsiProvider,
+  openai: createOpenAiProvider,
+  mock: createMockProvider,
+};
+
+let activeProvider = null;
+
+/**
+ * Create the provider a config selects
+ * @param {Object} config - Same shape as LLM_CONFIG
+ * @returns {LlmProvider} Provider
+ */
+export function createLlmProvider(config = LLM_CONFIG) {
+  const factory = PROVIDER_FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+  return factory(config[config.provider] ?? {});
+}
+
+/**
+ * Provider for the AI features, created from LLM_CONFIG on first use
+ * @returns {LlmProvider} Provider
+ */
+export function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createLlmProvider();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider, e.g. with a mock in tests or offline mode
+ * @param {LlmProvider|null} provider - New provider; null goes back to
+ *   LLM_CONFIG on next use
+ */
+export function setLlmProvider(provider) {
+  activeProvider = provider;
+}
@@ -0,0 +1,29 @@
+// LLM Requests
+// Request settings and error logging shared by the LLM providers
+// (dalsiApi.js, openAiProvider.js), so they time out and report failures
+// the same way.
+
+import { ApiError } from './http';
+
+// A stream's timeout only covers the wait for the response headers; tokens
+// then arrive for as long as the model keeps generating
+export const STREAM_CONNECT_TIMEOUT_MS = 30000;
+
+/**
+ * Log a failed provider request with the details needed to debug it
+ * @param {string} service - Provider name, e.g. 'DalSi AI'
+ * @param {string} label - What was called, e.g. 'chat completions stream'
+ * @param {Error} error - Error from the request
+ * @param {Object} payload - Request body, if it helps to see it
+ */
+export function logRequestError(service, label, error, payload) {
+  if (error instanceof ApiError) {
+    console.error(`${service} error response:`, {
+      status: error.status,
+      body: error.body,
+      endpoint: error.url,
+      ...(payload !== undefined ? { payload } : {}),
+    });
+  }
+  console.error(`Error calling ${label}:`, error);
+}
@@ -0,0 +1,79 @@
+// Location Storage
+// Remembers the last GPS fix and any location the user picked by hand, so the
+// app stays usable when location permission is denied or GPS is unavailable.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const LAST_KNOWN_KEY = 'lastKnownLocation';
+const MANUAL_KEY = 'manualLocation';
+
+async function readLocation(key) {
+  try {
+    const stored = await AsyncStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return null;
+  }
+}
+
+async function writeLocation(key, location) {
+  try {
+    const { latitude, longitude, name, source } = location;
+    await AsyncStorage.setItem(
+      key,
+      JSON.stringify({
+        latitude,
+        longitude,
+        name,
+        source,
+        savedAt: Date.now(),
+      }),
+    );
+  } catch (error) {
+    console.error(`Error writing ${key}:`, error);
+  }
+}
+
+/**
+ * Last successful GPS fix
+ * @returns {Promise<Object|null>} { latitude, longitude, name, source, savedAt }
+ */
+export function loadLastKnownLocation() {
+  return readLocation(LAST_KNOWN_KEY);
+}
+
+/**
+ * Remember a GPS fix
+ * @param {Object} location - { latitude, longitude, name, source }
+ */
+export function saveLastKnownLocation(location) {
+  return writeLocation(LAST_KNOWN_KEY, location);
+}
+
+/**
+ * Location the user chose instead of GPS
+ * @returns {Promise<Object|null>} { latitude, longitude, name, source, savedAt }
+ */
+export function loadManualLocation() {
+  return readLocation(MANUAL_KEY);
+}
+
+/**
+ * Remember a manually chosen location
+ * @param {Object} location - { latitude, longitude, name, source }
+ */
+export function saveManualLocation(location) {
+  return writeLocation(MANUAL_KEY, location);
+}
+
+/**
+ * Forget the manually chosen location (e.g. once GPS works again)
+ */
+export async function clearManualLocation() {
+  try {
+    await AsyncStorage.removeItem(MANUAL_KEY);
+  } catch (error) {
+    console.error(`Error clearing ${MANUAL_KEY}:`, error);
+  }
+}
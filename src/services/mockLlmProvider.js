@@ -0,0 +1,61 @@
+// Mock LLM Provider
+// Deterministic stand-in for a model, for tests and offline use. Prompts get
+// the first configured response whose `match` they contain (or match, for a
+// RegExp); anything else gets a fixed reply, or an empty JSON array when the
+// prompt asks for one so analysis features degrade to "nothing found".
+
+import { sleep, isAbortError } from './http';
+
+export const OFFLINE_RESPONSE =
+  'AI analysis is unavailable offline. Check the forecast details for now.';
+
+const matches = (prompt, match) =>
+  match instanceof RegExp ? match.test(prompt) : prompt.includes(match);
+
+/**
+ * Canned responses as an LLM provider
+ * @param {Object} config - Provider config
+ * @param {Array<Object>} config.responses - { match: string|RegExp, text }
+ * @param {number} config.tokenDelay - Delay between streamed tokens in ms
+ * @returns {Object} LlmProvider (see llmProvider.js)
+ */
+export function createMockProvider({ responses = [], tokenDelay = 0 } = {}) {
+  const respond = prompt => {
+    const response = responses.find(({ match }) => matches(prompt, match));
+    if (response) return response.text;
+    return /JSON array/i.test(prompt) ? '[]' : OFFLINE_RESPONSE;
+  };
+
+  return {
+    name: 'mock',
+
+    async generate(prompt, { signal } = {}) {
+      return signal?.aborted ? null : respond(prompt);
+    },
+
+    async stream(
+      prompt,
+      { signal, onToken, onComplete = () => {}, onError = () => {} } = {},
+    ) {
+      // Words with their trailing space, like a tokenizer would split them
+      const tokens = respond(prompt).match(/\S+\s*/g) ?? [];
+      try {
+        for (const token of tokens) {
+          if (tokenDelay > 0) await sleep(tokenDelay, signal);
+          if (signal?.aborted) return;
+          onToken(token);
+        }
+        onComplete();
+      } catch (error) {
+        if (isAbortError(error)) return;
+        onError(error.message);
+      }
+    },
+
+    async health() {
+      return { ok: true, model: 'mock' };
+    },
+  };
+}
+
+export default createMockProvider;
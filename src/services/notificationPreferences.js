@@ -0,0 +1,207 @@
+// Notification Preferences
+// Which weather alerts the user wants as notifications, and when not to
+// disturb them. Persisted locally in AsyncStorage and, for signed-in users,
+// in user_preferences.notification_preferences.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getUserLocationPreferences,
+  saveUserLocationPreferences,
+} from './conversationHelpers';
+
+const STORAGE_KEY = 'notificationPreferences';
+
+/**
+ * Alert types that can be notified, by the detector that produces them.
+ * `key` matches the detector's type; `enabled` is the default opt-in.
+ */
+export const NOTIFICATION_GROUPS = [
+  {
+    key: 'official',
+    label: 'Official warnings',
+    types: [
+      { key: 'official-warning', label: 'Government warnings', enabled: true },
+    ],
+  },
+  {
+    key: 'conditions',
+    label: 'Current conditions',
+    types: [
+      { key: 'extreme-heat', label: 'Extreme heat', enabled: true },
+      { key: 'freezing', label: 'Freezing', enabled: true },
+      { key: 'dangerous-wind', label: 'Dangerous wind', enabled: true },
+      { key: 'heavy-rain', label: 'Heavy rain', enabled: true },
+      { key: 'high-uv', label: 'High UV', enabled: true },
+      { key: 'high-heat', label: 'High heat', enabled: true },
+      { key: 'cold', label: 'Cold', enabled: false },
+      { key: 'strong-wind', label: 'Strong wind', enabled: true },
+      { key: 'high-humidity', label: 'High humidity', enabled: false },
+      { key: 'precipitation', label: 'Precipitation', enabled: false },
+    ],
+  },
+  {
+    key: 'events',
+    label: 'Forecast events',
+    types: [
+      { key: 'heatwave', label: 'Heatwave', enabled: true },
+      { key: 'cold_snap', label: 'Cold snap', enabled: true },
+      { key: 'heavy_rain', label: 'Heavy rain', enabled: true },
+      { key: 'thunderstorm', label: 'Thunderstorms', enabled: true },
+      { key: 'strong_wind', label: 'Strong wind', enabled: true },
+      { key: 'warm_front', label: 'Warm front', enabled: false },
+      { key: 'cold_front', label: 'Cold front', enabled: false },
+    ],
+  },
+  {
+    key: 'changes',
+    label: 'Rapid changes',
+    types: [
+      { key: 'rapid-temperature', label: 'Temperature swings', enabled: true },
+      { key: 'rapid-condition', label: 'Worsening weather', enabled: true },
+      {
+        key: 'rapid-precipitation',
+        label: 'Rain chance jumps',
+        enabled: false,
+      },
+    ],
+  },
+];
+
+/**
+ * @typedef {Object} QuietHours
+ * @property {boolean} enabled - Whether quiet hours apply
+ * @property {string} start - Local "HH:MM" when they begin
+ * @property {string} end - Local "HH:MM" when they end (may be the next day)
+ */
+
+/**
+ * @typedef {Object} NotificationPreferences
+ * @property {boolean} enabled - Master switch
+ * @property {Object<string, boolean>} types - Opt-in by alert type
+ * @property {QuietHours} quietHours - Do-not-disturb window
+ */
+
+/** @type {NotificationPreferences} */
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  enabled: true,
+  types: Object.fromEntries(
+    NOTIFICATION_GROUPS.flatMap(group =>
+      group.types.map(type => [type.key, type.enabled]),
+    ),
+  ),
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+};
+
+/**
+ * Fill in anything missing from stored preferences with the defaults, so
+ * alert types added later get their default opt-in
+ * @param {Object|null} stored - Stored preferences
+ * @returns {NotificationPreferences} Complete preferences
+ */
+export function resolveNotificationPreferences(stored) {
+  const defaults = DEFAULT_NOTIFICATION_PREFERENCES;
+  return {
+    enabled: stored?.enabled ?? defaults.enabled,
+    types: { ...defaults.types, ...stored?.types },
+    quietHours: { ...defaults.quietHours, ...stored?.quietHours },
+  };
+}
+
+/**
+ * Whether an alert type is opted into
+ * @param {NotificationPreferences} preferences - Preferences
+ * @param {string} type - Alert type
+ * @returns {boolean} True if notifications are wanted
+ */
+export function isTypeEnabled(preferences, type) {
+  return preferences.enabled && preferences.types[type] === true;
+}
+
+const toMinutes = time => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a moment falls within quiet hours
+ * @param {Date} date - Moment to check (local time)
+ * @param {QuietHours} quietHours - Quiet hours
+ * @returns {boolean} True if notifications should wait
+ */
+export function isInQuietHours(date, quietHours) {
+  if (!quietHours?.enabled) return false;
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) return false;
+  // Overnight windows such as 22:00-07:00 wrap past midnight
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * When the current quiet hours end
+ * @param {Date} date - A moment within quiet hours
+ * @param {QuietHours} quietHours - Quiet hours
+ * @returns {Date} The next end time after date
+ */
+export function getQuietHoursEnd(date, quietHours) {
+  const end = toMinutes(quietHours.end);
+  const result = new Date(date);
+  result.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (result <= date) {
+    result.setDate(result.getDate() + 1);
+  }
+  return result;
+}
+
+/**
+ * Load notification preferences from the device
+ * @returns {Promise<Object|null>} Stored preferences, or null if never saved
+ */
+export async function loadNotificationPreferences() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error loading notification preferences:', error);
+    return null;
+  }
+}
+
+/**
+ * Store notification preferences on the device
+ * @param {NotificationPreferences} preferences - Preferences to store
+ */
+export async function persistNotificationPreferences(preferences) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.error('Error saving notification preferences:', error);
+  }
+}
+
+/**
+ * Load notification preferences from the user's Supabase preferences
+ * @param {string} userId - The user's ID
+ * @returns {Promise<Object|null>} Remote preferences, or null if unset
+ */
+export async function fetchRemoteNotificationPreferences(userId) {
+  const preferences = await getUserLocationPreferences(userId);
+  const stored = preferences?.notification_preferences;
+  return stored && Object.keys(stored).length > 0 ? stored : null;
+}
+
+/**
+ * Store notification preferences in the user's Supabase preferences
+ * @param {string} userId - The user's ID
+ * @param {NotificationPreferences} preferences - Preferences to store
+ */
+export async function syncRemoteNotificationPreferences(userId, preferences) {
+  await saveUserLocationPreferences(userId, {
+    notification_preferences: preferences,
+  });
+}
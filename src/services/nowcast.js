@@ -0,0 +1,350 @@
+// Precipitation Nowcast
+// Minute-by-minute rain rate at a point for the next two hours, built from
+// RainViewer radar images centred on the point. Observed and nowcast frames
+// are sampled at the centre pixel and interpolated; beyond the last frame
+// the latest image is advected along the motion estimated between the two
+// most recent observations.
+
+import { httpRequest } from './http';
+import {
+  fetchWeatherMaps,
+  getPastRadarFrames,
+  getNowcastRadarFrames,
+  constructRadarCoordinateUrl,
+  COLOR_SCHEMES,
+} from './rainviewerApi';
+import {
+  decodeRadarImage,
+  getDecodingScheme,
+  getPrecipitationIntensity,
+  sampleRainRate,
+} from './radarDecoding';
+
+export const NOWCAST_HORIZON_MINUTES = 120;
+
+// Zoom 8 is roughly 600 m per pixel, so a 256 px image spans ~150 km:
+// enough upstream radar for two hours of a typical storm's movement
+const SAMPLE_ZOOM = 8;
+const SAMPLE_SIZE = 256;
+const SAMPLE_RADIUS = 1;
+
+// Rates below this (mm/h) count as dry
+export const DRY_THRESHOLD = 0.1;
+
+/**
+ * Rain rate at a minute from now
+ * @typedef {Object} NowcastPoint
+ * @property {number} minute - Minutes from now (0-120)
+ * @property {number} time - Unix time in seconds
+ * @property {number|null} rate - mm/h, null once the radar can't tell
+ */
+
+// Halve a grid's resolution by averaging 2×2 blocks
+function downsampleGrid({ width, height, rates }) {
+  const half = {
+    width: Math.floor(width / 2),
+    height: Math.floor(height / 2),
+  };
+  half.rates = new Float32Array(half.width * half.height);
+  for (let y = 0; y < half.height; y++) {
+    for (let x = 0; x < half.width; x++) {
+      const i = 2 * y * width + 2 * x;
+      half.rates[y * half.width + x] =
+        (rates[i] + rates[i + 1] + rates[i + width] + rates[i + width + 1]) / 4;
+    }
+  }
+  return half;
+}
+
+// Best shift within `radius` of `around` (and within ±maxShift), comparing
+// every `step`th pixel away from the edges
+function matchShift(previous, latest, { around, radius, maxShift, step }) {
+  const { width, height } = latest;
+  let best = null;
+  let bestScore = Infinity;
+
+  const fromY = Math.max(-maxShift, around.dy - radius);
+  const toY = Math.min(maxShift, around.dy + radius);
+  const fromX = Math.max(-maxShift, around.dx - radius);
+  const toX = Math.min(maxShift, around.dx + radius);
+  for (let dy = fromY; dy <= toY; dy++) {
+    for (let dx = fromX; dx <= toX; dx++) {
+      let score = 0;
+      let count = 0;
+      for (let y = maxShift; y < height - maxShift; y += step) {
+        for (let x = maxShift; x < width - maxShift; x += step) {
+          const now = latest.rates[y * width + x];
+          const before = previous.rates[(y - dy) * width + x - dx];
+          if (now > 0 || before > 0) {
+            score += Math.abs(now - before);
+            count++;
+          }
+        }
+      }
+      if (count === 0) continue;
+
+      // Prefer the smallest shift among equally good matches
+      const mean = score / count;
+      if (
+        mean < bestScore ||
+        (mean === bestScore && dx * dx + dy * dy < best.dx ** 2 + best.dy ** 2)
+      ) {
+        best = { dx, dy };
+        bestScore = mean;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Displacement of the rain field between two frames, by block matching.
+ * The full range is only searched on a downsampled copy of the grids; each
+ * finer level refines that shift by a pixel either way.
+ * @param {Object} previous - Earlier grid from decodeRadarImage
+ * @param {Object} latest - Later grid of the same size
+ * @param {Object} options - Search options
+ * @param {number} options.maxShift - Largest shift tried in pixels; 12 px
+ *   at SAMPLE_ZOOM is ~7 km, over 40 km/h between 10-minute frames
+ * @param {number} options.step - Pixel stride when comparing at full
+ *   resolution
+ * @returns {Object} { dx, dy } in pixels; zero if there is nothing to track
+ */
+export function estimateMotion(
+  previous,
+  latest,
+  { maxShift = 12, step = 2 } = {},
+) {
+  // Halve until the remaining search is a few pixels, keeping enough of the
+  // image inside the search margin to compare
+  const levels = [{ previous, latest, maxShift }];
+  let top = levels[0];
+  while (top.maxShift > 3 && top.latest.width >= 64) {
+    top = {
+      previous: downsampleGrid(top.previous),
+      latest: downsampleGrid(top.latest),
+      maxShift: Math.ceil(top.maxShift / 2),
+    };
+    levels.push(top);
+  }
+
+  let shift = matchShift(top.previous, top.latest, {
+    around: { dx: 0, dy: 0 },
+    radius: top.maxShift,
+    maxShift: top.maxShift,
+    step: levels.length === 1 ? step : 1,
+  });
+  for (let level = levels.length - 2; level >= 0 && shift; level--) {
+    shift = matchShift(levels[level].previous, levels[level].latest, {
+      around: { dx: shift.dx * 2, dy: shift.dy * 2 },
+      radius: 1,
+      maxShift: levels[level].maxShift,
+      step: level === 0 ? step : 1,
+    });
+  }
+  return shift ?? { dx: 0, dy: 0 };
+}
+
+/**
+ * Minute-level rain rate curve
+ * @param {Object} input - Sampled radar
+ * @param {Array<Object>} input.samples - { time, rate } at the point, oldest
+ *   first, starting with the latest observation
+ * @param {Object} input.latest - Grid of the last sample, for extrapolation
+ * @param {Object} input.velocity - { dx, dy } in pixels per second
+ * @param {number} input.now - Unix time in seconds
+ * @param {number} horizon - Minutes ahead
+ * @returns {Array<NowcastPoint>} One point per minute, 0 to horizon
+ */
+export function buildPrecipitationCurve(
+  { samples, latest, velocity, now },
+  horizon = NOWCAST_HORIZON_MINUTES,
+) {
+  const last = samples[samples.length - 1];
+
+  return Array.from({ length: horizon + 1 }, (_, minute) => {
+    const time = now + minute * 60;
+    let rate;
+
+    if (time <= samples[0].time) {
+      rate = samples[0].rate;
+    } else if (time <= last.time) {
+      const next = samples.findIndex(sample => sample.time >= time);
+      const a = samples[next - 1];
+      const b = samples[next];
+      const t = (time - a.time) / (b.time - a.time);
+      rate = a.rate + (b.rate - a.rate) * t;
+    } else {
+      // Rain arriving at the point is the rain upstream of it now
+      const elapsed = time - last.time;
+      rate = sampleRainRate(
+        latest,
+        latest.width / 2 - velocity.dx * elapsed,
+        latest.height / 2 - velocity.dy * elapsed,
+        SAMPLE_RADIUS,
+      );
+    }
+
+    return { minute, time, rate };
+  });
+}
+
+const roundMinutes = minutes => Math.max(5, Math.round(minutes / 5) * 5);
+
+const isWet = point => point.rate != null && point.rate >= DRY_THRESHOLD;
+
+/**
+ * What the curve means in words
+ * @param {Array<NowcastPoint>} curve - From buildPrecipitationCurve
+ * @returns {Object} { state, startsIn, stopsIn, peakRate, intensity, sentence }
+ *   with state one of 'dry', 'starting', 'raining', 'unknown'
+ */
+export function summarizeNowcast(curve) {
+  const known = curve.filter(point => point.rate != null);
+  if (known.length === 0) {
+    return {
+      state: 'unknown',
+      startsIn: null,
+      stopsIn: null,
+      peakRate: null,
+      intensity: null,
+      sentence: 'No radar coverage here right now.',
+    };
+  }
+
+  const horizon = known[known.length - 1].minute;
+  const start = curve.findIndex(isWet);
+  if (start === -1) {
+    return {
+      state: 'dry',
+      startsIn: null,
+      stopsIn: null,
+      peakRate: 0,
+      intensity: null,
+      sentence: `No rain expected for the next ${horizon} min.`,
+    };
+  }
+
+  const end = curve.findIndex((point, index) => index > start && !isWet(point));
+  // Ran out of radar before the rain stopped
+  const stopsIn = end === -1 || curve[end].rate == null ? null : end;
+  const episode = curve.slice(start, stopsIn ?? curve.length);
+  const peakRate = Math.max(
+    ...episode.filter(point => point.rate != null).map(point => point.rate),
+  );
+  const intensity = getPrecipitationIntensity(peakRate);
+  const label = `${intensity.label} rain`;
+
+  let sentence;
+  if (start === 0) {
+    sentence =
+      stopsIn == null
+        ? `${label} for at least the next ${horizon} min.`
+        : `${label} stopping in ~${roundMinutes(stopsIn)} min.`;
+  } else {
+    const starting = `${label} starting in ~${roundMinutes(start)} min`;
+    sentence =
+      stopsIn == null
+        ? `${starting}.`
+        : `${starting}, stopping ~${roundMinutes(stopsIn - start)} min later.`;
+  }
+
+  return {
+    state: start === 0 ? 'raining' : 'starting',
+    startsIn: start,
+    stopsIn,
+    peakRate,
+    intensity: intensity.key,
+    sentence,
+  };
+}
+
+const formatCoordinate = value => Number(value).toFixed(4);
+
+async function fetchRadarGrid(
+  host,
+  frame,
+  latitude,
+  longitude,
+  scheme,
+  signal,
+) {
+  const url = constructRadarCoordinateUrl(
+    host,
+    frame.path,
+    SAMPLE_ZOOM,
+    formatCoordinate(latitude),
+    formatCoordinate(longitude),
+    SAMPLE_SIZE,
+    scheme,
+    '0_0',
+  );
+  const buffer = await httpRequest(url, {
+    service: 'RainViewer',
+    signal,
+    parse: response => response.arrayBuffer(),
+  });
+  return decodeRadarImage(buffer, scheme);
+}
+
+/**
+ * Nowcast for a location
+ * @param {Object} location - { latitude, longitude }
+ * @param {Object} options - Request options
+ * @param {number} options.colorScheme - Scheme selected on the radar screen
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {number} options.now - Unix time in seconds (default: current time)
+ * @returns {Promise<Object>} { curve, summary, frameTime }
+ */
+export async function fetchNowcast(
+  { latitude, longitude },
+  { colorScheme = COLOR_SCHEMES.TITAN, signal, now } = {},
+) {
+  const maps = await fetchWeatherMaps({ signal });
+  const past = getPastRadarFrames(maps);
+  if (past.length === 0) {
+    return {
+      curve: [],
+      summary: summarizeNowcast([]),
+      frameTime: null,
+    };
+  }
+
+  const scheme = getDecodingScheme(colorScheme);
+  // The two latest observations give the motion; older frames aren't needed
+  const frames = [...past.slice(-2), ...getNowcastRadarFrames(maps)];
+  const grids = await Promise.all(
+    frames.map(frame =>
+      fetchRadarGrid(maps.host, frame, latitude, longitude, scheme, signal),
+    ),
+  );
+
+  // With a single observation the field is assumed stationary
+  const observed = past.length > 1 ? 1 : 0;
+  const motion =
+    observed === 1 ? estimateMotion(grids[0], grids[1]) : { dx: 0, dy: 0 };
+  const interval = observed === 1 ? frames[1].time - frames[0].time : 1;
+
+  const samples = frames.slice(observed).map((frame, index) => {
+    const grid = grids[index + observed];
+    return {
+      time: frame.time,
+      rate:
+        sampleRainRate(grid, grid.width / 2, grid.height / 2, SAMPLE_RADIUS) ??
+        0,
+    };
+  });
+
+  const curve = buildPrecipitationCurve({
+    samples,
+    latest: grids[grids.length - 1],
+    velocity: { dx: motion.dx / interval, dy: motion.dy / interval },
+    now: now ?? Math.floor(Date.now() / 1000),
+  });
+
+  return {
+    curve,
+    summary: summarizeNowcast(curve),
+    frameTime: frames[observed].time,
+  };
+}
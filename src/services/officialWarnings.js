@@ -0,0 +1,149 @@
+// Official Warnings
+// Government weather warnings for a location, from the CAP feeds in
+// data/warningFeeds. Feeds are picked by their bounds, and warnings by
+// whether their area covers the location. Linked CAP documents are fetched
+// for feed entries that don't carry the details inline (or, with
+// `resolveLinks`, that only name their area).
+
+import { httpRequest, isAbortError } from './http';
+import {
+  parseCap,
+  hasGeometry,
+  isWarningForLocation,
+  selectActiveWarnings,
+} from './capParser';
+import { WARNING_FEEDS } from '../data/warningFeeds';
+
+// Caps the requests for feeds that only link to their CAP documents
+const MAX_LINKED_DOCUMENTS = 25;
+
+// How long foreground refreshes reuse the warnings fetched for a place
+export const WARNINGS_REFRESH_MS = 10 * 60 * 1000;
+
+// Warnings fetched per place (coordinates rounded to ~1 km), for `maxAge`.
+// Entries are dropped once no refresh can reuse them, so fetches for ever
+// more places (the background task never stops) don't grow it without bound.
+const recentWarnings = new Map();
+
+function pruneRecentWarnings(now) {
+  recentWarnings.forEach((entry, place) => {
+    if (now - entry.fetchedAt >= WARNINGS_REFRESH_MS) {
+      recentWarnings.delete(place);
+    }
+  });
+}
+
+const fetchXml = (url, { headers, signal }) =>
+  httpRequest(url, {
+    headers,
+    signal,
+    service: 'Warnings',
+    parse: response => response.text(),
+  });
+
+/**
+ * Feeds whose bounds contain a location, with their URLs filled in for it
+ * @param {Object} location - { latitude, longitude }
+ * @param {Array<Object>} feeds - Feed configs (default: WARNING_FEEDS)
+ * @returns {Array<Object>} Matching feeds
+ */
+export function getFeedsForLocation(
+  { latitude, longitude },
+  feeds = WARNING_FEEDS,
+) {
+  return feeds
+    .filter(({ bounds: [south, west, north, east] }) => {
+      const withinLatitude = latitude >= south && latitude <= north;
+      const withinLongitude =
+        west <= east
+          ? longitude >= west && longitude <= east
+          : longitude >= west || longitude <= east;
+      return withinLatitude && withinLongitude;
+    })
+    .map(feed => ({
+      ...feed,
+      // api.weather.gov rejects points with more than 4 decimals
+      url: feed.url
+        .replace('{latitude}', latitude.toFixed(4))
+        .replace('{longitude}', longitude.toFixed(4)),
+    }));
+}
+
+async function fetchFeedWarnings(feed, location, signal) {
+  const options = { headers: feed.headers, signal };
+  const { warnings, links } = parseCap(await fetchXml(feed.url, options), feed);
+
+  // Entries without geometry that don't name the place may still cover it;
+  // their CAP documents can say where
+  const unresolved = warnings
+    .filter(
+      warning =>
+        feed.resolveLinks &&
+        !hasGeometry(warning) &&
+        warning.link &&
+        !isWarningForLocation(warning, location),
+    )
+    .map(warning => warning.link);
+  const documents = await Promise.all(
+    [...links, ...unresolved].slice(0, MAX_LINKED_DOCUMENTS).map(url =>
+      fetchXml(url, options)
+        .then(xml => parseCap(xml, feed).warnings)
+        .catch(error => {
+          if (isAbortError(error)) throw error;
+          console.warn(`Skipping CAP document ${url}:`, error.message);
+          return [];
+        }),
+    ),
+  );
+
+  const resolved = new Set(unresolved);
+  return [
+    ...warnings.filter(warning => !resolved.has(warning.link)),
+    ...documents.flat(),
+  ].map(warning => ({ ...warning, source: feed.name }));
+}
+
+/**
+ * Official warnings in force for a location
+ * @param {Object} location - { latitude, longitude, name }
+ * @param {Object} options - Request options
+ * @param {Array<Object>} options.feeds - Feed configs (default: WARNING_FEEDS)
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {number} options.now - Epoch milliseconds
+ * @param {number} options.maxAge - Reuse warnings fetched for the same place
+ *   within this many ms, up to WARNINGS_REFRESH_MS, instead of fetching
+ *   again (default: always fetch)
+ * @returns {Promise<Array<Object>>} CAP warnings (see capParser) with `source`
+ */
+export async function fetchOfficialWarnings(
+  location,
+  { feeds = WARNING_FEEDS, signal, now = Date.now(), maxAge = 0 } = {},
+) {
+  if (location?.latitude == null || location?.longitude == null) return [];
+
+  const place = `${location.latitude.toFixed(2)},${location.longitude.toFixed(
+    2,
+  )}`;
+  pruneRecentWarnings(now);
+  const recent = recentWarnings.get(place);
+  let warnings;
+  if (recent && recent.feeds === feeds && now - recent.fetchedAt < maxAge) {
+    warnings = recent.warnings;
+  } else {
+    const results = await Promise.all(
+      getFeedsForLocation(location, feeds).map(feed =>
+        fetchFeedWarnings(feed, location, signal).catch(error => {
+          if (isAbortError(error)) throw error;
+          console.error(`Error fetching warnings from ${feed.name}:`, error);
+          return [];
+        }),
+      ),
+    );
+    warnings = results.flat();
+    recentWarnings.set(place, { feeds, fetchedAt: now, warnings });
+  }
+
+  return selectActiveWarnings(warnings, now).filter(warning =>
+    isWarningForLocation(warning, location),
+  );
+}
@@ -0,0 +1,131 @@
+// OpenAI-Compatible Provider
+// LLM provider for any server that speaks the OpenAI chat completions API
+// (vLLM, llama.cpp, Ollama, LocalAI and hosted APIs). Each prompt is sent as
+// a single user message; streams are read as server-sent events ending with
+// `data: [DONE]`.
+
+import { fetchJson, isAbortError } from './http';
+import { streamSse } from './sse';
+import { LLM_CONFIG } from './llmConfig';
+import { STREAM_CONNECT_TIMEOUT_MS, logRequestError } from './llmRequests';
+
+// Self-hosted models can be slow to produce a full answer
+const GENERATE_TIMEOUT_MS = 60000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+const SERVICE = 'LLM';
+const DONE = '[DONE]';
+
+/**
+ * An OpenAI-compatible server as an LLM provider
+ * @param {Object} config - Provider config (default: LLM_CONFIG.openai)
+ * @param {string} config.baseUrl - API base URL, including /v1
+ * @param {string|null} config.apiKey - Sent as a bearer token if set
+ * @param {string} config.model - Model name
+ * @returns {Object} LlmProvider (see llmProvider.js)
+ */
+export function createOpenAiProvider(
+  { baseUrl, apiKey = null, model } = LLM_CONFIG.openai,
+) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  };
+
+  const completionRequest = (prompt, maxTokens, stream) => ({
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      stream,
+    }),
+    service: SERVICE,
+  });
+
+  return {
+    name: 'openai',
+
+    async generate(prompt, { maxTokens = 200, signal } = {}) {
+      try {
+        const result = await fetchJson(`${baseUrl}/chat/completions`, {
+          ...completionRequest(prompt, maxTokens, false),
+          timeout: GENERATE_TIMEOUT_MS,
+          signal,
+        });
+        return result?.choices?.[0]?.message?.content || null;
+      } catch (error) {
+        if (!isAbortError(error)) {
+          logRequestError(SERVICE, 'chat completions endpoint', error);
+        }
+        return null;
+      }
+    },
+
+    async stream(
+      prompt,
+      {
+        maxTokens = 200,
+        signal,
+        onToken,
+        onComplete = () => {},
+        onError = () => {},
+      } = {},
+    ) {
+      try {
+        const events = streamSse(`${baseUrl}/chat/completions`, {
+          ...completionRequest(prompt, maxTokens, true),
+          timeout: STREAM_CONNECT_TIMEOUT_MS,
+          // Reconnecting mid-answer would generate (and bill) it again
+          resume: false,
+          signal,
+        });
+
+        for await (const event of events) {
+          if (event.data === DONE) break;
+
+          let chunk;
+          try {
+            chunk = JSON.parse(event.data);
+          } catch (e) {
+            console.error('Error parsing JSON from stream:', e);
+            continue;
+          }
+          if (chunk.error) {
+            onError(chunk.error.message ?? String(chunk.error));
+            return;
+          }
+          const token = chunk.choices?.[0]?.delta?.content;
+          if (token) onToken(token);
+        }
+        onComplete();
+      } catch (error) {
+        if (isAbortError(error)) return;
+        logRequestError(SERVICE, 'chat completions stream', error);
+        onError(error.message);
+      }
+    },
+
+    async health() {
+      try {
+        const result = await fetchJson(`${baseUrl}/models`, {
+          headers,
+          service: SERVICE,
+          timeout: HEALTH_TIMEOUT_MS,
+          retries: 0,
+        });
+        const models = (result?.data ?? []).map(entry => entry.id);
+        return {
+          ok: models.length === 0 || models.includes(model),
+          model,
+        };
+      } catch (error) {
+        console.error('Error checking LLM health:', error);
+        return { ok: false, model };
+      }
+    },
+  };
+}
+
+export default createOpenAiProvider;
@@ -0,0 +1,216 @@
+// Radar Decoding
+// Turns RainViewer radar images back into numbers. Each pixel's color is
+// matched against the palette of the color scheme it was rendered with to
+// recover reflectivity (dBZ), which converts to a rain rate (mm/h) with the
+// Marshall-Palmer relation.
+//
+// Images must be requested without smoothing or snow colors (options '0_0'):
+// smoothing blends neighbouring colors into values no palette contains.
+
+import UPNG from 'upng-js';
+import { COLOR_SCHEMES } from './rainviewerApi';
+
+// Marshall-Palmer: Z = 200 * R^1.6
+const MP_A = 200;
+const MP_B = 1.6;
+
+// Below this a pixel is treated as transparent (no echo)
+const MIN_ALPHA = 128;
+
+// Colors further than this from every palette entry are not radar echoes
+const MAX_COLOR_DISTANCE = 48;
+
+/**
+ * Reflectivity palettes by color scheme, as [dBZ, color] from weakest to
+ * strongest. Only schemes with a published, stable palette are listed.
+ */
+export const RADAR_PALETTES = {
+  [COLOR_SCHEMES.NEXRAD]: [
+    [5, '#04e9e7'],
+    [10, '#019ff4'],
+    [15, '#0300f4'],
+    [20, '#02fd02'],
+    [25, '#01c501'],
+    [30, '#008e00'],
+    [35, '#fdf802'],
+    [40, '#e5bc00'],
+    [45, '#fd9500'],
+    [50, '#fd0000'],
+    [55, '#d40000'],
+    [60, '#bc0000'],
+    [65, '#f800fd'],
+    [70, '#9854c6'],
+    [75, '#fdfdfd'],
+  ],
+};
+
+/**
+ * Rain rate bands in mm/h, lower bound inclusive
+ */
+export const INTENSITY_LEVELS = [
+  { key: 'light', label: 'Light', min: 0.1 },
+  { key: 'moderate', label: 'Moderate', min: 2.5 },
+  { key: 'heavy', label: 'Heavy', min: 10 },
+  { key: 'violent', label: 'Violent', min: 50 },
+];
+
+const hexToRgb = hex => [
+  parseInt(hex.slice(1, 3), 16),
+  parseInt(hex.slice(3, 5), 16),
+  parseInt(hex.slice(5, 7), 16),
+];
+
+const PALETTE_RGB = Object.fromEntries(
+  Object.entries(RADAR_PALETTES).map(([scheme, stops]) => [
+    scheme,
+    stops.map(([dbz, hex]) => [dbz, ...hexToRgb(hex)]),
+  ]),
+);
+
+/**
+ * Whether pixels of a color scheme can be decoded
+ * @param {number} colorScheme - One of COLOR_SCHEMES
+ * @returns {boolean} True if decodable
+ */
+export function isDecodableScheme(colorScheme) {
+  return (
+    colorScheme === COLOR_SCHEMES.BLACK_WHITE || colorScheme in PALETTE_RGB
+  );
+}
+
+/**
+ * Color scheme to request images in. Schemes without a known palette fall
+ * back to black and white, which encodes dBZ directly.
+ * @param {number} colorScheme - Scheme selected by the user
+ * @returns {number} Decodable scheme
+ */
+export function getDecodingScheme(colorScheme) {
+  return isDecodableScheme(colorScheme)
+    ? colorScheme
+    : COLOR_SCHEMES.BLACK_WHITE;
+}
+
+/**
+ * Reflectivity of one pixel
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @param {number} a - Alpha
+ * @param {number} colorScheme - Scheme the image was rendered with
+ * @returns {number|null} dBZ, or null where there is no echo
+ */
+export function decodePixel(r, g, b, a, colorScheme) {
+  if (a < MIN_ALPHA) return null;
+
+  // Black and white encodes the value as grey level = dBZ + 32
+  if (colorScheme === COLOR_SCHEMES.BLACK_WHITE) {
+    return r - 32;
+  }
+
+  const palette = PALETTE_RGB[colorScheme];
+  if (!palette) return null;
+
+  let best = null;
+  let bestDistance = MAX_COLOR_DISTANCE * MAX_COLOR_DISTANCE;
+  palette.forEach(([dbz, pr, pg, pb]) => {
+    const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (distance <= bestDistance) {
+      best = dbz;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Rain rate for a reflectivity (Marshall-Palmer)
+ * @param {number|null} dbz - Reflectivity
+ * @returns {number} mm/h, 0 for no echo
+ */
+export function dbzToRainRate(dbz) {
+  if (dbz == null) return 0;
+  const z = 10 ** (dbz / 10);
+  return (z / MP_A) ** (1 / MP_B);
+}
+
+/**
+ * Intensity band of a rain rate
+ * @param {number} rate - mm/h
+ * @returns {Object|null} Entry of INTENSITY_LEVELS, or null when dry
+ */
+export function getPrecipitationIntensity(rate) {
+  let level = null;
+  INTENSITY_LEVELS.forEach(entry => {
+    if (rate >= entry.min) level = entry;
+  });
+  return level;
+}
+
+/**
+ * Decode PNG bytes to RGBA pixels
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object} { width, height, data } with data as RGBA bytes
+ */
+export function decodePng(buffer) {
+  const image = UPNG.decode(buffer);
+  const [rgba] = UPNG.toRGBA8(image);
+  return {
+    width: image.width,
+    height: image.height,
+    data: new Uint8Array(rgba),
+  };
+}
+
+/**
+ * Rain rate for every pixel of a radar image
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @param {number} colorScheme - Scheme the image was rendered with
+ * @returns {Object} { width, height, rates } with rates in mm/h, row-major
+ */
+export function decodeRadarImage(buffer, colorScheme) {
+  const { width, height, data } = decodePng(buffer);
+  const rates = new Float32Array(width * height);
+
+  for (let i = 0; i < rates.length; i++) {
+    const offset = i * 4;
+    rates[i] = dbzToRainRate(
+      decodePixel(
+        data[offset],
+        data[offset + 1],
+        data[offset + 2],
+        data[offset + 3],
+        colorScheme,
+      ),
+    );
+  }
+  return { width, height, rates };
+}
+
+/**
+ * Mean rain rate in a square around a pixel
+ * @param {Object} grid - Result of decodeRadarImage
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {number} radius - Pixels on each side of the centre
+ * @returns {number|null} mm/h, or null if the square is off the image
+ */
+export function sampleRainRate(grid, x, y, radius = 1) {
+  const column = Math.round(x);
+  const row = Math.round(y);
+  if (
+    column - radius < 0 ||
+    row - radius < 0 ||
+    column + radius >= grid.width ||
+    row + radius >= grid.height
+  ) {
+    return null;
+  }
+
+  let sum = 0;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      sum += grid.rates[(row + dy) * grid.width + column + dx];
+    }
+  }
+  return sum / (2 * radius + 1) ** 2;
+}
@@ -10,19 +10,23 @@
  * - Composite images available for Patrons only
  */
 
+import { fetchJson } from './http';
+
 const RAINVIEWER_API_URL = 'https://api.rainviewer.com/public/weather-maps.json';
 
 /**
  * Fetch weather maps metadata from RainViewer API
  * Returns radar past/nowcast data and satellite infrared data
+ *
+ * @param {object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
  */
-export async function fetchWeatherMaps() {
+export async function fetchWeatherMaps({ signal } = {}) {
   try {
-    const response = await fetch(RAINVIEWER_API_URL);
-    if (!response.ok) {
-      throw new Error(`RainViewer API error: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJson(RAINVIEWER_API_URL, {
+      service: 'RainViewer API',
+      signal,
+    });
     return data;
   } catch (error) {
     console.error('Error fetching RainViewer weather maps:', error);
@@ -134,19 +138,8 @@ export function formatRadarTime(timestamp) {
   });
 }
 
-/**
- * Calculate tile coordinates from lat/lon at given zoom level
- * 
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {number} zoom - Zoom level
- * @returns {object} Object with x and y tile coordinates
- */
-export function latLonToTile(lat, lon, zoom) {
-  const x = Math.floor((lon + 180) / 360 * Math.pow(2, zoom));
-  const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-  return { x, y };
-}
+// Tile numbering is shared with the radar map (see tileMath.js)
+export { latLonToTile } from './tileMath'
 
 /**
  * Color schemes available in RainViewer
@@ -172,3 +165,67 @@ export const COLOR_SCHEMES = {
   BLACK_WHITE: 8
 };
 
+
+/**
+ * Display names for the color schemes, in menu order
+ */
+export const COLOR_SCHEME_NAMES = {
+  [COLOR_SCHEMES.ORIGINAL]: 'Original',
+  [COLOR_SCHEMES.UNIVERSAL_BLUE]: 'Universal Blue',
+  [COLOR_SCHEMES.TITAN]: 'TITAN',
+  [COLOR_SCHEMES.WEATHER_CHANNEL]: 'Weather Channel',
+  [COLOR_SCHEMES.METEORED]: 'Meteored',
+  [COLOR_SCHEMES.NEXRAD]: 'NEXRAD',
+  [COLOR_SCHEMES.RAINBOW]: 'Rainbow',
+  [COLOR_SCHEMES.DARK_SKY]: 'Dark Sky',
+  [COLOR_SCHEMES.BLACK_WHITE]: 'Black & White'
+};
+
+/**
+ * Highest zoom level served to free users
+ */
+export const MAX_TILE_ZOOM = 10;
+
+/**
+ * Past and nowcast radar frames as one timeline, oldest first
+ *
+ * @param {object} weatherMaps - Weather maps data from API
+ * @returns {array} Frames with time, path and isNowcast flag
+ */
+export function getRadarTimeline(weatherMaps) {
+  const past = getPastRadarFrames(weatherMaps).map(frame => ({ ...frame, isNowcast: false }));
+  const nowcast = getNowcastRadarFrames(weatherMaps).map(frame => ({ ...frame, isNowcast: true }));
+  return [...past, ...nowcast];
+}
+
+/**
+ * Construct tile URL for satellite infrared imagery
+ * Satellite tiles have no color schemes or smoothing options
+ *
+ * @param {string} host - Base host URL from API response
+ * @param {string} path - Path from frame object
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile X coordinate
+ * @param {number} y - Tile Y coordinate
+ * @param {number} size - Tile size (256, 512, etc.)
+ * @returns {string} Complete tile URL
+ */
+export function constructSatelliteTileUrl(host, path, z, x, y, size = 256) {
+  return constructRadarTileUrl(host, path, z, x, y, size, 0, '0_0');
+}
+
+/**
+ * Tile URL for a frame of either layer
+ *
+ * @param {string} layer - 'radar' or 'satellite'
+ * @param {string} host - Base host URL from API response
+ * @param {object} frame - Frame with path
+ * @param {object} tile - Tile with x, y and z
+ * @param {number} color - Color scheme for radar tiles
+ * @returns {string} Complete tile URL
+ */
+export function constructFrameTileUrl(layer, host, frame, tile, color = COLOR_SCHEMES.TITAN) {
+  return layer === 'satellite'
+    ? constructSatelliteTileUrl(host, frame.path, tile.z, tile.x, tile.y)
+    : constructRadarTileUrl(host, frame.path, tile.z, tile.x, tile.y, 256, color);
+}
@@ -0,0 +1,266 @@
+// Reverse Geocoding
+// Turns GPS coordinates into locality/region/country names. Providers are
+// tried in order; the bundled offline provider always answers, so a fix gets
+// a sensible name even without a network connection.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fetchJson, isAbortError } from './http';
+import { CITIES } from '../data/cities';
+
+const BIGDATACLOUD_API =
+  'https://api.bigdatacloud.net/data/reverse-geocode-client';
+
+const CACHE_PREFIX = 'reverseGeocode:';
+
+// Grid cells are ~5 km across, so nearby fixes share a cached name
+export const GRID_CELL_DEGREES = 0.05;
+
+// Online names rarely change; refresh them occasionally anyway
+export const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Beyond this distance the nearest bundled city is shown as "Near <city>"
+const NEAR_DISTANCE_KM = 25;
+
+const memoryCache = new Map();
+
+/**
+ * A reverse geocoding provider
+ * @typedef {Object} ReverseGeocodingProvider
+ * @property {string} name - Identifier recorded on results
+ * @property {boolean} offline - True if results need no network (not cached)
+ * @property {Function} reverseGeocode - (latitude, longitude, { signal }) =>
+ *   Promise<Place|null>
+ */
+
+/**
+ * A resolved place
+ * @typedef {Object} Place
+ * @property {string|null} locality - City, town or suburb
+ * @property {string|null} region - State or province
+ * @property {string|null} country - Country name
+ * @property {string|null} countryCode - ISO 3166-1 alpha-2 code
+ * @property {string} source - Provider name
+ * @property {boolean} approximate - True when the name is a nearby city
+ * @property {number} [distanceKm] - Distance to that city for approximate names
+ */
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+export function haversineDistanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Identify the grid cell containing a coordinate
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} Cell identifier
+ */
+export function getGridCell(latitude, longitude) {
+  const row = Math.floor(latitude / GRID_CELL_DEGREES);
+  const col = Math.floor(longitude / GRID_CELL_DEGREES);
+  return `${row},${col}`;
+}
+
+/**
+ * Find the closest bundled city
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Array} cities - Candidate cities
+ * @returns {Object} { city, distanceKm }
+ */
+export function findNearestCity(latitude, longitude, cities = CITIES) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  cities.forEach(city => {
+    const distance = haversineDistanceKm(
+      latitude,
+      longitude,
+      city.latitude,
+      city.longitude,
+    );
+    if (distance < nearestDistance) {
+      nearest = city;
+      nearestDistance = distance;
+    }
+  });
+
+  return { city: nearest, distanceKm: nearestDistance };
+}
+
+/**
+ * Online provider backed by BigDataCloud's free client-side endpoint
+ * @type {ReverseGeocodingProvider}
+ */
+export const bigDataCloudProvider = {
+  name: 'bigdatacloud',
+  offline: false,
+  async reverseGeocode(latitude, longitude, { signal } = {}) {
+    const data = await fetchJson(
+      `${BIGDATACLOUD_API}?latitude=${latitude}&longitude=${longitude}&localityLanguage=en`,
+      { service: 'Reverse Geocoding API', signal, retries: 1 },
+    );
+
+    const locality = data.city || data.locality || null;
+    if (!locality && !data.countryName) {
+      return null;
+    }
+
+    return {
+      locality,
+      region: data.principalSubdivision || null,
+      country: data.countryName || null,
+      countryCode: data.countryCode || null,
+      source: 'bigdatacloud',
+      approximate: false,
+    };
+  },
+};
+
+/**
+ * Offline provider that names a fix after the nearest bundled city
+ * @type {ReverseGeocodingProvider}
+ */
+export const offlineCityProvider = {
+  name: 'offline',
+  offline: true,
+  async reverseGeocode(latitude, longitude) {
+    const { city, distanceKm } = findNearestCity(latitude, longitude);
+    if (!city) {
+      return null;
+    }
+
+    return {
+      locality: city.name,
+      region: city.region,
+      country: city.country,
+      countryCode: city.countryCode,
+      source: 'offline',
+      approximate: true,
+      distanceKm: Math.round(distanceKm),
+    };
+  },
+};
+
+let providers = [bigDataCloudProvider, offlineCityProvider];
+
+/**
+ * Replace the provider chain (e.g. to add a keyed service or for tests)
+ * @param {Array<ReverseGeocodingProvider>} nextProviders - Providers in priority order
+ */
+export function setReverseGeocodingProviders(nextProviders) {
+  providers = nextProviders;
+  memoryCache.clear();
+}
+
+async function readCachedPlace(cell) {
+  if (memoryCache.has(cell)) {
+    return memoryCache.get(cell);
+  }
+
+  try {
+    const stored = await AsyncStorage.getItem(`${CACHE_PREFIX}${cell}`);
+    if (!stored) return null;
+
+    const { place, cachedAt } = JSON.parse(stored);
+    if (Date.now() - cachedAt > CACHE_TTL_MS) return null;
+
+    memoryCache.set(cell, place);
+    return place;
+  } catch (error) {
+    console.error('Error reading reverse geocode cache:', error);
+    return null;
+  }
+}
+
+async function writeCachedPlace(cell, place) {
+  memoryCache.set(cell, place);
+  try {
+    await AsyncStorage.setItem(
+      `${CACHE_PREFIX}${cell}`,
+      JSON.stringify({ place, cachedAt: Date.now() }),
+    );
+  } catch (error) {
+    console.error('Error writing reverse geocode cache:', error);
+  }
+}
+
+/**
+ * Resolve coordinates to a place name. Online results are cached per grid
+ * cell; offline results are not, so a later online lookup can replace them.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Place|null>} Resolved place, or null if no provider answered
+ */
+export async function reverseGeocode(latitude, longitude, { signal } = {}) {
+  const cell = getGridCell(latitude, longitude);
+  const cached = await readCachedPlace(cell);
+  if (cached) {
+    return cached;
+  }
+
+  for (const provider of providers) {
+    try {
+      const place = await provider.reverseGeocode(latitude, longitude, {
+        signal,
+      });
+      if (place) {
+        if (!provider.offline) {
+          await writeCachedPlace(cell, place);
+        }
+        return place;
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Reverse geocoding via ${provider.name} failed:`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Short display name for a place, e.g. "Fitzroy, Victoria" or
+ * "Near Melbourne, Victoria"
+ * @param {Place|null} place - Resolved place
+ * @param {string} fallback - Name to use when nothing was resolved
+ * @returns {string} Display name
+ */
+export function formatPlaceName(place, fallback = 'Current Location') {
+  if (!place || !place.locality) {
+    return place?.country || fallback;
+  }
+
+  const secondary = place.region || place.country;
+  const name =
+    secondary && secondary !== place.locality
+      ? `${place.locality}, ${secondary}`
+      : place.locality;
+
+  return place.approximate && place.distanceKm > NEAR_DISTANCE_KM
+    ? `Near ${name}`
+    : name;
+}
+
+export default {
+  reverseGeocode,
+  formatPlaceName,
+  setReverseGeocodingProviders,
+  bigDataCloudProvider,
+  offlineCityProvider,
+};
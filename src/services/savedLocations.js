@@ -0,0 +1,206 @@
+// Saved Locations
+// Favorite cities shown as pages on the Home screen. Persisted locally in
+// AsyncStorage and, for signed-in users, in user_preferences.saved_locations.
+// A change that fails to sync is queued: until it reaches Supabase the local
+// list wins, so the remote copy can't bring back a removed city.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  getUserLocationPreferences,
+  saveUserLocationPreferences,
+} from './conversationHelpers';
+
+const STORAGE_KEY = 'savedLocations';
+// ID of the user whose remote list is behind the local one
+const PENDING_SYNC_KEY = 'savedLocationsPendingSync';
+
+export const MAX_SAVED_LOCATIONS = 10;
+
+/**
+ * @typedef {Object} SavedLocation
+ * @property {string} id - Stable identifier (geocoding ID or rounded coordinates)
+ * @property {string} name - City name
+ * @property {string|null} region - First-level administrative area
+ * @property {string|null} country - Country name
+ * @property {number} latitude - Latitude
+ * @property {number} longitude - Longitude
+ * @property {string|null} timezone - IANA timezone
+ */
+
+/**
+ * Convert an Open-Meteo geocoding result (from searchLocation) to a saved location
+ * @param {Object} result - Geocoding result
+ * @returns {SavedLocation} Saved location
+ */
+export function toSavedLocation(result) {
+  return {
+    id: result.id
+      ? String(result.id)
+      : `${result.latitude.toFixed(2)},${result.longitude.toFixed(2)}`,
+    name: result.name,
+    region: result.admin1 || result.region || null,
+    country: result.country || null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+    timezone: result.timezone || null,
+  };
+}
+
+/**
+ * Human-readable label for a saved location or search result
+ * @param {Object} location - Saved location or geocoding result
+ * @returns {string} e.g. 'Melbourne, Victoria, Australia'
+ */
+export function formatLocationLabel(location) {
+  return [location.name, location.region || location.admin1, location.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Add a location to the end of the list (ignored if already saved or full)
+ * @param {SavedLocation[]} locations - Current list
+ * @param {SavedLocation} location - Location to add
+ * @returns {SavedLocation[]} New list
+ */
+export function addLocation(locations, location) {
+  if (locations.some(saved => saved.id === location.id)) {
+    return locations;
+  }
+  if (locations.length >= MAX_SAVED_LOCATIONS) {
+    return locations;
+  }
+  return [...locations, location];
+}
+
+/**
+ * Remove a location by ID
+ * @param {SavedLocation[]} locations - Current list
+ * @param {string} id - Location ID
+ * @returns {SavedLocation[]} New list
+ */
+export function removeLocation(locations, id) {
+  return locations.filter(saved => saved.id !== id);
+}
+
+/**
+ * Move a location up (offset -1) or down (offset 1) in the list
+ * @param {SavedLocation[]} locations - Current list
+ * @param {string} id - Location ID
+ * @param {number} offset - Positions to move
+ * @returns {SavedLocation[]} New list
+ */
+export function moveLocation(locations, id, offset) {
+  const from = locations.findIndex(saved => saved.id === id);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= locations.length) {
+    return locations;
+  }
+
+  const reordered = [...locations];
+  const [moved] = reordered.splice(from, 1);
+  reordered.splice(to, 0, moved);
+  return reordered;
+}
+
+/**
+ * Merge remote locations into the local list, keeping local order first
+ * @param {SavedLocation[]} local - Locations stored on the device
+ * @param {SavedLocation[]} remote - Locations stored in Supabase
+ * @returns {SavedLocation[]} Merged list
+ */
+export function mergeLocations(local, remote) {
+  return remote.reduce(
+    (merged, location) => addLocation(merged, location),
+    local,
+  );
+}
+
+/**
+ * The list to show after loading: the local one while it has changes that
+ * haven't reached Supabase, else the local list with remote additions
+ * @param {SavedLocation[]} local - Locations stored on the device
+ * @param {SavedLocation[]} remote - Locations stored in Supabase
+ * @param {boolean} pendingSync - True if a local change failed to sync
+ * @returns {SavedLocation[]} Locations to show
+ */
+export function resolveSavedLocations(local, remote, pendingSync) {
+  return pendingSync ? local : mergeLocations(local, remote);
+}
+
+/**
+ * Load saved locations from the device
+ * @returns {Promise<SavedLocation[]>} Saved locations
+ */
+export async function loadSavedLocations() {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading saved locations:', error);
+    return [];
+  }
+}
+
+/**
+ * Store saved locations on the device
+ * @param {SavedLocation[]} locations - Locations to store
+ */
+export async function persistSavedLocations(locations) {
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+  } catch (error) {
+    console.error('Error saving locations:', error);
+  }
+}
+
+/**
+ * Load saved locations from the user's Supabase preferences
+ * @param {string} userId - The user's ID
+ * @returns {Promise<SavedLocation[]>} Remote saved locations
+ */
+export async function fetchRemoteSavedLocations(userId) {
+  const preferences = await getUserLocationPreferences(userId);
+  return Array.isArray(preferences?.saved_locations)
+    ? preferences.saved_locations
+    : [];
+}
+
+/**
+ * Whether the user's local list has changes that failed to sync
+ * @param {string} userId - The user's ID
+ * @returns {Promise<boolean>} True if a sync is pending
+ */
+export async function hasPendingSync(userId) {
+  try {
+    return (await AsyncStorage.getItem(PENDING_SYNC_KEY)) === userId;
+  } catch (error) {
+    console.error('Error reading saved locations sync state:', error);
+    return false;
+  }
+}
+
+/**
+ * Store saved locations in the user's Supabase preferences. On failure the
+ * sync is queued until a later one succeeds (see hasPendingSync).
+ * @param {string} userId - The user's ID
+ * @param {SavedLocation[]} locations - Locations to store
+ * @returns {Promise<boolean>} True if the locations were stored
+ */
+export async function syncRemoteSavedLocations(userId, locations) {
+  const saved = await saveUserLocationPreferences(userId, {
+    saved_locations: locations,
+  });
+
+  try {
+    if (saved) {
+      await AsyncStorage.removeItem(PENDING_SYNC_KEY);
+    } else {
+      console.warn('Saved locations not synced; will retry on next load');
+      await AsyncStorage.setItem(PENDING_SYNC_KEY, userId);
+    }
+  } catch (error) {
+    console.error('Error storing saved locations sync state:', error);
+  }
+  return !!saved;
+}
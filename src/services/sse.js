@@ -0,0 +1,231 @@
+// Server-Sent Events
+// Reads text/event-stream responses as the HTML spec describes: lines are
+// buffered across network chunks (CRLF, LF or CR endings), `data:` lines
+// join into one multi-line event, `event:`, `id:` and `retry:` fields are
+// honoured, and comment lines (heartbeats) are skipped. streamSse reconnects
+// a dropped stream with Last-Event-ID, and stops on AbortSignal or when the
+// consumer breaks out of its loop.
+
+import {
+  httpRequest,
+  sleep,
+  isAbortError,
+  createAbortError,
+  ApiError,
+} from './http';
+
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const DEFAULT_MAX_RECONNECTS = 3;
+
+/**
+ * @typedef {Object} SseEvent
+ * @property {string} type - `event:` field, 'message' if absent
+ * @property {string} data - `data:` lines joined with newlines
+ * @property {string} id - Last event ID seen on the stream, '' if none
+ */
+
+/**
+ * Incremental event stream parser
+ * @param {Function} onEvent - Called with each SseEvent
+ * @param {Object} options - Parser options
+ * @param {Function} options.onRetry - Called with a `retry:` delay in ms
+ * @returns {Object} { push(text), end() }
+ */
+export function createSseParser(onEvent, { onRetry } = {}) {
+  let buffer = '';
+  let started = false;
+  let data = [];
+  let type = '';
+  let lastEventId = '';
+
+  const dispatch = () => {
+    if (data.length > 0) {
+      onEvent({
+        type: type || 'message',
+        data: data.join('\n'),
+        id: lastEventId,
+      });
+    }
+    data = [];
+    type = '';
+  };
+
+  const processLine = line => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') {
+      data.push(value);
+    } else if (field === 'event') {
+      type = value;
+    } else if (field === 'id') {
+      if (!value.includes('\0')) lastEventId = value;
+    } else if (field === 'retry') {
+      if (/^\d+$/.test(value)) onRetry?.(Number(value));
+    }
+  };
+
+  // A CR at the end may be the first half of a CRLF, so it waits for the
+  // next chunk unless the stream has ended
+  const processBuffer = final => {
+    let start = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+      if (char !== '\n' && char !== '\r') continue;
+      if (char === '\r' && i === buffer.length - 1 && !final) break;
+
+      processLine(buffer.slice(start, i));
+      if (char === '\r' && buffer[i + 1] === '\n') i++;
+      start = i + 1;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      if (!started && buffer.length > 0) {
+        started = true;
+        if (buffer.startsWith('\uFEFF')) buffer = buffer.slice(1);
+      }
+      processBuffer(false);
+    },
+
+    // An unterminated line, or an event without its closing blank line, is
+    // discarded
+    end() {
+      processBuffer(true);
+      buffer = '';
+      data = [];
+      type = '';
+    },
+  };
+}
+
+/**
+ * Events from a response body
+ * @param {ReadableStream} stream - Response body
+ * @param {Object} options - Read options
+ * @param {AbortSignal} options.signal - Stops reading with an AbortError
+ * @param {Function} options.onRetry - Called with a `retry:` delay in ms
+ * @returns {AsyncGenerator<SseEvent>} Events in order
+ */
+export async function* readSseStream(stream, { signal, onRetry } = {}) {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder('utf-8');
+  const queue = [];
+  const parser = createSseParser(event => queue.push(event), { onRetry });
+  const cancel = () => reader.cancel().catch(() => {});
+  let finished = false;
+
+  signal?.addEventListener('abort', cancel);
+  try {
+    while (!finished) {
+      if (signal?.aborted) throw createAbortError();
+      const { done, value } = await reader.read();
+      if (signal?.aborted) throw createAbortError();
+
+      if (done) {
+        parser.push(decoder.decode());
+        parser.end();
+        finished = true;
+      } else {
+        parser.push(decoder.decode(value, { stream: true }));
+      }
+
+      while (queue.length > 0) {
+        yield queue.shift();
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+    // The consumer stopped early
+    if (!finished) cancel();
+  }
+}
+
+/**
+ * Request an event stream and read its events, reconnecting if it drops.
+ * A stream is only reconnected when it can resume: before any event
+ * arrived, or when the server gave event IDs to send back as Last-Event-ID.
+ * Reconnects are the only repeats; the request itself isn't retried, so a
+ * failed attempt is never sent more than once per reconnect.
+ * @param {string} url - Request URL
+ * @param {Object} options - Same as httpRequest except retries, plus the
+ *   options below
+ * @param {number} options.maxReconnects - Reconnects in a row (default: 3)
+ * @param {number} options.reconnectDelay - Delay before reconnecting in ms,
+ *   until the server sends `retry:` (default: 1000)
+ * @param {boolean} options.resume - Reconnect with Last-Event-ID after events
+ *   arrived; false for requests that mustn't repeat once they've produced
+ *   output, such as generating a completion (default: true)
+ * @returns {AsyncGenerator<SseEvent>} Events in order
+ */
+export async function* streamSse(url, options = {}) {
+  const {
+    headers,
+    signal,
+    service = 'SSE',
+    maxReconnects = DEFAULT_MAX_RECONNECTS,
+    reconnectDelay = DEFAULT_RECONNECT_DELAY_MS,
+    resume = true,
+    ...requestOptions
+  } = options;
+  let delay = reconnectDelay;
+  let lastEventId = '';
+  let received = false;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await httpRequest(url, {
+        ...requestOptions,
+        headers: {
+          Accept: 'text/event-stream',
+          ...headers,
+          ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+        },
+        signal,
+        service,
+        retries: 0,
+      });
+
+      const events = readSseStream(response.body, {
+        signal,
+        onRetry: ms => {
+          delay = ms;
+        },
+      });
+      for await (const event of events) {
+        lastEventId = event.id;
+        received = true;
+        attempt = 0;
+        yield event;
+      }
+      return;
+    } catch (error) {
+      const resumable = !received || (resume && lastEventId !== '');
+      if (
+        isAbortError(error) ||
+        error instanceof ApiError ||
+        !resumable ||
+        attempt >= maxReconnects
+      ) {
+        throw error;
+      }
+
+      console.warn(
+        `${service} stream dropped, reconnecting in ${delay}ms:`,
+        error.message,
+      );
+      await sleep(delay, signal);
+    }
+  }
+}
@@ -0,0 +1,324 @@
+// Structured Output
+// Gets JSON from the model that matches a declared schema (aiSchemas.js).
+// The response is searched for the first complete JSON value and validated;
+// if that fails, the model is asked once more with the problems listed. Each
+// schema's outcomes are counted so the failure rate of a prompt can be
+// checked with getStructuredOutputStats(). Validated results are cached per
+// forecast (aiResponseCache.js); cache hits aren't counted.
+
+import { getLlmProvider } from './llmProvider';
+import { getCachedAiResponse } from './aiResponseCache';
+import { withAbort, isAbortError } from './http';
+
+// Re-asks after the first invalid response
+const DEFAULT_REPAIRS = 1;
+// Positions tried when prose before the JSON contains brackets
+const MAX_JSON_CANDIDATES = 5;
+// Keep repair prompts short for small context windows
+const MAX_REPORTED_ERRORS = 5;
+const MAX_ECHOED_RESPONSE = 1500;
+
+const outputStats = {};
+
+const typeName = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeName(value) === type;
+  }
+};
+
+const rootType = schema =>
+  [].concat(schema.type).includes('object') ? 'object' : 'array';
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema (see aiSchemas.js)
+ * @param {string} path - Path of the value, for messages
+ * @returns {Array<string>} Problems like "$[0].label: is required"; empty if valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [
+        `${path}: expected ${types.join(' or ')}, got ${typeName(value)}`,
+      ];
+    }
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(
+        value,
+      )}`,
+    );
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.trim().length < schema.minLength) {
+      errors.push(
+        schema.minLength === 1
+          ? `${path}: must not be empty`
+          : `${path}: expected at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${path}: expected at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path}: expected ${schema.minimum} or more, got ${value}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path}: expected ${schema.maximum} or less, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path}: expected at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(
+        `${path}: expected at most ${schema.maxItems} items, got ${value.length}`,
+      );
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeName(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties ?? {},
+    )) {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${path}.${key}`),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Index of the bracket closing the one at `start`, or -1 if the text ends
+// first. Brackets inside JSON strings don't count.
+function findClosingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[' || char === '{') {
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the first complete JSON array or object in a model response, which
+ * may wrap it in prose or a code fence
+ * @param {string} text - Response text
+ * @param {string} type - 'array' or 'object'
+ * @returns {Object} { value } or { error } describing why none was found
+ */
+export function extractJson(text, type = 'array') {
+  const open = type === 'object' ? '{' : '[';
+  let start = text.indexOf(open);
+  if (start === -1) {
+    return { error: `no JSON ${type} in the response` };
+  }
+
+  let firstError = null;
+  for (let i = 0; i < MAX_JSON_CANDIDATES && start !== -1; i++) {
+    const end = findClosingBracket(text, start);
+    if (end === -1) {
+      firstError ??= `the JSON ${type} is incomplete`;
+      break;
+    }
+    try {
+      return { value: JSON.parse(text.slice(start, end + 1)) };
+    } catch (error) {
+      firstError ??= `invalid JSON: ${error.message}`;
+    }
+    start = text.indexOf(open, start + 1);
+  }
+  return { error: firstError };
+}
+
+/**
+ * Extract and validate the JSON in a model response
+ * @param {string} text - Response text
+ * @param {Object} schema - Schema (see aiSchemas.js)
+ * @returns {Object} { value, errors }: value is null unless errors is empty
+ */
+export function parseStructured(text, schema) {
+  const extracted = extractJson(text, rootType(schema));
+  if (extracted.error) {
+    return { value: null, errors: [extracted.error] };
+  }
+  const errors = validateSchema(extracted.value, schema);
+  return errors.length > 0
+    ? { value: null, errors }
+    : { value: extracted.value, errors };
+}
+
+function buildRepairPrompt(prompt, response, errors, type) {
+  const problems = errors
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(error => `- ${error}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    problems.push(`- and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  const previous =
+    response.length > MAX_ECHOED_RESPONSE
+      ? `${response.slice(0, MAX_ECHOED_RESPONSE)}…`
+      : response;
+
+  return `${prompt}
+
+Your previous response could not be used:
+${problems.join('\n')}
+
+Previous response:
+${previous}
+
+Reply with ONLY the corrected JSON ${type}, with no other text.`;
+}
+
+function statsFor(title) {
+  if (!outputStats[title]) {
+    outputStats[title] = {
+      requests: 0,
+      valid: 0,
+      repaired: 0,
+      failed: 0,
+      unavailable: 0,
+      invalidResponses: 0,
+      lastErrors: [],
+    };
+  }
+  return outputStats[title];
+}
+
+async function requestStructured(prompt, schema, { maxTokens, repairs }) {
+  const stats = statsFor(schema.title);
+  stats.requests++;
+
+  let request = prompt;
+  for (let attempt = 0; attempt <= repairs; attempt++) {
+    const response = await getLlmProvider().generate(request, { maxTokens });
+    if (!response) {
+      stats.unavailable++;
+      return null;
+    }
+
+    const { value, errors } = parseStructured(response, schema);
+    if (errors.length === 0) {
+      if (attempt > 0) stats.repaired++;
+      else stats.valid++;
+      return value;
+    }
+
+    stats.invalidResponses++;
+    stats.lastErrors = errors;
+    console.warn(
+      `Invalid ${schema.title} response (attempt ${attempt + 1}):`,
+      errors,
+    );
+    request = buildRepairPrompt(prompt, response, errors, rootType(schema));
+  }
+
+  stats.failed++;
+  return null;
+}
+
+/**
+ * Ask the active LLM provider for JSON matching a schema, re-asking with the
+ * validation errors when the response doesn't match
+ * @param {string} prompt - Prompt describing the JSON to return
+ * @param {Object} schema - Schema (see aiSchemas.js)
+ * @param {Object} options - Options
+ * @param {number} options.maxTokens - Response length limit
+ * @param {AbortSignal} options.signal - Stops waiting for the response
+ * @param {number} options.repairs - Re-asks after an invalid response
+ * @param {number} options.fetchedAt - Time in ms the forecast the prompt was
+ *   built from was fetched, for caching (default: now)
+ * @returns {Promise<*|null>} Validated value, or null if the model gave no
+ *   usable response
+ */
+export async function generateStructured(
+  prompt,
+  schema,
+  { maxTokens, signal, repairs = DEFAULT_REPAIRS, fetchedAt } = {},
+) {
+  // Coalesced callers share the request, so it isn't tied to one signal
+  const result = getCachedAiResponse(
+    prompt,
+    () => requestStructured(prompt, schema, { maxTokens, repairs }),
+    { namespace: schema.title, fetchedAt },
+  );
+
+  try {
+    return await withAbort(result, signal);
+  } catch (error) {
+    if (isAbortError(error)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Outcome counts per schema title since launch (or the last reset).
+ * `invalidResponses` counts every response that failed validation, including
+ * ones a re-ask repaired; `failed` counts requests that got nothing usable.
+ * @returns {Object} { [title]: { requests, valid, repaired, failed,
+ *   unavailable, invalidResponses, lastErrors } }
+ */
+export function getStructuredOutputStats() {
+  return Object.fromEntries(
+    Object.entries(outputStats).map(([title, stats]) => [
+      title,
+      { ...stats, lastErrors: [...stats.lastErrors] },
+    ]),
+  );
+}
+
+/**
+ * Clear the outcome counts
+ */
+export function resetStructuredOutputStats() {
+  for (const title of Object.keys(outputStats)) {
+    delete outputStats[title];
+  }
+}
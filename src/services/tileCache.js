@@ -0,0 +1,309 @@
+// Tile Cache
+// Keeps radar and satellite tiles on disk so animating frames doesn't
+// re-download every tile on each loop. The index of cached tiles lives in
+// AsyncStorage; the images themselves in the app's cache directory.
+//
+// Tiles are evicted least-recently-used once the cache exceeds its size cap,
+// and by frame time once RainViewer no longer lists that frame.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as RNFS from '@dr.pogodin/react-native-fs';
+import { ApiError, NetworkError, withAbort } from './http';
+
+const INDEX_KEY = 'radarTileCache:index';
+
+export const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+export const PREFETCH_CONCURRENCY = 4;
+
+/**
+ * A cached tile
+ * @typedef {Object} TileEntry
+ * @property {string} path - File path on disk
+ * @property {number} size - Bytes
+ * @property {number} lastAccess - Last read or write time in ms
+ * @property {number} frameTime - Unix time (seconds) of the frame it belongs to
+ */
+
+/**
+ * Disk access used by the cache. Replaced in tests.
+ * @typedef {Object} TileFileSystem
+ * @property {string} directory - Where tiles are stored
+ * @property {Function} ensureDirectory - () => Promise
+ * @property {Function} download - (url, path, signal) => Promise<{ statusCode, bytesWritten }>
+ * @property {Function} remove - path => Promise
+ */
+
+/** @type {TileFileSystem} */
+const nativeFileSystem = {
+  directory: `${RNFS.CachesDirectoryPath}/radar-tiles`,
+  async ensureDirectory() {
+    if (!(await RNFS.exists(this.directory))) {
+      await RNFS.mkdir(this.directory);
+    }
+  },
+  download(url, path, signal) {
+    const { jobId, promise } = RNFS.downloadFile({
+      fromUrl: url,
+      toFile: path,
+    });
+    const stop = () => RNFS.stopDownload(jobId);
+    signal?.addEventListener('abort', stop);
+    return withAbort(promise, signal).finally(() => {
+      signal?.removeEventListener('abort', stop);
+    });
+  },
+  remove(path) {
+    return RNFS.unlink(path).catch(() => {});
+  },
+};
+
+let fileSystem = nativeFileSystem;
+let index = null;
+let loading = null;
+let maxBytes = MAX_CACHE_BYTES;
+
+/**
+ * Swap the file system and size cap, resetting the in-memory index
+ * @param {TileFileSystem} nextFileSystem - File system adapter
+ * @param {Object} options - Cache options
+ * @param {number} options.maxBytes - Size cap
+ */
+export function configureTileCache(
+  nextFileSystem = nativeFileSystem,
+  { maxBytes: nextMaxBytes = MAX_CACHE_BYTES } = {},
+) {
+  fileSystem = nextFileSystem;
+  maxBytes = nextMaxBytes;
+  index = null;
+  loading = null;
+}
+
+/**
+ * File name for a tile URL, unique per frame, zoom, position and style
+ * @param {string} url - Tile URL
+ * @returns {string} Safe file name
+ */
+export function getTileFileName(url) {
+  return url.replace(/^https?:\/\/[^/]+\//, '').replace(/[^a-zA-Z0-9.]+/g, '_');
+}
+
+/**
+ * Tiles to evict so the cache fits under a size cap, least recently used first
+ * @param {Object<string, TileEntry>} entries - Index entries by URL
+ * @param {number} limit - Size cap in bytes
+ * @returns {Array<string>} URLs to evict
+ */
+export function selectLeastRecentlyUsed(entries, limit) {
+  let total = Object.values(entries).reduce((sum, e) => sum + e.size, 0);
+  const evictions = [];
+
+  Object.keys(entries)
+    .sort((a, b) => entries[a].lastAccess - entries[b].lastAccess)
+    .forEach(url => {
+      if (total <= limit) return;
+      total -= entries[url].size;
+      evictions.push(url);
+    });
+
+  return evictions;
+}
+
+/**
+ * Tiles whose frame is no longer published
+ * @param {Object<string, TileEntry>} entries - Index entries by URL
+ * @param {Array<number>} frameTimes - Frame times still listed by RainViewer
+ * @returns {Array<string>} URLs to evict
+ */
+export function selectExpiredTiles(entries, frameTimes) {
+  const valid = new Set(frameTimes);
+  return Object.keys(entries).filter(url => !valid.has(entries[url].frameTime));
+}
+
+async function loadIndex() {
+  if (index) return index;
+  if (!loading) {
+    loading = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(INDEX_KEY);
+        index = stored ? JSON.parse(stored) : {};
+      } catch (error) {
+        console.error('Error reading tile cache index:', error);
+        index = {};
+      }
+      return index;
+    })();
+  }
+  return loading;
+}
+
+async function saveIndex() {
+  try {
+    await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(index));
+  } catch (error) {
+    console.error('Error writing tile cache index:', error);
+  }
+}
+
+async function evict(urls) {
+  await Promise.all(
+    urls.map(url => {
+      const entry = index[url];
+      delete index[url];
+      return entry ? fileSystem.remove(entry.path) : null;
+    }),
+  );
+}
+
+async function storeTile(url, frameTime, signal) {
+  if (index[url]) {
+    index[url].lastAccess = Date.now();
+    return index[url].path;
+  }
+
+  const path = `${fileSystem.directory}/${getTileFileName(url)}`;
+  let result;
+  try {
+    result = await fileSystem.download(url, path, signal);
+  } catch (error) {
+    await fileSystem.remove(path);
+    if (error.name === 'AbortError') throw error;
+    throw new NetworkError('Failed to download tile', { url, cause: error });
+  }
+
+  if (result.statusCode !== 200) {
+    await fileSystem.remove(path);
+    throw new ApiError(`Tile request failed with ${result.statusCode}`, {
+      url,
+      status: result.statusCode,
+    });
+  }
+
+  index[url] = {
+    path,
+    size: result.bytesWritten,
+    lastAccess: Date.now(),
+    frameTime,
+  };
+  await evict(selectLeastRecentlyUsed(index, maxBytes));
+  return path;
+}
+
+/**
+ * Load the index so getCachedTileUri can answer synchronously
+ */
+export async function initTileCache() {
+  await loadIndex();
+  await fileSystem.ensureDirectory();
+}
+
+/**
+ * Local URI of a cached tile, marking it as recently used
+ * @param {string} url - Tile URL
+ * @returns {string|null} file:// URI, or null if not cached (or not loaded yet)
+ */
+export function getCachedTileUri(url) {
+  const entry = index?.[url];
+  if (!entry) return null;
+  entry.lastAccess = Date.now();
+  return `file://${entry.path}`;
+}
+
+/**
+ * Download a tile into the cache
+ * @param {string} url - Tile URL
+ * @param {Object} options - Cache options
+ * @param {number} options.frameTime - Frame the tile belongs to
+ * @param {AbortSignal} options.signal - Cancels the download
+ * @returns {Promise<string>} file:// URI
+ */
+export async function cacheTile(url, { frameTime, signal } = {}) {
+  await initTileCache();
+  const path = await storeTile(url, frameTime, signal);
+  await saveIndex();
+  return `file://${path}`;
+}
+
+/**
+ * Download many tiles with limited concurrency. Failed tiles are counted
+ * and skipped so one bad tile doesn't block playback.
+ * @param {Array<Object>} jobs - { url, frameTime }
+ * @param {Object} options - Prefetch options
+ * @param {Function} options.onProgress - Called with { done, failed, total }
+ * @param {AbortSignal} options.signal - Stops the prefetch
+ * @param {number} options.concurrency - Parallel downloads
+ * @returns {Promise<Object>} { done, failed, total }
+ */
+export async function prefetchTiles(
+  jobs,
+  { onProgress, signal, concurrency = PREFETCH_CONCURRENCY } = {},
+) {
+  await initTileCache();
+
+  const progress = { done: 0, failed: 0, total: jobs.length };
+  let next = 0;
+
+  const worker = async () => {
+    while (next < jobs.length && !signal?.aborted) {
+      const { url, frameTime } = jobs[next++];
+      try {
+        await storeTile(url, frameTime, signal);
+        progress.done += 1;
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        progress.failed += 1;
+      }
+      onProgress?.({ ...progress });
+    }
+  };
+
+  onProgress?.({ ...progress });
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, jobs.length) }, worker),
+  );
+  await saveIndex();
+  return progress;
+}
+
+/**
+ * Drop tiles for frames RainViewer no longer publishes
+ * @param {Array<number>} frameTimes - Frame times in the latest weather maps
+ */
+export async function evictExpiredFrames(frameTimes) {
+  await loadIndex();
+  const expired = selectExpiredTiles(index, frameTimes);
+  if (expired.length === 0) return;
+  await evict(expired);
+  await saveIndex();
+}
+
+/**
+ * Size of the cache
+ * @returns {Promise<Object>} { count, bytes }
+ */
+export async function getTileCacheStats() {
+  await loadIndex();
+  const entries = Object.values(index);
+  return {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+  };
+}
+
+/**
+ * Remove every cached tile
+ */
+export async function clearTileCache() {
+  await loadIndex();
+  await evict(Object.keys(index));
+  await saveIndex();
+}
+
+export default {
+  initTileCache,
+  getCachedTileUri,
+  cacheTile,
+  prefetchTiles,
+  evictExpiredFrames,
+  getTileCacheStats,
+  clearTileCache,
+};
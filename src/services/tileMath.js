@@ -0,0 +1,197 @@
+// Tile Math
+// Web Mercator helpers for the slippy radar map. Positions are "world pixels":
+// at zoom z the whole map is 256 * 2^z pixels square, with (0, 0) at the
+// north-west corner. Tiles are addressed the same way as OpenStreetMap and
+// RainViewer (x grows eastwards, y southwards).
+
+export const TILE_SIZE = 256;
+
+// Mercator is undefined at the poles; this is where square maps are cut off
+export const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Keep a value within bounds
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Size of the whole map at a zoom level
+ * @param {number} zoom - Zoom level
+ * @returns {number} Width and height in pixels
+ */
+export function getWorldSize(zoom) {
+  return TILE_SIZE * 2 ** zoom;
+}
+
+/**
+ * Project a coordinate onto the map
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } in world pixels
+ */
+export function latLonToWorld(latitude, longitude, zoom) {
+  const size = getWorldSize(zoom);
+  const lat = (clamp(latitude, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI) / 180;
+
+  return {
+    x: ((longitude + 180) / 360) * size,
+    y: ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * size,
+  };
+}
+
+/**
+ * Tile containing a coordinate
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { x, y } tile coordinates
+ */
+export function latLonToTile(latitude, longitude, zoom) {
+  const { x, y } = latLonToWorld(latitude, longitude, zoom);
+  return { x: Math.floor(x / TILE_SIZE), y: Math.floor(y / TILE_SIZE) };
+}
+
+/**
+ * Inverse of latLonToWorld
+ * @param {number} x - World pixel x
+ * @param {number} y - World pixel y
+ * @param {number} zoom - Zoom level
+ * @returns {Object} { latitude, longitude }
+ */
+export function worldToLatLon(x, y, zoom) {
+  const size = getWorldSize(zoom);
+  const n = Math.PI - (2 * Math.PI * y) / size;
+
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / size) * 360 - 180,
+  };
+}
+
+/**
+ * Keep a map centre inside the world vertically and wrap it horizontally
+ * @param {Object} center - { x, y } world pixels
+ * @param {number} zoom - Zoom level
+ * @param {number} height - Viewport height
+ * @returns {Object} { x, y } world pixels
+ */
+export function constrainCenter(center, zoom, height = 0) {
+  const size = getWorldSize(zoom);
+  const halfHeight = Math.min(height / 2, size / 2);
+
+  return {
+    x: ((center.x % size) + size) % size,
+    y: clamp(center.y, halfHeight, size - halfHeight),
+  };
+}
+
+/**
+ * Tiles covering a viewport
+ * @param {Object} center - { x, y } world pixels at the middle of the view
+ * @param {number} zoom - Integer zoom level
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @returns {Array<Object>} { key, x, y, z, left, top } with x wrapped around
+ *   the antimeridian and left/top relative to the viewport
+ */
+export function getVisibleTiles(center, zoom, width, height) {
+  const count = 2 ** zoom;
+  const left = center.x - width / 2;
+  const top = center.y - height / 2;
+
+  const firstColumn = Math.floor(left / TILE_SIZE);
+  // Right and bottom edges are exclusive: a tile merely touching them is hidden
+  const lastColumn = Math.ceil((left + width) / TILE_SIZE) - 1;
+  const firstRow = Math.max(Math.floor(top / TILE_SIZE), 0);
+  const lastRow = Math.min(
+    Math.ceil((top + height) / TILE_SIZE) - 1,
+    count - 1,
+  );
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      const x = ((column % count) + count) % count;
+      tiles.push({
+        // Keyed by screen column so wrapped copies of a tile stay distinct
+        key: `${zoom}/${column}/${row}`,
+        x,
+        y: row,
+        z: zoom,
+        left: column * TILE_SIZE - left,
+        top: row * TILE_SIZE - top,
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Distinct tiles covering a map region, e.g. to download them ahead of time
+ * @param {Object} region - { latitude, longitude, zoom, width, height } of
+ *   the map: centre coordinate, integer zoom and viewport size
+ * @returns {Array<Object>} { x, y, z }, once each even where the viewport
+ *   shows a tile twice across the antimeridian
+ */
+export function getRegionTiles({ latitude, longitude, zoom, width, height }) {
+  const center = constrainCenter(
+    latLonToWorld(latitude, longitude, zoom),
+    zoom,
+    height,
+  );
+  const seen = new Set();
+
+  return getVisibleTiles(center, zoom, width, height)
+    .filter(({ x, y }) => {
+      const key = `${x}/${y}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(({ x, y, z }) => ({ x, y, z }));
+}
+
+/**
+ * Where a coordinate appears in the viewport
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {Object} center - { x, y } world pixels at the middle of the view
+ * @param {number} zoom - Zoom level
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ * @returns {Object} { left, top } relative to the viewport
+ */
+export function getScreenPosition(
+  latitude,
+  longitude,
+  center,
+  zoom,
+  width,
+  height,
+) {
+  const point = latLonToWorld(latitude, longitude, zoom);
+  const size = getWorldSize(zoom);
+
+  // Pick the copy of the point nearest the centre when the map wraps
+  let dx = point.x - center.x;
+  if (dx > size / 2) dx -= size;
+  if (dx < -size / 2) dx += size;
+
+  return {
+    left: width / 2 + dx,
+    top: height / 2 + (point.y - center.y),
+  };
+}
+
+export default {
+  latLonToWorld,
+  latLonToTile,
+  worldToLatLon,
+  constrainCenter,
+  getVisibleTiles,
+  getRegionTiles,
+  getScreenPosition,
+};
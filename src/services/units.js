@@ -0,0 +1,346 @@
+// Units
+// Conversions and formatting for weather values. Open-Meteo returns metric
+// values (°C, km/h, mm, hPa, metres); everything is stored that way and only
+// converted at display time or when building AI prompts.
+
+/**
+ * Units chosen for each measured dimension
+ * @typedef {Object} UnitPreferences
+ * @property {string} temperature - 'celsius' | 'fahrenheit'
+ * @property {string} speed - 'kmh' | 'mph' | 'ms' | 'kn' | 'bft'
+ * @property {string} precipitation - 'mm' | 'in'
+ * @property {string} pressure - 'hPa' | 'inHg' | 'mmHg'
+ * @property {string} visibility - 'km' | 'mi'
+ */
+
+export const UNIT_OPTIONS = {
+  temperature: ['celsius', 'fahrenheit'],
+  speed: ['kmh', 'mph', 'ms', 'kn', 'bft'],
+  precipitation: ['mm', 'in'],
+  pressure: ['hPa', 'inHg', 'mmHg'],
+  visibility: ['km', 'mi'],
+};
+
+export const UNIT_PRESETS = {
+  metric: {
+    temperature: 'celsius',
+    speed: 'kmh',
+    precipitation: 'mm',
+    pressure: 'hPa',
+    visibility: 'km',
+  },
+  imperial: {
+    temperature: 'fahrenheit',
+    speed: 'mph',
+    precipitation: 'in',
+    pressure: 'inHg',
+    visibility: 'mi',
+  },
+  // Common mixed setup: Celsius and millimetres with miles and mph
+  uk: {
+    temperature: 'celsius',
+    speed: 'mph',
+    precipitation: 'mm',
+    pressure: 'hPa',
+    visibility: 'mi',
+  },
+};
+
+export const DEFAULT_UNITS = UNIT_PRESETS.metric;
+
+export const UNIT_LABELS = {
+  celsius: '°C',
+  fahrenheit: '°F',
+  kmh: 'km/h',
+  mph: 'mph',
+  ms: 'm/s',
+  kn: 'kn',
+  bft: 'Bft',
+  mm: 'mm',
+  in: 'in',
+  hPa: 'hPa',
+  inHg: 'inHg',
+  mmHg: 'mmHg',
+  km: 'km',
+  mi: 'mi',
+};
+
+// Decimal places that read naturally for each unit
+const DEFAULT_DECIMALS = {
+  celsius: 1,
+  fahrenheit: 0,
+  kmh: 1,
+  mph: 1,
+  ms: 1,
+  kn: 1,
+  bft: 0,
+  mm: 1,
+  in: 2,
+  hPa: 0,
+  inHg: 2,
+  mmHg: 0,
+  km: 1,
+  mi: 1,
+};
+
+// Upper bound (km/h) of each Beaufort force 0-11; anything above is force 12
+const BEAUFORT_LIMITS_KMH = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+
+/**
+ * Resolve a stored preference into a full set of units. Accepts a preset name
+ * (as written by signUpUser) or a partial object of per-dimension overrides.
+ * @param {string|Object} preference - Preset name or partial UnitPreferences
+ * @returns {UnitPreferences} Complete unit preferences
+ */
+export function resolveUnits(preference) {
+  if (typeof preference === 'string') {
+    return UNIT_PRESETS[preference] ?? DEFAULT_UNITS;
+  }
+
+  const resolved = { ...DEFAULT_UNITS };
+  Object.keys(UNIT_OPTIONS).forEach(dimension => {
+    if (UNIT_OPTIONS[dimension].includes(preference?.[dimension])) {
+      resolved[dimension] = preference[dimension];
+    }
+  });
+  return resolved;
+}
+
+/**
+ * Name of the preset matching a set of units
+ * @param {UnitPreferences} units - Unit preferences
+ * @returns {string|null} Preset name, or null for a custom mix
+ */
+export function getPresetName(units) {
+  const match = Object.keys(UNIT_PRESETS).find(name =>
+    Object.keys(UNIT_OPTIONS).every(
+      dimension => UNIT_PRESETS[name][dimension] === units[dimension],
+    ),
+  );
+  return match ?? null;
+}
+
+/**
+ * Beaufort force for a wind speed
+ * @param {number} kmh - Wind speed in km/h
+ * @returns {number} Force 0-12
+ */
+export function toBeaufort(kmh) {
+  const force = BEAUFORT_LIMITS_KMH.findIndex(limit => kmh < limit);
+  return force === -1 ? 12 : force;
+}
+
+/**
+ * @param {number} celsius - Temperature in °C
+ * @param {string} unit - Target unit
+ * @returns {number} Converted temperature
+ */
+export function convertTemperature(celsius, unit) {
+  return unit === 'fahrenheit' ? (celsius * 9) / 5 + 32 : celsius;
+}
+
+/**
+ * Convert a temperature difference (no offset applied)
+ * @param {number} celsius - Difference in °C
+ * @param {string} unit - Target unit
+ * @returns {number} Converted difference
+ */
+export function convertTemperatureDelta(celsius, unit) {
+  return unit === 'fahrenheit' ? (celsius * 9) / 5 : celsius;
+}
+
+/**
+ * @param {number} kmh - Speed in km/h
+ * @param {string} unit - Target unit
+ * @returns {number} Converted speed
+ */
+export function convertSpeed(kmh, unit) {
+  switch (unit) {
+    case 'mph':
+      return kmh / 1.609344;
+    case 'ms':
+      return kmh / 3.6;
+    case 'kn':
+      return kmh / 1.852;
+    case 'bft':
+      return toBeaufort(kmh);
+    default:
+      return kmh;
+  }
+}
+
+/**
+ * @param {number} mm - Precipitation in millimetres
+ * @param {string} unit - Target unit
+ * @returns {number} Converted amount
+ */
+export function convertPrecipitation(mm, unit) {
+  return unit === 'in' ? mm / 25.4 : mm;
+}
+
+/**
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {string} unit - Target unit
+ * @returns {number} Converted pressure
+ */
+export function convertPressure(hPa, unit) {
+  switch (unit) {
+    case 'inHg':
+      return hPa * 0.0295299831;
+    case 'mmHg':
+      return hPa * 0.750061683;
+    default:
+      return hPa;
+  }
+}
+
+/**
+ * @param {number} metres - Visibility in metres
+ * @param {string} unit - Target unit
+ * @returns {number} Converted distance
+ */
+export function convertVisibility(metres, unit) {
+  return unit === 'mi' ? metres / 1609.344 : metres / 1000;
+}
+
+function formatValue(value, unit, { decimals, withUnit = true } = {}) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return '--';
+  }
+
+  // Beaufort forces are whole numbers whatever precision is requested
+  const places = unit === 'bft' ? 0 : decimals ?? DEFAULT_DECIMALS[unit] ?? 1;
+  const text = value.toFixed(places);
+  if (!withUnit) return text;
+
+  // Temperatures and Beaufort read better without a space ("21°C", "Bft 5")
+  if (unit === 'celsius' || unit === 'fahrenheit') {
+    return `${text}${UNIT_LABELS[unit]}`;
+  }
+  if (unit === 'bft') {
+    return `${UNIT_LABELS[unit]} ${text}`;
+  }
+  return `${text} ${UNIT_LABELS[unit]}`;
+}
+
+/**
+ * Format options shared by the helpers below
+ * @typedef {Object} FormatOptions
+ * @property {number} [decimals] - Override the unit's default precision
+ * @property {boolean} [withUnit=true] - Append the unit label
+ */
+
+/**
+ * @param {number} celsius - Temperature in °C
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "21.4°C" or "71°F"
+ */
+export function formatTemperature(celsius, units = DEFAULT_UNITS, options) {
+  const unit = units.temperature;
+  return formatValue(
+    celsius == null ? celsius : convertTemperature(celsius, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * @param {number} celsius - Temperature difference in °C
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "5.0°C" or "9°F"
+ */
+export function formatTemperatureDelta(
+  celsius,
+  units = DEFAULT_UNITS,
+  options,
+) {
+  const unit = units.temperature;
+  return formatValue(
+    celsius == null ? celsius : convertTemperatureDelta(celsius, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * @param {number} kmh - Speed in km/h
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "18.0 km/h", "11.2 mph" or "Bft 3"
+ */
+export function formatSpeed(kmh, units = DEFAULT_UNITS, options) {
+  const unit = units.speed;
+  return formatValue(
+    kmh == null ? kmh : convertSpeed(kmh, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * @param {number} mm - Precipitation in millimetres
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "2.4 mm" or "0.09 in"
+ */
+export function formatPrecipitation(mm, units = DEFAULT_UNITS, options) {
+  const unit = units.precipitation;
+  return formatValue(
+    mm == null ? mm : convertPrecipitation(mm, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * @param {number} hPa - Pressure in hectopascals
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "1013 hPa" or "29.91 inHg"
+ */
+export function formatPressure(hPa, units = DEFAULT_UNITS, options) {
+  const unit = units.pressure;
+  return formatValue(
+    hPa == null ? hPa : convertPressure(hPa, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * @param {number} metres - Visibility in metres
+ * @param {UnitPreferences} units - Unit preferences
+ * @param {FormatOptions} options - Format options
+ * @returns {string} e.g. "24.1 km" or "15.0 mi"
+ */
+export function formatVisibility(metres, units = DEFAULT_UNITS, options) {
+  const unit = units.visibility;
+  return formatValue(
+    metres == null ? metres : convertVisibility(metres, unit),
+    unit,
+    options,
+  );
+}
+
+/**
+ * Label for a unit, e.g. for chart axes
+ * @param {string} unit - Unit key
+ * @returns {string} Display label
+ */
+export function getUnitLabel(unit) {
+  return UNIT_LABELS[unit] ?? unit;
+}
+
+export default {
+  resolveUnits,
+  getPresetName,
+  formatTemperature,
+  formatTemperatureDelta,
+  formatSpeed,
+  formatPrecipitation,
+  formatPressure,
+  formatVisibility,
+  getUnitLabel,
+};
@@ -0,0 +1,159 @@
+// Weather Assistant
+// Prompt building for the chat assistant. Every question is sent with a
+// summary of the current location's forecast, formatted in the user's units,
+// and the last few turns of the conversation, since DalSi AI takes a single
+// prompt rather than a message list. The same summary is stored with each
+// turn as its `weather_context`.
+
+import { formatCondition } from './weatherConditions';
+import { findCurrentHourIndex, getClockTime } from './hourlyTimeline';
+import {
+  DEFAULT_UNITS,
+  formatTemperature,
+  formatSpeed,
+  formatPrecipitation,
+} from './units';
+
+export const SUGGESTED_PROMPTS = [
+  'Should I bike to work?',
+  'Do I need an umbrella today?',
+  'What should I wear right now?',
+  'When is the best time for a run?',
+  'How does tomorrow look?',
+];
+
+// Turns of earlier conversation sent with each question
+export const HISTORY_TURNS = 6;
+
+// Hours of the hourly forecast in the summary, every HOUR_STEP hours
+const SUMMARY_HOURS = 12;
+const HOUR_STEP = 3;
+
+const describeDay = (daily, index, units) => {
+  if (!daily?.time?.[index]) return null;
+  const value = key => daily[key]?.[index] ?? null;
+  return [
+    formatCondition(value('weather_code')),
+    `high ${formatTemperature(value('temperature_2m_max'), units)}`,
+    `low ${formatTemperature(value('temperature_2m_min'), units)}`,
+    `${value('precipitation_probability_max') ?? 0}% chance of precipitation`,
+    `${formatPrecipitation(value('precipitation_sum'), units)} expected`,
+    `wind up to ${formatSpeed(value('wind_speed_10m_max'), units)}`,
+    `UV ${value('uv_index_max') ?? '–'}`,
+  ].join(', ');
+};
+
+/**
+ * Summary of a forecast for the assistant, in the user's units
+ * @param {Object} weatherData - Normalized weather data
+ * @param {Object} options - Summary options
+ * @param {string} options.locationName - Location the forecast is for
+ * @param {Object} options.units - Unit preferences
+ * @returns {Object|null} { location, time, current, hours, today, tomorrow },
+ *   plain strings so it can be stored as JSON
+ */
+export function summarizeForecast(
+  weatherData,
+  { locationName, units = DEFAULT_UNITS } = {},
+) {
+  const current = weatherData?.current;
+  if (!current) return null;
+
+  const hourly = weatherData.hourly ?? {};
+  const start = findCurrentHourIndex(hourly.time ?? [], current.time);
+  const hours = [];
+  for (
+    let i = start + HOUR_STEP;
+    i <= start + SUMMARY_HOURS && i < (hourly.time?.length ?? 0);
+    i += HOUR_STEP
+  ) {
+    hours.push(
+      [
+        getClockTime(hourly.time[i]),
+        formatCondition(hourly.weather_code?.[i]),
+        formatTemperature(hourly.temperature_2m?.[i], units),
+        `${hourly.precipitation_probability?.[i] ?? 0}% precipitation`,
+        `wind ${formatSpeed(hourly.wind_speed_10m?.[i], units)}`,
+      ].join(', '),
+    );
+  }
+
+  return {
+    location: locationName ?? null,
+    time: current.time,
+    current: [
+      formatCondition(current.weather_code, { isDay: current.is_day !== 0 }),
+      formatTemperature(current.temperature_2m, units),
+      `feels like ${formatTemperature(current.apparent_temperature, units)}`,
+      `humidity ${current.relative_humidity_2m}%`,
+      `wind ${formatSpeed(current.wind_speed_10m, units)}`,
+      `gusts ${formatSpeed(current.wind_gusts_10m, units)}`,
+      `${formatPrecipitation(current.precipitation, units)} precipitation`,
+    ].join(', '),
+    hours,
+    today: describeDay(weatherData.daily, 0, units),
+    tomorrow: describeDay(weatherData.daily, 1, units),
+  };
+}
+
+/**
+ * Forecast summary as prompt text
+ * @param {Object|null} summary - From summarizeForecast
+ * @returns {string} Lines describing the forecast, or '' without one
+ */
+export function formatForecastSummary(summary) {
+  if (!summary) return '';
+  return [
+    `Weather for ${summary.location ?? 'the user'} at ${summary.time}:`,
+    `Now: ${summary.current}`,
+    ...summary.hours.map(hour => `At ${hour}`),
+    summary.today && `Today: ${summary.today}`,
+    summary.tomorrow && `Tomorrow: ${summary.tomorrow}`,
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Prompt for one question
+ * @param {string} question - The user's question
+ * @param {Object} options - Prompt options
+ * @param {Object|null} options.summary - From summarizeForecast
+ * @param {Array<Object>} options.history - Earlier messages, oldest first
+ * @returns {string} Prompt for DalSi AI
+ */
+export function buildAssistantPrompt(question, { summary, history = [] } = {}) {
+  const turns = history
+    .filter(message => message.content && message.status !== 'error')
+    .slice(-HISTORY_TURNS)
+    .map(
+      message =>
+        `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`,
+    );
+
+  return [
+    'You are Aether, a friendly weather assistant. Answer using the forecast ' +
+      'below and give practical advice in 2-4 sentences. If the forecast ' +
+      "doesn't cover the question, say so.",
+    formatForecastSummary(summary),
+    turns.length > 0 && `Conversation so far:\n${turns.join('\n')}`,
+    `User: ${question}\nAssistant:`,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Chat messages from stored conversation records
+ * @param {Array<Object>} records - Rows from getConversationHistory
+ * @returns {Array<Object>} { id, role, content, status, createdAt }
+ */
+export function toChatMessages(records) {
+  return records.map(record => ({
+    id: record.id,
+    role: record.role,
+    content: record.content,
+    status: 'done',
+    createdAt: record.created_at,
+  }));
+}
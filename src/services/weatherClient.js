@@ -0,0 +1,304 @@
+// Weather Data Client
+// Single entry point for Open-Meteo forecast requests. Callers describe the
+// variables they need with a field set and always get the same normalized
+// shape.
+
+import { fetchJson, withAbort, createAbortError } from './http';
+
+const WEATHER_API = 'https://api.open-meteo.com/v1/forecast';
+
+/**
+ * @typedef {Object} FieldSet
+ * @property {string} key - Stable identifier (used for caching and logging)
+ * @property {string[]} current - Current-conditions variables
+ * @property {string[]} hourly - Hourly variables
+ * @property {string[]} daily - Daily aggregate variables
+ * @property {number} forecastDays - Number of forecast days (1-16)
+ * @property {number} pastDays - Number of past days to include (0-92)
+ */
+
+/**
+ * @typedef {Object} WeatherData
+ * @property {number} latitude - Grid-cell latitude returned by the API
+ * @property {number} longitude - Grid-cell longitude returned by the API
+ * @property {string} timezone - IANA timezone of the location
+ * @property {number} utc_offset_seconds - Offset applied to all timestamps
+ * @property {Object<string, (number|string|null)>} current - Current values keyed by variable
+ * @property {Object<string, Array<(number|string|null)>>} hourly - Hourly series keyed by variable, always including `time`
+ * @property {Object<string, Array<(number|string|null)>>} daily - Daily series keyed by variable, always including `time`
+ * @property {Object<string, string>} current_units - Units of each current variable
+ * @property {Object<string, string>} hourly_units - Units of each hourly variable
+ * @property {Object<string, string>} daily_units - Units of each daily variable
+ * @property {{ fieldSet: string, fetchedAt: number }} meta - Request bookkeeping
+ */
+
+export const CURRENT_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'is_day',
+  'precipitation',
+  'rain',
+  'showers',
+  'snowfall',
+  'weather_code',
+  'cloud_cover',
+  'pressure_msl',
+  'surface_pressure',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+];
+
+export const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'dew_point_2m',
+  'apparent_temperature',
+  'precipitation_probability',
+  'precipitation',
+  'rain',
+  'showers',
+  'snowfall',
+  'weather_code',
+  'pressure_msl',
+  'cloud_cover',
+  'visibility',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'wind_gusts_10m',
+  'uv_index',
+  'is_day',
+];
+
+export const DAILY_VARIABLES = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'apparent_temperature_max',
+  'apparent_temperature_min',
+  'sunrise',
+  'sunset',
+  'daylight_duration',
+  'sunshine_duration',
+  'uv_index_max',
+  'precipitation_sum',
+  'rain_sum',
+  'showers_sum',
+  'snowfall_sum',
+  'precipitation_hours',
+  'precipitation_probability_max',
+  'wind_speed_10m_max',
+  'wind_gusts_10m_max',
+  'wind_direction_10m_dominant',
+];
+
+/**
+ * Declare a field set
+ * @param {Object} definition - Field set definition
+ * @param {string} definition.key - Stable identifier
+ * @param {string[]} [definition.current] - Current-conditions variables
+ * @param {string[]} [definition.hourly] - Hourly variables
+ * @param {string[]} [definition.daily] - Daily variables
+ * @param {number} [definition.forecastDays] - Forecast days (default: 7)
+ * @param {number} [definition.pastDays] - Past days (default: 0)
+ * @returns {FieldSet} Frozen field set
+ */
+export function defineFieldSet({
+  key,
+  current = [],
+  hourly = [],
+  daily = [],
+  forecastDays = 7,
+  pastDays = 0,
+}) {
+  if (!key) {
+    throw new Error('Field set requires a key');
+  }
+
+  return Object.freeze({
+    key,
+    current: Object.freeze([...current]),
+    hourly: Object.freeze([...hourly]),
+    daily: Object.freeze([...daily]),
+    forecastDays,
+    pastDays,
+  });
+}
+
+/**
+ * Field sets used across the app. Every screen and analysis service reads
+ * `FIELD_SETS.forecast` so that the data shape never differs between callers.
+ */
+export const FIELD_SETS = {
+  forecast: defineFieldSet({
+    key: 'forecast',
+    current: CURRENT_VARIABLES,
+    hourly: HOURLY_VARIABLES,
+    daily: DAILY_VARIABLES,
+    forecastDays: 14,
+  }),
+};
+
+export const DEFAULT_FIELD_SET = FIELD_SETS.forecast;
+
+/**
+ * Build the Open-Meteo request URL for a field set
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {FieldSet} fieldSet - Variables to request
+ * @returns {string} Request URL
+ */
+export function buildForecastUrl(
+  latitude,
+  longitude,
+  fieldSet = DEFAULT_FIELD_SET,
+) {
+  const params = new URLSearchParams({
+    latitude: latitude.toString(),
+    longitude: longitude.toString(),
+    timezone: 'auto',
+    forecast_days: fieldSet.forecastDays.toString(),
+    past_days: fieldSet.pastDays.toString(),
+  });
+
+  if (fieldSet.current.length > 0) {
+    params.set('current', fieldSet.current.join(','));
+  }
+  if (fieldSet.hourly.length > 0) {
+    params.set('hourly', fieldSet.hourly.join(','));
+  }
+  if (fieldSet.daily.length > 0) {
+    params.set('daily', fieldSet.daily.join(','));
+  }
+
+  return `${WEATHER_API}?${params.toString()}`;
+}
+
+/**
+ * Normalize a series block so every requested variable is present and has the
+ * same length as `time`. Missing values are filled with null.
+ */
+function normalizeSeries(block, variables) {
+  const time = Array.isArray(block?.time) ? block.time : [];
+  const series = { time };
+
+  variables.forEach(variable => {
+    const values = block?.[variable];
+    series[variable] = time.map((_, index) =>
+      Array.isArray(values) && values[index] !== undefined
+        ? values[index]
+        : null,
+    );
+  });
+
+  return series;
+}
+
+/**
+ * Normalize a raw Open-Meteo response against the field set it was requested with
+ * @param {Object} raw - Parsed API response
+ * @param {FieldSet} fieldSet - Field set used for the request
+ * @param {number} [fetchedAt] - Fetch timestamp in ms (default: now)
+ * @returns {WeatherData} Normalized weather data
+ */
+export function normalizeForecast(
+  raw,
+  fieldSet = DEFAULT_FIELD_SET,
+  fetchedAt = Date.now(),
+) {
+  const current = { time: raw?.current?.time ?? null };
+  fieldSet.current.forEach(variable => {
+    const value = raw?.current?.[variable];
+    current[variable] = value === undefined ? null : value;
+  });
+
+  return {
+    latitude: raw?.latitude ?? null,
+    longitude: raw?.longitude ?? null,
+    elevation: raw?.elevation ?? null,
+    timezone: raw?.timezone ?? 'GMT',
+    timezone_abbreviation: raw?.timezone_abbreviation ?? 'GMT',
+    utc_offset_seconds: raw?.utc_offset_seconds ?? 0,
+    current,
+    hourly: normalizeSeries(raw?.hourly, fieldSet.hourly),
+    daily: normalizeSeries(raw?.daily, fieldSet.daily),
+    current_units: raw?.current_units ?? {},
+    hourly_units: raw?.hourly_units ?? {},
+    daily_units: raw?.daily_units ?? {},
+    meta: {
+      fieldSet: fieldSet.key,
+      fetchedAt,
+    },
+  };
+}
+
+// Requests currently on the wire, keyed by URL. Concurrent callers asking for
+// the same forecast share one network request, which is cancelled once every
+// caller waiting on it has aborted.
+const inFlightRequests = new Map();
+
+function startRequest(url, fieldSet) {
+  const controller = new AbortController();
+  const entry = { controller, callers: 0 };
+  entry.promise = fetchJson(url, {
+    service: 'Weather API',
+    signal: controller.signal,
+  })
+    .then(data => normalizeForecast(data, fieldSet))
+    .finally(() => {
+      if (inFlightRequests.get(url) === entry) inFlightRequests.delete(url);
+    });
+  inFlightRequests.set(url, entry);
+  return entry;
+}
+
+/**
+ * Fetch forecast data for a location. Identical requests made while one is
+ * already in flight are coalesced into a single network call; aborting one
+ * caller's signal detaches that caller, and the network request is cancelled
+ * when the last caller aborts.
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @param {FieldSet} fieldSet - Variables to request (default: FIELD_SETS.forecast)
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels waiting for the response
+ * @returns {Promise<WeatherData>} Normalized weather data
+ */
+export function fetchForecast(
+  latitude,
+  longitude,
+  fieldSet = DEFAULT_FIELD_SET,
+  { signal } = {},
+) {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  const url = buildForecastUrl(latitude, longitude, fieldSet);
+  const entry = inFlightRequests.get(url) ?? startRequest(url, fieldSet);
+  entry.callers++;
+
+  if (signal) {
+    const release = () => {
+      entry.callers--;
+      if (entry.callers === 0) {
+        // Later callers start a fresh request instead of joining this one
+        if (inFlightRequests.get(url) === entry) inFlightRequests.delete(url);
+        entry.controller.abort();
+      }
+    };
+    const detach = () => signal.removeEventListener('abort', release);
+    signal.addEventListener('abort', release);
+    entry.promise.then(detach, detach);
+  }
+
+  return withAbort(entry.promise, signal);
+}
+
+export default {
+  FIELD_SETS,
+  DEFAULT_FIELD_SET,
+  defineFieldSet,
+  buildForecastUrl,
+  normalizeForecast,
+  fetchForecast,
+};
@@ -0,0 +1,316 @@
+// Weather Conditions
+// Presentation of WMO weather codes: icon (with day and night variants),
+// localized description and severity. Shared by the Forecast, Home and Hourly
+// screens and by alert notifications so a code always reads the same way.
+
+export const SUPPORTED_LANGUAGES = ['en', 'es', 'fr', 'de'];
+
+// Icon group for each WMO code; groups carry the day/night variants
+const CODE_GROUPS = {
+  0: 'clear',
+  1: 'mainlyClear',
+  2: 'partlyCloudy',
+  3: 'overcast',
+  45: 'fog',
+  48: 'fog',
+  51: 'drizzle',
+  53: 'drizzle',
+  55: 'drizzle',
+  56: 'freezingRain',
+  57: 'freezingRain',
+  61: 'rain',
+  63: 'rain',
+  65: 'heavyRain',
+  66: 'freezingRain',
+  67: 'freezingRain',
+  71: 'snow',
+  73: 'snow',
+  75: 'snow',
+  77: 'snow',
+  80: 'showers',
+  81: 'showers',
+  82: 'heavyRain',
+  85: 'snow',
+  86: 'snow',
+  95: 'thunderstorm',
+  96: 'thunderstorm',
+  99: 'thunderstorm',
+};
+
+export const CONDITION_ICONS = {
+  clear: { day: '☀️', night: '🌙' },
+  mainlyClear: { day: '🌤️', night: '🌙' },
+  partlyCloudy: { day: '⛅', night: '☁️' },
+  overcast: { day: '☁️', night: '☁️' },
+  fog: { day: '🌫️', night: '🌫️' },
+  drizzle: { day: '🌦️', night: '🌧️' },
+  rain: { day: '🌧️', night: '🌧️' },
+  heavyRain: { day: '🌧️', night: '🌧️' },
+  showers: { day: '🌦️', night: '🌧️' },
+  freezingRain: { day: '🌨️', night: '🌨️' },
+  snow: { day: '❄️', night: '❄️' },
+  thunderstorm: { day: '⛈️', night: '⛈️' },
+  unknown: { day: '🌡️', night: '🌡️' },
+};
+
+const DESCRIPTIONS = {
+  en: {
+    0: 'Clear sky',
+    1: 'Mainly clear',
+    2: 'Partly cloudy',
+    3: 'Overcast',
+    45: 'Foggy',
+    48: 'Depositing rime fog',
+    51: 'Light drizzle',
+    53: 'Moderate drizzle',
+    55: 'Dense drizzle',
+    56: 'Light freezing drizzle',
+    57: 'Dense freezing drizzle',
+    61: 'Slight rain',
+    63: 'Moderate rain',
+    65: 'Heavy rain',
+    66: 'Light freezing rain',
+    67: 'Heavy freezing rain',
+    71: 'Slight snow fall',
+    73: 'Moderate snow fall',
+    75: 'Heavy snow fall',
+    77: 'Snow grains',
+    80: 'Slight rain showers',
+    81: 'Moderate rain showers',
+    82: 'Violent rain showers',
+    85: 'Slight snow showers',
+    86: 'Heavy snow showers',
+    95: 'Thunderstorm',
+    96: 'Thunderstorm with slight hail',
+    99: 'Thunderstorm with heavy hail',
+    unknown: 'Unknown',
+  },
+  es: {
+    0: 'Cielo despejado',
+    1: 'Mayormente despejado',
+    2: 'Parcialmente nublado',
+    3: 'Cubierto',
+    45: 'Niebla',
+    48: 'Niebla con escarcha',
+    51: 'Llovizna ligera',
+    53: 'Llovizna moderada',
+    55: 'Llovizna densa',
+    56: 'Llovizna helada ligera',
+    57: 'Llovizna helada densa',
+    61: 'Lluvia ligera',
+    63: 'Lluvia moderada',
+    65: 'Lluvia intensa',
+    66: 'Lluvia helada ligera',
+    67: 'Lluvia helada intensa',
+    71: 'Nevada ligera',
+    73: 'Nevada moderada',
+    75: 'Nevada intensa',
+    77: 'Granos de nieve',
+    80: 'Chubascos ligeros',
+    81: 'Chubascos moderados',
+    82: 'Chubascos violentos',
+    85: 'Chubascos de nieve ligeros',
+    86: 'Chubascos de nieve intensos',
+    95: 'Tormenta',
+    96: 'Tormenta con granizo ligero',
+    99: 'Tormenta con granizo intenso',
+    unknown: 'Desconocido',
+  },
+  fr: {
+    0: 'Ciel dégagé',
+    1: 'Plutôt dégagé',
+    2: 'Partiellement nuageux',
+    3: 'Couvert',
+    45: 'Brouillard',
+    48: 'Brouillard givrant',
+    51: 'Bruine légère',
+    53: 'Bruine modérée',
+    55: 'Bruine dense',
+    56: 'Bruine verglaçante légère',
+    57: 'Bruine verglaçante dense',
+    61: 'Pluie faible',
+    63: 'Pluie modérée',
+    65: 'Pluie forte',
+    66: 'Pluie verglaçante faible',
+    67: 'Pluie verglaçante forte',
+    71: 'Neige faible',
+    73: 'Neige modérée',
+    75: 'Neige forte',
+    77: 'Neige en grains',
+    80: 'Averses faibles',
+    81: 'Averses modérées',
+    82: 'Averses violentes',
+    85: 'Averses de neige faibles',
+    86: 'Averses de neige fortes',
+    95: 'Orage',
+    96: 'Orage avec grêle faible',
+    99: 'Orage avec grêle forte',
+    unknown: 'Inconnu',
+  },
+  de: {
+    0: 'Klarer Himmel',
+    1: 'Überwiegend klar',
+    2: 'Teilweise bewölkt',
+    3: 'Bedeckt',
+    45: 'Nebel',
+    48: 'Raureifnebel',
+    51: 'Leichter Nieselregen',
+    53: 'Mäßiger Nieselregen',
+    55: 'Starker Nieselregen',
+    56: 'Leichter gefrierender Nieselregen',
+    57: 'Starker gefrierender Nieselregen',
+    61: 'Leichter Regen',
+    63: 'Mäßiger Regen',
+    65: 'Starker Regen',
+    66: 'Leichter gefrierender Regen',
+    67: 'Starker gefrierender Regen',
+    71: 'Leichter Schneefall',
+    73: 'Mäßiger Schneefall',
+    75: 'Starker Schneefall',
+    77: 'Schneegriesel',
+    80: 'Leichte Regenschauer',
+    81: 'Mäßige Regenschauer',
+    82: 'Heftige Regenschauer',
+    85: 'Leichte Schneeschauer',
+    86: 'Starke Schneeschauer',
+    95: 'Gewitter',
+    96: 'Gewitter mit leichtem Hagel',
+    99: 'Gewitter mit starkem Hagel',
+    unknown: 'Unbekannt',
+  },
+};
+
+const SEVERITY_LABELS = {
+  en: { normal: 'Normal', moderate: 'Moderate', severe: 'Severe' },
+  es: { normal: 'Normal', moderate: 'Moderado', severe: 'Severo' },
+  fr: { normal: 'Normal', moderate: 'Modéré', severe: 'Sévère' },
+  de: { normal: 'Normal', moderate: 'Mäßig', severe: 'Schwer' },
+};
+
+/**
+ * Language of the device, limited to those with translations
+ * @returns {string} Two-letter language code
+ */
+export function getDefaultLanguage() {
+  try {
+    const locale = Intl.DateTimeFormat().resolvedOptions().locale ?? 'en';
+    const language = locale.slice(0, 2).toLowerCase();
+    return SUPPORTED_LANGUAGES.includes(language) ? language : 'en';
+  } catch {
+    return 'en';
+  }
+}
+
+function resolveLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language)
+    ? language
+    : getDefaultLanguage();
+}
+
+/**
+ * Get weather description from WMO code
+ * @param {number} code - WMO weather code
+ * @param {string} language - Two-letter language code (defaults to the device)
+ * @returns {string} Weather description
+ */
+export function getWeatherDescription(code, language) {
+  const table = DESCRIPTIONS[resolveLanguage(language)];
+  return table[code] ?? table.unknown;
+}
+
+/**
+ * Get weather severity level
+ * @param {number} code - WMO weather code
+ * @returns {string} Severity level: 'normal', 'moderate', 'severe'
+ */
+export function getWeatherSeverity(code) {
+  if (code === 0 || code <= 3) return 'normal';
+  if (code >= 95) return 'severe'; // Thunderstorms
+  if (code >= 65 && code <= 67) return 'severe'; // Heavy rain/freezing rain
+  if (code >= 75 && code <= 77) return 'severe'; // Heavy snow
+  if (code >= 82) return 'severe'; // Violent showers
+  if (code >= 51) return 'moderate'; // Drizzle, rain, snow
+  return 'normal';
+}
+
+/**
+ * Localized label for a severity level
+ * @param {string} severity - 'normal', 'moderate' or 'severe'
+ * @param {string} language - Two-letter language code
+ * @returns {string} Label
+ */
+export function getSeverityLabel(severity, language) {
+  return SEVERITY_LABELS[resolveLanguage(language)][severity] ?? severity;
+}
+
+/**
+ * Whether a local timestamp falls between sunrise and sunset. Used when the
+ * forecast has no `is_day` value for the hour.
+ * @param {string} time - Local "YYYY-MM-DDTHH:MM" timestamp
+ * @param {Object} daily - Daily forecast with `sunrise` and `sunset` arrays
+ * @returns {boolean|null} null if that day's sun times are unknown
+ */
+export function isDaytime(time, daily) {
+  if (!time || !daily?.sunrise || !daily?.sunset) return null;
+
+  const date = time.slice(0, 10);
+  const index = daily.sunrise.findIndex(
+    sunrise => sunrise && sunrise.startsWith(date),
+  );
+  if (index === -1 || !daily.sunset[index]) return null;
+
+  return time >= daily.sunrise[index] && time < daily.sunset[index];
+}
+
+/**
+ * Icon for a weather code
+ * @param {number} code - WMO weather code
+ * @param {boolean} isDay - Use the daytime variant (defaults to true)
+ * @returns {string} Emoji icon
+ */
+export function getConditionIcon(code, isDay = true) {
+  const icons = CONDITION_ICONS[CODE_GROUPS[code] ?? 'unknown'];
+  return isDay === false ? icons.night : icons.day;
+}
+
+/**
+ * Everything needed to present a weather code
+ * @param {number} code - WMO weather code
+ * @param {Object} options - Presentation options
+ * @param {boolean} options.isDay - Daytime (true) or night (false)
+ * @param {string} options.language - Two-letter language code
+ * @returns {Object} { code, group, icon, description, severity, severityLabel }
+ */
+export function getCondition(code, { isDay = true, language } = {}) {
+  const severity = code == null ? 'normal' : getWeatherSeverity(code);
+  return {
+    code,
+    group: CODE_GROUPS[code] ?? 'unknown',
+    icon: getConditionIcon(code, isDay),
+    description: getWeatherDescription(code, language),
+    severity,
+    severityLabel: getSeverityLabel(severity, language),
+  };
+}
+
+/**
+ * One-line condition text for places without custom layout, such as
+ * notification titles
+ * @param {number} code - WMO weather code
+ * @param {Object} options - Same as getCondition
+ * @returns {string} e.g. "⛈️ Thunderstorm"
+ */
+export function formatCondition(code, options) {
+  const { icon, description } = getCondition(code, options);
+  return `${icon} ${description}`;
+}
+
+export default {
+  getCondition,
+  getConditionIcon,
+  getWeatherDescription,
+  getWeatherSeverity,
+  getSeverityLabel,
+  formatCondition,
+  isDaytime,
+};
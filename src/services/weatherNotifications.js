@@ -0,0 +1,142 @@
+// Weather Notifications
+// Local notifications for the alerts alertEvaluation finds in a forecast.
+// Each alert episode is notified when it starts and again only when it
+// escalates; acknowledged episodes stay quiet unless they escalate. Alerts
+// found during quiet hours are scheduled for when they end, unless they are
+// critical.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import notifee, {
+  AndroidImportance,
+  AuthorizationStatus,
+  TriggerType,
+} from '@notifee/react-native';
+import { evaluateAlerts } from './alertEvaluation';
+import {
+  createAsyncStorageAdapter,
+  loadAcknowledgments,
+} from './alertAcknowledgment';
+import { markNotified } from './alertEpisodes';
+import { isInQuietHours, getQuietHoursEnd } from './notificationPreferences';
+
+const CHANNEL_ID = 'weather-alerts';
+const EPISODES_KEY = 'alertEpisodes';
+
+// Runs are serialized so overlapping calls can't both notify the same alert
+let queue = Promise.resolve();
+
+/**
+ * Alert episodes seen so far, as last saved by notifyWeatherAlerts
+ * @returns {Promise<Array<Object>>} Episodes (see alertEpisodes)
+ */
+export async function loadAlertEpisodes() {
+  try {
+    const stored = await AsyncStorage.getItem(EPISODES_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading alert episodes:', error);
+    return [];
+  }
+}
+
+async function saveAlertEpisodes(episodes) {
+  try {
+    await AsyncStorage.setItem(EPISODES_KEY, JSON.stringify(episodes));
+  } catch (error) {
+    console.error('Error saving alert episodes:', error);
+  }
+}
+
+async function ensureChannel() {
+  await notifee.createChannel({
+    id: CHANNEL_ID,
+    name: 'Weather alerts',
+    importance: AndroidImportance.HIGH,
+  });
+}
+
+/**
+ * Ask for permission to show notifications
+ * @returns {Promise<boolean>} True if notifications can be shown
+ */
+export async function requestNotificationPermission() {
+  try {
+    const settings = await notifee.requestPermission();
+    return settings.authorizationStatus >= AuthorizationStatus.AUTHORIZED;
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return false;
+  }
+}
+
+/**
+ * Track the alert episodes in a forecast and notify the user about new and
+ * escalated ones
+ * @param {Object} weatherData - Normalized forecast
+ * @param {Object} options - Notification options
+ * @param {string} options.locationName - Location the forecast is for
+ * @param {Object} options.units - Unit preferences
+ * @param {Array<Object>} options.warnings - Official warnings for the location
+ * @param {Object} options.preferences - Notification preferences
+ * @param {Date} options.now - Current time (for quiet hours)
+ * @returns {Promise<Array<WeatherAlert>>} Alerts notified or scheduled
+ */
+export function notifyWeatherAlerts(weatherData, options) {
+  const run = queue.then(() => deliverAlerts(weatherData, options));
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function deliverAlerts(
+  weatherData,
+  { locationName, units, warnings, preferences, now = new Date() },
+) {
+  const { alerts, episodes } = evaluateAlerts(weatherData, {
+    locationName,
+    units,
+    warnings,
+    preferences,
+    episodes: await loadAlertEpisodes(),
+    // The device copy is kept current for signed-in users too
+    acknowledgments: await loadAcknowledgments(
+      createAsyncStorageAdapter(),
+      now.getTime(),
+    ),
+    now: now.getTime(),
+  });
+  if (alerts.length === 0) {
+    await saveAlertEpisodes(episodes);
+    return [];
+  }
+
+  const quiet = isInQuietHours(now, preferences.quietHours);
+  const delivered = [];
+
+  try {
+    await ensureChannel();
+    for (const alert of alerts) {
+      const notification = {
+        id: alert.id,
+        title: alert.escalated ? `Upgraded: ${alert.title}` : alert.title,
+        body: alert.body,
+        data: { type: alert.type, severity: alert.severity },
+        android: { channelId: CHANNEL_ID, pressAction: { id: 'default' } },
+      };
+
+      if (quiet && alert.severity !== 'critical') {
+        await notifee.createTriggerNotification(notification, {
+          type: TriggerType.TIMESTAMP,
+          timestamp: getQuietHoursEnd(now, preferences.quietHours).getTime(),
+        });
+      } else {
+        await notifee.displayNotification(notification);
+      }
+      delivered.push(alert);
+    }
+  } catch (error) {
+    console.error('Error showing weather notifications:', error);
+  }
+
+  await saveAlertEpisodes(markNotified(episodes, delivered));
+  return delivered;
+}